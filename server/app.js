@@ -10,6 +10,8 @@ const morgan = require('morgan');
 const { securityHeaders, secureErrorHandler, authenticateAPI } = require('./middleware/security');
 const { isValidIPv4 } = require('./utils/validators');
 const { logSystemEvent } = require('./utils/system-logger');
+const sessionClock = require('./services/session-clock');
+const networkConfig = require('./services/network-config');
 
 const app = express();
 const server = http.createServer(app);
@@ -56,16 +58,11 @@ const corsOptions = {
       'http://localhost:3000',
       'http://localhost:80',
       'http://127.0.0.1:3000',
-      'http://10.0.0.1',
-      'http://10.0.0.1:80',
-      'http://pisowifi.local',
-      /^http:\/\/10\.0\.0\.[0-9]{1,3}(:[0-9]+)?$/  // Allow local network
+      'http://pisowifi.local'
     ];
 
-    const isAllowed = allowedOrigins.some(allowed => {
-      if (allowed instanceof RegExp) return allowed.test(origin);
-      return allowed === origin;
-    });
+    // Allow the LAN the portal serves, whatever subnet it is configured with
+    const isAllowed = allowedOrigins.includes(origin) || networkConfig.isLanOrigin(origin);
 
     if (isAllowed) {
       callback(null, true);
@@ -135,9 +132,9 @@ app.get('/debug-status', authenticateAPI, async (req, res) => {
     console.log(`[DEBUG STATUS] Request from IP: ${clientIP}`);
 
     // Get all clients from database
-    const allClients = await db.query('SELECT * FROM clients ORDER BY last_seen DESC');
+    const allClients = await db.query(`SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients ORDER BY last_seen DESC`);
     const authClients = await db.query(
-      'SELECT * FROM clients WHERE status = $1 AND time_remaining > 0 ORDER BY last_seen DESC',
+      `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE status = $1 AND ${sessionClock.REMAINING_TIME_SQL} > 0 ORDER BY last_seen DESC`,
       ['CONNECTED']
     );
     const activeSessions = await db.query(
@@ -291,7 +288,7 @@ app.use(async (req, res, next) => {
     if (detectedMac) {
       const db = require('./db/sqlite-adapter');
       const authCheck = await db.query(
-        'SELECT * FROM clients WHERE mac_address = $1 AND status = $2 AND time_remaining > 0',
+        `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE mac_address = $1 AND status = $2 AND ${sessionClock.REMAINING_TIME_SQL} > 0`,
         [detectedMac, 'CONNECTED']
       );
 
@@ -324,6 +321,11 @@ io.on('connection', (socket) => {
     io.emit('coin-detected', data);
   });
 
+  // Portal pages join their client's room for targeted session events
+  socket.on('portal-subscribe', (data) => {
+    require('./services/low-time-warnings').subscribe(socket, data);
+  });
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
@@ -335,9 +337,10 @@ const HOST = '0.0.0.0'; // Listen on all interfaces
 server.listen(PORT, HOST, async () => {
   console.log(`🚀 PISOWifi Express server running on ${HOST}:${PORT}`);
   logSystemEvent('info', `Server started on ${HOST}:${PORT}`, 'system');
+  const lan = await networkConfig.get().catch(() => networkConfig.DEFAULTS);
   console.log(`📡 Portal accessible at:`);
   console.log(`   - http://localhost:${PORT}/portal`);
-  console.log(`   - http://10.0.0.1/portal`);
+  console.log(`   - http://${lan.gateway}/portal`);
   console.log(`   - http://[your-ip]:${PORT}/portal`);
 
   // Initialize network stack for captive portal
@@ -351,6 +354,18 @@ server.listen(PORT, HOST, async () => {
       console.log('⚠️ Network initialization warning:', result.error);
       logSystemEvent('warn', `Network initialization warning: ${result.error}`, 'network');
     }
+
+    // The portal rules were rebuilt without any client allowances; restore
+    // the ones for sessions still running in the database
+    const reconcileReport = await require('./services/firewall-reconciler').reconcile('startup');
+    if (reconcileReport.success) {
+      console.log(`✅ Firewall reconciled: ${reconcileReport.allowed.length} allowed, ${reconcileReport.removed.length} removed`);
+    } else {
+      console.log('⚠️ Firewall reconciliation skipped:', reconcileReport.error);
+    }
+
+    // Destinations reachable before paying
+    await require('./services/walled-garden').apply('startup');
   } catch (error) {
     console.log('⚠️ Network manager not available:', error.message);
     logSystemEvent('warn', `Network manager not available: ${error.message}`, 'network');
@@ -361,45 +376,36 @@ server.listen(PORT, HOST, async () => {
     try {
       const DNSInterceptor = require('./services/dns-interceptor');
       const dnsInterceptor = new DNSInterceptor({
-        portalIP: process.env.PISOWIFI_GATEWAY || '10.0.0.1'
+        portalIP: process.env.PISOWIFI_GATEWAY || lan.gateway,
+        upstreamDNS: lan.dns_primary
       });
       await dnsInterceptor.start();
+      await require('./services/walled-garden').attachDnsInterceptor(dnsInterceptor);
       console.log('✅ DNS Interceptor started for enhanced captive portal');
     } catch (error) {
       console.log('⚠️ DNS Interceptor not available:', error.message);
     }
   }
 
-  // Auto-reconnect WAN on boot (DHCP or PPPoE)
+  // Auto-reconnect WAN on boot (DHCP, PPPoE or static)
   try {
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execAsync = promisify(exec);
-    const db = require('./db/sqlite-adapter');
-
-    const result = await db.query('SELECT wan_mode, wan_interface FROM network_config WHERE id = 1');
-    const wanMode = result.rows.length > 0 ? result.rows[0].wan_mode || 'dhcp' : 'dhcp';
-    const wanInterface = result.rows.length > 0 ? result.rows[0].wan_interface || 'eth0' : 'eth0';
-
-    if (wanMode === 'pppoe') {
-      await execAsync('sudo poff pisowifi-wan 2>/dev/null || true');
-      await execAsync('sudo pon pisowifi-wan');
-      console.log('✅ WAN PPPoE reconnected on boot');
-    } else {
-      await execAsync(`sudo dhclient -r ${wanInterface} 2>/dev/null || true`);
-      await execAsync(`sudo dhclient ${wanInterface}`);
-      console.log('✅ WAN DHCP lease renewed on boot');
-    }
+    const networkConfig = require('./services/network-config');
+    const wanConfig = await networkConfig.getWanConfig();
+    await networkConfig.applyWanConfig(wanConfig);
+    console.log(`✅ WAN ${wanConfig.wan_mode || 'dhcp'} connection brought up on boot`);
   } catch (error) {
     console.log('⚠️ WAN auto-reconnect skipped:', error.message);
   }
 
+  // Health checks for the WAN uplinks; moves the default route on failure
+  require('./services/wan-failover').start();
+
   // Initialize TTL detection (anti-tethering)
   try {
     const ttlDetector = require('./services/ttl-detector');
     await ttlDetector.initialize();
 
-    const ttlInterface = process.env.TTL_INTERFACE || 'wlan0';
+    const ttlInterface = process.env.TTL_INTERFACE || await networkConfig.getLanInterface();
     if (ttlDetector.enabled) {
       await ttlDetector.startTrafficMonitoring(ttlInterface);
       console.log(`✅ TTL monitoring started on ${ttlInterface}`);
@@ -410,7 +416,7 @@ server.listen(PORT, HOST, async () => {
     console.log('⚠️ TTL detector not available:', error.message);
   }
 
-  // Start time countdown system for authenticated clients
+  // Start session expiry and housekeeping for authenticated clients
   startTimeCountdownSystem();
 
   console.log('\n🔍 Captive Portal Detection URLs:');
@@ -420,132 +426,65 @@ server.listen(PORT, HOST, async () => {
   console.log('   Firefox: /canonical.html');
 });
 
-// Time countdown system - decrements time_remaining in database every second
+// Session timing - running sessions end at clients.expires_at, so nothing is
+// counted down per second; a housekeeping tick covers the periodic jobs
+const HOUSEKEEPING_INTERVAL = 5000;
+
 function startTimeCountdownSystem() {
-  console.log('⏰ Starting time countdown system...');
+  console.log('⏰ Starting session expiry scheduler...');
 
+  sessionClock.start(io);
+
+  let tick = 0;
   setInterval(async () => {
+    tick++;
     try {
       const db = require('./db/sqlite-adapter');
 
-      // Get portal settings to check if auto-pause is enabled
-      const settingsResult = await db.query('SELECT auto_pause_on_disconnect FROM portal_settings WHERE id = 1');
-      const autoPauseEnabled = settingsResult.rows.length > 0 && settingsResult.rows[0].auto_pause_on_disconnect === 1;
-      const autoResumeEnabled = settingsResult.rows.length > 0 && settingsResult.rows[0].auto_resume_on_pause === 1;
-      const pauseResumeMinutes = settingsResult.rows.length > 0 ? (settingsResult.rows[0].pause_resume_minutes || 0) : 0;
+      // Charge data package traffic and cut off exhausted quotas (every 5 seconds)
+      await require('./services/data-usage').poll(io);
 
-      // If auto-pause is enabled, check for disconnected clients and pause them
-      if (autoPauseEnabled) {
-        // Find clients that haven't been seen for 30 seconds (likely disconnected)
-        await db.query(`
-          UPDATE clients 
-          SET status = 'PAUSED',
-              paused_until = CASE 
-                WHEN $1 > 0 THEN datetime('now', '+' || $1 || ' minutes')
-                ELSE NULL
-              END
-          WHERE status = 'CONNECTED' 
-          AND time_remaining > 0
-          AND (julianday('now') - julianday(last_seen)) * 86400 > 30
-        `, [autoResumeEnabled ? pauseResumeMinutes : 0]);
-      }
+      // Warn customers whose time is about to run out (every 5 seconds)
+      await require('./services/low-time-warnings').check(io);
 
-      // Auto-resume paused clients when timer expires
-      if (autoResumeEnabled && pauseResumeMinutes > 0) {
-        await db.query(`
-          UPDATE clients
-          SET status = 'CONNECTED',
-              paused_until = NULL,
-              last_seen = CURRENT_TIMESTAMP
-          WHERE status = 'PAUSED'
-          AND paused_until IS NOT NULL
-          AND paused_until <= datetime('now')
-        `);
+      // Presence, idle auto-pause and auto-resume (every 15 seconds)
+      if (tick % 3 === 0) {
+        await require('./services/idle-detector').check(io);
       }
 
-      // Decrement time_remaining for all connected clients only (not paused)
-      await db.query(`
-        UPDATE clients 
-        SET time_remaining = MAX(0, time_remaining - 1),
-            last_seen = CURRENT_TIMESTAMP
-        WHERE status = 'CONNECTED' 
-        AND time_remaining > 0
-      `);
-
-      // Get updated clients for logging
-      const result = await db.query(`
-        SELECT id, mac_address, time_remaining
-        FROM clients
-        WHERE status = 'CONNECTED' AND time_remaining >= 0
-      `);
-
-      // Check for expired clients
-      const expiredResult = await db.query(`
-        SELECT id, mac_address, ip_address 
-        FROM clients 
-        WHERE status = 'CONNECTED' 
-        AND time_remaining <= 0
-      `);
-
-      // Disconnect expired clients
-      if (expiredResult.rows.length > 0) {
-        console.log(`⏰ Found ${expiredResult.rows.length} expired clients, disconnecting...`);
-
-        for (const client of expiredResult.rows) {
-          try {
-            // Update client status to disconnected
-            await db.query(`
-              UPDATE clients 
-              SET status = 'DISCONNECTED', time_remaining = 0, last_seen = CURRENT_TIMESTAMP 
-              WHERE id = $1
-            `, [client.id]);
-
-            // End active sessions
-            await db.query(`
-              UPDATE sessions 
-              SET status = 'ENDED', ended_at = CURRENT_TIMESTAMP 
-              WHERE client_id = $1 AND status = 'ACTIVE'
-            `, [client.id]);
-
-            // Deauthenticate using NetworkManager
-            try {
-              const NetworkManager = require('./services/network-manager');
-              const networkManager = new NetworkManager();
-              await networkManager.deauthenticateClient(client.mac_address);
-              console.log(`⏰ Deauthenticated expired client: ${client.mac_address}`);
-            } catch (networkError) {
-              console.warn(`Failed to deauthenticate ${client.mac_address}:`, networkError.message);
-            }
+      // Auto-cleanup disconnected unauthenticated devices (every 30 seconds)
+      if (tick % 6 === 0) {
+        await cleanupDisconnectedDevices();
+      }
 
-            // Emit socket event to update frontend
-            io.emit('client-disconnected', {
-              mac_address: client.mac_address,
-              reason: 'time_expired'
-            });
+      // Re-sync the firewall allow list with the database (every minute)
+      if (tick % 12 === 0) {
+        await require('./services/firewall-reconciler').reconcile('periodic');
+      }
 
-          } catch (clientError) {
-            console.error(`Failed to disconnect expired client ${client.mac_address}:`, clientError.message);
-          }
-        }
+      // Follow address changes of walled garden domains (every 10 minutes)
+      if (tick % 120 === 0) {
+        await require('./services/walled-garden').apply('periodic');
       }
 
-      // Auto-cleanup disconnected unauthenticated devices (every 30 seconds)
-      const now = new Date();
-      if (now.getSeconds() % 30 === 0) {
-        await cleanupDisconnectedDevices();
+      // Forfeit balances paused longer than the pause policy allows (every minute)
+      if (tick % 12 === 0) {
+        await require('./services/pause-policy').expireStalePauses();
       }
 
       // Log active clients count every minute
-      if (result.rows.length > 0) {
-        if (now.getSeconds() === 0) { // Log only at the start of each minute
-          console.log(`⏰ ${result.rows.length} active clients with time remaining`);
+      if (tick % 12 === 0) {
+        const result = await db.query(
+          `SELECT COUNT(*) as count FROM clients WHERE status = 'CONNECTED' AND ${sessionClock.REMAINING_TIME_SQL} > 0`
+        );
+        if (result.rows[0].count > 0) {
+          console.log(`⏰ ${result.rows[0].count} active clients with time remaining`);
         }
       }
-
     } catch (error) {
-      console.error('Time countdown system error:', error.message);
+      console.error('Session housekeeping error:', error.message);
     }
-  }, 1000); // Run every second
+  }, HOUSEKEEPING_INTERVAL);
 }
 
 // Auto-cleanup function for disconnected unauthenticated devices
@@ -555,12 +494,15 @@ async function cleanupDisconnectedDevices() {
     const NetworkManager = require('./services/network-manager');
     const networkManager = new NetworkManager();
 
-    // Get all unauthenticated clients from database
+    // Get all unauthenticated clients from database. Clients that ever paid are
+    // kept: deleting them would cascade to their transactions and lose sales
+    // history (cash collections are reconciled against it)
     const unauthenticatedClients = await db.query(`
       SELECT id, mac_address, ip_address, device_name, last_seen
       FROM clients 
       WHERE status IN ('DISCONNECTED', 'UNAUTHENTICATED')
       AND time_remaining <= 0
+      AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.client_id = clients.id)
     `);
 
     if (unauthenticatedClients.rows.length === 0) return;
@@ -602,7 +544,6 @@ async function cleanupDisconnectedDevices() {
         try {
           // Delete related records first (foreign key constraints)
           await db.query('DELETE FROM sessions WHERE client_id = $1', [device.id]);
-          await db.query('DELETE FROM transactions WHERE client_id = $1', [device.id]);
 
           // Delete the client
           await db.query('DELETE FROM clients WHERE id = $1', [device.id]);
@@ -310,6 +310,216 @@ async function ensureBasicTables() {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`,
 
+    `CREATE TABLE IF NOT EXISTS vouchers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code VARCHAR(32) UNIQUE NOT NULL,
+      batch_id VARCHAR(32) NOT NULL,
+      duration INTEGER NOT NULL,
+      price DECIMAL(10,2) DEFAULT 0.00,
+      status VARCHAR(20) DEFAULT 'unused',
+      expires_at DATETIME,
+      client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+      mac_address VARCHAR(17),
+      redeemed_at DATETIME,
+      created_by VARCHAR(50),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS rate_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rate_id INTEGER NOT NULL REFERENCES rates(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      days_of_week VARCHAR(20) DEFAULT '0,1,2,3,4,5,6',
+      start_time VARCHAR(5),
+      end_time VARCHAR(5),
+      start_date DATE,
+      end_date DATE,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username VARCHAR(32) UNIQUE NOT NULL,
+      pin_hash VARCHAR(100) NOT NULL,
+      display_name VARCHAR(100),
+      wallet_seconds INTEGER DEFAULT 0,
+      status VARCHAR(20) DEFAULT 'active',
+      last_login_at DATETIME,
+      created_by VARCHAR(50),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS payment_intents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reference VARCHAR(40) UNIQUE NOT NULL,
+      provider VARCHAR(20) NOT NULL,
+      provider_reference VARCHAR(100),
+      amount DECIMAL(10,2) NOT NULL,
+      duration INTEGER NOT NULL,
+      data_limit_mb INTEGER DEFAULT 0,
+      rate_id INTEGER,
+      schedule_id INTEGER,
+      status VARCHAR(20) DEFAULT 'pending',
+      mac_address VARCHAR(17),
+      client_ip VARCHAR(45),
+      session_token VARCHAR(64),
+      member_id INTEGER REFERENCES members(id) ON DELETE SET NULL,
+      checkout_url TEXT,
+      qr_payload TEXT,
+      transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+      failure_reason TEXT,
+      expires_at DATETIME,
+      paid_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS coin_denominations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      value DECIMAL(10,2) NOT NULL UNIQUE,
+      pulses INTEGER UNIQUE,
+      label VARCHAR(50),
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS cash_collections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slot_number INTEGER,
+      collected_by VARCHAR(100) NOT NULL,
+      collected_at DATETIME NOT NULL,
+      period_start DATETIME,
+      counted_amount DECIMAL(10,2) NOT NULL,
+      expected_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      coins_inserted INTEGER DEFAULT 0,
+      transaction_total DECIMAL(10,2),
+      transaction_count INTEGER,
+      discrepancy DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      notes TEXT,
+      recorded_by VARCHAR(50),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS session_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      session_id INTEGER REFERENCES sessions(id) ON DELETE SET NULL,
+      mac_address VARCHAR(17),
+      event_type VARCHAR(30) NOT NULL,
+      reason VARCHAR(50),
+      time_delta INTEGER,
+      time_remaining INTEGER,
+      actor VARCHAR(50),
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS client_identities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+      kind VARCHAR(20) NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(kind, value)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS time_pools (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+      mode VARCHAR(10) NOT NULL DEFAULT 'parallel',
+      status VARCHAR(10) NOT NULL DEFAULT 'ACTIVE',
+      time_remaining INTEGER NOT NULL DEFAULT 0,
+      expires_at DATETIME,
+      draw_rate INTEGER NOT NULL DEFAULT 0,
+      pairing_code VARCHAR(10),
+      pairing_expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ended_at DATETIME
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS walled_garden (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entry VARCHAR(255) UNIQUE NOT NULL,
+      type VARCHAR(10) NOT NULL DEFAULT 'domain',
+      description VARCHAR(100),
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS trial_claims (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+      transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+      mac_address VARCHAR(17) NOT NULL,
+      client_ip VARCHAR(45),
+      session_token VARCHAR(255),
+      dhcp_client_id VARCHAR(255),
+      hostname VARCHAR(255),
+      fingerprint VARCHAR(64),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS dhcp_reservations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mac_address VARCHAR(17) UNIQUE NOT NULL,
+      ip_address VARCHAR(15) UNIQUE NOT NULL,
+      hostname VARCHAR(63),
+      lease_time INTEGER,
+      description VARCHAR(100),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS dhcp_options (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      option_code INTEGER UNIQUE NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      description VARCHAR(100),
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS access_point (
+      id INTEGER PRIMARY KEY DEFAULT 1,
+      enabled INTEGER NOT NULL DEFAULT 0,
+      ssid VARCHAR(32) NOT NULL DEFAULT 'PISOWifi',
+      hidden INTEGER NOT NULL DEFAULT 0,
+      band VARCHAR(3) NOT NULL DEFAULT '2.4',
+      channel INTEGER NOT NULL DEFAULT 6,
+      country_code VARCHAR(2) NOT NULL DEFAULT 'PH',
+      passphrase VARCHAR(63),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS wan_uplinks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name VARCHAR(32) NOT NULL,
+      interface VARCHAR(15) UNIQUE NOT NULL,
+      priority INTEGER NOT NULL DEFAULT 1,
+      weight INTEGER NOT NULL DEFAULT 1,
+      gateway VARCHAR(15),
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS wan_failover_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uplink_id INTEGER,
+      interface VARCHAR(15),
+      event VARCHAR(10) NOT NULL,
+      from_interface VARCHAR(64),
+      to_interface VARCHAR(64),
+      message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
     `CREATE INDEX IF NOT EXISTS idx_coin_attempts_ip ON coin_attempts(client_ip, created_at)`,
     `CREATE INDEX IF NOT EXISTS idx_coin_attempts_mac ON coin_attempts(client_mac, created_at)`,
     `CREATE INDEX IF NOT EXISTS idx_coin_attempts_blocked ON coin_attempts(blocked_until)`,
@@ -320,7 +530,18 @@ async function ensureBasicTables() {
     `CREATE INDEX IF NOT EXISTS idx_ttl_detection_logs_mac ON ttl_detection_logs(client_mac)`,
     `CREATE INDEX IF NOT EXISTS idx_ttl_baselines_mac ON ttl_baselines(client_mac)`,
     `CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs(level, created_at)`,
-    `CREATE INDEX IF NOT EXISTS idx_system_logs_category ON system_logs(category, created_at)`
+    `CREATE INDEX IF NOT EXISTS idx_system_logs_category ON system_logs(category, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_vouchers_batch ON vouchers(batch_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_vouchers_status ON vouchers(status, expires_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_rate_schedules_rate ON rate_schedules(rate_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_members_status ON members(status)`,
+    `CREATE INDEX IF NOT EXISTS idx_payment_intents_status ON payment_intents(status, expires_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_cash_collections_slot ON cash_collections(slot_number, collected_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_session_events_client ON session_events(client_id, id)`,
+    `CREATE INDEX IF NOT EXISTS idx_client_identities_client ON client_identities(client_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_time_pools_code ON time_pools(pairing_code)`,
+    `CREATE INDEX IF NOT EXISTS idx_trial_claims_mac ON trial_claims(mac_address, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_wan_failover_events_created ON wan_failover_events(created_at)`
   ];
 
   for (const table of basicTables) {
@@ -347,9 +568,11 @@ async function ensureBasicTables() {
     const insertSlot = db.prepare(`INSERT OR IGNORE INTO coin_slots (slot_number, status) VALUES (?, ?)`);
     insertSlot.run(1, 'available');
 
-    // Insert default network settings
-    const insertNetworkSettings = db.prepare(`INSERT OR IGNORE INTO network_settings (id, gateway_ip, dhcp_start, dhcp_end, lease_time, interface, dns_server) VALUES (?, ?, ?, ?, ?, ?, ?)`);
-    insertNetworkSettings.run(1, '10.0.0.1', '10.0.0.10', '10.0.0.100', '12h', 'enx00e04c68276e', '8.8.8.8');
+    // network_config is created on first use with the detected LAN interface
+    // (services/network-config.js); network_settings is no longer read
+
+    // Access point starts disabled: hostapd is left alone until the admin saves it
+    db.prepare('INSERT OR IGNORE INTO access_point (id) VALUES (1)').run();
 
     // Insert default GPIO settings
     const insertGpioSettings = db.prepare(`INSERT OR IGNORE INTO gpio_settings (id, coin_pin, led_pin, coin_value) VALUES (?, ?, ?, ?)`);
@@ -359,6 +582,16 @@ async function ensureBasicTables() {
     const insertSystemSettings = db.prepare(`INSERT OR IGNORE INTO system_settings (id, auto_restart, max_clients, session_timeout) VALUES (?, ?, ?, ?)`);
     insertSystemSettings.run(1, 1, 100, 7200);
 
+    // Insert default coin denominations (Philippine coins, one pulse per peso)
+    const denominationCount = db.prepare('SELECT COUNT(*) as count FROM coin_denominations').get();
+    if (denominationCount.count === 0) {
+      const insertDenomination = db.prepare(`INSERT INTO coin_denominations (value, pulses, label) VALUES (?, ?, ?)`);
+      for (const value of [1, 5, 10, 20]) {
+        insertDenomination.run(value, value, `${value} Peso`);
+      }
+      console.log('✅ Default coin denominations created');
+    }
+
     // Insert default calibration rules if none exist
     const adjustmentCount = db.prepare('SELECT COUNT(*) as count FROM coin_sensor_adjustments').get();
     if (adjustmentCount.count === 0) {
@@ -391,11 +624,23 @@ async function ensureBasicTables() {
   // Ensure coin_slots has session token column
   ensureCoinSlotsColumns();
 
+  // Ensure coin_queues remembers the slot each coin went into
+  ensureCoinQueuesColumns();
+
+  // Ensure system_settings has currency columns
+  ensureSystemSettingsColumns();
+
   // Ensure network_config has WAN columns
   ensureNetworkConfigColumns();
 
-  // Ensure clients has paused_until column
+  // Ensure clients has paused_until and data quota columns
   ensureClientsColumns();
+
+  // Ensure rates has rate engine columns
+  ensureRatesColumns();
+
+  // Ensure transactions records the rate, schedule and member account
+  ensureTransactionsColumns();
 }
 
 // Adds missing columns to portal_settings for banner image and audio cues
@@ -448,6 +693,65 @@ function ensurePortalSettingsColumns() {
       db.exec('ALTER TABLE portal_settings ADD COLUMN pause_resume_minutes INTEGER DEFAULT 0');
       console.log('✅ Added pause_resume_minutes column');
     }
+    if (!names.has('rate_leftover_mode')) {
+      db.exec("ALTER TABLE portal_settings ADD COLUMN rate_leftover_mode TEXT DEFAULT 'prorate'");
+      console.log('✅ Added rate_leftover_mode column');
+    }
+    if (!names.has('rate_min_spend')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN rate_min_spend DECIMAL(10,2) DEFAULT 0');
+      console.log('✅ Added rate_min_spend column');
+    }
+    if (!names.has('low_time_warning_minutes')) {
+      db.exec("ALTER TABLE portal_settings ADD COLUMN low_time_warning_minutes TEXT DEFAULT '5,1'");
+      console.log('✅ Added low_time_warning_minutes column');
+    }
+    if (!names.has('idle_timeout_minutes')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN idle_timeout_minutes INTEGER DEFAULT 5');
+      console.log('✅ Added idle_timeout_minutes column');
+    }
+    if (!names.has('idle_traffic_kb')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN idle_traffic_kb INTEGER DEFAULT 20');
+      console.log('✅ Added idle_traffic_kb column');
+    }
+    // Pause policy (0 = no limit)
+    if (!names.has('pause_max_count')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN pause_max_count INTEGER DEFAULT 0');
+      console.log('✅ Added pause_max_count column');
+    }
+    if (!names.has('pause_max_minutes')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN pause_max_minutes INTEGER DEFAULT 0');
+      console.log('✅ Added pause_max_minutes column');
+    }
+    if (!names.has('pause_min_session_minutes')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN pause_min_session_minutes INTEGER DEFAULT 0');
+      console.log('✅ Added pause_min_session_minutes column');
+    }
+    if (!names.has('pause_expiry_hours')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN pause_expiry_hours INTEGER DEFAULT 0');
+      console.log('✅ Added pause_expiry_hours column');
+    }
+    // Shared time pools (0 = sharing disabled)
+    if (!names.has('pool_max_devices')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN pool_max_devices INTEGER DEFAULT 3');
+      console.log('✅ Added pool_max_devices column');
+    }
+    if (!names.has('pool_mode')) {
+      db.exec("ALTER TABLE portal_settings ADD COLUMN pool_mode TEXT DEFAULT 'parallel'");
+      console.log('✅ Added pool_mode column');
+    }
+    // Free trial (disabled by default)
+    if (!names.has('trial_enabled')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN trial_enabled INTEGER DEFAULT 0');
+      console.log('✅ Added trial_enabled column');
+    }
+    if (!names.has('trial_minutes')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN trial_minutes INTEGER DEFAULT 5');
+      console.log('✅ Added trial_minutes column');
+    }
+    if (!names.has('trial_cooldown_hours')) {
+      db.exec('ALTER TABLE portal_settings ADD COLUMN trial_cooldown_hours INTEGER DEFAULT 24');
+      console.log('✅ Added trial_cooldown_hours column');
+    }
   } catch (error) {
     console.warn('Portal settings migration warning:', error.message);
   }
@@ -468,6 +772,59 @@ function ensureCoinSlotsColumns() {
   }
 }
 
+// Adds missing columns to coin_queues for cash collection reconciliation
+function ensureCoinQueuesColumns() {
+  try {
+    const columns = db.prepare('PRAGMA table_info(coin_queues)').all();
+    const names = new Set(columns.map(c => c.name));
+
+    // slot_id is cleared when queued coins are preserved across a slot release;
+    // slot_number keeps the coin box the money physically went into
+    if (!names.has('slot_number')) {
+      db.exec('ALTER TABLE coin_queues ADD COLUMN slot_number INTEGER');
+      db.exec(`UPDATE coin_queues SET slot_number = (SELECT slot_number FROM coin_slots WHERE coin_slots.id = coin_queues.slot_id)
+               WHERE slot_id IS NOT NULL`);
+      console.log('✅ Added slot_number column');
+    }
+
+    // Redeemed coins are 'redeemed' until /portal/connect spends them on a purchase;
+    // coins redeemed before this column existed were already spent
+    if (!names.has('spent_at')) {
+      db.exec('ALTER TABLE coin_queues ADD COLUMN spent_at DATETIME');
+      db.exec(`UPDATE coin_queues SET status = 'spent', spent_at = created_at WHERE status = 'redeemed'`);
+      console.log('✅ Added spent_at column');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_coin_queues_created ON coin_queues(created_at)');
+  } catch (error) {
+    console.warn('Coin queues migration warning:', error.message);
+  }
+}
+
+// Adds missing currency columns to system_settings
+function ensureSystemSettingsColumns() {
+  try {
+    const columns = db.prepare('PRAGMA table_info(system_settings)').all();
+    const names = new Set(columns.map(c => c.name));
+
+    const currencyColumns = [
+      ['currency_code', "VARCHAR(3) DEFAULT 'PHP'"],
+      ['currency_symbol', "VARCHAR(8) DEFAULT '₱'"],
+      ['currency_decimals', 'INTEGER DEFAULT 2'],
+      ['currency_locale', "VARCHAR(20) DEFAULT 'en-PH'"]
+    ];
+
+    for (const [name, definition] of currencyColumns) {
+      if (!names.has(name)) {
+        db.exec(`ALTER TABLE system_settings ADD COLUMN ${name} ${definition}`);
+        console.log(`✅ Added ${name} column`);
+      }
+    }
+  } catch (error) {
+    console.warn('System settings migration warning:', error.message);
+  }
+}
+
 // Adds missing columns to network_config for WAN/PPPoE
 function ensureNetworkConfigColumns() {
   try {
@@ -494,6 +851,19 @@ function ensureNetworkConfigColumns() {
       db.exec('ALTER TABLE network_config ADD COLUMN pppoe_mtu INTEGER DEFAULT 1492');
       console.log('✅ Added pppoe_mtu column');
     }
+    // Static WAN mode: address as CIDR (203.0.113.10/29), DNS servers comma-separated
+    if (!names.has('wan_static_address')) {
+      db.exec('ALTER TABLE network_config ADD COLUMN wan_static_address TEXT');
+      console.log('✅ Added wan_static_address column');
+    }
+    if (!names.has('wan_static_gateway')) {
+      db.exec('ALTER TABLE network_config ADD COLUMN wan_static_gateway TEXT');
+      console.log('✅ Added wan_static_gateway column');
+    }
+    if (!names.has('wan_static_dns')) {
+      db.exec('ALTER TABLE network_config ADD COLUMN wan_static_dns TEXT');
+      console.log('✅ Added wan_static_dns column');
+    }
     if (!names.has('per_client_bandwidth_enabled')) {
       db.exec('ALTER TABLE network_config ADD COLUMN per_client_bandwidth_enabled BOOLEAN DEFAULT 0');
       console.log('✅ Added per_client_bandwidth_enabled column');
@@ -506,6 +876,24 @@ function ensureNetworkConfigColumns() {
       db.exec('ALTER TABLE network_config ADD COLUMN per_client_upload_limit INTEGER DEFAULT 1024');
       console.log('✅ Added per_client_upload_limit column');
     }
+
+    // Multi-WAN health checks (wan_uplinks); health interval in seconds
+    if (!names.has('wan_policy')) {
+      db.exec("ALTER TABLE network_config ADD COLUMN wan_policy TEXT DEFAULT 'failover'");
+      console.log('✅ Added wan_policy column');
+    }
+    if (!names.has('wan_health_targets')) {
+      db.exec("ALTER TABLE network_config ADD COLUMN wan_health_targets TEXT DEFAULT '1.1.1.1,8.8.8.8'");
+      console.log('✅ Added wan_health_targets column');
+    }
+    if (!names.has('wan_health_interval')) {
+      db.exec('ALTER TABLE network_config ADD COLUMN wan_health_interval INTEGER DEFAULT 10');
+      console.log('✅ Added wan_health_interval column');
+    }
+    if (!names.has('wan_health_threshold')) {
+      db.exec('ALTER TABLE network_config ADD COLUMN wan_health_threshold INTEGER DEFAULT 3');
+      console.log('✅ Added wan_health_threshold column');
+    }
   } catch (error) {
     console.warn('Network config migration warning:', error.message);
   }
@@ -521,11 +909,129 @@ function ensureClientsColumns() {
       db.exec('ALTER TABLE clients ADD COLUMN paused_until DATETIME');
       console.log('✅ Added paused_until column');
     }
+
+    // Data quota in bytes; NULL means the client's time is not data-capped
+    if (!names.has('data_remaining')) {
+      db.exec('ALTER TABLE clients ADD COLUMN data_remaining INTEGER');
+      console.log('✅ Added data_remaining column');
+    }
+
+    if (!names.has('data_used')) {
+      db.exec('ALTER TABLE clients ADD COLUMN data_used INTEGER DEFAULT 0');
+      console.log('✅ Added data_used column');
+    }
+
+    // Last iptables byte counter read for the client, to count deltas
+    if (!names.has('data_counter')) {
+      db.exec('ALTER TABLE clients ADD COLUMN data_counter INTEGER DEFAULT 0');
+      console.log('✅ Added data_counter column');
+    }
+
+    // Running sessions end at expires_at instead of being counted down every
+    // second; time_remaining holds the balance while the clock is stopped
+    if (!names.has('expires_at')) {
+      db.exec('ALTER TABLE clients ADD COLUMN expires_at DATETIME');
+      db.exec(`UPDATE clients SET expires_at = datetime('now', '+' || time_remaining || ' seconds')
+               WHERE status = 'CONNECTED' AND time_remaining > 0`);
+      console.log('✅ Added expires_at column');
+    }
+
+    if (!names.has('paused_at')) {
+      db.exec('ALTER TABLE clients ADD COLUMN paused_at DATETIME');
+      db.exec("UPDATE clients SET paused_at = CURRENT_TIMESTAMP WHERE status = 'PAUSED'");
+      console.log('✅ Added paused_at column');
+    }
+
+    // Seconds spent paused during the current session
+    if (!names.has('paused_seconds')) {
+      db.exec('ALTER TABLE clients ADD COLUMN paused_seconds INTEGER DEFAULT 0');
+      console.log('✅ Added paused_seconds column');
+    }
+    if (!names.has('pause_reason')) {
+      db.exec('ALTER TABLE clients ADD COLUMN pause_reason TEXT');
+      console.log('✅ Added pause_reason column');
+    }
+    if (!names.has('pause_count')) {
+      db.exec('ALTER TABLE clients ADD COLUMN pause_count INTEGER DEFAULT 0');
+      console.log('✅ Added pause_count column');
+    }
+
+    // Time pool the client draws from (time-pools.js); NULL = own balance
+    if (!names.has('pool_id')) {
+      db.exec('ALTER TABLE clients ADD COLUMN pool_id INTEGER');
+      console.log('✅ Added pool_id column');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_clients_expires ON clients(status, expires_at)');
   } catch (error) {
     console.warn('Clients migration warning:', error.message);
   }
 }
 
+// Adds missing columns to rates for the rate engine
+function ensureRatesColumns() {
+  try {
+    const columns = db.prepare('PRAGMA table_info(rates)').all();
+    const names = new Set(columns.map(c => c.name));
+
+    if (!names.has('min_spend')) {
+      db.exec('ALTER TABLE rates ADD COLUMN min_spend DECIMAL(10,2) DEFAULT 0');
+      console.log('✅ Added min_spend column');
+    }
+
+    // Data packages: a byte quota valid for the rate's duration
+    if (!names.has('data_limit_mb')) {
+      db.exec('ALTER TABLE rates ADD COLUMN data_limit_mb INTEGER DEFAULT 0');
+      console.log('✅ Added data_limit_mb column');
+    }
+  } catch (error) {
+    console.warn('Rates migration warning:', error.message);
+  }
+}
+
+// Adds missing columns to transactions for promo reporting, member history and voids
+function ensureTransactionsColumns() {
+  try {
+    const columns = db.prepare('PRAGMA table_info(transactions)').all();
+    const names = new Set(columns.map(c => c.name));
+
+    if (!names.has('rate_id')) {
+      db.exec('ALTER TABLE transactions ADD COLUMN rate_id INTEGER');
+      console.log('✅ Added rate_id column');
+    }
+
+    if (!names.has('schedule_id')) {
+      db.exec('ALTER TABLE transactions ADD COLUMN schedule_id INTEGER');
+      console.log('✅ Added schedule_id column');
+    }
+
+    // Seconds of access the transaction bought (or moved out of a wallet)
+    if (!names.has('duration')) {
+      db.exec('ALTER TABLE transactions ADD COLUMN duration INTEGER');
+      console.log('✅ Added duration column');
+    }
+
+    // Member account that paid with or topped up its wallet
+    if (!names.has('member_id')) {
+      db.exec('ALTER TABLE transactions ADD COLUMN member_id INTEGER REFERENCES members(id) ON DELETE SET NULL');
+      console.log('✅ Added member_id column');
+    }
+
+    // Void/refund audit trail
+    if (!names.has('voided_at')) {
+      db.exec('ALTER TABLE transactions ADD COLUMN voided_at DATETIME');
+      db.exec('ALTER TABLE transactions ADD COLUMN voided_by VARCHAR(50)');
+      db.exec('ALTER TABLE transactions ADD COLUMN void_reason TEXT');
+      db.exec('ALTER TABLE transactions ADD COLUMN time_deducted INTEGER DEFAULT 0');
+      console.log('✅ Added void/refund columns');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_transactions_member ON transactions(member_id, created_at)');
+  } catch (error) {
+    console.warn('Transactions migration warning:', error.message);
+  }
+}
+
 function runQuery(sql, params = []) {
   try {
     // Convert PostgreSQL-style $1, $2, $3... to SQLite-style ?
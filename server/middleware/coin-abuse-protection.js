@@ -2,13 +2,20 @@ const db = require('../db/sqlite-adapter');
 
 /**
  * Coin Abuse Protection Middleware
- * Tracks coin insertion attempts and blocks abusive clients
+ * Tracks coin insertion attempts and blocks abusive clients. The same
+ * limits guard free trial requests; attempts are counted per type, but a
+ * client blocked for either is blocked for both.
  */
 
 // In-memory cache for quick lookups (avoids DB hits on every request)
 const blockCache = new Map();
 const attemptCache = new Map();
 
+// Attempt history is kept per client and attempt type
+function attemptCacheKey(cacheKey, attemptType) {
+  return `${attemptType}|${cacheKey}`;
+}
+
 // Clean up old cache entries every 5 minutes
 setInterval(() => {
   const now = Date.now();
@@ -67,10 +74,10 @@ async function isClientBlocked(clientIP, clientMAC) {
 }
 
 /**
- * Track coin insertion attempt
+ * Track coin insertion (or free trial) attempt
  */
-async function trackAttempt(clientIP, clientMAC, sessionToken) {
-  const cacheKey = clientMAC || clientIP;
+async function trackAttempt(clientIP, clientMAC, sessionToken, attemptType = 'insert') {
+  const cacheKey = attemptCacheKey(clientMAC || clientIP, attemptType);
   const now = Date.now();
   
   // Get or initialize attempt history
@@ -82,8 +89,8 @@ async function trackAttempt(clientIP, clientMAC, sessionToken) {
   try {
     await db.query(`
       INSERT INTO coin_attempts (client_ip, client_mac, session_token, attempt_type, created_at)
-      VALUES ($1, $2, $3, 'insert', CURRENT_TIMESTAMP)
-    `, [clientIP, clientMAC, sessionToken]);
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    `, [clientIP, clientMAC, sessionToken, attemptType]);
   } catch (error) {
     console.warn('Failed to log coin attempt:', error.message);
   }
@@ -91,8 +98,11 @@ async function trackAttempt(clientIP, clientMAC, sessionToken) {
 
 /**
  * Check if client exceeded rate limit and should be blocked
+ * @param {Object} [options]
+ * @param {string} [options.attemptType='insert'] - coin_attempts.attempt_type to count
+ * @param {string} [options.action='coin insertion'] - What is attempted, for messages
  */
-async function checkRateLimit(clientIP, clientMAC, sessionToken) {
+async function checkRateLimit(clientIP, clientMAC, sessionToken, { attemptType = 'insert', action = 'coin insertion' } = {}) {
   // Get protection settings
   let settings;
   try {
@@ -126,17 +136,17 @@ async function checkRateLimit(clientIP, clientMAC, sessionToken) {
     return {
       allowed: false,
       reason: 'rate_limit_exceeded',
-      message: `Too many coin insertion attempts. Please wait ${remainingSeconds} seconds.`,
+      message: `Too many ${action} attempts. Please wait ${remainingSeconds} seconds.`,
       blockedUntil: blockStatus.until
     };
   }
   
   // Track this attempt
-  await trackAttempt(clientIP, clientMAC, sessionToken);
+  await trackAttempt(clientIP, clientMAC, sessionToken, attemptType);
   
   // Count recent attempts in time window
   const cacheKey = clientMAC || clientIP;
-  const attempts = attemptCache.get(cacheKey) || [];
+  const attempts = attemptCache.get(attemptCacheKey(cacheKey, attemptType)) || [];
   const windowStart = Date.now() - (settings.coin_attempt_window * 1000);
   const recentAttempts = attempts.filter(time => time > windowStart);
   
@@ -157,12 +167,12 @@ async function checkRateLimit(clientIP, clientMAC, sessionToken) {
     // Cache the block
     blockCache.set(cacheKey, blockUntil.getTime());
     
-    console.log(`⚠️ Blocked client ${clientMAC || clientIP} for coin abuse - ${recentAttempts.length} attempts in ${settings.coin_attempt_window}s`);
+    console.log(`⚠️ Blocked client ${clientMAC || clientIP} for ${action} abuse - ${recentAttempts.length} attempts in ${settings.coin_attempt_window}s`);
     
     return {
       allowed: false,
       reason: 'rate_limit_exceeded',
-      message: `Too many coin insertion attempts. Blocked for ${settings.coin_block_duration} seconds.`,
+      message: `Too many ${action} attempts. Blocked for ${settings.coin_block_duration} seconds.`,
       blockedUntil: blockUntil,
       attemptCount: recentAttempts.length
     };
@@ -176,9 +186,14 @@ async function checkRateLimit(clientIP, clientMAC, sessionToken) {
 }
 
 /**
- * Express middleware for coin insertion endpoints
+ * Build an Express middleware that rate limits one kind of attempt
+ * @param {Object} options - As for checkRateLimit()
  */
-async function coinAbuseProtection(req, res, next) {
+function createAbuseProtection(options) {
+  return (req, res, next) => abuseProtection(req, res, next, options);
+}
+
+async function abuseProtection(req, res, next, options) {
   // Extract client identifiers
   let clientIP = req.headers['x-forwarded-for'] ||
     req.headers['x-real-ip'] ||
@@ -194,7 +209,7 @@ async function coinAbuseProtection(req, res, next) {
   const sessionToken = req.body?.sessionToken || req.query?.sessionToken;
   
   // Check rate limit
-  const rateCheck = await checkRateLimit(clientIP, clientMAC, sessionToken);
+  const rateCheck = await checkRateLimit(clientIP, clientMAC, sessionToken, options);
   
   if (!rateCheck.allowed) {
     return res.status(429).json({
@@ -214,6 +229,16 @@ async function coinAbuseProtection(req, res, next) {
   next();
 }
 
+/**
+ * Express middleware for coin insertion endpoints
+ */
+const coinAbuseProtection = createAbuseProtection({ attemptType: 'insert', action: 'coin insertion' });
+
+/**
+ * Express middleware for free trial requests
+ */
+const trialAbuseProtection = createAbuseProtection({ attemptType: 'trial', action: 'free trial' });
+
 /**
  * Manually unblock a client (for admin use)
  */
@@ -223,7 +248,11 @@ async function unblockClient(clientIP, clientMAC) {
     
     // Remove from cache
     blockCache.delete(cacheKey);
-    attemptCache.delete(cacheKey);
+    for (const key of attemptCache.keys()) {
+      if (key.endsWith(`|${cacheKey}`)) {
+        attemptCache.delete(key);
+      }
+    }
     
     // Remove from database
     await db.query(`
@@ -261,6 +290,8 @@ async function getBlockedClients() {
 
 module.exports = {
   coinAbuseProtection,
+  trialAbuseProtection,
+  createAbuseProtection,
   checkRateLimit,
   isClientBlocked,
   unblockClient,
@@ -14,10 +14,23 @@ const {
   getAdminCookieOptions
 } = require('../middleware/security');
 const { isValidUsername, sanitizeForLogging } = require('../utils/validators');
+const { formatVoucherCode, expireStaleVouchers } = require('../utils/vouchers');
+const currencyService = require('../services/currency');
+const lowTimeWarnings = require('../services/low-time-warnings');
+const timePools = require('../services/time-pools');
+const { formatMoney } = require('../utils/currency');
 
 // Use centralized auth middleware
 const authenticateToken = authenticateAdmin;
 
+// Every page formats money with the configured currency
+router.use(async (req, res, next) => {
+  const currency = await currencyService.getCurrency();
+  res.locals.currency = currency;
+  res.locals.formatMoney = amount => formatMoney(amount, currency);
+  next();
+});
+
 // Storage for portal media uploads
 const uploadDir = path.join(__dirname, '..', 'public', 'uploads');
 if (!fs.existsSync(uploadDir)) {
@@ -116,7 +129,7 @@ router.get('/', authenticateToken, async (req, res) => {
     // Get dashboard stats
     const clientsResult = await db.query('SELECT COUNT(*) as count FROM clients');
     const sessionsResult = await db.query('SELECT COUNT(*) as count FROM sessions WHERE status = $1', ['ACTIVE']);
-    const revenueResult = await db.query('SELECT SUM(amount) as total FROM transactions WHERE date(created_at) = date()');
+    const revenueResult = await db.query("SELECT SUM(amount) as total FROM transactions WHERE date(created_at) = date() AND status = 'COMPLETED'");
 
     const stats = {
       totalClients: clientsResult.rows[0].count,
@@ -154,6 +167,15 @@ router.get('/transactions', authenticateToken, (req, res) => {
   });
 });
 
+// Cash Collections
+router.get('/collections', authenticateToken, (req, res) => {
+  res.render('admin-collections', {
+    title: 'Cash Collections',
+    user: req.user,
+    currentPage: 'collections'
+  });
+});
+
 // Network Settings
 router.get('/network', authenticateToken, (req, res) => {
   res.render('admin-network', {
@@ -273,14 +295,61 @@ router.get('/coin-slots', authenticateToken, (req, res) => {
 });
 
 // Coin Rates
-router.get('/rates', authenticateToken, (req, res) => {
-  res.render('admin-rates', {
-    title: 'Coin Rates Management',
+router.get('/rates', authenticateToken, async (req, res) => {
+  try {
+    res.render('admin-rates', {
+      title: 'Coin Rates Management',
+      user: req.user,
+      currentPage: 'rates',
+      denominations: await currencyService.getDenominations()
+    });
+  } catch (error) {
+    console.error('Rates page error:', error);
+    res.status(500).render('error', { error: 'Failed to load rates page' });
+  }
+});
+
+// Vouchers
+router.get('/vouchers', authenticateToken, (req, res) => {
+  res.render('admin-vouchers', {
+    title: 'Vouchers',
     user: req.user,
-    currentPage: 'rates'
+    currentPage: 'vouchers'
   });
 });
 
+// Printable voucher sheet for a batch (unused codes only)
+router.get('/vouchers/print/:batchId', authenticateToken, async (req, res) => {
+  try {
+    await expireStaleVouchers();
+
+    const result = await db.query(
+      `SELECT * FROM vouchers WHERE batch_id = $1 AND status = 'unused' ORDER BY id`,
+      [req.params.batchId]
+    );
+
+    let portalTitle = 'PISOWifi';
+    try {
+      const settingsResult = await db.query('SELECT portal_title FROM portal_settings WHERE id = 1');
+      if (settingsResult.rows.length > 0 && settingsResult.rows[0].portal_title) {
+        portalTitle = settingsResult.rows[0].portal_title;
+      }
+    } catch (settingsError) {
+      console.warn('Failed to load portal title for voucher sheet:', settingsError.message);
+    }
+
+    res.render('admin-vouchers-print', {
+      title: `Vouchers ${req.params.batchId}`,
+      batchId: req.params.batchId,
+      portalTitle,
+      vouchers: result.rows.map(v => ({ ...v, display_code: formatVoucherCode(v.code) }))
+    });
+  } catch (error) {
+    console.error('Voucher sheet error:', error);
+    res.status(500).render('error', { error: 'Failed to load voucher sheet' });
+  }
+});
+
 // Reports
 router.get('/reports', authenticateToken, (req, res) => {
   res.render('admin-reports', {
@@ -339,12 +408,16 @@ router.post('/settings', authenticateToken, async (req, res) => {
   try {
     const { 
       current_password, new_password, confirm_password,
-      auto_pause_on_disconnect, auto_resume_on_pause, pause_resume_minutes,
+      auto_pause_on_disconnect, auto_resume_on_pause, pause_resume_minutes, low_time_warning_minutes,
+      idle_timeout_minutes, idle_traffic_kb,
+      pause_max_count, pause_max_minutes, pause_min_session_minutes, pause_expiry_hours,
+      pool_max_devices, pool_mode,
+      trial_enabled, trial_minutes, trial_cooldown_hours,
       coin_abuse_protection, coin_attempt_limit, coin_attempt_window, coin_block_duration
     } = req.body;
     
     let isPasswordChange = current_password || new_password || confirm_password;
-    let isSettingsChange = auto_pause_on_disconnect !== undefined || auto_resume_on_pause !== undefined || pause_resume_minutes !== undefined || coin_abuse_protection !== undefined;
+    let isSettingsChange = auto_pause_on_disconnect !== undefined || auto_resume_on_pause !== undefined || pause_resume_minutes !== undefined || low_time_warning_minutes !== undefined || coin_abuse_protection !== undefined;
 
     // If no changes made
     if (!isPasswordChange && !isSettingsChange) {
@@ -456,6 +529,33 @@ router.post('/settings', authenticateToken, async (req, res) => {
       const attemptWindow = parseInt(coin_attempt_window) || 60;
       const blockDuration = parseInt(coin_block_duration) || 300;
       const pauseResumeMinutes = parseInt(pause_resume_minutes) || 0;
+      const idleTimeoutMinutes = Math.min(Math.max(parseInt(idle_timeout_minutes) || 5, 1), 120);
+      const idleTrafficKb = Math.min(Math.max(parseInt(idle_traffic_kb) || 20, 1), 10240);
+      // Pause policy, 0 = no limit
+      const pauseMaxCount = Math.min(Math.max(parseInt(pause_max_count) || 0, 0), 100);
+      const pauseMaxMinutes = Math.min(Math.max(parseInt(pause_max_minutes) || 0, 0), 10080);
+      const pauseMinSessionMinutes = Math.min(Math.max(parseInt(pause_min_session_minutes) || 0, 0), 1440);
+      const pauseExpiryHours = Math.min(Math.max(parseInt(pause_expiry_hours) || 0, 0), 8760);
+      // Shared time, 0 = disabled
+      const poolMaxDevices = Math.min(Math.max(parseInt(pool_max_devices ?? 3) || 0, 0), 10);
+      const poolMode = timePools.POOL_MODES.includes(pool_mode) ? pool_mode : 'parallel';
+      // Free trial
+      const trialEnabled = getCheckboxValue(trial_enabled);
+      const trialMinutes = Math.min(Math.max(parseInt(trial_minutes) || 5, 1), 60);
+      const trialCooldownHours = Math.min(Math.max(parseInt(trial_cooldown_hours) || 24, 1), 720);
+
+      const warningCheck = lowTimeWarnings.validateThresholds(low_time_warning_minutes ?? lowTimeWarnings.DEFAULT_THRESHOLDS);
+      if (!warningCheck.valid) {
+        const settingsResult = await db.query('SELECT * FROM portal_settings WHERE id = 1');
+        const settings = settingsResult.rows.length > 0 ? settingsResult.rows[0] : {};
+        return res.render('admin-settings', {
+          title: 'Settings',
+          user: req.user,
+          currentPage: 'settings',
+          settings: settings,
+          error: warningCheck.errors.join(', ')
+        });
+      }
 
       // Use UPDATE instead of INSERT OR REPLACE to preserve other columns
       await db.query(`
@@ -467,9 +567,27 @@ router.post('/settings', authenticateToken, async (req, res) => {
             coin_attempt_limit = $5, 
             coin_attempt_window = $6, 
             coin_block_duration = $7,
+            low_time_warning_minutes = $8,
+            idle_timeout_minutes = $9,
+            idle_traffic_kb = $10,
+            pause_max_count = $11,
+            pause_max_minutes = $12,
+            pause_min_session_minutes = $13,
+            pause_expiry_hours = $14,
+            pool_max_devices = $15,
+            pool_mode = $16,
+            trial_enabled = $17,
+            trial_minutes = $18,
+            trial_cooldown_hours = $19,
             updated_at = CURRENT_TIMESTAMP
         WHERE id = 1
-      `, [autoPause, autoResume, pauseResumeMinutes, abuseProtection, attemptLimit, attemptWindow, blockDuration]);
+      `, [
+        autoPause, autoResume, pauseResumeMinutes, abuseProtection, attemptLimit, attemptWindow, blockDuration,
+        warningCheck.sanitized, idleTimeoutMinutes, idleTrafficKb,
+        pauseMaxCount, pauseMaxMinutes, pauseMinSessionMinutes, pauseExpiryHours,
+        poolMaxDevices, poolMode,
+        trialEnabled, trialMinutes, trialCooldownHours
+      ]);
 
       return res.redirect('/admin/settings?success=Settings updated successfully');
     }
@@ -11,13 +11,22 @@ router.use('/transactions', require('./api/transactions'));
 router.use('/device', require('./api/device'));
 router.use('/ttl', require('./api/ttl'));
 router.use('/logs', require('./api/logs'));
+router.use('/vouchers', require('./api/vouchers'));
+router.use('/rate-schedules', require('./api/rate-schedules'));
+router.use('/members', require('./api/members'));
+router.use('/payments', require('./api/payments'));
+router.use('/collections', require('./api/collections'));
 
 // Keep existing general API routes
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const path = require('path');
 const db = require('../db/sqlite-adapter');
+const sessionClock = require('../services/session-clock');
+const sessionEvents = require('../services/session-events');
+const timePools = require('../services/time-pools');
 const { authenticateAPI } = require('../middleware/security');
+const rateEngine = require('../services/rate-engine');
 const { isValidMacAddress, sanitizeMacAddress, isValidIPv4, isValidDuration } = require('../utils/validators');
 
 const execAsync = promisify(exec);
@@ -52,18 +61,23 @@ router.post('/clients/authenticate', authenticateAPI, async (req, res) => {
     if (clientResult.rows.length === 0) {
       // Create new client
       const insertResult = await db.query(
-        'INSERT INTO clients (mac_address, ip_address, status, time_remaining) VALUES ($1, $2, $3, $4) RETURNING *',
+        `INSERT INTO clients (mac_address, ip_address, status, time_remaining, expires_at) VALUES ($1, $2, $3, $4, ${sessionClock.expiresAtSql('$4')}) RETURNING *`,
         [macAddress, ipAddress, 'CONNECTED', sessionDuration || 1800]
       );
       client = insertResult.rows[0];
     } else {
+      // Time granted here is the client's own, not a pool's
+      await timePools.detach(clientResult.rows[0].id);
+
       // Update existing client
       const updateResult = await db.query(
-        'UPDATE clients SET ip_address = $1, status = $2, time_remaining = $3, session_start = CURRENT_TIMESTAMP, last_seen = CURRENT_TIMESTAMP WHERE mac_address = $4 RETURNING *',
+        `UPDATE clients SET ip_address = $1, status = $2, time_remaining = $3, expires_at = ${sessionClock.expiresAtSql('$3')},
+           paused_at = NULL, paused_until = NULL, pause_reason = NULL, paused_seconds = 0, pause_count = 0, session_start = CURRENT_TIMESTAMP, last_seen = CURRENT_TIMESTAMP WHERE mac_address = $4 RETURNING *`,
         [ipAddress, 'CONNECTED', sessionDuration || clientResult.rows[0].time_remaining, macAddress]
       );
       client = updateResult.rows[0];
     }
+    sessionClock.reschedule();
 
     // Create new session
     const sessionResult = await db.query(
@@ -71,6 +85,7 @@ router.post('/clients/authenticate', authenticateAPI, async (req, res) => {
       [client.id, macAddress, ipAddress || '', sessionDuration || 1800, 'ACTIVE']
     );
     const session = sessionResult.rows[0];
+    await sessionEvents.record(client.id, 'session_start', { reason: 'api', timeDelta: sessionDuration || null });
 
     // Allow client through iptables
     try {
@@ -130,8 +145,15 @@ router.post('/clients/disconnect', authenticateAPI, async (req, res) => {
       return res.status(400).json({ error: 'Invalid MAC address format' });
     }
 
+    // A pooled device drops out of its pool first
+    const clientResult = await db.query('SELECT id FROM clients WHERE UPPER(mac_address) = $1', [macAddress.toUpperCase()]);
+    if (clientResult.rows.length > 0) {
+      await timePools.detach(clientResult.rows[0].id);
+    }
+
     // Update client status
     await db.query('UPDATE clients SET status = $1 WHERE mac_address = $2', ['DISCONNECTED', macAddress]);
+    await sessionEvents.recordByMac(macAddress, 'disconnected', { reason: 'api' });
 
     // Block client in iptables
     try {
@@ -161,17 +183,34 @@ router.get('/clients', authenticateAPI, async (req, res) => {
   }
 });
 
-// Get rates (public endpoint for portal)
+// Get rates offered right now (public endpoint for portal)
 router.get('/rates', async (req, res) => {
   try {
-    const result = await db.query('SELECT * FROM rates WHERE is_active = true ORDER BY duration');
-    res.json(result.rows);
+    const rates = await rateEngine.loadRates();
+    res.json(rates.sort((a, b) => a.duration - b.duration));
   } catch (error) {
     console.error('Get rates error:', error);
     res.status(500).json({ error: 'Failed to get rates' });
   }
 });
 
+// Quote an amount against the active rates (public endpoint for portal)
+router.get('/rates/quote', async (req, res) => {
+  try {
+    const amount = parseFloat(req.query.amount);
+
+    if (isNaN(amount) || amount < 0 || amount > 10000) {
+      return res.status(400).json({ error: 'Amount must be between 0 and 10000' });
+    }
+
+    const quote = await rateEngine.quote(amount);
+    res.json(quote);
+  } catch (error) {
+    console.error('Rate quote error:', error);
+    res.status(500).json({ error: 'Failed to calculate rate quote' });
+  }
+});
+
 // Get all rates (admin endpoint)
 router.get('/rates/all', authenticateAPI, async (req, res) => {
   try {
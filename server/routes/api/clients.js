@@ -5,6 +5,10 @@ const { promisify } = require('util');
 const UAParser = require('ua-parser-js');
 const NetworkManager = require('../../services/network-manager');
 const db = require('../../db/sqlite-adapter');
+const sessionClock = require('../../services/session-clock');
+const pausePolicy = require('../../services/pause-policy');
+const sessionEvents = require('../../services/session-events');
+const timePools = require('../../services/time-pools');
 const ttlDetector = require('../../services/ttl-detector');
 const { authenticateAPI, apiLimiter } = require('../../middleware/security');
 const { isValidMacAddress, sanitizeMacAddress, isValidInteger, validateClientData } = require('../../utils/validators');
@@ -50,14 +54,17 @@ router.get('/', authenticateToken, async (req, res) => {
         c.screen_resolution,
         c.timezone,
         c.status,
-        c.time_remaining,
+        ${sessionClock.remainingTimeSql('c')} as time_remaining,
+        c.expires_at,
         c.paused_until,
+        c.paused_seconds,
         c.total_amount_paid,
         c.session_start,
         c.created_at,
         c.last_seen,
         c.upload_limit,
         c.download_limit,
+        (SELECT p.id FROM time_pools p WHERE p.id = c.pool_id AND p.status = 'ACTIVE') as pool_id,
         s.id as session_id,
         s.duration as session_duration,
         s.status as session_status,
@@ -93,6 +100,8 @@ router.get('/', authenticateToken, async (req, res) => {
         // Update online status based on network data
         online: !!networkClient,
         network_info: networkClient || null,
+        // Signal strength when the device is on the access point
+        wifi: networkClient?.wifi || null,
         // Use time_remaining directly from database (it's already being decremented by the countdown system)
         time_remaining: client.time_remaining || 0,
         // Keep original session status
@@ -124,6 +133,7 @@ router.get('/', authenticateToken, async (req, res) => {
           time_remaining: 0,
           online: true,
           network_info: networkClient,
+          wifi: networkClient.wifi || null,
           last_seen: new Date(),
           session_id: null,
           session_status: null
@@ -167,7 +177,7 @@ router.get('/unauthenticated', authenticateToken, async (req, res) => {
       try {
         // Check if client is authenticated in database
         const dbResult = await db.query(
-          'SELECT * FROM clients WHERE mac_address = $1 AND status = $2 AND time_remaining > 0',
+          `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE mac_address = $1 AND status = $2 AND ${sessionClock.REMAINING_TIME_SQL} > 0`,
           [networkClient.mac_address.toUpperCase(), 'CONNECTED']
         );
 
@@ -181,7 +191,8 @@ router.get('/unauthenticated', authenticateToken, async (req, res) => {
             device_info: networkClient.hostname || 'Unknown device',
             first_seen: new Date(),
             status: 'UNAUTHENTICATED',
-            authenticated: false
+            authenticated: false,
+            wifi: networkClient.wifi || null
           });
         }
       } catch (dbError) {
@@ -194,7 +205,8 @@ router.get('/unauthenticated', authenticateToken, async (req, res) => {
           device_info: 'Unknown device',
           first_seen: new Date(),
           status: 'UNAUTHENTICATED',
-          authenticated: false
+          authenticated: false,
+          wifi: networkClient.wifi || null
         });
       }
     }
@@ -221,7 +233,7 @@ router.get('/connected', authenticateToken, async (req, res) => {
       try {
         // Look up client in database
         const dbResult = await db.query(
-          'SELECT * FROM clients WHERE mac_address = $1',
+          `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE mac_address = $1`,
           [networkClient.mac_address.toUpperCase()]
         );
 
@@ -284,6 +296,19 @@ router.get('/connected', authenticateToken, async (req, res) => {
   }
 });
 
+// Get active time pools (shared family time) with their devices
+router.get('/pools', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      pools: await timePools.listActive(),
+      settings: await timePools.getSettings()
+    });
+  } catch (error) {
+    console.error('Get time pools error:', error);
+    res.status(500).json({ error: 'Failed to get time pools' });
+  }
+});
+
 // Authenticate client (allow internet)
 router.post('/:id/authenticate', authenticateToken, async (req, res) => {
   try {
@@ -301,11 +326,16 @@ router.post('/:id/authenticate', authenticateToken, async (req, res) => {
 
     console.log(`Authenticating client ${client.mac_address} for ${authDuration} seconds`);
 
-    // Update client status in database
+    // Time granted here is the client's own, not a pool's
+    await timePools.detach(client.id);
+
+    // Update client status in database and start the session clock
     await db.query(
-      'UPDATE clients SET status = $1, time_remaining = $2, last_seen = CURRENT_TIMESTAMP WHERE id = $3',
+      `UPDATE clients SET status = $1, time_remaining = $2, expires_at = ${sessionClock.expiresAtSql('$2')},
+         paused_at = NULL, paused_until = NULL, pause_reason = NULL, paused_seconds = 0, pause_count = 0, last_seen = CURRENT_TIMESTAMP WHERE id = $3`,
       ['CONNECTED', authDuration, id]
     );
+    sessionClock.reschedule();
 
     // Create new session
     const sessionResult = await db.query(
@@ -355,6 +385,7 @@ router.post('/:id/authenticate', authenticateToken, async (req, res) => {
       ['INFO', `Client manually authenticated: ${client.mac_address}`, 'admin',
         JSON.stringify({ admin: req.user?.username, duration: authDuration, client_id: id })]
     );
+    await sessionEvents.record(client.id, 'session_start', { reason: 'admin', timeDelta: authDuration, actor: req.user?.username });
 
     res.json({
       success: true,
@@ -381,10 +412,14 @@ router.post('/:id/disconnect', authenticateToken, async (req, res) => {
 
     const client = clientResult.rows[0];
     console.log(`Disconnecting client ${client.mac_address}`);
+    // A pooled device only drops out of the pool; the others keep its time
+    const pooled = await timePools.getActivePoolId(client.id);
+    const forfeited = pooled ? 0 : await sessionClock.getRemaining(client.id);
+    await timePools.detach(client.id);
 
     // Update client status
     await db.query(
-      'UPDATE clients SET status = $1, time_remaining = 0 WHERE id = $2',
+      'UPDATE clients SET status = $1, time_remaining = 0, expires_at = NULL WHERE id = $2',
       ['DISCONNECTED', id]
     );
 
@@ -418,6 +453,12 @@ router.post('/:id/disconnect', authenticateToken, async (req, res) => {
       ['INFO', `Client manually disconnected: ${client.mac_address}`, 'admin',
         JSON.stringify({ admin: req.user?.username, client_id: id })]
     );
+    await sessionEvents.record(client.id, 'disconnected', {
+      reason: 'admin',
+      timeDelta: forfeited > 0 ? -forfeited : 0,
+      actor: req.user?.username,
+      details: pooled ? { pool_id: pooled } : null
+    });
 
     res.json({ success: true, message: 'Client disconnected successfully' });
   } catch (error) {
@@ -439,8 +480,13 @@ router.post('/:id/pause', authenticateToken, async (req, res) => {
     const client = clientResult.rows[0];
     const newStatus = client.status === 'PAUSED' ? 'CONNECTED' : 'PAUSED';
 
-    // Update status
-    await db.query('UPDATE clients SET status = $1 WHERE id = $2', [newStatus, id]);
+    // Update status; pausing stops the session clock (admins aren't held to the pause policy)
+    const changed = newStatus === 'PAUSED'
+      ? await sessionClock.pause(client.id, { reason: 'admin', actor: req.user?.username })
+      : await sessionClock.resume(client.id, { reason: 'admin', actor: req.user?.username });
+    if (!changed) {
+      return res.status(409).json({ error: 'Client has no active session to pause' });
+    }
 
     // Apply or remove iptables rule
     if (newStatus === 'PAUSED') {
@@ -470,6 +516,36 @@ router.post('/:id/pause', authenticateToken, async (req, res) => {
   }
 });
 
+// Remove client from its time pool
+router.post('/:id/leave-pool', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const clientResult = await db.query('SELECT id, mac_address FROM clients WHERE id = $1', [id]);
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    const client = clientResult.rows[0];
+
+    const poolId = await timePools.getActivePoolId(client.id);
+    const result = await timePools.leave(client.id, { reason: 'admin', actor: req.user?.username });
+    if (!result.success) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Client removed from time pool ${poolId}: ${client.mac_address}`, 'admin',
+        JSON.stringify({ admin: req.user?.username, client_id: client.id, pool_id: poolId, kept_seconds: result.kept_seconds })]
+    );
+
+    res.json({ success: true, kept_seconds: result.kept_seconds });
+  } catch (error) {
+    console.error('Leave pool error:', error);
+    res.status(500).json({ error: 'Failed to remove client from time pool' });
+  }
+});
+
 // Delete client
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -492,6 +568,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       } catch (err) {
         console.error('iptables error:', err);
       }
+      await timePools.detach(client.id);
     }
 
     // Delete client and related records
@@ -559,6 +636,46 @@ router.post('/device-info', authenticateToken, async (req, res) => {
   }
 });
 
+// Get client session event timeline
+router.get('/:id/events', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit, before } = req.query;
+
+    if (limit !== undefined && !isValidInteger(limit, 1, sessionEvents.MAX_LIMIT)) {
+      return res.status(400).json({ error: `Limit must be between 1 and ${sessionEvents.MAX_LIMIT}` });
+    }
+    if (before !== undefined && !isValidInteger(before, 1)) {
+      return res.status(400).json({ error: 'Invalid before id' });
+    }
+
+    const clientResult = await db.query(
+      `SELECT id, mac_address, ip_address, device_name, status, pause_count,
+              ${sessionClock.REMAINING_TIME_SQL} as time_remaining
+       FROM clients WHERE id = $1`,
+      [id]
+    );
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const events = await sessionEvents.getTimeline(id, {
+      limit: limit !== undefined ? parseInt(limit) : undefined,
+      beforeId: before !== undefined ? parseInt(before) : null
+    });
+
+    res.json({
+      client: clientResult.rows[0],
+      events,
+      allowance: await pausePolicy.getAllowance(id),
+      pool: await timePools.getPool(await timePools.getActivePoolId(id))
+    });
+  } catch (error) {
+    console.error('Get session events error:', error);
+    res.status(500).json({ error: 'Failed to get session events' });
+  }
+});
+
 // Get client connection history
 router.get('/:id/history', authenticateToken, async (req, res) => {
   try {
@@ -600,7 +717,7 @@ router.get('/:id/analytics', authenticateToken, async (req, res) => {
         COUNT(s.id) as total_sessions,
         SUM(s.duration) as total_time,
         AVG(s.duration) as avg_session_time,
-        SUM(t.amount) as total_spent,
+        SUM(CASE WHEN t.status = 'COMPLETED' THEN t.amount ELSE 0 END) as total_spent,
         COUNT(DISTINCT DATE(s.started_at)) as days_active,
         MAX(s.started_at) as last_session
       FROM sessions s
@@ -769,12 +886,18 @@ router.post('/:id/block', authenticateToken, async (req, res) => {
        updated_at = CURRENT_TIMESTAMP`,
       [client.mac_address, client.ip_address, reason || 'Admin blocked', req.user.username]
     );
+    await timePools.detach(client.id);
 
     // Update client status
     await db.query(
       'UPDATE clients SET status = $1, is_blocked = true WHERE id = $2',
       ['BLOCKED', id]
     );
+    await sessionEvents.record(client.id, 'disconnected', {
+      reason: 'blocked',
+      actor: req.user?.username,
+      details: { note: reason || 'Admin blocked' }
+    });
 
     // Block internet access permanently
     try {
@@ -807,7 +930,7 @@ router.get('/debug-db', authenticateToken, async (req, res) => {
 
     // Get authenticated clients (status = CONNECTED and time_remaining > 0)
     const authClients = await db.query(
-      'SELECT * FROM clients WHERE status = $1 AND time_remaining > 0 ORDER BY last_seen DESC',
+      `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE status = $1 AND ${sessionClock.REMAINING_TIME_SQL} > 0 ORDER BY last_seen DESC`,
       ['CONNECTED']
     );
     console.log(`[DEBUG DB] Found ${authClients.rows.length} authenticated clients`);
@@ -865,26 +988,25 @@ router.post('/:id/update-time', authenticateToken, async (req, res) => {
 
     const client = clientResult.rows[0];
     const newTime = Math.floor(time);
-
-    // Update client time_remaining in database
-    await db.query(
-      'UPDATE clients SET time_remaining = $1, last_seen = CURRENT_TIMESTAMP WHERE id = $2',
-      [newTime, id]
-    );
-
-    // If client is connected, update the active session as well
-    if (client.status === 'CONNECTED') {
-      await db.query(
-        'UPDATE sessions SET duration = $1 WHERE client_id = $2 AND status = $3',
-        [newTime, id, 'ACTIVE']
-      );
-    }
+    const oldTime = await sessionClock.getRemaining(client.id);
+
+    // Update client time (restarts the clock of a running session)
+    await sessionClock.setTime(client.id, newTime);
+    await db.query('UPDATE clients SET last_seen = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+
+    // sessions.duration keeps the time bought; the edit goes in the timeline
+    await sessionEvents.record(client.id, 'time_adjusted', {
+      reason: 'admin',
+      timeDelta: newTime - oldTime,
+      actor: req.user?.username,
+      details: { old_time: oldTime, new_time: newTime }
+    });
 
     // Log the action
     await db.query(
       'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
       ['INFO', `Client time updated: ${client.mac_address} to ${newTime} seconds`, 'admin',
-        JSON.stringify({ admin: req.user?.username, old_time: client.time_remaining, new_time: newTime, client_id: id })]
+        JSON.stringify({ admin: req.user?.username, old_time: oldTime, new_time: newTime, client_id: id })]
     );
 
     res.json({
@@ -975,6 +1097,13 @@ router.post('/:id/set-bandwidth', authenticateToken, async (req, res) => {
     );
 
     console.log(`[BANDWIDTH] Set limits for client ${id}: Upload=${upload_limit}Mbps, Download=${download_limit}Mbps`);
+    if (result.rowCount > 0) {
+      await sessionEvents.record(id, 'bandwidth_changed', {
+        reason: 'admin',
+        actor: req.user?.username,
+        details: { upload_limit, download_limit }
+      });
+    }
 
     res.json({
       success: true,
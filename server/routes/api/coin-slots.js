@@ -5,6 +5,9 @@ const { promisify } = require('util');
 const db = require('../../db/sqlite-adapter');
 const { authenticateAPI } = require('../../middleware/security');
 const { coinAbuseProtection } = require('../../middleware/coin-abuse-protection');
+const rateEngine = require('../../services/rate-engine');
+const currencyService = require('../../services/currency');
+const { formatMoney } = require('../../utils/currency');
 const { isValidIPv4, isValidMacAddress, sanitizeMacAddress, isValidSlotNumber, isValidCoinValue, isValidInteger } = require('../../utils/validators');
 
 const execAsync = promisify(exec);
@@ -448,7 +451,9 @@ router.post('/slots/:slotNumber/add-coin', async (req, res) => {
 
     const safeClientMac = clientMac ? (clientMac === 'Unknown' ? 'Unknown' : sanitizeMacAddress(clientMac)) : null;
 
-    console.log(`Adding ${coinCount} coins of ₱${coinValue} to slot ${slotNumber} for client ${clientIp}`);
+    const currency = await currencyService.getCurrency();
+
+    console.log(`Adding ${coinCount} coins of ${formatMoney(coinValue, currency)} to slot ${slotNumber} for client ${clientIp}`);
 
     // Validate input parameters
     if (!clientIp && !clientMac && !sessionToken) {
@@ -458,10 +463,12 @@ router.post('/slots/:slotNumber/add-coin', async (req, res) => {
       });
     }
 
-    if (!isValidCoinValue(coinValue)) {
+    // Only coins in the configured denominations are accepted
+    const coinValues = await currencyService.getCoinValues();
+    if (!isValidCoinValue(coinValue, coinValues)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid coin value'
+        error: `Invalid coin value (accepted: ${coinValues.map(value => formatMoney(value, currency)).join(', ')})`
       });
     }
 
@@ -491,7 +498,7 @@ router.post('/slots/:slotNumber/add-coin', async (req, res) => {
     const slotId = slotResult.rows[0].id;
     const totalValue = parseFloat(coinValue) * parseInt(coinCount);
 
-    console.log(`Slot ID: ${slotId}, Total Value: ₱${totalValue}`);
+    console.log(`Slot ID: ${slotId}, Total Value: ${formatMoney(totalValue, currency)}`);
 
     // Begin transaction to handle coin addition and queue re-association
     await db.query('BEGIN');
@@ -522,11 +529,11 @@ router.post('/slots/:slotNumber/add-coin', async (req, res) => {
       console.log('Inserting new coin into queue...');
       queueResult = await db.query(`
         INSERT INTO coin_queues (
-          slot_id, client_id, client_ip, client_mac, session_token,
+          slot_id, slot_number, client_id, client_ip, client_mac, session_token,
           coin_value, coin_count, total_value, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'queued')
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'queued')
         RETURNING *
-      `, [slotId, clientId, clientIp, safeClientMac, sessionToken, coinValue, coinCount, totalValue]);
+      `, [slotId, parseInt(slotNumber), clientId, clientIp, safeClientMac, sessionToken, coinValue, coinCount, totalValue]);
 
       console.log('New coin inserted successfully:', queueResult.rows[0]);
 
@@ -557,7 +564,7 @@ router.post('/slots/:slotNumber/add-coin', async (req, res) => {
         reAssociated: reAssociated.rows.length > 0
       });
 
-      console.log(`Coin added successfully. Client total: ₱${queuedTotal.total_value}`);
+      console.log(`Coin added successfully. Client total: ${formatMoney(queuedTotal.total_value, currency)}`);
 
       res.json({
         success: true,
@@ -674,7 +681,7 @@ router.get('/queues/client', async (req, res) => {
 // Redeem all queued coins for client (no JWT auth - portal users redeem their coins)
 router.post('/queues/redeem', async (req, res) => {
   try {
-    const { clientId, clientIp, clientMac, sessionToken } = req.body;
+    const { clientId, clientIp, clientMac, sessionToken, dataPackage } = req.body;
 
     if (!sessionToken) {
       return res.status(400).json({ success: false, error: 'Session token required' });
@@ -690,6 +697,7 @@ router.post('/queues/redeem', async (req, res) => {
     }
 
     const safeClientMac = clientMac ? (clientMac === 'Unknown' ? 'Unknown' : sanitizeMacAddress(clientMac)) : undefined;
+    const currency = await currencyService.getCurrency();
 
     console.log(`Redeeming queued coins for client ${clientIp} (session: ${sessionToken ? 'present' : 'none'})`);
 
@@ -713,6 +721,14 @@ router.post('/queues/redeem', async (req, res) => {
     const totalCoins = result.rows.reduce((sum, queue) => sum + queue.coin_count, 0);
     const totalValue = result.rows.reduce((sum, queue) => sum + parseFloat(queue.total_value), 0);
 
+    // Price the coins for the portal. /portal/connect spends these redeemed rows
+    // and queues carried credit (carry mode) back for the client.
+    // Data package purchases spend everything (the excess becomes validity time).
+    const quote = await rateEngine.quote(totalValue);
+    if (dataPackage) {
+      quote.credit = 0;
+    }
+
     // Release any claimed slots by this client (using multi-identifier lookup)
     await db.query(`
       UPDATE coin_slots 
@@ -735,14 +751,15 @@ router.post('/queues/redeem', async (req, res) => {
       clientMac: safeClientMac
     });
 
-    console.log(`Redeemed ${totalCoins} coins worth ₱${totalValue.toFixed(2)}`);
+    console.log(`Redeemed ${totalCoins} coins worth ${formatMoney(totalValue, currency)}`);
 
     res.json({
       success: true,
       message: 'Coins redeemed successfully',
       redeemedQueues: result.rows,
       totalCoins,
-      totalValue
+      totalValue,
+      quote
     });
   } catch (error) {
     console.error('Redeem coins error:', error);
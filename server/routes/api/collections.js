@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../../db/sqlite-adapter');
+const cashCollections = require('../../services/cash-collections');
+const { authenticateAPI } = require('../../middleware/security');
+const { isValidSlotNumber } = require('../../utils/validators');
+const { validateCollection } = require('../../utils/cash-collections');
+
+const authenticateToken = authenticateAPI;
+
+// Build the WHERE clause shared by the history list and the CSV export
+function buildHistoryFilter(query) {
+  const { slot, startDate, endDate } = query;
+  const whereConditions = [];
+  const params = [];
+  let paramIndex = 1;
+
+  if (slot === 'all') {
+    whereConditions.push('slot_number IS NULL');
+  } else if (slot) {
+    whereConditions.push(`slot_number = $${paramIndex}`);
+    params.push(parseInt(slot));
+    paramIndex++;
+  }
+
+  if (startDate) {
+    whereConditions.push(`date(collected_at) >= date($${paramIndex})`);
+    params.push(startDate);
+    paramIndex++;
+  }
+
+  if (endDate) {
+    whereConditions.push(`date(collected_at) <= date($${paramIndex})`);
+    params.push(endDate);
+    paramIndex++;
+  }
+
+  return {
+    whereClause: whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '',
+    params,
+    paramIndex
+  };
+}
+
+// Expected cash in each coin box since it was last collected
+router.get('/expected', authenticateToken, async (req, res) => {
+  try {
+    const slots = await cashCollections.getSlotNumbers();
+    const perSlot = [];
+    for (const slot of slots) {
+      perSlot.push(await cashCollections.getExpected(slot));
+    }
+
+    res.json({
+      all: await cashCollections.getExpected(null),
+      slots: perSlot
+    });
+  } catch (error) {
+    console.error('Get expected cash error:', error);
+    res.status(500).json({ error: 'Failed to compute expected cash' });
+  }
+});
+
+// Collection history with optional slot/date filters
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { slot, page = 1, limit = 50 } = req.query;
+    if (slot && slot !== 'all' && !isValidSlotNumber(slot)) {
+      return res.status(400).json({ error: 'Invalid slot number (1-10)' });
+    }
+
+    const { whereClause, params, paramIndex } = buildHistoryFilter(req.query);
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const totalsResult = await db.query(
+      `SELECT COUNT(*) as count,
+              COALESCE(SUM(counted_amount), 0) as total_counted,
+              COALESCE(SUM(expected_amount), 0) as total_expected,
+              COALESCE(SUM(discrepancy), 0) as total_discrepancy
+       FROM cash_collections ${whereClause}`,
+      params
+    );
+    const totals = totalsResult.rows[0];
+
+    const result = await db.query(
+      `SELECT * FROM cash_collections
+       ${whereClause}
+       ORDER BY collected_at DESC, id DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      collections: result.rows.map(row => cashCollections.withStatus(row)),
+      summary: {
+        total_counted: parseFloat(totals.total_counted),
+        total_expected: parseFloat(totals.total_expected),
+        total_discrepancy: parseFloat(totals.total_discrepancy)
+      },
+      total: totals.count,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(totals.count / parseInt(limit))
+    });
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+});
+
+// Export collection history as CSV
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const { slot, startDate, endDate } = req.query;
+    if (slot && slot !== 'all' && !isValidSlotNumber(slot)) {
+      return res.status(400).json({ error: 'Invalid slot number (1-10)' });
+    }
+
+    const { whereClause, params } = buildHistoryFilter(req.query);
+    const result = await db.query(
+      `SELECT * FROM cash_collections ${whereClause} ORDER BY collected_at DESC, id DESC`,
+      params
+    );
+
+    // Free-text fields may contain commas or quotes
+    const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+    const headers = ['ID', 'Collected At', 'Slot', 'Collected By', 'Period Start', 'Counted', 'Expected',
+      'Discrepancy', 'Status', 'Coins', 'Coin Sales', 'Coin Sale Count', 'Notes', 'Recorded By'];
+    const rows = result.rows.map(row => [
+      row.id,
+      row.collected_at,
+      row.slot_number === null ? 'All' : row.slot_number,
+      quote(row.collected_by),
+      row.period_start || '',
+      row.counted_amount,
+      row.expected_amount,
+      row.discrepancy,
+      cashCollections.getStatus(row),
+      row.coins_inserted,
+      row.transaction_total ?? '',
+      row.transaction_count ?? '',
+      quote(row.notes),
+      quote(row.recorded_by)
+    ]);
+
+    const csv = [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="cash_collections_${startDate || 'all'}_${endDate || 'all'}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export collections error:', error);
+    res.status(500).json({ error: 'Failed to export collections' });
+  }
+});
+
+// Record a cash collection
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { valid, errors, sanitized } = validateCollection({
+      ...req.body,
+      collected_by: req.body.collected_by || req.user?.username
+    });
+    if (!valid) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const { error, collection } = await cashCollections.record(sanitized, req.user?.username);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    res.status(201).json({ success: true, collection });
+  } catch (error) {
+    console.error('Record collection error:', error);
+    res.status(500).json({ error: 'Failed to record collection' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../../db/sqlite-adapter');
+const memberAccounts = require('../../services/member-accounts');
+const { authenticateAPI } = require('../../middleware/security');
+const { MAX_WALLET_SECONDS, validateMember } = require('../../utils/members');
+
+const authenticateToken = authenticateAPI;
+
+// List member accounts with optional search and status filter
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { search, status } = req.query;
+    const whereConditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (search) {
+      whereConditions.push(`(m.username LIKE $${paramIndex} OR m.display_name LIKE $${paramIndex})`);
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    if (status) {
+      whereConditions.push(`m.status = $${paramIndex}`);
+      params.push(status);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? 'WHERE ' + whereConditions.join(' AND ')
+      : '';
+
+    const result = await db.query(
+      `SELECT m.id, m.username, m.display_name, m.wallet_seconds, m.status, m.last_login_at,
+              m.created_by, m.created_at, m.updated_at,
+              COALESCE(SUM(CASE WHEN t.status = 'COMPLETED' THEN t.amount ELSE 0 END), 0) as total_spent,
+              COUNT(t.id) as transaction_count,
+              MAX(t.created_at) as last_transaction_at
+       FROM members m
+       LEFT JOIN transactions t ON t.member_id = m.id
+       ${whereClause}
+       GROUP BY m.id
+       ORDER BY m.username`,
+      params
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// Create a member account
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { valid, errors, sanitized } = validateMember(req.body, { isNew: true });
+    if (!valid) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const existing = await db.query('SELECT id FROM members WHERE username = $1', [sanitized.username]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    const pinHash = await memberAccounts.hashPin(sanitized.pin);
+    const result = await db.query(
+      `INSERT INTO members (username, pin_hash, display_name, wallet_seconds, status, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [sanitized.username, pinHash, sanitized.display_name || null, sanitized.wallet_seconds || 0,
+        sanitized.status || 'active', req.user?.username || 'admin']
+    );
+    const member = memberAccounts.toPublic(result.rows[0]);
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Member account created: ${member.username}`, 'admin',
+        JSON.stringify({ admin: req.user?.username, member_id: member.id, wallet_seconds: member.wallet_seconds })]
+    );
+
+    res.json({ success: true, member });
+  } catch (error) {
+    console.error('Create member error:', error);
+    res.status(500).json({ error: 'Failed to create member' });
+  }
+});
+
+// Update display name, status or reset the PIN
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const member = await memberAccounts.getMember(id);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // The wallet only changes through /wallet so every adjustment is logged with a reason
+    const { display_name, status, pin } = req.body;
+    const { valid, errors, sanitized } = validateMember({ display_name, status, pin });
+    if (!valid) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const pinHash = sanitized.pin ? await memberAccounts.hashPin(sanitized.pin) : null;
+    await db.query(
+      `UPDATE members SET
+         display_name = $1, status = $2, pin_hash = COALESCE($3, pin_hash), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [
+        sanitized.display_name !== undefined ? sanitized.display_name : member.display_name,
+        sanitized.status || member.status,
+        pinHash,
+        id
+      ]
+    );
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Member account updated: ${member.username}`, 'admin',
+        JSON.stringify({ admin: req.user?.username, member_id: member.id, display_name, status, pin_reset: !!pinHash })]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Add or remove wallet time. A paid top-up (amount > 0) is recorded as a CASH transaction.
+router.post('/:id/wallet', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const seconds = parseInt(req.body.seconds, 10);
+    const amount = parseFloat(req.body.amount) || 0;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
+
+    if (!seconds || Math.abs(seconds) > MAX_WALLET_SECONDS) {
+      return res.status(400).json({ error: 'Enter the time to add or remove' });
+    }
+    if (amount < 0 || (amount > 0 && seconds < 0)) {
+      return res.status(400).json({ error: 'Amount paid only applies when adding time' });
+    }
+
+    const member = await memberAccounts.getMember(id);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    let balance;
+    let transactionId = null;
+    if (seconds < 0) {
+      // Removing more than the balance empties the wallet
+      const removed = Math.min(-seconds, parseInt(member.wallet_seconds) || 0);
+      balance = await memberAccounts.credit(member.id, -removed);
+    } else if (amount > 0) {
+      ({ balance, transactionId } = await memberAccounts.topUp(member.id, seconds, {
+        amount,
+        paymentMethod: 'CASH'
+      }));
+    } else {
+      balance = await memberAccounts.credit(member.id, seconds);
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Member wallet adjusted: ${member.username} (${seconds > 0 ? '+' : ''}${seconds}s)`, 'admin',
+        JSON.stringify({
+          admin: req.user?.username,
+          member_id: member.id,
+          seconds,
+          amount,
+          reason: reason || undefined,
+          wallet_seconds: balance,
+          transaction_id: transactionId || undefined
+        })]
+    );
+
+    res.json({ success: true, wallet_seconds: balance, transaction_id: transactionId });
+  } catch (error) {
+    console.error('Adjust member wallet error:', error);
+    res.status(500).json({ error: 'Failed to adjust wallet' });
+  }
+});
+
+// Purchase and wallet history for one member
+router.get('/:id/transactions', authenticateToken, async (req, res) => {
+  try {
+    const member = await memberAccounts.getMember(req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json({
+      member: memberAccounts.toPublic(member),
+      transactions: await memberAccounts.getHistory(member.id, limit)
+    });
+  } catch (error) {
+    console.error('Get member transactions error:', error);
+    res.status(500).json({ error: 'Failed to fetch member transactions' });
+  }
+});
+
+// Delete a member account (transactions keep their rows, member_id is cleared)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const member = await memberAccounts.getMember(id);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await db.query('DELETE FROM members WHERE id = $1', [id]);
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Member account deleted: ${member.username}`, 'admin',
+        JSON.stringify({ admin: req.user?.username, member_id: member.id, wallet_seconds: member.wallet_seconds })]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete member error:', error);
+    res.status(500).json({ error: 'Failed to delete member' });
+  }
+});
+
+module.exports = router;
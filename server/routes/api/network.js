@@ -4,8 +4,11 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const db = require('../../db/sqlite-adapter');
+const { REMAINING_TIME_SQL } = require('../../services/session-clock');
+const sessionEvents = require('../../services/session-events');
+const networkConfig = require('../../services/network-config');
 const { authenticateAPI, apiLimiter } = require('../../middleware/security');
-const { isValidServiceName, isAllowedService, isValidIPv4, isValidInterfaceName, isValidInteger } = require('../../utils/validators');
+const { isValidServiceName, isAllowedService, isValidIPv4, isValidCIDR, isValidInterfaceName, isValidInteger } = require('../../utils/validators');
 
 const execAsync = promisify(exec);
 
@@ -17,9 +20,11 @@ router.get('/config', authenticateToken, async (req, res) => {
   try {
     // Try to get from database first
     try {
+      // Creates the row with detected defaults on first use
+      await networkConfig.get();
       const result = await db.query('SELECT * FROM network_config WHERE id = 1');
       if (result.rows.length > 0) {
-        return res.json(result.rows[0]);
+        return res.json({ ...result.rows[0], last_apply: networkConfig.lastReport });
       }
     } catch (dbError) {
       console.log('Database not available, using file-based config');
@@ -31,19 +36,20 @@ router.get('/config', authenticateToken, async (req, res) => {
       return res.json(JSON.parse(configData));
     } catch (fileError) {
       // Return default configuration
+      const defaults = networkConfig.DEFAULTS;
       const config = {
-        dhcp_enabled: true,
-        dhcp_range_start: '10.0.0.10',
-        dhcp_range_end: '10.0.0.200',
-        subnet_mask: '255.255.255.0',
-        gateway: '10.0.0.1',
-        dns_primary: '8.8.8.8',
-        dns_secondary: '8.8.4.4',
-        lease_time: 3600,
-        wifi_interface: 'wlan0',
-        ethernet_interface: 'eth0',
+        dhcp_enabled: defaults.dhcp_enabled,
+        dhcp_range_start: defaults.dhcp_range_start,
+        dhcp_range_end: defaults.dhcp_range_end,
+        subnet_mask: defaults.subnet_mask,
+        gateway: defaults.gateway,
+        dns_primary: defaults.dns_primary,
+        dns_secondary: defaults.dns_secondary,
+        lease_time: defaults.lease_time,
+        wifi_interface: defaults.lan_interface,
+        ethernet_interface: defaults.wan_interface,
         wan_mode: 'dhcp',
-        wan_interface: 'eth0',
+        wan_interface: defaults.wan_interface,
         pppoe_username: '',
         pppoe_password: '',
         pppoe_mtu: 1492,
@@ -100,8 +106,8 @@ router.put('/config', authenticateToken, async (req, res) => {
     if (!isValidInterfaceName(wifi_interface) || !isValidInterfaceName(ethernet_interface)) {
       return res.status(400).json({ error: 'Invalid interface name' });
     }
-    if (!isValidInteger(lease_time, 60, 86400)) {
-      return res.status(400).json({ error: 'Invalid lease_time (60-86400 seconds)' });
+    if (!isValidInteger(lease_time, networkConfig.MIN_LEASE_TIME, 86400)) {
+      return res.status(400).json({ error: `Invalid lease_time (${networkConfig.MIN_LEASE_TIME}-86400 seconds)` });
     }
     if (wan_mode && !['dhcp', 'pppoe'].includes(wan_mode)) {
       return res.status(400).json({ error: 'Invalid WAN mode' });
@@ -112,6 +118,10 @@ router.put('/config', authenticateToken, async (req, res) => {
     if (pppoe_mtu !== undefined && !isValidInteger(pppoe_mtu, 576, 1500)) {
       return res.status(400).json({ error: 'Invalid PPPoE MTU (576-1500)' });
     }
+    const lanError = networkConfig.validate({ gateway, subnet_mask, dhcp_range_start, dhcp_range_end });
+    if (lanError) {
+      return res.status(400).json({ error: lanError });
+    }
 
     // Try to save to database first
     try {
@@ -134,21 +144,22 @@ router.put('/config', authenticateToken, async (req, res) => {
           lease_time = EXCLUDED.lease_time,
           wifi_interface = EXCLUDED.wifi_interface,
           ethernet_interface = EXCLUDED.ethernet_interface,
-          wan_mode = EXCLUDED.wan_mode,
-          wan_interface = EXCLUDED.wan_interface,
-          pppoe_username = EXCLUDED.pppoe_username,
-          pppoe_password = EXCLUDED.pppoe_password,
-          pppoe_mtu = EXCLUDED.pppoe_mtu,
+          wan_mode = COALESCE(EXCLUDED.wan_mode, network_config.wan_mode),
+          wan_interface = COALESCE(EXCLUDED.wan_interface, network_config.wan_interface),
+          pppoe_username = COALESCE(EXCLUDED.pppoe_username, network_config.pppoe_username),
+          pppoe_password = COALESCE(EXCLUDED.pppoe_password, network_config.pppoe_password),
+          pppoe_mtu = COALESCE(EXCLUDED.pppoe_mtu, network_config.pppoe_mtu),
           updated_at = CURRENT_TIMESTAMP`,
         [
-          dhcp_enabled, dhcp_range_start, dhcp_range_end,
+          dhcp_enabled ? 1 : 0, dhcp_range_start, dhcp_range_end,
           subnet_mask, gateway, dns_primary, dns_secondary,
           lease_time, wifi_interface, ethernet_interface,
-          wan_mode || 'dhcp',
-          wan_interface || 'eth0',
-          pppoe_username || '',
-          pppoe_password || '',
-          pppoe_mtu || 1492
+          // The WAN form saves these; keep the stored values when omitted
+          wan_mode || null,
+          wan_interface || null,
+          pppoe_username === undefined ? null : pppoe_username,
+          pppoe_password === undefined ? null : pppoe_password,
+          pppoe_mtu || null
         ]
       );
       console.log('Network config saved to database');
@@ -179,26 +190,22 @@ router.put('/config', authenticateToken, async (req, res) => {
 
     await fs.writeFile('/tmp/network-config.json', JSON.stringify(config, null, 2));
 
-    // Apply dynamic configuration
-    try {
-      const path = require('path');
-      const updaterPath = path.join(__dirname, '../../../scripts/update-network-config.js');
+    // Re-render the LAN address, firewall and dnsmasq config from the new settings
+    const report = await networkConfig.apply('changed');
 
-      // Run the dynamic configuration updater
-      await execAsync(`node ${updaterPath}`);
-      console.log('Dynamic network configuration applied');
-    } catch (applyError) {
-      console.warn('Dynamic config application warning:', applyError.message);
-
-      // Fallback to static config
-      try {
-        await applyNetworkConfig(config);
-      } catch (staticError) {
-        console.warn('Static config also failed:', staticError.message);
-      }
-    }
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      [report.success ? 'info' : 'warn', `Network configuration updated: ${wifi_interface} ${gateway}/${subnet_mask}`, 'network',
+        JSON.stringify({ admin: req.user?.username, applied: report.success, error: report.error })]
+    );
 
-    res.json({ success: true, message: 'Network configuration updated successfully' });
+    res.json({
+      success: true,
+      message: report.success
+        ? 'Network configuration updated successfully'
+        : `Network configuration saved, but applying it failed: ${report.error}`,
+      report
+    });
   } catch (error) {
     console.error('Update network config error:', error);
     res.status(500).json({ error: 'Failed to update network configuration' });
@@ -220,24 +227,13 @@ router.get('/dhcp-leases', authenticateToken, async (req, res) => {
 // Get network interfaces status
 router.get('/interfaces', authenticateToken, async (req, res) => {
   try {
-    // Return mock interfaces for now to avoid system dependency issues
-    const interfaces = [
-      {
-        name: 'eth0',
-        status: 'up',
-        addresses: ['192.168.1.105/24']
-      },
-      {
-        name: 'wlan0',
-        status: 'up',
-        addresses: ['10.0.0.1/24']
-      },
-      {
-        name: 'lo',
-        status: 'up',
-        addresses: ['127.0.0.1/8']
-      }
-    ];
+    const settings = await networkConfig.get();
+    const interfaces = (await getNetworkInterfaces()).map(iface => ({
+      ...iface,
+      role: iface.name === settings.lan_interface ? 'lan'
+        : iface.name === settings.wan_interface ? 'wan'
+          : null
+    }));
 
     res.json(interfaces);
   } catch (error) {
@@ -405,7 +401,7 @@ router.get('/service-status', authenticateToken, async (req, res) => {
     // Return actual detected status even on error
     const fallbackStatus = {
       dnsmasq: { active: false, status: 'error', info: 'Detection failed' },
-      hostapd: { active: false, status: 'disabled', info: 'WiFi not available' },
+      hostapd: { active: false, status: 'error', info: 'Detection failed' },
       iptables: { active: false, status: 'error', info: 'Detection failed' },
       pisowifi: { active: false, status: 'error', info: 'Detection failed' },
       ttl: { active: false, enabled: false, status: 'error', info: 'Detection failed' }
@@ -414,58 +410,449 @@ router.get('/service-status', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper functions
-async function applyNetworkConfig(config) {
+// Last firewall reconciliation result
+router.get('/firewall/reconcile', authenticateToken, async (req, res) => {
   try {
-    // Generate dnsmasq configuration
-    const dnsmasqConfig = `
-# PISOWifi DHCP Configuration
-# Generated: ${new Date().toISOString()}
-interface=${config.wifi_interface}
-dhcp-range=${config.dhcp_range_start},${config.dhcp_range_end},${config.subnet_mask},${config.lease_time}s
-dhcp-option=3,${config.gateway}
-dhcp-option=6,${config.dns_primary},${config.dns_secondary}
-server=${config.dns_primary}
-server=${config.dns_secondary}
-log-dhcp
-`;
-
-    // Save to tmp directory (safe location)
-    await fs.writeFile('/tmp/dnsmasq.conf.pisowifi', dnsmasqConfig);
-    console.log('Network configuration saved to /tmp/dnsmasq.conf.pisowifi');
-
-    // In development/testing mode, just log what would happen
-    console.log('Would execute system commands:');
-    console.log('- sudo cp /etc/dnsmasq.conf /etc/dnsmasq.conf.backup');
-    console.log('- sudo cp /tmp/dnsmasq.conf.pisowifi /etc/dnsmasq.conf');
-
-    if (config.dhcp_enabled) {
-      console.log('- sudo systemctl restart dnsmasq');
-    }
-
-    // For production, uncomment these lines:
-    // await execAsync('sudo cp /etc/dnsmasq.conf /etc/dnsmasq.conf.backup');
-    // await execAsync('sudo cp /tmp/dnsmasq.conf.pisowifi /etc/dnsmasq.conf');
-    // if (config.dhcp_enabled) {
-    //   await execAsync('sudo systemctl restart dnsmasq');
-    // }
+    const firewallReconciler = require('../../services/firewall-reconciler');
+    res.json({ report: firewallReconciler.lastReport });
+  } catch (error) {
+    console.error('Get firewall reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to get firewall reconciliation status' });
+  }
+});
+
+// Re-sync the firewall allow list with running sessions
+router.post('/firewall/reconcile', authenticateToken, async (req, res) => {
+  try {
+    const firewallReconciler = require('../../services/firewall-reconciler');
+    const report = await firewallReconciler.reconcile('manual');
 
+    if (!report.success) {
+      return res.status(report.error === 'Reconciliation already running' ? 409 : 500).json({ error: report.error, report });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      [
+        'info',
+        'Firewall reconciliation run from admin',
+        'network',
+        JSON.stringify({ admin: req.user?.username, allowed: report.allowed.length, removed: report.removed.length, failed: report.failed.length })
+      ]
+    );
+
+    res.json({ success: true, report });
   } catch (error) {
-    console.error('Apply network config error:', error);
-    throw error;
+    console.error('Firewall reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to reconcile firewall' });
   }
-}
+});
+
+// Walled garden: destinations reachable before paying
+router.get('/walled-garden', authenticateToken, async (req, res) => {
+  try {
+    const walledGarden = require('../../services/walled-garden');
+    res.json({ entries: await walledGarden.list(), report: walledGarden.lastReport });
+  } catch (error) {
+    console.error('Get walled garden error:', error);
+    res.status(500).json({ error: 'Failed to get walled garden' });
+  }
+});
+
+// Add a domain or CIDR block to the walled garden
+router.post('/walled-garden', authenticateToken, async (req, res) => {
+  try {
+    const walledGarden = require('../../services/walled-garden');
+    const { entry, description } = req.body;
+
+    const result = await walledGarden.add({ entry, description });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `Walled garden entry added: ${result.entry.entry}`, 'network',
+        JSON.stringify({ admin: req.user?.username, entry: result.entry.entry, type: result.entry.type })]
+    );
+
+    res.json({ success: true, entry: result.entry, report: result.report });
+  } catch (error) {
+    console.error('Add walled garden entry error:', error);
+    res.status(500).json({ error: 'Failed to add walled garden entry' });
+  }
+});
+
+// Enable or disable a walled garden entry
+router.put('/walled-garden/:id', authenticateToken, async (req, res) => {
+  try {
+    const walledGarden = require('../../services/walled-garden');
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const report = await walledGarden.setEnabled(req.params.id, enabled);
+    if (!report) {
+      return res.status(404).json({ error: 'Walled garden entry not found' });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `Walled garden entry #${req.params.id} ${enabled ? 'enabled' : 'disabled'}`, 'network',
+        JSON.stringify({ admin: req.user?.username, id: req.params.id, enabled })]
+    );
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Update walled garden entry error:', error);
+    res.status(500).json({ error: 'Failed to update walled garden entry' });
+  }
+});
+
+// Remove a walled garden entry
+router.delete('/walled-garden/:id', authenticateToken, async (req, res) => {
+  try {
+    const walledGarden = require('../../services/walled-garden');
+
+    const report = await walledGarden.remove(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Walled garden entry not found' });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `Walled garden entry #${req.params.id} removed`, 'network',
+        JSON.stringify({ admin: req.user?.username, id: req.params.id })]
+    );
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Delete walled garden entry error:', error);
+    res.status(500).json({ error: 'Failed to remove walled garden entry' });
+  }
+});
+
+// Re-resolve the walled garden domains and rebuild its rules now
+router.post('/walled-garden/apply', authenticateToken, async (req, res) => {
+  try {
+    const walledGarden = require('../../services/walled-garden');
+    const report = await walledGarden.apply('manual');
+
+    if (!report.success) {
+      return res.status(500).json({ error: report.error, report });
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Walled garden apply error:', error);
+    res.status(500).json({ error: 'Failed to apply walled garden' });
+  }
+});
+
+// DHCP static reservations
+router.get('/dhcp-reservations', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+    res.json({ reservations: await dhcpConfig.listReservations(), report: dhcpConfig.lastReport });
+  } catch (error) {
+    console.error('Get DHCP reservations error:', error);
+    res.status(500).json({ error: 'Failed to get DHCP reservations' });
+  }
+});
+
+// Reserve an IP address for a MAC address
+router.post('/dhcp-reservations', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+
+    const result = await dhcpConfig.saveReservation(req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const { mac_address, ip_address } = result.reservation;
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `DHCP reservation added: ${mac_address} -> ${ip_address}`, 'network',
+        JSON.stringify({ admin: req.user?.username, mac_address, ip_address, applied: result.report.success })]
+    );
+
+    res.json({ success: true, reservation: result.reservation, report: result.report });
+  } catch (error) {
+    console.error('Add DHCP reservation error:', error);
+    res.status(500).json({ error: 'Failed to add DHCP reservation' });
+  }
+});
+
+// Update a DHCP reservation
+router.put('/dhcp-reservations/:id', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+
+    const result = await dhcpConfig.saveReservation(req.body, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'DHCP reservation not found' });
+    }
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const { mac_address, ip_address } = result.reservation;
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `DHCP reservation #${req.params.id} updated: ${mac_address} -> ${ip_address}`, 'network',
+        JSON.stringify({ admin: req.user?.username, id: req.params.id, mac_address, ip_address, applied: result.report.success })]
+    );
+
+    res.json({ success: true, reservation: result.reservation, report: result.report });
+  } catch (error) {
+    console.error('Update DHCP reservation error:', error);
+    res.status(500).json({ error: 'Failed to update DHCP reservation' });
+  }
+});
+
+// Remove a DHCP reservation
+router.delete('/dhcp-reservations/:id', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+
+    const report = await dhcpConfig.removeReservation(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'DHCP reservation not found' });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `DHCP reservation #${req.params.id} removed`, 'network',
+        JSON.stringify({ admin: req.user?.username, id: req.params.id, applied: report.success })]
+    );
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Delete DHCP reservation error:', error);
+    res.status(500).json({ error: 'Failed to remove DHCP reservation' });
+  }
+});
+
+// Custom DHCP options
+router.get('/dhcp-options', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+    res.json({
+      options: await dhcpConfig.listOptions(),
+      known: dhcpConfig.OPTION_NAMES,
+      reserved: dhcpConfig.RESERVED_OPTION_CODES
+    });
+  } catch (error) {
+    console.error('Get DHCP options error:', error);
+    res.status(500).json({ error: 'Failed to get DHCP options' });
+  }
+});
+
+// Add a DHCP option
+router.post('/dhcp-options', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+
+    const result = await dhcpConfig.saveOption(req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const { option_code, value } = result.option;
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `DHCP option ${option_code} set`, 'network',
+        JSON.stringify({ admin: req.user?.username, option_code, value, applied: result.report.success })]
+    );
+
+    res.json({ success: true, option: result.option, report: result.report });
+  } catch (error) {
+    console.error('Add DHCP option error:', error);
+    res.status(500).json({ error: 'Failed to add DHCP option' });
+  }
+});
 
+// Update a DHCP option
+router.put('/dhcp-options/:id', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+
+    const result = await dhcpConfig.saveOption(req.body, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'DHCP option not found' });
+    }
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const { option_code, value, enabled } = result.option;
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `DHCP option ${option_code} updated`, 'network',
+        JSON.stringify({ admin: req.user?.username, id: req.params.id, option_code, value, enabled, applied: result.report.success })]
+    );
+
+    res.json({ success: true, option: result.option, report: result.report });
+  } catch (error) {
+    console.error('Update DHCP option error:', error);
+    res.status(500).json({ error: 'Failed to update DHCP option' });
+  }
+});
+
+// Remove a DHCP option
+router.delete('/dhcp-options/:id', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+
+    const report = await dhcpConfig.removeOption(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'DHCP option not found' });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `DHCP option #${req.params.id} removed`, 'network',
+        JSON.stringify({ admin: req.user?.username, id: req.params.id, applied: report.success })]
+    );
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Delete DHCP option error:', error);
+    res.status(500).json({ error: 'Failed to remove DHCP option' });
+  }
+});
+
+// Preview the dnsmasq config the DHCP settings produce
+router.get('/dhcp-config/preview', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+    res.json({ path: dhcpConfig.DNSMASQ_CONF, config: await dhcpConfig.render(), report: dhcpConfig.lastReport });
+  } catch (error) {
+    console.error('DHCP config preview error:', error);
+    res.status(500).json({ error: 'Failed to render DHCP config' });
+  }
+});
+
+// Test, install and reload the dnsmasq config now
+router.post('/dhcp-config/apply', authenticateToken, async (req, res) => {
+  try {
+    const dhcpConfig = require('../../services/dhcp-config');
+    const report = await dhcpConfig.apply('manual');
+
+    if (!report.success) {
+      return res.status(500).json({ error: report.error, report });
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('DHCP config apply error:', error);
+    res.status(500).json({ error: 'Failed to apply DHCP config' });
+  }
+});
+
+// Get the Wi-Fi access point settings
+router.get('/access-point', authenticateToken, async (req, res) => {
+  try {
+    const accessPoint = require('../../services/access-point');
+    res.json({
+      settings: await accessPoint.getSettings(),
+      status: await accessPoint.getStatus(),
+      channels: accessPoint.CHANNELS,
+      report: accessPoint.lastReport
+    });
+  } catch (error) {
+    console.error('Get access point error:', error);
+    res.status(500).json({ error: 'Failed to get access point settings' });
+  }
+});
+
+// Update the Wi-Fi access point settings and restart hostapd
+router.put('/access-point', authenticateToken, async (req, res) => {
+  try {
+    const accessPoint = require('../../services/access-point');
+
+    const result = await accessPoint.save(req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const { enabled, ssid, band, channel, security } = result.settings;
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      [result.report.success ? 'info' : 'warn',
+        `Access point ${enabled ? 'updated' : 'disabled'}: "${ssid}" channel ${channel} (${band} GHz, ${security})`, 'network',
+        JSON.stringify({ admin: req.user?.username, applied: result.report.success, rolled_back: result.report.rolled_back, error: result.report.error })]
+    );
+
+    res.json({ success: true, settings: result.settings, report: result.report });
+  } catch (error) {
+    console.error('Update access point error:', error);
+    res.status(500).json({ error: 'Failed to update access point settings' });
+  }
+});
+
+// Wi-Fi stations associated with the access point
+router.get('/access-point/stations', authenticateToken, async (req, res) => {
+  try {
+    const accessPoint = require('../../services/access-point');
+    res.json({ stations: await accessPoint.getStations() });
+  } catch (error) {
+    console.error('Get access point stations error:', error);
+    res.status(500).json({ error: 'Failed to get Wi-Fi stations' });
+  }
+});
+
+// Install the hostapd config and restart hostapd now
+router.post('/access-point/apply', authenticateToken, async (req, res) => {
+  try {
+    const accessPoint = require('../../services/access-point');
+    const report = await accessPoint.apply('manual');
+
+    if (!report.success) {
+      return res.status(500).json({ error: report.error, report });
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Access point apply error:', error);
+    res.status(500).json({ error: 'Failed to apply access point settings' });
+  }
+});
+
+// Preview every file generated from the network configuration
+router.get('/config/preview', authenticateToken, async (req, res) => {
+  try {
+    res.json({ files: await networkConfig.preview(), report: networkConfig.lastReport });
+  } catch (error) {
+    console.error('Network config preview error:', error);
+    res.status(500).json({ error: 'Failed to render network configuration' });
+  }
+});
+
+// Re-apply the network configuration (address, firewall, dnsmasq) now
+router.post('/config/apply', authenticateToken, async (req, res) => {
+  try {
+    const report = await networkConfig.apply('manual');
+
+    if (!report.success) {
+      return res.status(500).json({ error: report.error, report });
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Network config apply error:', error);
+    res.status(500).json({ error: 'Failed to apply network configuration' });
+  }
+});
+
+// Helper functions
 async function getDHCPLeases() {
   try {
-    const { stdout } = await execAsync('cat /var/lib/dhcp/dhcpd.leases | tail -50');
-    // Parse DHCP leases format and return structured data
-    // This is a simplified version
-    return {
-      leases: [],
-      total: 0,
-      active: 0
-    };
+    const dhcpConfig = require('../../services/dhcp-config');
+    return await dhcpConfig.readLeases();
   } catch (error) {
     return { leases: [], total: 0, active: 0 };
   }
@@ -492,7 +879,7 @@ async function getNetworkInterfaces() {
           };
         }
       } else if (line.includes('inet ') && currentInterface) {
-        const match = line.match(/inet ([^/]+)/);
+        const match = line.match(/inet (\S+)/);
         if (match) {
           currentInterface.addresses.push(match[1]);
         }
@@ -543,67 +930,41 @@ async function applyBandwidthLimit(ipAddress, uploadLimit, downloadLimit) {
   }
 }
 
-async function applyWanConfig(wanConfig) {
-  if (process.platform !== 'linux') {
-    console.warn('WAN apply skipped: non-Linux platform');
-    return;
+/**
+ * Check static WAN settings before they are saved
+ * @param {Object} values - wan_static_address (CIDR), wan_static_gateway, wan_static_dns
+ * @param {Object} lan - LAN settings from network-config
+ * @returns {string|null} What is wrong, or null when they are usable
+ */
+function validateStaticWan({ wan_static_address, wan_static_gateway, wan_static_dns }, lan) {
+  if (!isValidCIDR(wan_static_address)) {
+    return 'Static IP must be an address with prefix length, e.g. 203.0.113.10/29';
+  }
+  const [address, prefixText] = wan_static_address.trim().split('/');
+  const prefix = parseInt(prefixText, 10);
+  if (prefix < 8 || prefix > 30) {
+    return 'Static IP prefix length must be 8-30';
   }
-  const mode = wanConfig.wan_mode || 'dhcp';
-  const iface = wanConfig.wan_interface || 'eth0';
 
-  if (!isValidInterfaceName(iface)) {
-    throw new Error('Invalid WAN interface name');
-  }
-
-  if (mode === 'pppoe') {
-    if (!wanConfig.pppoe_username || !wanConfig.pppoe_password) {
-      throw new Error('PPPoE username and password are required');
-    }
-
-    const mtu = wanConfig.pppoe_mtu || 1492;
-    if (!isValidInteger(mtu, 576, 1500)) {
-      throw new Error('Invalid PPPoE MTU');
-    }
-
-    const peerConfig = `
-plugin rp-pppoe.so
-${iface}
-user "${wanConfig.pppoe_username}"
-defaultroute
-usepeerdns
-mtu ${mtu}
-mru ${mtu}
-persist
-holdoff 10
-lcp-echo-interval 10
-lcp-echo-failure 3
-`;
-
-    await fs.writeFile('/tmp/pisowifi-pppoe', peerConfig);
-    await execAsync('sudo cp /tmp/pisowifi-pppoe /etc/ppp/peers/pisowifi-wan');
-
-    const secretsLine = `"${wanConfig.pppoe_username}" * "${wanConfig.pppoe_password}" *\n`;
-    await execAsync(`sudo sh -c "grep -v '^\\\"${wanConfig.pppoe_username}\\\"' /etc/ppp/chap-secrets > /tmp/chap-secrets.pisowifi || true"`);
-    await execAsync(`sudo sh -c "printf '${secretsLine}' >> /tmp/chap-secrets.pisowifi"`);
-    await execAsync('sudo cp /tmp/chap-secrets.pisowifi /etc/ppp/chap-secrets');
-
-    await execAsync(`sudo sh -c "grep -v '^\\\"${wanConfig.pppoe_username}\\\"' /etc/ppp/pap-secrets > /tmp/pap-secrets.pisowifi || true"`);
-    await execAsync(`sudo sh -c "printf '${secretsLine}' >> /tmp/pap-secrets.pisowifi"`);
-    await execAsync('sudo cp /tmp/pap-secrets.pisowifi /etc/ppp/pap-secrets');
-
-    // Bring down DHCP client and start PPPoE
-    await execAsync(`sudo dhclient -r ${iface} 2>/dev/null || true`);
-    await execAsync('sudo poff pisowifi-wan 2>/dev/null || true');
-    await execAsync('sudo pon pisowifi-wan');
-  } else {
-    // DHCP mode: stop PPPoE and acquire lease
-    await execAsync('sudo poff pisowifi-wan 2>/dev/null || true');
-    await execAsync(`sudo dhclient -r ${iface} 2>/dev/null || true`);
-    await execAsync(`sudo dhclient ${iface}`);
+  const wan = { gateway: address, subnet_mask: networkConfig.prefixToMask(prefix) };
+  if (!networkConfig.isInLan(address, wan)) {
+    return `${address} is the network or broadcast address of /${prefix}`;
+  }
+  if (!isValidIPv4(wan_static_gateway) || !networkConfig.isInLan(wan_static_gateway, wan) || wan_static_gateway.trim() === address) {
+    return `Gateway must be another host address in ${wan_static_address.trim()}`;
+  }
+  if (networkConfig.isInLan(address, lan) || networkConfig.isInLan(lan.gateway, wan)) {
+    return `Static WAN network overlaps the LAN (${lan.network})`;
   }
+
+  const dnsServers = networkConfig.parseDnsServers(wan_static_dns);
+  if (dnsServers.length === 0 || dnsServers.length > 3 || !dnsServers.every(isValidIPv4)) {
+    return 'DNS servers must be 1-3 IPv4 addresses';
+  }
+  return null;
 }
 
-// WAN configuration (DHCP/PPPoE)
+// WAN configuration (DHCP/PPPoE/static)
 router.get('/wan', authenticateToken, async (req, res) => {
   try {
     try {
@@ -615,7 +976,10 @@ router.get('/wan', authenticateToken, async (req, res) => {
           wan_interface: row.wan_interface || 'eth0',
           pppoe_username: row.pppoe_username || '',
           pppoe_password: row.pppoe_password || '',
-          pppoe_mtu: row.pppoe_mtu || 1492
+          pppoe_mtu: row.pppoe_mtu || 1492,
+          wan_static_address: row.wan_static_address || '',
+          wan_static_gateway: row.wan_static_gateway || '',
+          wan_static_dns: row.wan_static_dns || ''
         });
       }
     } catch (dbError) {
@@ -627,7 +991,10 @@ router.get('/wan', authenticateToken, async (req, res) => {
       wan_interface: 'eth0',
       pppoe_username: '',
       pppoe_password: '',
-      pppoe_mtu: 1492
+      pppoe_mtu: 1492,
+      wan_static_address: '',
+      wan_static_gateway: '',
+      wan_static_dns: ''
     });
   } catch (error) {
     console.error('Get WAN config error:', error);
@@ -639,7 +1006,7 @@ router.put('/wan', authenticateToken, async (req, res) => {
   try {
     const { wan_mode, wan_interface, pppoe_username, pppoe_password, pppoe_mtu } = req.body;
 
-    if (!['dhcp', 'pppoe'].includes(wan_mode)) {
+    if (!['dhcp', 'pppoe', 'static'].includes(wan_mode)) {
       return res.status(400).json({ error: 'Invalid WAN mode' });
     }
     if (!isValidInterfaceName(wan_interface)) {
@@ -649,6 +1016,20 @@ router.put('/wan', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid PPPoE MTU (576-1500)' });
     }
 
+    // Static settings are kept while another mode is in use
+    let staticWan = { wan_static_address: null, wan_static_gateway: null, wan_static_dns: null };
+    if (wan_mode === 'static') {
+      const staticError = validateStaticWan(req.body, await networkConfig.get());
+      if (staticError) {
+        return res.status(400).json({ error: staticError });
+      }
+      staticWan = {
+        wan_static_address: req.body.wan_static_address.trim(),
+        wan_static_gateway: req.body.wan_static_gateway.trim(),
+        wan_static_dns: networkConfig.parseDnsServers(req.body.wan_static_dns).join(',')
+      };
+    }
+
     await db.query(
       `UPDATE network_config SET
         wan_mode = $1,
@@ -656,13 +1037,17 @@ router.put('/wan', authenticateToken, async (req, res) => {
         pppoe_username = $3,
         pppoe_password = $4,
         pppoe_mtu = $5,
+        wan_static_address = COALESCE($6, wan_static_address),
+        wan_static_gateway = COALESCE($7, wan_static_gateway),
+        wan_static_dns = COALESCE($8, wan_static_dns),
         updated_at = CURRENT_TIMESTAMP
        WHERE id = 1`,
-      [wan_mode, wan_interface, pppoe_username || '', pppoe_password || '', pppoe_mtu || 1492]
+      [wan_mode, wan_interface, pppoe_username || '', pppoe_password || '', pppoe_mtu || 1492,
+        staticWan.wan_static_address, staticWan.wan_static_gateway, staticWan.wan_static_dns]
     );
 
     try {
-      await applyWanConfig({ wan_mode, wan_interface, pppoe_username, pppoe_password, pppoe_mtu });
+      await networkConfig.applyWanConfig(await networkConfig.getWanConfig());
       res.json({ success: true, message: 'WAN configuration applied' });
     } catch (applyError) {
       console.warn('WAN apply warning:', applyError.message);
@@ -674,26 +1059,165 @@ router.put('/wan', authenticateToken, async (req, res) => {
   }
 });
 
-async function getBandwidthInterface() {
+// WAN uplinks for failover and load balancing
+router.get('/wan/uplinks', authenticateToken, async (req, res) => {
+  try {
+    const wanFailover = require('../../services/wan-failover');
+    res.json({ uplinks: await wanFailover.listUplinks(), report: wanFailover.lastReport });
+  } catch (error) {
+    console.error('Get WAN uplinks error:', error);
+    res.status(500).json({ error: 'Failed to get WAN uplinks' });
+  }
+});
+
+// Add a WAN uplink
+router.post('/wan/uplinks', authenticateToken, async (req, res) => {
   try {
-    const result = await db.query('SELECT wifi_interface, ethernet_interface FROM network_config WHERE id = 1');
-    if (result.rows.length > 0) {
-      return result.rows[0].wifi_interface || result.rows[0].ethernet_interface;
+    const wanFailover = require('../../services/wan-failover');
+
+    const result = await wanFailover.saveUplink(req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
     }
-  } catch (_) {
-    // ignore
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `WAN uplink added: ${result.uplink.name} (${result.uplink.interface})`, 'network',
+        JSON.stringify({ admin: req.user?.username, uplink: result.uplink })]
+    );
+
+    res.json({ success: true, uplink: result.uplink, report: result.report });
+  } catch (error) {
+    console.error('Add WAN uplink error:', error);
+    res.status(500).json({ error: 'Failed to add WAN uplink' });
   }
+});
 
+// Update a WAN uplink
+router.put('/wan/uplinks/:id', authenticateToken, async (req, res) => {
   try {
-    const result = await db.query('SELECT interface FROM network_settings WHERE id = 1');
-    if (result.rows.length > 0) {
-      return result.rows[0].interface;
+    const wanFailover = require('../../services/wan-failover');
+
+    const result = await wanFailover.saveUplink(req.body, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'WAN uplink not found' });
     }
-  } catch (_) {
-    // ignore
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `WAN uplink #${req.params.id} updated: ${result.uplink.name} (${result.uplink.interface})`, 'network',
+        JSON.stringify({ admin: req.user?.username, uplink: result.uplink })]
+    );
+
+    res.json({ success: true, uplink: result.uplink, report: result.report });
+  } catch (error) {
+    console.error('Update WAN uplink error:', error);
+    res.status(500).json({ error: 'Failed to update WAN uplink' });
   }
+});
+
+// Remove a WAN uplink
+router.delete('/wan/uplinks/:id', authenticateToken, async (req, res) => {
+  try {
+    const wanFailover = require('../../services/wan-failover');
+
+    const report = await wanFailover.removeUplink(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'WAN uplink not found' });
+    }
 
-  return process.env.PISOWIFI_INTERFACE || 'wlan0';
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `WAN uplink #${req.params.id} removed`, 'network',
+        JSON.stringify({ admin: req.user?.username, id: req.params.id })]
+    );
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Delete WAN uplink error:', error);
+    res.status(500).json({ error: 'Failed to remove WAN uplink' });
+  }
+});
+
+// WAN failover policy and health check settings
+router.get('/wan/failover', authenticateToken, async (req, res) => {
+  try {
+    const wanFailover = require('../../services/wan-failover');
+    res.json({ settings: await wanFailover.getSettings(), policies: wanFailover.POLICIES });
+  } catch (error) {
+    console.error('Get WAN failover settings error:', error);
+    res.status(500).json({ error: 'Failed to get WAN failover settings' });
+  }
+});
+
+router.put('/wan/failover', authenticateToken, async (req, res) => {
+  try {
+    const wanFailover = require('../../services/wan-failover');
+
+    const result = await wanFailover.saveSettings(req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['info', `WAN failover settings updated (${result.settings.wan_policy})`, 'network',
+        JSON.stringify({ admin: req.user?.username, ...result.settings })]
+    );
+
+    res.json({ success: true, settings: result.settings, report: result.report });
+  } catch (error) {
+    console.error('Update WAN failover settings error:', error);
+    res.status(500).json({ error: 'Failed to update WAN failover settings' });
+  }
+});
+
+// Uplink health and the uplinks the default route goes through
+router.get('/wan/failover/status', authenticateToken, async (req, res) => {
+  try {
+    const wanFailover = require('../../services/wan-failover');
+    const uplinks = await wanFailover.listUplinks();
+    res.json({
+      settings: await wanFailover.getSettings(),
+      uplinks,
+      active: uplinks.filter(uplink => uplink.active).map(uplink => uplink.interface),
+      report: wanFailover.lastReport
+    });
+  } catch (error) {
+    console.error('Get WAN failover status error:', error);
+    res.status(500).json({ error: 'Failed to get WAN failover status' });
+  }
+});
+
+// Uplinks going down and up, and default route switches
+router.get('/wan/failover/history', authenticateToken, async (req, res) => {
+  try {
+    const wanFailover = require('../../services/wan-failover');
+    const limit = isValidInteger(req.query.limit, 1, 500) ? Number(req.query.limit) : 50;
+    res.json({ events: await wanFailover.getHistory(limit) });
+  } catch (error) {
+    console.error('Get WAN failover history error:', error);
+    res.status(500).json({ error: 'Failed to get WAN failover history' });
+  }
+});
+
+// Check the uplinks now
+router.post('/wan/failover/check', authenticateToken, async (req, res) => {
+  try {
+    const wanFailover = require('../../services/wan-failover');
+    const report = await wanFailover.check('manual');
+    res.json({ success: report.success, report, uplinks: await wanFailover.listUplinks() });
+  } catch (error) {
+    console.error('WAN failover check error:', error);
+    res.status(500).json({ error: 'Failed to check WAN uplinks' });
+  }
+});
+
+async function getBandwidthInterface() {
+  return networkConfig.getLanInterface();
 }
 
 async function clearGlobalBandwidthLimit(iface) {
@@ -1027,7 +1551,7 @@ router.put('/bandwidth-per-client-default', authenticateToken, async (req, res)
         // Apply network shaping to connected clients with IP
         const connectedClients = await db.query(
           `SELECT id, ip_address FROM clients 
-           WHERE status = 'CONNECTED' AND time_remaining > 0 AND ip_address IS NOT NULL`
+           WHERE status = 'CONNECTED' AND ${REMAINING_TIME_SQL} > 0 AND ip_address IS NOT NULL`
         );
         
         for (const client of connectedClients.rows) {
@@ -1110,6 +1634,11 @@ router.post('/bandwidth-client', authenticateToken, async (req, res) => {
         'UPDATE clients SET upload_limit = $1, download_limit = $2 WHERE id = $3',
         [enabled ? uploadLimit : 0, enabled ? downloadLimit : 0, clientId]
       );
+      await sessionEvents.record(clientId, 'bandwidth_changed', {
+        reason: enabled ? 'admin' : 'cleared',
+        actor: req.user?.username,
+        details: { upload_limit: enabled ? uploadLimit : 0, download_limit: enabled ? downloadLimit : 0 }
+      });
     }
 
     res.json({ success: true, message: 'Per-client bandwidth updated' });
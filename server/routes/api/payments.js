@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../../db/sqlite-adapter');
+const paymentService = require('../../services/payments');
+const { authenticateAPI } = require('../../middleware/security');
+
+const authenticateToken = authenticateAPI;
+
+// Provider callback/webhook - authenticated by the provider's signature, not a login
+router.post('/callback/:provider', async (req, res) => {
+  try {
+    const { io } = require('../../app');
+    const intent = await paymentService.handleCallback(req.params.provider, req, io);
+    const provider = paymentService.getProvider(req.params.provider);
+
+    res.json({ ...provider.callbackResponse(intent), reference: intent.reference, status: intent.status });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Payment callback error:', error);
+    res.status(500).json({ error: 'Failed to process payment callback' });
+  }
+});
+
+// List payment intents with optional status/provider filters
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    await paymentService.expireStaleIntents();
+
+    const { status, provider, page = 1, limit = 50 } = req.query;
+    const whereConditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      if (!paymentService.INTENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid payment status' });
+      }
+      whereConditions.push(`p.status = $${paramIndex}`);
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (provider) {
+      whereConditions.push(`p.provider = $${paramIndex}`);
+      params.push(provider);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? 'WHERE ' + whereConditions.join(' AND ')
+      : '';
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as count FROM payment_intents p ${whereClause}`,
+      params
+    );
+    const total = countResult.rows[0].count;
+
+    const result = await db.query(
+      `SELECT p.id, p.reference, p.provider, p.provider_reference, p.amount, p.duration, p.data_limit_mb,
+              p.status, p.mac_address, p.client_ip, p.member_id, p.transaction_id, p.failure_reason,
+              p.expires_at, p.paid_at, p.created_at, m.username as member_username
+       FROM payment_intents p
+       LEFT JOIN members m ON p.member_id = m.id
+       ${whereClause}
+       ORDER BY p.created_at DESC, p.id DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      payments: result.rows,
+      providers: paymentService.listProviders(),
+      total: total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / parseInt(limit))
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../../db/sqlite-adapter');
+const { authenticateAPI } = require('../../middleware/security');
+const { isScheduleActive, validateSchedule } = require('../../utils/rate-schedules');
+
+const authenticateToken = authenticateAPI;
+
+// List schedules with their rate and whether they apply right now
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT s.*, r.name as rate_name, r.price as rate_price, r.duration as rate_duration
+      FROM rate_schedules s
+      LEFT JOIN rates r ON s.rate_id = r.id
+      ORDER BY r.price, s.id
+    `);
+
+    const now = new Date();
+    res.json(result.rows.map(schedule => ({
+      ...schedule,
+      active_now: isScheduleActive(schedule, now)
+    })));
+  } catch (error) {
+    console.error('Get rate schedules error:', error);
+    res.status(500).json({ error: 'Failed to fetch rate schedules' });
+  }
+});
+
+// Create a schedule for a rate
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { valid, errors, sanitized } = validateSchedule(req.body);
+    if (!valid) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const rateResult = await db.query('SELECT id, name FROM rates WHERE id = $1', [sanitized.rate_id]);
+    if (rateResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Rate not found. Save new rate packages before scheduling them.' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO rate_schedules (rate_id, name, days_of_week, start_time, end_time, start_date, end_date, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [sanitized.rate_id, sanitized.name, sanitized.days_of_week, sanitized.start_time, sanitized.end_time,
+        sanitized.start_date, sanitized.end_date, sanitized.is_active]
+    );
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Rate schedule "${sanitized.name}" created for ${rateResult.rows[0].name}`, 'admin',
+        JSON.stringify({ admin: req.user?.username, schedule: result.rows[0] })]
+    );
+
+    res.json({ success: true, schedule: result.rows[0] });
+  } catch (error) {
+    console.error('Create rate schedule error:', error);
+    res.status(500).json({ error: 'Failed to create rate schedule' });
+  }
+});
+
+// Update a schedule
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query('SELECT * FROM rate_schedules WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Rate schedule not found' });
+    }
+
+    const { valid, errors, sanitized } = validateSchedule({ ...existing.rows[0], ...req.body });
+    if (!valid) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const rateResult = await db.query('SELECT id FROM rates WHERE id = $1', [sanitized.rate_id]);
+    if (rateResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Rate not found' });
+    }
+
+    await db.query(
+      `UPDATE rate_schedules SET
+         rate_id = $1, name = $2, days_of_week = $3, start_time = $4, end_time = $5,
+         start_date = $6, end_date = $7, is_active = $8, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $9`,
+      [sanitized.rate_id, sanitized.name, sanitized.days_of_week, sanitized.start_time, sanitized.end_time,
+        sanitized.start_date, sanitized.end_date, sanitized.is_active, id]
+    );
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Rate schedule "${sanitized.name}" updated`, 'admin',
+        JSON.stringify({ admin: req.user?.username, schedule_id: parseInt(id), changes: req.body })]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update rate schedule error:', error);
+    res.status(500).json({ error: 'Failed to update rate schedule' });
+  }
+});
+
+// Delete a schedule (past transactions keep their schedule_id for reports)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query('DELETE FROM rate_schedules WHERE id = $1', [id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Rate schedule not found' });
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', 'Rate schedule deleted', 'admin', JSON.stringify({ admin: req.user?.username, schedule_id: parseInt(id) })]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete rate schedule error:', error);
+    res.status(500).json({ error: 'Failed to delete rate schedule' });
+  }
+});
+
+module.exports = router;
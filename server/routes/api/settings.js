@@ -7,11 +7,14 @@ const { promisify } = require('util');
 const db = require('../../db/sqlite-adapter');
 const { authenticateAPI, apiLimiter } = require('../../middleware/security');
 const { isValidIPv4, isValidInterfaceName } = require('../../utils/validators');
+const rateEngine = require('../../services/rate-engine');
+const currencyService = require('../../services/currency');
+const networkConfig = require('../../services/network-config');
+const { validateCurrency, validateDenomination } = require('../../utils/currency');
 
 const execAsync = promisify(exec);
 
 // Settings file paths
-const NETWORK_CONFIG_PATH = '/etc/dnsmasq.d/pisowifi.conf';
 const NGINX_CONFIG_PATH = '/etc/nginx/sites-available/portal';
 const SETTINGS_FILE = path.join(process.cwd(), 'config', 'settings.json');
 
@@ -22,8 +25,8 @@ const authenticateToken = authenticateAPI;
 router.get('/', authenticateToken, async (req, res) => {
   try {
     // Get all settings from database
-    const [networkResult, portalResult, gpioResult, systemResult, ratesResult] = await Promise.all([
-      db.query('SELECT * FROM network_settings WHERE id = 1'),
+    const [lan, portalResult, gpioResult, systemResult, ratesResult] = await Promise.all([
+      networkConfig.get(),
       db.query('SELECT * FROM portal_settings WHERE id = 1'),
       db.query('SELECT * FROM gpio_settings WHERE id = 1'),
       db.query('SELECT * FROM system_settings WHERE id = 1'),
@@ -31,13 +34,15 @@ router.get('/', authenticateToken, async (req, res) => {
     ]);
 
     const settings = {
-      network: networkResult.rows[0] || {
-        gateway_ip: '10.0.0.1',
-        dhcp_start: '10.0.0.10',
-        dhcp_end: '10.0.0.100',
-        lease_time: '12h',
-        interface: 'enx00e04c68276e',
-        dns_server: '8.8.8.8'
+      // Kept in its old shape; the values live in network_config
+      network: {
+        gateway_ip: lan.gateway,
+        subnet_mask: lan.subnet_mask,
+        dhcp_start: lan.dhcp_range_start,
+        dhcp_end: lan.dhcp_range_end,
+        lease_time: lan.lease_time,
+        interface: lan.lan_interface,
+        dns_server: lan.dns_primary
       },
       portal: portalResult.rows[0] || {
         portal_title: 'PISOWifi Portal',
@@ -91,23 +96,37 @@ router.put('/network', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid network interface name' });
     }
 
-    // Update dnsmasq configuration
-    const dnsmasqConfig = `
-interface=${iface}
-dhcp-range=${dhcp_start},${dhcp_end},${lease_time}
-dhcp-option=3,${gateway_ip}
-dhcp-option=6,${gateway_ip}
-address=/#/${gateway_ip}
-domain-needed
-bogus-priv
-no-resolv
-log-queries
-log-dhcp
-`;
+    // Accepts seconds or a dnsmasq duration such as 12h
+    const leaseMatch = /^(\d+)([smhd]?)$/.exec(String(lease_time ?? '').trim());
+    const leaseSeconds = leaseMatch
+      ? parseInt(leaseMatch[1]) * { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[leaseMatch[2]]
+      : NaN;
+    if (!(leaseSeconds >= networkConfig.MIN_LEASE_TIME && leaseSeconds <= 86400)) {
+      return res.status(400).json({ error: `Invalid lease time (${networkConfig.MIN_LEASE_TIME} seconds to 24h)` });
+    }
+    if (req.body.dns_server && !isValidIPv4(req.body.dns_server)) {
+      return res.status(400).json({ error: 'Invalid DNS server IP address' });
+    }
 
-    // Write config (requires sudo)
-    await fs.writeFile('/tmp/pisowifi.conf', dnsmasqConfig);
-    await execAsync('sudo cp /tmp/pisowifi.conf /etc/dnsmasq.d/pisowifi.conf');
+    const current = await networkConfig.get();
+    const lanError = networkConfig.validate({
+      gateway: gateway_ip,
+      subnet_mask: current.subnet_mask,
+      dhcp_range_start: dhcp_start,
+      dhcp_range_end: dhcp_end
+    });
+    if (lanError) {
+      return res.status(400).json({ error: lanError });
+    }
+
+    // Save to network_config; dnsmasq and the firewall are rendered from it
+    await db.query(
+      `UPDATE network_config SET gateway = $1, dhcp_range_start = $2, dhcp_range_end = $3,
+         lease_time = $4, wifi_interface = $5, dns_primary = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE id = 1`,
+      [gateway_ip, dhcp_start, dhcp_end, leaseSeconds, iface, req.body.dns_server || current.dns_primary]
+    );
+    const report = await networkConfig.apply('changed');
 
     // Update nginx redirect
     const nginxConfig = `
@@ -132,23 +151,19 @@ server {
     await fs.writeFile('/tmp/nginx-portal', nginxConfig);
     await execAsync('sudo cp /tmp/nginx-portal /etc/nginx/sites-available/portal');
 
-    // Restart services
-    await execAsync('sudo systemctl restart dnsmasq');
     await execAsync('sudo systemctl restart nginx');
 
-    // Save settings to database
-    await db.query(`
-      INSERT OR REPLACE INTO network_settings (id, gateway_ip, dhcp_start, dhcp_end, lease_time, interface, dns_server, updated_at) 
-      VALUES (1, $1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
-    `, [gateway_ip, dhcp_start, dhcp_end, lease_time, interface, req.body.dns_server || '8.8.8.8']);
-
     // Log action
     await db.query(
       'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
       ['INFO', 'Network settings updated', 'admin', JSON.stringify({ admin: req.user.username, settings: req.body })]
     );
 
-    res.json({ success: true, message: 'Network settings updated' });
+    res.json({
+      success: report.success,
+      message: report.success ? 'Network settings updated' : `Network settings saved, but applying them failed: ${report.error}`,
+      report
+    });
   } catch (error) {
     console.error('Update network settings error:', error);
     res.status(500).json({ error: 'Failed to update network settings' });
@@ -220,19 +235,38 @@ router.put('/rates', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid rates data' });
     }
 
-    // Clear existing rates if we're doing a full replacement
-    await db.query('DELETE FROM rates');
+    // Update rates in place so their ids (schedules, transaction history) survive a save
+    const existingResult = await db.query('SELECT id FROM rates');
+    const existingIds = new Set(existingResult.rows.map(row => row.id));
+    const keptIds = new Set();
 
-    // Insert all rates
     for (const rate of rates) {
       try {
-        await db.query(
-          'INSERT INTO rates (name, duration, coins_required, price, is_active) VALUES (?, ?, ?, ?, ?)',
-          [rate.name, rate.duration, rate.coins_required, parseFloat(rate.price), rate.is_active ? 1 : 0]
-        );
+        const values = [rate.name, rate.duration, rate.coins_required, parseFloat(rate.price), parseFloat(rate.min_spend) || 0, Math.max(0, parseInt(rate.data_limit_mb) || 0), rate.is_active ? 1 : 0];
+        const rateId = parseInt(rate.id);
+
+        if (existingIds.has(rateId) && !keptIds.has(rateId)) {
+          await db.query(
+            'UPDATE rates SET name = ?, duration = ?, coins_required = ?, price = ?, min_spend = ?, data_limit_mb = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [...values, rateId]
+          );
+          keptIds.add(rateId);
+        } else {
+          await db.query(
+            'INSERT INTO rates (name, duration, coins_required, price, min_spend, data_limit_mb, is_active) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            values
+          );
+        }
       } catch (rateError) {
         console.error('Error inserting rate:', rate, rateError);
-        throw new Error(`Failed to insert rate '${rate.name}': ${rateError.message}`);
+        throw new Error(`Failed to save rate '${rate.name}': ${rateError.message}`);
+      }
+    }
+
+    // Rates left out of the list were deleted in the editor (their schedules go with them)
+    for (const id of existingIds) {
+      if (!keptIds.has(id)) {
+        await db.query('DELETE FROM rates WHERE id = ?', [id]);
       }
     }
 
@@ -254,16 +288,54 @@ router.put('/rates', authenticateToken, async (req, res) => {
   }
 });
 
+// Update rate engine settings (leftover handling and minimum spend)
+router.put('/rate-engine', authenticateToken, async (req, res) => {
+  try {
+    const { leftover_mode, min_spend } = req.body;
+
+    if (!rateEngine.LEFTOVER_MODES.includes(leftover_mode)) {
+      return res.status(400).json({ error: `Leftover mode must be one of: ${rateEngine.LEFTOVER_MODES.join(', ')}` });
+    }
+
+    const minSpend = parseFloat(min_spend) || 0;
+    if (minSpend < 0 || minSpend > 10000) {
+      return res.status(400).json({ error: 'Minimum spend must be between 0 and 10000' });
+    }
+
+    await db.query(
+      'UPDATE portal_settings SET rate_leftover_mode = $1, rate_min_spend = $2, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+      [leftover_mode, minSpend]
+    );
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', 'Rate engine settings updated', 'admin', JSON.stringify({ admin: req.user.username, leftover_mode, min_spend: minSpend })]
+    );
+
+    res.json({ success: true, message: 'Rate engine settings updated' });
+  } catch (error) {
+    console.error('Update rate engine settings error:', error);
+    res.status(500).json({ error: 'Failed to update rate engine settings' });
+  }
+});
+
 // Add system settings route
 router.put('/system', authenticateToken, async (req, res) => {
   try {
     const { auto_restart, restart_time, max_clients, session_timeout, log_level } = req.body;
 
-    // Save system settings to database
+    // Save system settings to database (upsert keeps columns not in this form, e.g. currency)
     await db.query(`
-      INSERT OR REPLACE INTO system_settings 
+      INSERT INTO system_settings 
       (id, auto_restart, restart_time, max_clients, session_timeout, log_level, updated_at) 
       VALUES (1, $1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        auto_restart = excluded.auto_restart,
+        restart_time = excluded.restart_time,
+        max_clients = excluded.max_clients,
+        session_timeout = excluded.session_timeout,
+        log_level = excluded.log_level,
+        updated_at = excluded.updated_at
     `, [auto_restart ? 1 : 0, restart_time || '03:00', max_clients || 100, session_timeout || 7200, log_level || 'info']);
 
     // Log action
@@ -279,6 +351,152 @@ router.put('/system', authenticateToken, async (req, res) => {
   }
 });
 
+// Get currency settings
+router.get('/currency', authenticateToken, async (req, res) => {
+  try {
+    currencyService.invalidate();
+    res.json({ currency: await currencyService.getCurrency() });
+  } catch (error) {
+    console.error('Get currency settings error:', error);
+    res.status(500).json({ error: 'Failed to get currency settings' });
+  }
+});
+
+// Update currency settings
+router.put('/currency', authenticateToken, async (req, res) => {
+  try {
+    const { valid, errors, sanitized } = validateCurrency(req.body);
+    if (!valid) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const currency = await currencyService.updateCurrency(sanitized);
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Currency set to ${currency.code}`, 'admin', JSON.stringify({ admin: req.user.username, currency })]
+    );
+
+    res.json({ success: true, message: 'Currency settings updated', currency });
+  } catch (error) {
+    console.error('Update currency settings error:', error);
+    res.status(500).json({ error: 'Failed to update currency settings' });
+  }
+});
+
+// List coin denominations
+router.get('/denominations', authenticateToken, async (req, res) => {
+  try {
+    currencyService.invalidate();
+    res.json({ denominations: await currencyService.getDenominations() });
+  } catch (error) {
+    console.error('Get denominations error:', error);
+    res.status(500).json({ error: 'Failed to get denominations' });
+  }
+});
+
+// Add a coin denomination
+router.post('/denominations', authenticateToken, async (req, res) => {
+  try {
+    const { valid, errors, sanitized } = validateDenomination(req.body, { isNew: true });
+    if (!valid) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const existing = await db.query(
+      'SELECT id FROM coin_denominations WHERE value = $1 OR (pulses IS NOT NULL AND pulses = $2)',
+      [sanitized.value, sanitized.pulses ?? null]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A denomination with this value or pulse count already exists' });
+    }
+
+    const result = await db.query(
+      'INSERT INTO coin_denominations (value, pulses, label, is_active) VALUES ($1, $2, $3, $4) RETURNING *',
+      [sanitized.value, sanitized.pulses ?? null, sanitized.label ?? null, sanitized.is_active ?? 1]
+    );
+    currencyService.invalidate();
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Coin denomination ${sanitized.value} added`, 'admin', JSON.stringify({ admin: req.user.username, denomination: result.rows[0] })]
+    );
+
+    res.json({ success: true, denomination: result.rows[0] });
+  } catch (error) {
+    console.error('Add denomination error:', error);
+    res.status(500).json({ error: 'Failed to add denomination' });
+  }
+});
+
+// Update a coin denomination
+router.put('/denominations/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { valid, errors, sanitized } = validateDenomination(req.body);
+    if (!valid) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const fields = Object.keys(sanitized);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    if (sanitized.value !== undefined || sanitized.pulses) {
+      const existing = await db.query(
+        'SELECT id FROM coin_denominations WHERE id != $1 AND (value = $2 OR (pulses IS NOT NULL AND pulses = $3))',
+        [id, sanitized.value ?? null, sanitized.pulses ?? null]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'A denomination with this value or pulse count already exists' });
+      }
+    }
+
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+    const result = await db.query(
+      `UPDATE coin_denominations SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1} RETURNING *`,
+      [...fields.map(field => sanitized[field]), id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Denomination not found' });
+    }
+    currencyService.invalidate();
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Coin denomination ${result.rows[0].value} updated`, 'admin', JSON.stringify({ admin: req.user.username, denomination: result.rows[0] })]
+    );
+
+    res.json({ success: true, denomination: result.rows[0] });
+  } catch (error) {
+    console.error('Update denomination error:', error);
+    res.status(500).json({ error: 'Failed to update denomination' });
+  }
+});
+
+// Delete a coin denomination
+router.delete('/denominations/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM coin_denominations WHERE id = $1 RETURNING *', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Denomination not found' });
+    }
+    currencyService.invalidate();
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Coin denomination ${result.rows[0].value} removed`, 'admin', JSON.stringify({ admin: req.user.username, denomination: result.rows[0] })]
+    );
+
+    res.json({ success: true, message: 'Denomination removed' });
+  } catch (error) {
+    console.error('Delete denomination error:', error);
+    res.status(500).json({ error: 'Failed to delete denomination' });
+  }
+});
+
 // Test GPIO coin detection
 router.post('/gpio/test-coin', authenticateToken, async (req, res) => {
   try {
@@ -297,10 +515,11 @@ router.post('/gpio/test-coin', authenticateToken, async (req, res) => {
 });
 
 // All settings are now stored in SQLite database tables:
-// - network_settings: DHCP, DNS, network configuration
+// - network_config: LAN, DHCP, DNS and WAN configuration (see services/network-config.js)
 // - portal_settings: Portal title, subtitle, coin timeout
 // - gpio_settings: GPIO pins, coin detection settings
-// - system_settings: System-wide configuration
+// - system_settings: System-wide configuration, currency
+// - coin_denominations: Accepted coins and their pulse counts
 // - rates: Coin rates and pricing
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../db/sqlite-adapter');
+const memberAccounts = require('../../services/member-accounts');
+const sessionClock = require('../../services/session-clock');
+const sessionEvents = require('../../services/session-events');
+const currencyService = require('../../services/currency');
+const freeTrial = require('../../services/free-trial');
 const { authenticateAdmin } = require('../../middleware/security');
 
+// Statuses a completed transaction can be reversed to. Revenue queries count
+// COMPLETED rows only, so reversed sales drop out of every report.
+const REVERSAL_STATUSES = {
+  void: 'VOIDED',
+  refund: 'REFUNDED'
+};
+
 // Get transactions with pagination and filters
 router.get('/', authenticateAdmin, async (req, res) => {
   try {
@@ -55,11 +67,12 @@ router.get('/', authenticateAdmin, async (req, res) => {
     );
     const total = countResult.rows[0].count;
 
-    // Get transactions with client info
+    // Get transactions with client and member info
     const transactionsResult = await db.query(
-      `SELECT t.*, c.mac_address, c.ip_address, c.device_name
+      `SELECT t.*, c.mac_address, c.ip_address, c.device_name, m.username as member_username
        FROM transactions t
        LEFT JOIN clients c ON t.client_id = c.id
+       LEFT JOIN members m ON t.member_id = m.id
        ${whereClause}
        ORDER BY t.created_at DESC
        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
@@ -101,11 +114,20 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
       `SELECT COUNT(*) as count FROM transactions`
     );
 
+    // Reversed (voided/refunded) sales
+    const reversedResult = await db.query(
+      `SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total
+       FROM transactions 
+       WHERE status IN ('VOIDED', 'REFUNDED')`
+    );
+
     res.json({
       todaySales: parseFloat(todayResult.rows[0].total_sales) || 0,
       todayCoins: parseInt(todayResult.rows[0].total_coins) || 0,
       allTimeRevenue: parseFloat(allTimeResult.rows[0].total_revenue) || 0,
-      totalTransactions: parseInt(countResult.rows[0].count) || 0
+      totalTransactions: parseInt(countResult.rows[0].count) || 0,
+      reversedTransactions: parseInt(reversedResult.rows[0].count) || 0,
+      reversedAmount: parseFloat(reversedResult.rows[0].total) || 0
     });
   } catch (error) {
     console.error('Error fetching transaction stats:', error);
@@ -152,7 +174,8 @@ router.get('/export', authenticateAdmin, async (req, res) => {
       : '';
 
     const result = await db.query(
-      `SELECT t.id, t.created_at, c.mac_address, c.ip_address, t.amount, t.coins_used, t.payment_method, t.status
+      `SELECT t.id, t.created_at, c.mac_address, c.ip_address, t.amount, t.coins_used, t.payment_method, t.status,
+              t.voided_at, t.voided_by, t.void_reason
        FROM transactions t
        LEFT JOIN clients c ON t.client_id = c.id
        ${whereClause}
@@ -161,7 +184,8 @@ router.get('/export', authenticateAdmin, async (req, res) => {
     );
 
     // Generate CSV
-    const headers = ['ID', 'Date & Time', 'MAC Address', 'IP Address', 'Amount', 'Coins', 'Payment Method', 'Status'];
+    const headers = ['ID', 'Date & Time', 'MAC Address', 'IP Address', 'Amount', 'Coins', 'Payment Method', 'Status',
+      'Voided At', 'Voided By', 'Void Reason'];
     const rows = result.rows.map(tx => [
       tx.id,
       tx.created_at,
@@ -170,7 +194,10 @@ router.get('/export', authenticateAdmin, async (req, res) => {
       tx.amount,
       tx.coins_used,
       tx.payment_method,
-      tx.status
+      tx.status,
+      tx.voided_at || '',
+      tx.voided_by || '',
+      `"${String(tx.void_reason || '').replace(/"/g, '""')}"`
     ]);
 
     const csv = [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
@@ -189,7 +216,8 @@ router.get('/daily-report', authenticateAdmin, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
-    let whereConditions = [`status = 'COMPLETED'`];
+    // Free trials are not sales; they are reported on their own below
+    let whereConditions = [`status = 'COMPLETED'`, `COALESCE(payment_method, '') != 'TRIAL'`];
     let params = [];
     let paramIndex = 1;
 
@@ -233,6 +261,22 @@ router.get('/daily-report', authenticateAdmin, async (req, res) => {
       params
     );
 
+    // Revenue per rate schedule (promo); unscheduled sales are regular pricing
+    const promoResult = await db.query(
+      `SELECT 
+        t.schedule_id,
+        s.name as schedule_name,
+        COUNT(*) as sessions,
+        COALESCE(SUM(t.amount), 0) as revenue
+       FROM (SELECT * FROM transactions ${whereClause}) t
+       LEFT JOIN rate_schedules s ON t.schedule_id = s.id
+       GROUP BY t.schedule_id
+       ORDER BY revenue DESC`,
+      params
+    );
+
+    const trials = await freeTrial.getConversionStats({ startDate, endDate });
+
     const summary = summaryResult.rows[0];
     const dailyData = dailyResult.rows;
     const dailyAverage = dailyData.length > 0 
@@ -252,7 +296,16 @@ router.get('/daily-report', authenticateAdmin, async (req, res) => {
         totalSessions: parseInt(summary.total_sessions) || 0,
         avgSessionValue: parseFloat(summary.avg_session_value) || 0,
         dailyAverage: dailyAverage
-      }
+      },
+      promos: promoResult.rows.map(row => ({
+        scheduleId: row.schedule_id,
+        name: row.schedule_id
+          ? (row.schedule_name || `Deleted schedule #${row.schedule_id}`)
+          : 'Regular pricing',
+        sessions: parseInt(row.sessions) || 0,
+        revenue: parseFloat(row.revenue) || 0
+      })),
+      trials
     });
   } catch (error) {
     console.error('Error fetching daily report:', error);
@@ -260,4 +313,123 @@ router.get('/daily-report', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Take a reversed transaction's time back from wherever it went. Wallet
+// top-ups (no session) put time in the member's wallet; everything else put
+// it on the device. Only time still unused can be taken back.
+async function deductTransactionTime(transaction, seconds) {
+  if (!transaction.session_id && transaction.member_id && transaction.payment_method !== 'WALLET') {
+    const reclaimed = await memberAccounts.reclaim(transaction.member_id, seconds);
+    return { target: 'wallet', seconds: reclaimed };
+  }
+
+  if (!transaction.client_id) {
+    return { target: null, seconds: 0 };
+  }
+
+  const clientResult = await db.query('SELECT id FROM clients WHERE id = $1', [transaction.client_id]);
+  if (clientResult.rows.length === 0) {
+    return { target: null, seconds: 0 };
+  }
+
+  const remaining = await sessionClock.getRemaining(transaction.client_id);
+  const deducted = Math.min(seconds, remaining);
+  if (deducted > 0) {
+    // The session clock disconnects the client if this takes it to zero
+    await sessionClock.addTime(transaction.client_id, -deducted);
+
+    // Time that came out of a wallet goes back into it
+    if (transaction.payment_method === 'WALLET' && transaction.member_id) {
+      await memberAccounts.credit(transaction.member_id, deducted);
+    }
+  }
+
+  return { target: 'client', seconds: deducted };
+}
+
+// Void or refund a completed transaction
+async function reverseTransaction(req, res, action) {
+  try {
+    const { id } = req.params;
+    const { reason, deduct_time: deductTime = false, deduct_seconds: deductSeconds } = req.body;
+    const newStatus = REVERSAL_STATUSES[action];
+
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (!trimmedReason || trimmedReason.length > 500) {
+      return res.status(400).json({ error: 'A reason is required (at most 500 characters)' });
+    }
+
+    if (deductSeconds !== undefined && deductSeconds !== null && deductSeconds !== '' &&
+      (!Number.isInteger(Number(deductSeconds)) || Number(deductSeconds) < 0)) {
+      return res.status(400).json({ error: 'Invalid time to deduct' });
+    }
+
+    const existing = await db.query('SELECT * FROM transactions WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    // Claim the row so two admins cannot reverse it twice
+    const claim = await db.query(
+      `UPDATE transactions SET status = $1, voided_at = CURRENT_TIMESTAMP, voided_by = $2, void_reason = $3
+       WHERE id = $4 AND status = 'COMPLETED'`,
+      [newStatus, req.user?.username, trimmedReason, id]
+    );
+    if (claim.rowCount === 0) {
+      return res.status(409).json({ error: `Transaction is already ${existing.rows[0].status.toLowerCase()}` });
+    }
+
+    const transaction = existing.rows[0];
+    let deduction = { target: null, seconds: 0 };
+    if (deductTime) {
+      const seconds = deductSeconds !== undefined && deductSeconds !== null && deductSeconds !== ''
+        ? parseInt(deductSeconds)
+        : parseInt(transaction.duration) || 0;
+      if (seconds > 0) {
+        deduction = await deductTransactionTime(transaction, seconds);
+      }
+      await db.query('UPDATE transactions SET time_deducted = $1 WHERE id = $2', [deduction.seconds, id]);
+      if (deduction.target === 'client' && deduction.seconds > 0) {
+        await sessionEvents.record(transaction.client_id, 'time_adjusted', {
+          reason: newStatus.toLowerCase(),
+          timeDelta: -deduction.seconds,
+          actor: req.user?.username,
+          details: { transaction_id: parseInt(id), note: trimmedReason }
+        });
+      }
+    }
+
+    const amount = await currencyService.format(transaction.amount);
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['WARN', `Transaction #${id} ${newStatus.toLowerCase()}: ${amount} ${transaction.payment_method}`, 'admin',
+        JSON.stringify({
+          admin: req.user?.username,
+          transaction_id: parseInt(id),
+          reason: trimmedReason,
+          amount: transaction.amount,
+          time_deducted: deduction.seconds,
+          deducted_from: deduction.target
+        })]
+    );
+
+    const updated = await db.query('SELECT * FROM transactions WHERE id = $1', [id]);
+
+    res.json({
+      success: true,
+      transaction: updated.rows[0],
+      time_deducted: deduction.seconds,
+      deducted_from: deduction.target
+    });
+  } catch (error) {
+    console.error(`Error reversing transaction (${action}):`, error);
+    res.status(500).json({ error: `Failed to ${action} transaction` });
+  }
+}
+
+// Void a transaction recorded by mistake (e.g. credited to the wrong device)
+router.post('/:id/void', authenticateAdmin, (req, res) => reverseTransaction(req, res, 'void'));
+
+// Refund a transaction whose money was given back to the customer
+router.post('/:id/refund', authenticateAdmin, (req, res) => reverseTransaction(req, res, 'refund'));
+
 module.exports = router;
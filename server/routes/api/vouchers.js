@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../../db/sqlite-adapter');
+const { authenticateAPI } = require('../../middleware/security');
+const { isValidInteger } = require('../../utils/validators');
+const {
+  generateVoucherCode,
+  generateBatchId,
+  formatVoucherCode,
+  expireStaleVouchers
+} = require('../../utils/vouchers');
+
+const authenticateToken = authenticateAPI;
+
+const MAX_BATCH_SIZE = 500;
+const MAX_VOUCHER_DURATION = 30 * 86400; // 30 days
+const VOUCHER_STATUSES = ['unused', 'active', 'expired'];
+
+// List vouchers with optional batch/status filters
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    await expireStaleVouchers();
+
+    const { batch_id, status, page = 1, limit = 50 } = req.query;
+    const whereConditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (batch_id) {
+      whereConditions.push(`v.batch_id = $${paramIndex}`);
+      params.push(batch_id);
+      paramIndex++;
+    }
+
+    if (status) {
+      if (!VOUCHER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid voucher status' });
+      }
+      whereConditions.push(`v.status = $${paramIndex}`);
+      params.push(status);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? 'WHERE ' + whereConditions.join(' AND ')
+      : '';
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as count FROM vouchers v ${whereClause}`,
+      params
+    );
+    const total = countResult.rows[0].count;
+
+    const result = await db.query(
+      `SELECT v.*, c.device_name
+       FROM vouchers v
+       LEFT JOIN clients c ON v.client_id = c.id
+       ${whereClause}
+       ORDER BY v.created_at DESC, v.id DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      vouchers: result.rows.map(v => ({ ...v, display_code: formatVoucherCode(v.code) })),
+      total: total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / parseInt(limit))
+    });
+  } catch (error) {
+    console.error('Get vouchers error:', error);
+    res.status(500).json({ error: 'Failed to fetch vouchers' });
+  }
+});
+
+// List batches with per-status counts
+router.get('/batches', authenticateToken, async (req, res) => {
+  try {
+    await expireStaleVouchers();
+
+    const result = await db.query(`
+      SELECT
+        batch_id,
+        duration,
+        price,
+        MIN(created_at) as created_at,
+        MAX(expires_at) as expires_at,
+        MAX(created_by) as created_by,
+        COUNT(*) as total,
+        SUM(CASE WHEN status = 'unused' THEN 1 ELSE 0 END) as unused,
+        SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active,
+        SUM(CASE WHEN status = 'expired' THEN 1 ELSE 0 END) as expired
+      FROM vouchers
+      GROUP BY batch_id
+      ORDER BY MIN(created_at) DESC
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get voucher batches error:', error);
+    res.status(500).json({ error: 'Failed to fetch voucher batches' });
+  }
+});
+
+// Generate a batch of vouchers
+router.post('/batches', authenticateToken, async (req, res) => {
+  try {
+    const { count, duration, price = 0, valid_days = 30 } = req.body;
+
+    if (!isValidInteger(Number(count), 1, MAX_BATCH_SIZE)) {
+      return res.status(400).json({ error: `Count must be between 1 and ${MAX_BATCH_SIZE}` });
+    }
+
+    if (!isValidInteger(Number(duration), 60, MAX_VOUCHER_DURATION)) {
+      return res.status(400).json({ error: 'Duration must be between 60 seconds and 30 days' });
+    }
+
+    const voucherPrice = parseFloat(price);
+    if (isNaN(voucherPrice) || voucherPrice < 0) {
+      return res.status(400).json({ error: 'Price must be zero or a positive amount' });
+    }
+
+    if (!isValidInteger(Number(valid_days), 1, 365)) {
+      return res.status(400).json({ error: 'Validity must be between 1 and 365 days' });
+    }
+
+    const batchId = generateBatchId();
+    const codes = [];
+
+    while (codes.length < Number(count)) {
+      const code = generateVoucherCode();
+      try {
+        await db.query(
+          `INSERT INTO vouchers (code, batch_id, duration, price, status, expires_at, created_by)
+           VALUES ($1, $2, $3, $4, 'unused', datetime('now', '+' || $5 || ' days'), $6)`,
+          [code, batchId, Number(duration), voucherPrice, Number(valid_days), req.user?.username || null]
+        );
+        codes.push(code);
+      } catch (insertError) {
+        // Retry on the rare code collision, fail on anything else
+        if (!insertError.message.includes('UNIQUE constraint')) {
+          throw insertError;
+        }
+      }
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Voucher batch ${batchId} generated (${codes.length} codes)`, 'vouchers',
+        JSON.stringify({ admin: req.user?.username, batch_id: batchId, count: codes.length, duration: Number(duration), price: voucherPrice })]
+    );
+
+    res.json({
+      success: true,
+      batch_id: batchId,
+      count: codes.length,
+      codes: codes.map(formatVoucherCode)
+    });
+  } catch (error) {
+    console.error('Generate vouchers error:', error);
+    res.status(500).json({ error: 'Failed to generate vouchers' });
+  }
+});
+
+// Expire all unused vouchers in a batch
+router.post('/batches/:batchId/expire', authenticateToken, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const result = await db.query(
+      `UPDATE vouchers SET status = 'expired' WHERE batch_id = $1 AND status = 'unused'`,
+      [batchId]
+    );
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Voucher batch ${batchId} expired`, 'vouchers',
+        JSON.stringify({ admin: req.user?.username, batch_id: batchId, expired: result.rowCount })]
+    );
+
+    res.json({ success: true, expired: result.rowCount });
+  } catch (error) {
+    console.error('Expire voucher batch error:', error);
+    res.status(500).json({ error: 'Failed to expire voucher batch' });
+  }
+});
+
+// Expire a single unused voucher
+router.post('/:id/expire', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `UPDATE vouchers SET status = 'expired' WHERE id = $1 AND status = 'unused'`,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(400).json({ error: 'Only unused vouchers can be expired' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Expire voucher error:', error);
+    res.status(500).json({ error: 'Failed to expire voucher' });
+  }
+});
+
+// Delete a batch (redeemed vouchers are kept for the sales history)
+router.delete('/batches/:batchId', authenticateToken, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const result = await db.query(
+      `DELETE FROM vouchers WHERE batch_id = $1 AND redeemed_at IS NULL`,
+      [batchId]
+    );
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Voucher batch ${batchId} deleted`, 'vouchers',
+        JSON.stringify({ admin: req.user?.username, batch_id: batchId, deleted: result.rowCount })]
+    );
+
+    res.json({ success: true, deleted: result.rowCount });
+  } catch (error) {
+    console.error('Delete voucher batch error:', error);
+    res.status(500).json({ error: 'Failed to delete voucher batch' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/sqlite-adapter');
+const { REMAINING_TIME_SQL } = require('../services/session-clock');
 const { isValidIPv4 } = require('../utils/validators');
 
 // Enhanced captive portal detection endpoints with better device support
@@ -56,7 +57,7 @@ async function isClientAuthenticated(req) {
     // Check authentication in database
     if (detectedMac) {
       const authCheck = await db.query(
-        'SELECT * FROM clients WHERE mac_address = $1 AND status = $2 AND time_remaining > 0',
+        `SELECT *, ${REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE mac_address = $1 AND status = $2 AND ${REMAINING_TIME_SQL} > 0`,
         [detectedMac, 'CONNECTED']
       );
       
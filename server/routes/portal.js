@@ -3,14 +3,51 @@ const router = express.Router();
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const crypto = require('crypto');
-const UAParser = require('ua-parser-js');
 const NetworkManager = require('../services/network-manager');
+const networkConfig = require('../services/network-config');
+const sessionManager = require('../services/session-manager');
+const rateEngine = require('../services/rate-engine');
+const dataUsageMonitor = require('../services/data-usage');
+const memberAccounts = require('../services/member-accounts');
+const paymentService = require('../services/payments');
+const sessionClock = require('../services/session-clock');
+const pausePolicy = require('../services/pause-policy');
+const clientIdentity = require('../services/client-identity');
+const timePools = require('../services/time-pools');
+const freeTrial = require('../services/free-trial');
+const currencyService = require('../services/currency');
+const { formatMoney } = require('../utils/currency');
 const db = require('../db/sqlite-adapter');
+const { RateLimiter } = require('../middleware/security');
+const { trialAbuseProtection } = require('../middleware/coin-abuse-protection');
 const { isValidIPv4, sanitizeMacAddress } = require('../utils/validators');
+const { normalizeVoucherCode, expireStaleVouchers } = require('../utils/vouchers');
 
 const execAsync = promisify(exec);
 const networkManager = new NetworkManager();
 
+// Member PINs can be short, so login attempts are limited per IP
+const memberLoginLimiter = new RateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: 'Too many login attempts, please try again in 15 minutes'
+});
+
+// Pairing codes are short too
+const poolJoinLimiter = new RateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: 'Too many pairing attempts, please try again in 15 minutes'
+});
+
+// Portal pages show prices in the configured currency
+router.use(async (req, res, next) => {
+  const currency = await currencyService.getCurrency();
+  res.locals.currency = currency;
+  res.locals.formatMoney = amount => formatMoney(amount, currency);
+  next();
+});
+
 // Generate a unique session token
 function generateSessionToken() {
   return crypto.randomBytes(32).toString('hex');
@@ -18,25 +55,7 @@ function generateSessionToken() {
 
 // Helper: get preferred network interface for neighbor table lookup
 async function getNeighborInterface() {
-  try {
-    const result = await db.query('SELECT interface FROM network_settings WHERE id = 1');
-    if (result.rows.length > 0 && result.rows[0].interface) {
-      return result.rows[0].interface;
-    }
-  } catch (_) {
-    // ignore
-  }
-
-  try {
-    const result = await db.query('SELECT wifi_interface FROM network_config WHERE id = 1');
-    if (result.rows.length > 0 && result.rows[0].wifi_interface) {
-      return result.rows[0].wifi_interface;
-    }
-  } catch (_) {
-    // ignore
-  }
-
-  return process.env.PISOWIFI_INTERFACE || 'wlan0';
+  return networkConfig.getLanInterface();
 }
 
 // Helper function to find client by session token, IP, or MAC (with fallback)
@@ -46,7 +65,7 @@ async function findClientByIdentifiers(sessionToken, clientIP, detectedMac) {
   // Priority 1: Try to find by MAC address (most reliable if available)
   if (detectedMac && detectedMac !== 'Unknown') {
     const macResult = await db.query(
-      'SELECT * FROM clients WHERE mac_address = $1 AND status = $2 AND time_remaining > 0',
+      `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE mac_address = $1 AND status = $2 AND ${sessionClock.REMAINING_TIME_SQL} > 0`,
       [detectedMac, 'CONNECTED']
     );
     if (macResult.rows.length > 0) {
@@ -58,48 +77,101 @@ async function findClientByIdentifiers(sessionToken, clientIP, detectedMac) {
   // Priority 2: Try to find by session token (handles random MAC)
   if (!client && sessionToken) {
     const tokenResult = await db.query(
-      'SELECT * FROM clients WHERE session_token = $1 AND status = $2 AND time_remaining > 0',
+      `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE session_token = $1 AND status = $2 AND ${sessionClock.REMAINING_TIME_SQL} > 0`,
       [sessionToken, 'CONNECTED']
     );
     if (tokenResult.rows.length > 0) {
       client = tokenResult.rows[0];
       console.log(`[SESSION] Found client by session token (random MAC fallback)`);
-      // Update MAC address if we have a new one
-      if (detectedMac && detectedMac !== 'Unknown' && detectedMac !== client.mac_address) {
-        console.log(`[SESSION] Updating MAC from ${client.mac_address} to ${detectedMac}`);
-        await db.query(
-          'UPDATE clients SET mac_address = $1, last_seen = CURRENT_TIMESTAMP WHERE id = $2',
-          [detectedMac, client.id]
-        );
-        client.mac_address = detectedMac;
-      }
+      client = await followMacChange(client, detectedMac, clientIP, 'session_token');
     }
   }
 
-  // Priority 3: Try to find by IP address (least reliable but useful backup)
-  if (!client && clientIP) {
+  // Priority 3: Try to find by IP address, only when the MAC is unknown.
+  // DHCP hands a released IP to other devices, so an IP match never moves
+  // a session to a different MAC
+  if (!client && clientIP && (!detectedMac || detectedMac === 'Unknown')) {
     const ipResult = await db.query(
-      'SELECT * FROM clients WHERE ip_address = $1 AND status = $2 AND time_remaining > 0 ORDER BY last_seen DESC LIMIT 1',
+      `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE ip_address = $1 AND status = $2 AND ${sessionClock.REMAINING_TIME_SQL} > 0 ORDER BY last_seen DESC LIMIT 1`,
       [clientIP, 'CONNECTED']
     );
     if (ipResult.rows.length > 0) {
       client = ipResult.rows[0];
       console.log(`[SESSION] Found client by IP fallback: ${clientIP}`);
-      // Update MAC if available
-      if (detectedMac && detectedMac !== 'Unknown' && detectedMac !== client.mac_address) {
-        console.log(`[SESSION] Updating MAC from ${client.mac_address} to ${detectedMac}`);
-        await db.query(
-          'UPDATE clients SET mac_address = $1, last_seen = CURRENT_TIMESTAMP WHERE id = $2',
-          [detectedMac, client.id]
-        );
-        client.mac_address = detectedMac;
-      }
     }
   }
 
   return client;
 }
 
+// Helper: a client found under another MAC moves to the one the device uses now
+async function followMacChange(client, detectedMac, clientIP, matchedBy) {
+  if (!detectedMac || detectedMac === 'Unknown' || detectedMac === client.mac_address) {
+    return client;
+  }
+
+  console.log(`[SESSION] Moving client from ${client.mac_address} to ${detectedMac}`);
+  const moved = await clientIdentity.migrate(client, detectedMac, clientIP, matchedBy);
+  if (!moved) return client;
+
+  const result = await db.query(
+    `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE id = $1`,
+    [moved.clientId]
+  );
+  return result.rows[0] || client;
+}
+
+// Helper: carry the device's time over if it paid under a MAC it no longer uses
+function recognizeDevice(req, detectedMac, clientIP, sessionToken) {
+  return clientIdentity.recognize({
+    macAddress: detectedMac,
+    clientIP,
+    sessionToken,
+    userAgent: req.headers['user-agent']
+  });
+}
+
+// Helper: claim the coins (and carried credit) /queues/redeem released for this
+// client. Purchases are priced from these rows, never from a posted amount.
+async function spendRedeemedCoins(sessionToken, clientIP, macAddress) {
+  const result = await db.query(
+    `UPDATE coin_queues
+     SET status = 'spent', spent_at = CURRENT_TIMESTAMP
+     WHERE status = 'redeemed'
+     AND (session_token = $1 OR client_ip = $2 OR client_mac = $3)
+     RETURNING id, coin_count, total_value`,
+    [sessionToken, clientIP, macAddress.toUpperCase()]
+  );
+
+  return {
+    ids: result.rows.map(row => row.id),
+    totalCoins: result.rows.reduce((sum, row) => sum + (parseInt(row.coin_count) || 0), 0),
+    totalValue: result.rows.reduce((sum, row) => sum + (parseFloat(row.total_value) || 0), 0)
+  };
+}
+
+// Helper: hand claimed coins back when the purchase did not go through
+async function releaseSpentCoins(ids) {
+  if (ids.length === 0) return;
+  await db.query(
+    `UPDATE coin_queues SET status = 'redeemed', spent_at = NULL
+     WHERE status = 'spent' AND id IN (${ids.map((id, i) => `$${i + 1}`).join(', ')})`,
+    ids
+  );
+}
+
+// Helper: keep money that fit no package (leftover_mode 'carry') queued as
+// credit for the client's next purchase, where the coin queue is redeemed
+async function carryCredit(credit, clientIP, macAddress, sessionToken) {
+  if (!(credit > 0)) return;
+  await db.query(
+    `INSERT INTO coin_queues (client_ip, client_mac, session_token, coin_value, coin_count, total_value, status)
+     VALUES ($1, $2, $3, $4, 0, $4, 'queued')`,
+    [clientIP, macAddress.toUpperCase(), sessionToken, credit]
+  );
+  console.log(`Carried ${await currencyService.format(credit)} leftover credit for next purchase`);
+}
+
 // Helper function to find coin queues by multiple identifiers
 async function findCoinQueuesByIdentifiers(sessionToken, clientIP, clientMac) {
   const result = await db.query(`
@@ -205,6 +277,9 @@ router.get('/', async (req, res) => {
     console.log(`[DEBUG PORTAL] Checking auth for MAC: ${detectedMac || 'Unknown'}, Token: ${sessionToken ? 'present' : 'none'}, IP: ${clientIP}`);
     
     try {
+      // A device back under a new (randomized) MAC gets its time moved over first
+      await recognizeDevice(req, detectedMac, clientIP, sessionToken);
+
       // Use the new multi-identifier lookup
       clientInfo = await findClientByIdentifiers(sessionToken, clientIP, detectedMac);
       
@@ -239,9 +314,8 @@ router.get('/', async (req, res) => {
       console.log(`[SESSION] Generated new session token for client`);
     }
 
-    // Get active rates
-    const result = await db.query('SELECT * FROM rates WHERE is_active = true ORDER BY duration');
-    const rates = result.rows;
+    // Get rates offered right now
+    const rates = (await rateEngine.loadRates()).sort((a, b) => a.duration - b.duration);
 
     // Get WAN connectivity status
     let wanStatus = 'unknown';
@@ -272,16 +346,36 @@ router.get('/', async (req, res) => {
       console.warn('Failed to load portal settings, using defaults:', settingsError.message);
     }
 
+    const member = await memberAccounts.getMemberFromRequest(req);
+    const poolSettings = await timePools.getSettings();
+
+    // Only offered to devices that can take it right now
+    let trial = null;
+    if (!isAuthenticated && detectedMac) {
+      const eligibility = await freeTrial.checkEligibility({
+        macAddress: detectedMac,
+        clientIP,
+        sessionToken,
+        userAgent: req.headers['user-agent']
+      });
+      if (eligibility.eligible) trial = { minutes: eligibility.minutes };
+    }
+
     res.render('portal', {
       title: portalSettings.portal_title,
       rates: rates,
+      member: memberAccounts.toPublic(member),
+      paymentProviders: paymentService.listProviders(),
+      denominations: await currencyService.getDenominations({ activeOnly: true }),
       clientIP: clientIP,
       clientMAC: detectedMac || 'Unknown',
       sessionToken: sessionToken,
       isAuthenticated: isAuthenticated,
       clientInfo: clientInfo,
       wanStatus: wanStatus,
-      portalSettings: portalSettings
+      portalSettings: portalSettings,
+      poolSharing: poolSettings.maxDevices >= 2,
+      freeTrial: trial
     });
   } catch (error) {
     console.error('Portal error:', error);
@@ -289,358 +383,799 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Helper: resolve the requesting client's IPv4 address
+function getClientIP(req) {
+  let clientIP = req.headers['x-forwarded-for'] ||
+    req.connection.remoteAddress ||
+    req.socket.remoteAddress ||
+    (req.connection.socket ? req.connection.socket.remoteAddress : null);
+
+  // Clean IPv6-mapped IPv4 addresses
+  if (clientIP && clientIP.startsWith('::ffff:')) {
+    clientIP = clientIP.substring(7);
+  }
+
+  // Remove port if present
+  if (clientIP && clientIP.includes(':') && !clientIP.includes('::')) {
+    clientIP = clientIP.split(':')[0];
+  }
+
+  return clientIP;
+}
+
+// Helper: detect a device MAC via ARP, the neighbor table or the DHCP lease, then a temporary MAC derived from the IP
+async function detectClientMac(clientIP, macAddress) {
+  if (macAddress && macAddress !== 'auto-detect') {
+    return macAddress;
+  }
+
+  let detectedMac = null;
+  console.log('Attempting MAC detection for IP:', clientIP);
+
+  // Try ARP table first
+  try {
+    // SECURITY: Validate clientIP before using in shell command to prevent command injection
+    if (!clientIP || !isValidIPv4(clientIP)) {
+      throw new Error('Invalid or missing client IP');
+    }
+    const { stdout: arpOutput } = await execAsync(`arp -n ${clientIP}`);
+    const arpMatch = arpOutput.match(/([0-9a-fA-F]{2}[:-]){5}([0-9a-fA-F]{2})/);
+    if (arpMatch) {
+      detectedMac = arpMatch[0].replace(/[-:]/g, ':').toUpperCase();
+      console.log('MAC found via ARP:', detectedMac);
+    }
+  } catch (arpError) {
+    console.log('ARP lookup failed:', arpError.message);
+  }
+
+  // Try neighbor table if ARP failed
+  if (!detectedMac) {
+    try {
+      const { stdout: neighborOutput } = await execAsync(`ip neighbor show`);
+      const neighborLines = neighborOutput.split('\n');
+      for (const line of neighborLines) {
+        if (line.includes(clientIP)) {
+          const macMatch = line.match(/([0-9a-fA-F]{2}[:-]){5}([0-9a-fA-F]{2})/);
+          if (macMatch) {
+            detectedMac = macMatch[0].replace(/[-:]/g, ':').toUpperCase();
+            console.log('MAC found via neighbor table:', detectedMac);
+            break;
+          }
+        }
+      }
+    } catch (neighborError) {
+      console.log('Neighbor lookup failed:', neighborError.message);
+    }
+  }
+
+  // Devices that haven't sent traffic yet are only in the DHCP lease
+  if (!detectedMac) {
+    const lease = await clientIdentity.readLease(clientIP);
+    if (lease) {
+      detectedMac = lease.mac_address;
+      console.log('MAC found via DHCP lease:', detectedMac);
+    }
+  }
+
+  // If still no MAC, generate a temporary one based on IP
+  if (!detectedMac) {
+    console.log('MAC detection failed, generating temporary MAC');
+    detectedMac = clientIdentity.temporaryMacFor(clientIP);
+    if (!detectedMac) {
+      throw new Error('Could not detect or generate MAC address');
+    }
+    console.log('Generated temporary MAC:', detectedMac);
+  }
+
+  return detectedMac;
+}
+
+// Helper: reuse the portal session cookie or issue a new one
+function ensureSessionToken(req, res, bodyToken) {
+  let sessionToken = req.cookies?.pisowifi_session || bodyToken || null;
+
+  if (!sessionToken) {
+    sessionToken = generateSessionToken();
+    res.cookie('pisowifi_session', sessionToken, {
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      httpOnly: true,
+      sameSite: 'lax'
+    });
+    console.log('[SESSION] Generated new session token for connect');
+  }
+
+  return sessionToken;
+}
+
 // Connect endpoint
 router.post('/connect', async (req, res) => {
   try {
-    console.log('=== CONNECT REQUEST START ===');
     console.log('Connect request received:', req.body);
 
-    const { coinsInserted, duration, rateId, macAddress, deviceInfo, sessionToken: bodyToken } = req.body;
-    console.log('Extracted request data:', { coinsInserted, duration, rateId, macAddress, deviceInfo });
-    
-    // Get session token from cookie or body
-    let sessionToken = req.cookies?.pisowifi_session || bodyToken || null;
-    
-    let clientIP = req.headers['x-forwarded-for'] ||
-      req.connection.remoteAddress ||
-      req.socket.remoteAddress ||
-      (req.connection.socket ? req.connection.socket.remoteAddress : null);
+    const { rateId, macAddress, deviceInfo, saveToWallet, sessionToken: bodyToken } = req.body;
+    const clientIP = getClientIP(req);
 
-    // Clean IPv6-mapped IPv4 addresses
-    if (clientIP && clientIP.startsWith('::ffff:')) {
-      clientIP = clientIP.substring(7);
-    }
+    console.log(`Connection request from IP: ${clientIP}`);
 
-    // Remove port if present
-    if (clientIP && clientIP.includes(':') && !clientIP.includes('::')) {
-      clientIP = clientIP.split(':')[0];
+    // Auto-detect MAC address if not provided
+    let detectedMac;
+    try {
+      detectedMac = await detectClientMac(clientIP, macAddress);
+    } catch (err) {
+      console.error('MAC detection completely failed:', err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Unable to detect device. Please try again.'
+      });
     }
 
-    console.log(`Connection request from IP: ${clientIP}, Coins: ${coinsInserted}, Duration: ${duration}`);
+    const member = await memberAccounts.getMemberFromRequest(req);
+    const sessionToken = ensureSessionToken(req, res, bodyToken);
+
+    // Members can keep the time in their wallet and use it on any device later
+    if (saveToWallet && !member) {
+      return res.status(401).json({
+        success: false,
+        error: 'Please log in to your account to save time to your wallet.'
+      });
+    }
 
-    console.log('Step 1: Validating required fields...');
-    // Validate required fields
-    if (!coinsInserted || coinsInserted <= 0) {
+    // Pay with the coins and carried credit this client redeemed
+    const paid = await spendRedeemedCoins(sessionToken, clientIP, detectedMac);
+    if (paid.totalValue <= 0) {
+      await releaseSpentCoins(paid.ids);
       return res.status(400).json({
         success: false,
         error: 'No coins inserted. Please insert coins first.'
       });
     }
+    const coinsInserted = paid.totalCoins;
+    console.log(`Paying with ${coinsInserted} coins worth ${await currencyService.format(paid.totalValue)}`);
 
-    console.log('Step 2: Detecting MAC address...');
-    // Auto-detect MAC address if not provided
-    let detectedMac = macAddress;
-    if (!detectedMac || detectedMac === 'auto-detect') {
-      try {
-        console.log('Attempting MAC detection for IP:', clientIP);
-
-        // Try ARP table first
-        try {
-          // SECURITY: Validate clientIP before using in shell command to prevent command injection
-          if (!clientIP || !isValidIPv4(clientIP)) {
-            throw new Error('Invalid or missing client IP');
-          }
-          const { stdout: arpOutput } = await execAsync(`arp -n ${clientIP}`);
-          const arpMatch = arpOutput.match(/([0-9a-fA-F]{2}[:-]){5}([0-9a-fA-F]{2})/);
-          if (arpMatch) {
-            detectedMac = arpMatch[0].replace(/[-:]/g, ':').toUpperCase();
-            console.log('MAC found via ARP:', detectedMac);
-          }
-        } catch (arpError) {
-          console.log('ARP lookup failed:', arpError.message);
-        }
+    let purchase;
+    try {
+      // Only rates offered right now can be bought (schedules may have ended)
+      const activeRates = await rateEngine.loadRates();
 
-        // Try neighbor table if ARP failed
-        if (!detectedMac) {
-          try {
-            const { stdout: neighborOutput } = await execAsync(`ip neighbor show`);
-            const neighborLines = neighborOutput.split('\n');
-            for (const line of neighborLines) {
-              if (line.includes(clientIP)) {
-                const macMatch = line.match(/([0-9a-fA-F]{2}[:-]){5}([0-9a-fA-F]{2})/);
-                if (macMatch) {
-                  detectedMac = macMatch[0].replace(/[-:]/g, ':').toUpperCase();
-                  console.log('MAC found via neighbor table:', detectedMac);
-                  break;
-                }
-              }
-            }
-          } catch (neighborError) {
-            console.log('Neighbor lookup failed:', neighborError.message);
-          }
-        }
+      // Calculate duration and cost based on rates
+      purchase = await rateEngine.resolvePurchase(paid.totalValue, { rateId, rates: activeRates });
+      if (purchase.error) {
+        await releaseSpentCoins(paid.ids);
+        return res.status(400).json({
+          success: false,
+          error: purchase.error
+        });
+      }
 
-        // If still no MAC, generate a temporary one based on IP
-        if (!detectedMac) {
-          console.log('MAC detection failed, generating temporary MAC');
-          const ipParts = clientIP.split('.');
-          if (ipParts.length === 4) {
-            detectedMac = `02:00:${ipParts[2].padStart(2, '0')}:${ipParts[3].padStart(2, '0')}:00:01`;
-            console.log('Generated temporary MAC:', detectedMac);
-          } else {
-            throw new Error('Could not detect or generate MAC address');
-          }
-        }
-      } catch (err) {
-        console.error('MAC detection completely failed:', err.message);
+      if (saveToWallet && purchase.dataLimitMb > 0) {
+        await releaseSpentCoins(paid.ids);
         return res.status(400).json({
           success: false,
-          error: 'Unable to detect device. Please try again.'
+          error: 'Data packages cannot be saved to the wallet.'
         });
       }
+    } catch (error) {
+      await releaseSpentCoins(paid.ids);
+      throw error;
     }
 
-    // Get rate information if rateId is provided
-    let selectedRate = null;
-    if (rateId) {
+    const { duration: sessionDuration, cost: sessionCost, quote } = purchase;
+    const dataLimit = purchase.dataLimitMb * dataUsageMonitor.BYTES_PER_MB;
+
+    if (saveToWallet) {
+      const clientResult = await db.query('SELECT id FROM clients WHERE mac_address = $1', [detectedMac.toUpperCase()]);
+      let wallet;
       try {
-        const rateResult = await db.query('SELECT * FROM rates WHERE id = $1 AND is_active = true', [rateId]);
-        if (rateResult.rows.length > 0) {
-          selectedRate = rateResult.rows[0];
-        }
-      } catch (rateError) {
-        console.warn('Rate lookup failed:', rateError.message);
+        wallet = await memberAccounts.topUp(member.id, sessionDuration, {
+          amount: sessionCost,
+          paymentMethod: 'COIN',
+          coinsUsed: coinsInserted,
+          clientId: clientResult.rows[0]?.id || null,
+          rateId: purchase.rateId,
+          scheduleId: purchase.scheduleId
+        });
+      } catch (error) {
+        await releaseSpentCoins(paid.ids);
+        throw error;
       }
+      const { balance, transactionId } = wallet;
+
+      await db.query(
+        'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+        ['INFO', `Time saved to wallet: ${member.username}`, 'portal',
+          JSON.stringify({ member_id: member.id, mac_address: detectedMac, duration: sessionDuration, amount: sessionCost, transaction_id: transactionId })]
+      );
+      await carryCredit(quote ? quote.credit : 0, clientIP, detectedMac, sessionToken);
+
+      return res.json({
+        success: true,
+        message: 'Time saved to your wallet.',
+        saved_to_wallet: true,
+        duration: sessionDuration,
+        amount_paid: sessionCost,
+        coins_used: coinsInserted,
+        breakdown: quote ? quote.breakdown : [],
+        credit: quote ? quote.credit : 0,
+        wallet_seconds: balance
+      });
     }
 
-    // Calculate duration and cost based on rates
-    let sessionDuration = duration || 3600; // Default 1 hour
-    let sessionCost = 0;
+    await recognizeDevice(req, detectedMac, clientIP, sessionToken);
 
-    if (selectedRate) {
-      sessionDuration = selectedRate.duration;
-      sessionCost = selectedRate.price;
-    } else if (coinsInserted) {
-      // Get the first active rate as default for coin-based calculation
-      try {
-        const defaultRateResult = await db.query('SELECT * FROM rates WHERE is_active = true ORDER BY duration LIMIT 1');
-        if (defaultRateResult.rows.length > 0) {
-          const defaultRate = defaultRateResult.rows[0];
-          // Calculate based on coins and rate
-          const coinsNeeded = defaultRate.coins_required;
-          const pricePerCoin = defaultRate.price / coinsNeeded;
-          const timePerCoin = defaultRate.duration / coinsNeeded;
-
-          sessionCost = coinsInserted * pricePerCoin;
-          sessionDuration = coinsInserted * timePerCoin;
-        } else {
-          // Fallback if no rates exist
-          sessionCost = coinsInserted * 5; // ₱5 per coin
-          sessionDuration = coinsInserted * 30 * 60; // 30 minutes per coin
-        }
-      } catch (rateError) {
-        console.warn('Failed to get rates for calculation, using fallback:', rateError.message);
-        sessionCost = coinsInserted * 5; // ₱5 per coin
-        sessionDuration = coinsInserted * 30 * 60; // 30 minutes per coin
-      }
+    // Create client, session and transaction records and open the firewall
+    let grant;
+    try {
+      grant = await sessionManager.grantAccess({
+        macAddress: detectedMac,
+        clientIP,
+        sessionToken,
+        duration: sessionDuration,
+        amount: sessionCost,
+        coinsUsed: coinsInserted,
+        paymentMethod: 'COIN',
+        rateId: purchase.rateId,
+        scheduleId: purchase.scheduleId,
+        dataLimit,
+        memberId: member ? member.id : null,
+        deviceInfo,
+        logMetadata: { coins: coinsInserted, breakdown: quote ? quote.breakdown : undefined }
+      });
+    } catch (error) {
+      await releaseSpentCoins(paid.ids);
+      throw error;
     }
+    const { clientId, sessionId, timeRemaining, dataRemaining, extended } = grant;
+    await carryCredit(quote ? quote.credit : 0, clientIP, detectedMac, sessionToken);
 
-    console.log('Step 3: Parsing device information...');
-    // Parse device information if provided
-    let parsedDeviceInfo = {};
-    if (deviceInfo && deviceInfo.userAgent) {
-      console.log('Device info provided:', deviceInfo);
-      const parser = new UAParser(deviceInfo.userAgent);
-      const result = parser.getResult();
-      console.log('UAParser result:', result);
-
-      parsedDeviceInfo = {
-        device_name: result.device.model || result.device.vendor || 'Unknown Device',
-        device_type: result.device.type || 'desktop',
-        os: `${result.os.name || 'Unknown'} ${result.os.version || ''}`.trim(),
-        browser: `${result.browser.name || 'Unknown'} ${result.browser.version || ''}`.trim(),
-        user_agent: deviceInfo.userAgent,
-        platform: deviceInfo.platform,
-        language: deviceInfo.language,
-        screen_resolution: `${deviceInfo.screenWidth}x${deviceInfo.screenHeight}`,
-        timezone: deviceInfo.timezone
-      };
-    }
-
-    console.log('Step 4: Creating client record...');
-    console.log('Client data to insert:', {
-      macAddress: detectedMac,
-      clientIP,
-      sessionToken,
-      sessionDuration,
-      parsedDeviceInfo
+
+    res.json({
+      success: true,
+      message: extended
+        ? 'Time added! Your session has been extended.'
+        : 'Connection successful! You now have internet access.',
+      session_id: sessionId,
+      client_id: clientId,
+      mac_address: detectedMac,
+      ip_address: clientIP,
+      duration: sessionDuration,
+      amount_paid: sessionCost,
+      coins_used: coinsInserted,
+      breakdown: quote ? quote.breakdown : [],
+      credit: quote ? quote.credit : 0,
+      extended,
+      time_remaining: timeRemaining,
+      data_remaining_mb: dataUsageMonitor.toMegabytes(dataRemaining),
+      expires_at: new Date(Date.now() + (timeRemaining * 1000))
     });
-    
-    // Generate session token if not present
-    if (!sessionToken) {
-      sessionToken = generateSessionToken();
-      res.cookie('pisowifi_session', sessionToken, {
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        httpOnly: true,
-        sameSite: 'lax'
+
+  } catch (error) {
+    console.error('Connect error details:', {
+      message: error.message,
+      stack: error.stack,
+      requestBody: req.body
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Connection failed: ' + error.message
+    });
+  }
+});
+
+// Redeem voucher endpoint - grants the voucher's time like a coin purchase
+router.post('/redeem-voucher', async (req, res) => {
+  try {
+    const { code, macAddress, deviceInfo, sessionToken: bodyToken } = req.body;
+    const clientIP = getClientIP(req);
+    const voucherCode = normalizeVoucherCode(code);
+
+    if (!voucherCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a voucher code.'
       });
-      console.log('[SESSION] Generated new session token for connect');
     }
 
-    // Create or update client record - simplified version first
-    let clientResult;
-    try {
-      // Try full insert first with session_token
-      clientResult = await db.query(
-        `INSERT INTO clients (
-          mac_address, ip_address, session_token, device_name, device_type, os, browser, 
-          user_agent, platform, language, screen_resolution, timezone,
-          status, time_remaining, created_at, last_seen
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        ON CONFLICT (mac_address) 
-        DO UPDATE SET 
-          ip_address = EXCLUDED.ip_address,
-          session_token = COALESCE(EXCLUDED.session_token, clients.session_token),
-          device_name = COALESCE(EXCLUDED.device_name, clients.device_name),
-          device_type = COALESCE(EXCLUDED.device_type, clients.device_type),
-          os = COALESCE(EXCLUDED.os, clients.os),
-          browser = COALESCE(EXCLUDED.browser, clients.browser),
-          user_agent = COALESCE(EXCLUDED.user_agent, clients.user_agent),
-          platform = COALESCE(EXCLUDED.platform, clients.platform),
-          language = COALESCE(EXCLUDED.language, clients.language),
-          screen_resolution = COALESCE(EXCLUDED.screen_resolution, clients.screen_resolution),
-          timezone = COALESCE(EXCLUDED.timezone, clients.timezone),
-          status = EXCLUDED.status,
-          time_remaining = EXCLUDED.time_remaining,
-          last_seen = CURRENT_TIMESTAMP
-        RETURNING id`,
-        [
-          detectedMac.toUpperCase(), clientIP, sessionToken,
-          parsedDeviceInfo.device_name || 'Unknown Device',
-          parsedDeviceInfo.device_type || 'desktop',
-          parsedDeviceInfo.os || 'Unknown OS',
-          parsedDeviceInfo.browser || 'Unknown Browser',
-          parsedDeviceInfo.user_agent || deviceInfo?.userAgent || 'Unknown',
-          parsedDeviceInfo.platform || deviceInfo?.platform || 'Unknown',
-          parsedDeviceInfo.language || deviceInfo?.language || 'en-US',
-          parsedDeviceInfo.screen_resolution || `${deviceInfo?.screenWidth || 1920}x${deviceInfo?.screenHeight || 1080}`,
-          parsedDeviceInfo.timezone || deviceInfo?.timezone || 'UTC',
-          'CONNECTED', sessionDuration
-        ]
-      );
-    } catch (clientError) {
-      console.warn('Full client insert failed, trying simplified version:', clientError.message);
-      // Fallback to basic client record with session_token
-      clientResult = await db.query(
-        `INSERT INTO clients (mac_address, ip_address, session_token, status, time_remaining, created_at, last_seen)
-         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-         ON CONFLICT (mac_address) 
-         DO UPDATE SET 
-           ip_address = EXCLUDED.ip_address,
-           session_token = COALESCE(EXCLUDED.session_token, clients.session_token),
-           status = EXCLUDED.status,
-           time_remaining = EXCLUDED.time_remaining,
-           last_seen = CURRENT_TIMESTAMP
-         RETURNING id`,
-        [detectedMac.toUpperCase(), clientIP, sessionToken, 'CONNECTED', sessionDuration]
-      );
+    await expireStaleVouchers();
+
+    const voucherResult = await db.query('SELECT * FROM vouchers WHERE code = $1', [voucherCode]);
+    if (voucherResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voucher code not found.'
+      });
+    }
+
+    const voucher = voucherResult.rows[0];
+    if (voucher.status !== 'unused') {
+      return res.status(400).json({
+        success: false,
+        error: voucher.status === 'expired' ? 'This voucher has expired.' : 'This voucher has already been used.'
+      });
     }
 
-    const clientId = clientResult.rows[0].id;
-    console.log('Client record created with ID:', clientId);
-    // Apply per-client bandwidth defaults from network_config
-    console.log('Step 4.5: Applying per-client bandwidth defaults...');
+    let detectedMac;
     try {
-      const networkConfig = await db.query('SELECT * FROM network_config WHERE id = 1');
-      if (networkConfig.rows.length > 0) {
-        const config = networkConfig.rows[0];
-        if (config.per_client_bandwidth_enabled) {
-          const downloadLimit = config.per_client_download_limit || 0;
-          const uploadLimit = config.per_client_upload_limit || 0;
-          await db.query(
-            'UPDATE clients SET download_limit = $1, upload_limit = $2 WHERE id = $3',
-            [downloadLimit, uploadLimit, clientId]
-          );
-          console.log(`Applied bandwidth limits to client ${clientId}: Download=${downloadLimit}kbps, Upload=${uploadLimit}kbps`);
-        }
-      }
-    } catch (bwError) {
-      console.warn('Failed to apply per-client bandwidth defaults:', bwError.message);
-    }
-    console.log('Step 5: Creating session record...');
-    // Create session record with session_token
-    const sessionResult = await db.query(
-      `INSERT INTO sessions (client_id, mac_address, ip_address, session_token, duration, status, started_at)
-       VALUES ($1, $2, $3, $4, $5, 'ACTIVE', CURRENT_TIMESTAMP)
-       RETURNING id`,
-      [clientId, detectedMac.toUpperCase(), clientIP, sessionToken, sessionDuration]
-    );
-    console.log('Session record created with ID:', sessionResult.rows[0].id);
-
-    console.log('Step 6: Creating transaction record...');
-    // Create transaction record
-    await db.query(
-      `INSERT INTO transactions (client_id, session_id, amount, coins_used, payment_method, status, created_at)
-       VALUES ($1, $2, $3, $4, 'COIN', 'COMPLETED', CURRENT_TIMESTAMP)`,
-      [clientId, sessionResult.rows[0].id, sessionCost, coinsInserted || 0]
+      detectedMac = await detectClientMac(clientIP, macAddress);
+    } catch (err) {
+      console.error('MAC detection completely failed:', err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Unable to detect device. Please try again.'
+      });
+    }
+
+    // Claim the voucher before granting time so a code can only be redeemed once
+    const claimResult = await db.query(
+      `UPDATE vouchers
+       SET status = 'active', mac_address = $1, redeemed_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'unused'`,
+      [detectedMac.toUpperCase(), voucher.id]
     );
-    console.log('Transaction record created successfully');
+    if (claimResult.rowCount === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This voucher has already been used.'
+      });
+    }
+
+    const sessionToken = ensureSessionToken(req, res, bodyToken);
+    await recognizeDevice(req, detectedMac, clientIP, sessionToken);
 
-    console.log('Step 7: Authenticating client...');
-    // Try network authentication but don't fail if it doesn't work
+    let grant;
     try {
-      console.log('Attempting NetworkManager authentication...');
-      const authResult = await networkManager.authenticateClient(detectedMac, clientIP, sessionDuration);
-      if (!authResult.success) {
-        console.warn('NetworkManager auth failed:', authResult.error);
-      } else {
-        console.log(`NetworkManager authenticated client ${detectedMac} for ${sessionDuration} seconds`);
-      }
-    } catch (networkError) {
-      console.warn('NetworkManager authentication error (non-critical):', networkError.message);
+      const member = await memberAccounts.getMemberFromRequest(req);
+      grant = await sessionManager.grantAccess({
+        macAddress: detectedMac,
+        clientIP,
+        sessionToken,
+        duration: voucher.duration,
+        amount: voucher.price || 0,
+        paymentMethod: 'VOUCHER',
+        memberId: member ? member.id : null,
+        deviceInfo,
+        logMessage: `Voucher ${voucher.code} redeemed: ${detectedMac}`,
+        logMetadata: { voucher_id: voucher.id, batch_id: voucher.batch_id }
+      });
+    } catch (grantError) {
+      // Release the voucher if the device could not be connected
+      await db.query(
+        `UPDATE vouchers
+         SET status = 'unused', mac_address = NULL, redeemed_at = NULL
+         WHERE id = $1 AND status = 'active'`,
+        [voucher.id]
+      );
+      throw grantError;
     }
+    const { clientId, sessionId, timeRemaining, extended } = grant;
+
+    await db.query('UPDATE vouchers SET client_id = $1 WHERE id = $2', [clientId, voucher.id]);
 
-    // Try allow script as backup
+    res.json({
+      success: true,
+      message: extended
+        ? 'Voucher redeemed! The time was added to your session.'
+        : 'Voucher redeemed! You now have internet access.',
+      session_id: sessionId,
+      client_id: clientId,
+      mac_address: detectedMac,
+      ip_address: clientIP,
+      duration: voucher.duration,
+      amount_paid: voucher.price || 0,
+      extended,
+      time_remaining: timeRemaining,
+      expires_at: new Date(Date.now() + (timeRemaining * 1000))
+    });
+  } catch (error) {
+    console.error('Redeem voucher error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Voucher redemption failed: ' + error.message
+    });
+  }
+});
+
+// Free trial - a few free minutes once per cooldown period per device
+router.post('/trial', trialAbuseProtection, async (req, res) => {
+  try {
+    const { deviceInfo, sessionToken: bodyToken } = req.body;
+    const clientIP = getClientIP(req);
+
+    // Always detected here: a MAC sent by the page would let a device
+    // claim a trial under any MAC it likes
+    let detectedMac;
     try {
-      console.log('Running backup allow script...');
-      // SECURITY: Validate MAC address before shell execution
-      const { isValidMacAddress, sanitizeMacAddress } = require('../utils/validators');
-      if (isValidMacAddress(detectedMac)) {
-        const safeMac = sanitizeMacAddress(detectedMac);
-        await execAsync(`sudo ${__dirname}/../../scripts/pisowifi-allow-client ${safeMac}`);
-        console.log('Allow script executed successfully');
-      } else {
-        console.warn('Invalid MAC format, skipping allow script');
-      }
-    } catch (scriptError) {
-      console.warn('Allow script failed (non-critical):', scriptError.message);
+      detectedMac = await detectClientMac(clientIP, null);
+    } catch (err) {
+      console.error('MAC detection completely failed:', err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Unable to detect device. Please try again.'
+      });
     }
 
-    console.log('Authentication step completed (with fallbacks)');
+    const sessionToken = ensureSessionToken(req, res, bodyToken);
+    await recognizeDevice(req, detectedMac, clientIP, sessionToken);
 
-    console.log('Step 8: Logging connection...');
-    // Log the connection
-    await db.query(
-      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
-      ['INFO', `Client connected: ${detectedMac}`, 'portal',
-        JSON.stringify({ ip: clientIP, duration, coins: coinsInserted })]
-    );
-    console.log('Connection logged successfully');
+    const result = await freeTrial.grant({
+      macAddress: detectedMac,
+      clientIP,
+      sessionToken,
+      deviceInfo: { ...deviceInfo, userAgent: req.headers['user-agent'] || deviceInfo?.userAgent }
+    });
+    if (!result.success) {
+      return res.status(result.reason === 'disabled' ? 404 : 403).json({
+        success: false,
+        error: result.error,
+        reason: result.reason,
+        available_at: result.availableAt
+      });
+    }
 
-    console.log('Step 9: Sending success response...');
     res.json({
       success: true,
-      message: 'Connection successful! You now have internet access.',
-      session_id: sessionResult.rows[0].id,
-      client_id: clientId,
+      message: `Free trial started: ${result.minutes} minutes`,
+      session_id: result.sessionId,
+      client_id: result.clientId,
       mac_address: detectedMac,
       ip_address: clientIP,
-      duration: sessionDuration,
-      amount_paid: sessionCost,
-      coins_used: coinsInserted || 0,
-      expires_at: new Date(Date.now() + (sessionDuration * 1000))
+      duration: result.minutes * 60,
+      time_remaining: result.timeRemaining,
+      expires_at: new Date(Date.now() + (result.timeRemaining * 1000))
+    });
+  } catch (error) {
+    console.error('Free trial error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Free trial failed: ' + error.message
     });
-    console.log('=== CONNECT REQUEST SUCCESS ===');
+  }
+});
 
+// Helper: member cookie options (same lifetime as the member token)
+function getMemberCookieOptions() {
+  return {
+    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    httpOnly: true,
+    sameSite: 'lax',
+    path: '/portal'
+  };
+}
+
+// Member login - username plus PIN or password
+router.post('/member/login', memberLoginLimiter.middleware(), async (req, res) => {
+  try {
+    const { username, pin } = req.body;
+
+    if (!username || !pin) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter your username and PIN.'
+      });
+    }
+
+    const member = await memberAccounts.authenticate(username, String(pin));
+    if (!member) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or PIN.'
+      });
+    }
+
+    if (member.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        error: 'This account is disabled. Please ask the attendant.'
+      });
+    }
+
+    res.cookie(memberAccounts.MEMBER_COOKIE, memberAccounts.issueToken(member), getMemberCookieOptions());
+
+    res.json({
+      success: true,
+      member: memberAccounts.toPublic(member)
+    });
   } catch (error) {
-    console.error('Connect error details:', {
-      message: error.message,
-      stack: error.stack,
-      requestBody: req.body
+    console.error('Member login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
     });
+  }
+});
+
+// Member logout
+router.post('/member/logout', (req, res) => {
+  res.clearCookie(memberAccounts.MEMBER_COOKIE, { path: '/portal' });
+  res.json({ success: true });
+});
+
+// Logged-in member's wallet and purchase history
+router.get('/member', async (req, res) => {
+  try {
+    const member = await memberAccounts.getMemberFromRequest(req);
+    if (!member) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not logged in'
+      });
+    }
+
+    res.json({
+      success: true,
+      member: memberAccounts.toPublic(member),
+      history: await memberAccounts.getHistory(member.id)
+    });
+  } catch (error) {
+    console.error('Member info error:', error);
     res.status(500).json({
       success: false,
-      error: 'Connection failed: ' + error.message
+      error: 'Failed to load account'
+    });
+  }
+});
+
+// Move wallet time onto the current device
+router.post('/member/use-time', async (req, res) => {
+  try {
+    const { seconds, macAddress, deviceInfo, sessionToken: bodyToken } = req.body;
+    const clientIP = getClientIP(req);
+
+    const member = await memberAccounts.getMemberFromRequest(req);
+    if (!member) {
+      return res.status(401).json({
+        success: false,
+        error: 'Please log in to your account first.'
+      });
+    }
+
+    // Without an amount the whole wallet is used
+    const duration = seconds === undefined || seconds === null || seconds === ''
+      ? parseInt(member.wallet_seconds) || 0
+      : parseInt(seconds, 10);
+    if (!duration || duration <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Your wallet is empty.'
+      });
+    }
+
+    let detectedMac;
+    try {
+      detectedMac = await detectClientMac(clientIP, macAddress);
+    } catch (err) {
+      console.error('MAC detection completely failed:', err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Unable to detect device. Please try again.'
+      });
+    }
+
+    const walletSeconds = await memberAccounts.debit(member.id, duration);
+    if (walletSeconds === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not enough time in your wallet.'
+      });
+    }
+
+    const sessionToken = ensureSessionToken(req, res, bodyToken);
+    await recognizeDevice(req, detectedMac, clientIP, sessionToken);
+
+    let grant;
+    try {
+      grant = await sessionManager.grantAccess({
+        macAddress: detectedMac,
+        clientIP,
+        sessionToken,
+        duration,
+        amount: 0, // Paid for when the wallet was topped up
+        paymentMethod: 'WALLET',
+        memberId: member.id,
+        deviceInfo,
+        logMessage: `Wallet time used by ${member.username}: ${detectedMac}`,
+        logMetadata: { member_id: member.id, wallet_seconds: walletSeconds }
+      });
+    } catch (grantError) {
+      // Give the time back if the device could not be connected
+      await memberAccounts.credit(member.id, duration);
+      throw grantError;
+    }
+
+    res.json({
+      success: true,
+      message: grant.extended
+        ? 'Wallet time added to your session.'
+        : 'Connected using your wallet time.',
+      session_id: grant.sessionId,
+      client_id: grant.clientId,
+      mac_address: detectedMac,
+      ip_address: clientIP,
+      duration,
+      extended: grant.extended,
+      time_remaining: grant.timeRemaining,
+      wallet_seconds: walletSeconds,
+      expires_at: new Date(Date.now() + (grant.timeRemaining * 1000))
+    });
+  } catch (error) {
+    console.error('Use wallet time error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to use wallet time: ' + error.message
+    });
+  }
+});
+
+// E-wallet providers customers can pay with
+router.get('/payments/providers', (req, res) => {
+  res.json({ providers: paymentService.listProviders() });
+});
+
+// Start an e-wallet payment for this device
+router.post('/payments', async (req, res) => {
+  try {
+    const { provider, amount, rateId, macAddress, sessionToken: bodyToken } = req.body;
+    const clientIP = getClientIP(req);
+
+    let detectedMac;
+    try {
+      detectedMac = await detectClientMac(clientIP, macAddress);
+    } catch (err) {
+      console.error('MAC detection completely failed:', err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Unable to detect device. Please try again.'
+      });
+    }
+
+    const sessionToken = ensureSessionToken(req, res, bodyToken);
+    await recognizeDevice(req, detectedMac, clientIP, sessionToken);
+    const member = await memberAccounts.getMemberFromRequest(req);
+
+    const { error, intent } = await paymentService.createIntent({
+      provider,
+      amount,
+      rateId,
+      macAddress: detectedMac,
+      clientIP,
+      sessionToken,
+      memberId: member ? member.id : null
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      payment: paymentService.toPublic(intent)
+    });
+  } catch (error) {
+    console.error('Create payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Payment could not be started: ' + error.message
+    });
+  }
+});
+
+// Mock provider checkout page - stands in for the e-wallet app when testing offline
+router.get('/payments/mock/:reference', async (req, res) => {
+  try {
+    const provider = paymentService.getProvider('mock');
+    const intent = await paymentService.getIntent(req.params.reference);
+    if (!provider || !intent || intent.provider !== 'mock') {
+      return res.status(404).send('Payment not found');
+    }
+
+    const amount = await currencyService.format(intent.amount);
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Test Wallet Checkout</title>
+  </head>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 40px auto; text-align: center;">
+    <h1>Test Wallet</h1>
+    <p>Reference: <strong>${intent.reference}</strong></p>
+    <p>Amount: <strong>${amount}</strong></p>
+    <p>Status: <strong>${intent.status}</strong></p>
+    ${intent.status === 'pending' || intent.status === 'expired' ? `
+    <form method="post" action="/portal/payments/mock/${intent.reference}/paid"><button type="submit">Approve payment</button></form>
+    <form method="post" action="/portal/payments/mock/${intent.reference}/failed" style="margin-top: 8px;"><button type="submit">Decline</button></form>
+    ` : '<p><a href="/portal">Back to portal</a></p>'}
+    <p style="color: #888; font-size: 0.8rem;">Mock provider for testing. No money is moved.</p>
+  </body>
+</html>`);
+  } catch (error) {
+    console.error('Mock checkout page error:', error);
+    res.status(500).send('Checkout error: ' + error.message);
+  }
+});
+
+// Mock provider approve/decline - sends itself a signed callback like a real provider would
+router.post('/payments/mock/:reference/:status', async (req, res) => {
+  try {
+    const provider = paymentService.getProvider('mock');
+    const intent = await paymentService.getIntent(req.params.reference);
+    if (!provider || !intent || intent.provider !== 'mock' || !['paid', 'failed'].includes(req.params.status)) {
+      return res.status(404).send('Payment not found');
+    }
+
+    const { body, signature } = provider.buildCallback(intent, req.params.status);
+    const { io } = require('../app');
+    await paymentService.handleCallback('mock', {
+      headers: { [provider.SIGNATURE_HEADER]: signature },
+      body
+    }, io);
+
+    res.redirect(`/portal/payments/mock/${intent.reference}`);
+  } catch (error) {
+    console.error('Mock payment error:', error);
+    res.status(error.statusCode || 500).send('Mock payment failed: ' + error.message);
+  }
+});
+
+// Payment status, polled by the portal while the customer pays
+router.get('/payments/:reference', async (req, res) => {
+  try {
+    await paymentService.expireStaleIntents();
+
+    const intent = await paymentService.getIntent(req.params.reference);
+    if (!intent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const payment = paymentService.toPublic(intent);
+    if (intent.status === 'paid') {
+      const clientResult = await db.query(
+        `SELECT ${sessionClock.REMAINING_TIME_SQL} as time_remaining FROM clients WHERE mac_address = $1`,
+        [intent.mac_address]
+      );
+      payment.time_remaining = clientResult.rows[0]?.time_remaining || 0;
+    }
+
+    res.json({ success: true, payment });
+  } catch (error) {
+    console.error('Payment status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load payment'
+    });
+  }
+});
+
+// Cancel a pending payment
+router.post('/payments/:reference/cancel', async (req, res) => {
+  try {
+    const intent = await paymentService.getIntent(req.params.reference);
+    if (!intent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (!(await paymentService.cancelIntent(intent))) {
+      return res.status(409).json({
+        success: false,
+        error: `Payment is already ${intent.status}.`
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Cancel payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel payment'
     });
   }
 });
@@ -730,7 +1265,7 @@ router.get('/debug-auth', async (req, res) => {
     if (detectedMac) {
       try {
         const authCheck = await db.query(
-          'SELECT * FROM clients WHERE mac_address = $1 AND status = $2 AND time_remaining > 0',
+          `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE mac_address = $1 AND status = $2 AND ${sessionClock.REMAINING_TIME_SQL} > 0`,
           [detectedMac, 'CONNECTED']
         );
 
@@ -794,15 +1329,20 @@ router.get('/session-status', async (req, res) => {
 
     // Check client status in database
     const clientResult = await db.query(
-      'SELECT * FROM clients WHERE mac_address = $1 AND status = $2 AND time_remaining > 0',
+      `SELECT *, ${sessionClock.REMAINING_TIME_SQL} AS time_remaining FROM clients WHERE mac_address = $1 AND status = $2 AND ${sessionClock.REMAINING_TIME_SQL} > 0`,
       [detectedMac, 'CONNECTED']
     );
 
     if (clientResult.rows.length > 0) {
       const client = clientResult.rows[0];
+      const pool = client.pool_id ? await timePools.getPool(await timePools.getActivePoolId(client.id)) : null;
       res.json({
         authenticated: true,
         time_remaining: client.time_remaining,
+        expires_at: client.expires_at,
+        pool: pool ? toPortalPool(pool, client.id) : null,
+        data_remaining_mb: dataUsageMonitor.toMegabytes(client.data_remaining),
+        data_used_mb: dataUsageMonitor.toMegabytes(client.data_used || 0),
         device_name: client.device_name,
         last_seen: client.last_seen
       });
@@ -882,11 +1422,21 @@ router.post('/pause-resume', async (req, res) => {
       return res.status(404).json({ error: 'Client not found' });
     }
 
-    // Toggle status between CONNECTED and PAUSED
+    // Toggle status between CONNECTED and PAUSED; pausing stops the session clock
     const newStatus = client.status === 'PAUSED' ? 'CONNECTED' : 'PAUSED';
-
-    // Update status
-    await db.query('UPDATE clients SET status = $1, last_seen = CURRENT_TIMESTAMP WHERE id = $2', [newStatus, client.id]);
+    let changed;
+    if (newStatus === 'PAUSED') {
+      const check = await pausePolicy.checkPause(client.id);
+      if (!check.allowed) {
+        return res.status(403).json({ error: check.error });
+      }
+      changed = await sessionClock.pause(client.id, { resumeAfterMinutes: check.resumeAfterMinutes });
+    } else {
+      changed = await sessionClock.resume(client.id);
+    }
+    if (!changed) {
+      return res.status(409).json({ error: 'Session is not active' });
+    }
 
     // Apply or remove network restrictions
     if (newStatus === 'PAUSED') {
@@ -898,7 +1448,8 @@ router.post('/pause-resume', async (req, res) => {
     res.json({ 
       success: true, 
       status: newStatus,
-      message: newStatus === 'PAUSED' ? 'Session paused' : 'Session resumed'
+      message: newStatus === 'PAUSED' ? 'Session paused' : 'Session resumed',
+      allowance: await pausePolicy.getAllowance(client.id)
     });
 
   } catch (error) {
@@ -907,4 +1458,132 @@ router.post('/pause-resume', async (req, res) => {
   }
 });
 
+// Helper: the client a portal request belongs to, by its session cookie
+async function findClientBySession(req, bodyToken) {
+  const sessionToken = req.cookies?.pisowifi_session || bodyToken;
+  if (!sessionToken) return null;
+
+  const result = await db.query('SELECT * FROM clients WHERE session_token = $1', [sessionToken]);
+  return result.rows[0] || null;
+}
+
+// Helper: what a device's portal page shows about its time pool
+function toPortalPool(pool, clientId) {
+  return {
+    mode: pool.mode,
+    balance: pool.balance,
+    draw_rate: pool.draw_rate,
+    devices: pool.devices.map(device => ({
+      device_name: device.device_name || 'Device',
+      mac_suffix: String(device.mac_address).slice(-5),
+      status: device.status,
+      this_device: device.id === clientId
+    }))
+  };
+}
+
+// Time pool of this device (shared family time)
+router.get('/pool', async (req, res) => {
+  try {
+    const settings = await timePools.getSettings();
+    const client = await findClientBySession(req, req.query.sessionToken);
+    const pool = client ? await timePools.getPool(await timePools.getActivePoolId(client.id)) : null;
+
+    res.json({
+      enabled: settings.maxDevices >= 2,
+      max_devices: settings.maxDevices,
+      mode: settings.mode,
+      pool: pool ? toPortalPool(pool, client.id) : null
+    });
+  } catch (error) {
+    console.error('Get pool error:', error);
+    res.status(500).json({ error: 'Failed to get shared time' });
+  }
+});
+
+// Show a pairing code so another device can share this device's time
+router.post('/pool/pairing-code', async (req, res) => {
+  try {
+    const client = await findClientBySession(req, req.body.sessionToken);
+    if (!client) {
+      return res.status(404).json({ success: false, error: 'Buy time first, then share it' });
+    }
+
+    const result = await timePools.issuePairingCode(client.id);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      code: result.code,
+      expires_in: timePools.PAIRING_CODE_TTL_MINUTES * 60,
+      pool: toPortalPool(result.pool, client.id)
+    });
+  } catch (error) {
+    console.error('Pairing code error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create a pairing code' });
+  }
+});
+
+// Join another device's time with its pairing code
+router.post('/pool/join', poolJoinLimiter.middleware(), async (req, res) => {
+  try {
+    const { code, macAddress, sessionToken: bodyToken, deviceInfo } = req.body;
+    const clientIP = getClientIP(req);
+
+    let detectedMac;
+    try {
+      detectedMac = await detectClientMac(clientIP, macAddress);
+    } catch (err) {
+      console.error('MAC detection completely failed:', err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Unable to detect device. Please try again.'
+      });
+    }
+
+    const sessionToken = ensureSessionToken(req, res, bodyToken);
+    const result = await timePools.join(code, { macAddress: detectedMac, clientIP, sessionToken });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    await clientIdentity.remember(result.clientId, { clientIP, sessionToken, userAgent: deviceInfo?.userAgent });
+
+    res.json({
+      success: true,
+      message: 'You are now sharing time with the other device',
+      time_remaining: await sessionClock.getRemaining(result.clientId),
+      pool: toPortalPool(result.pool, result.clientId)
+    });
+  } catch (error) {
+    console.error('Join pool error:', error);
+    res.status(500).json({ success: false, error: 'Failed to join shared time' });
+  }
+});
+
+// Stop sharing time; the last device keeps what is left
+router.post('/pool/leave', async (req, res) => {
+  try {
+    const client = await findClientBySession(req, req.body.sessionToken);
+    if (!client) {
+      return res.status(404).json({ success: false, error: 'Client not found' });
+    }
+
+    const result = await timePools.leave(client.id);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: result.kept_seconds > 0 ? 'The remaining time stays on this device' : 'This device no longer shares time',
+      time_remaining: result.kept_seconds
+    });
+  } catch (error) {
+    console.error('Leave pool error:', error);
+    res.status(500).json({ success: false, error: 'Failed to leave shared time' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
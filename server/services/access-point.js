@@ -0,0 +1,411 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const db = require('../db/sqlite-adapter');
+const networkConfig = require('./network-config');
+const { sanitizeMacAddress } = require('../utils/validators');
+
+const execAsync = promisify(exec);
+
+/**
+ * Access Point
+ * The Wi-Fi network customers join, served by hostapd on the LAN interface
+ * (network-config.js). The settings (SSID, hidden, band, channel, country
+ * and an optional WPA2 passphrase) are kept in the access_point row and
+ * rendered into /etc/hostapd/hostapd.conf from HOSTAPD_TEMPLATE.
+ *
+ * hostapd has no config test mode, so every value is validated before it is
+ * rendered (the SSID is written hex-encoded, so it can hold any character),
+ * and if hostapd then fails to restart the previous file is put back and
+ * hostapd restarted on it.
+ *
+ * While the access point is disabled, hostapd is left alone: installs with
+ * an Ethernet LAN or their own AP keep working as before.
+ */
+
+const HOSTAPD_CONF = '/etc/hostapd/hostapd.conf';
+const HOSTAPD_CONF_BACKUP = '/etc/hostapd/hostapd.conf.bak';
+const RENDER_PATH = '/tmp/hostapd-pisowifi.conf';
+
+// Non-DFS channels, usable without radar detection
+const CHANNELS = {
+  '2.4': [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+  '5': [36, 40, 44, 48, 149, 153, 157, 161, 165]
+};
+const HW_MODES = { '2.4': 'g', '5': 'a' };
+const SECURITY_MODES = ['open', 'wpa2'];
+
+const HOSTAPD_TEMPLATE = `# PISOWifi access point
+# Generated from the admin network settings; edits here are overwritten
+interface={{interface}}
+driver=nl80211
+ctrl_interface=/var/run/hostapd
+ctrl_interface_group=0
+ssid2={{ssid_hex}}
+utf8_ssid=1
+ignore_broadcast_ssid={{hidden}}
+country_code={{country_code}}
+ieee80211d=1
+hw_mode={{hw_mode}}
+channel={{channel}}
+ieee80211n=1
+{{ac}}wmm_enabled=1
+auth_algs=1
+macaddr_acl=0
+{{security}}`;
+
+const WPA2_TEMPLATE = `wpa=2
+wpa_key_mgmt=WPA-PSK
+rsn_pairwise=CCMP
+wpa_passphrase={{passphrase}}
+`;
+
+/**
+ * Fill {{name}} placeholders
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => String(values[name] ?? ''));
+}
+
+// 1-32 bytes, no control characters
+function isValidSsid(ssid) {
+  return typeof ssid === 'string' &&
+    ssid.length > 0 &&
+    Buffer.byteLength(ssid, 'utf8') <= 32 &&
+    !/[\u0000-\u001f\u007f]/.test(ssid);
+}
+
+// WPA2 passphrase: 8-63 printable ASCII characters
+function isValidPassphrase(passphrase) {
+  return typeof passphrase === 'string' && /^[\x20-\x7e]{8,63}$/.test(passphrase);
+}
+
+class AccessPoint {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.lastReport = null;
+  }
+
+  /**
+   * Access point settings, without the passphrase
+   * @returns {Promise<Object>} { enabled, interface, ssid, hidden, band, channel, country_code, security, has_passphrase }
+   */
+  async getSettings() {
+    const row = await this.getRow();
+    return {
+      enabled: !!row.enabled,
+      interface: await networkConfig.getLanInterface(),
+      ssid: row.ssid,
+      hidden: !!row.hidden,
+      band: row.band,
+      channel: row.channel,
+      country_code: row.country_code,
+      security: row.passphrase ? 'wpa2' : 'open',
+      has_passphrase: !!row.passphrase
+    };
+  }
+
+  /**
+   * Validate and save the settings, then apply them
+   * @param {Object} fields - { enabled, ssid, hidden, band, channel, country_code, security, passphrase }.
+   *   With security 'wpa2', an empty passphrase keeps the saved one.
+   * @returns {Promise<Object>} { success, error?, settings?, report? }
+   */
+  async save(fields) {
+    const current = await this.getRow();
+
+    const ssid = typeof fields.ssid === 'string' ? fields.ssid.trim() : fields.ssid;
+    if (!isValidSsid(ssid)) {
+      return { success: false, error: 'SSID must be 1-32 bytes without control characters' };
+    }
+
+    const band = String(fields.band ?? '');
+    if (!CHANNELS[band]) {
+      return { success: false, error: 'Band must be 2.4 or 5 (GHz)' };
+    }
+    const channel = parseInt(fields.channel);
+    if (!CHANNELS[band].includes(channel)) {
+      return { success: false, error: `Channel must be one of ${CHANNELS[band].join(', ')} on ${band} GHz` };
+    }
+
+    const countryCode = String(fields.country_code ?? '').trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(countryCode)) {
+      return { success: false, error: 'Country code must be two letters (ISO 3166-1, e.g. PH)' };
+    }
+
+    if (!SECURITY_MODES.includes(fields.security)) {
+      return { success: false, error: 'Security must be open or wpa2' };
+    }
+    let passphrase = null;
+    if (fields.security === 'wpa2') {
+      passphrase = fields.passphrase ? fields.passphrase : current.passphrase;
+      if (!isValidPassphrase(passphrase)) {
+        return { success: false, error: 'WPA2 passphrase must be 8-63 printable ASCII characters' };
+      }
+    }
+
+    const enabled = !!fields.enabled;
+    await db.query(
+      `UPDATE access_point SET enabled = $1, ssid = $2, hidden = $3, band = $4, channel = $5,
+         country_code = $6, passphrase = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = 1`,
+      [enabled ? 1 : 0, ssid, fields.hidden ? 1 : 0, band, channel, countryCode, passphrase]
+    );
+
+    // Turning the access point off stops hostapd; apply() never touches it while disabled
+    const report = enabled || !current.enabled ? await this.apply('changed') : await this.stop();
+    return { success: true, settings: await this.getSettings(), report };
+  }
+
+  /**
+   * hostapd.conf for the saved settings
+   * @param {Object} [options] - { redact: true } hides the passphrase, for previews
+   * @returns {Promise<string>}
+   */
+  async render({ redact = false } = {}) {
+    const row = await this.getRow();
+    return fillTemplate(HOSTAPD_TEMPLATE, {
+      interface: await networkConfig.getLanInterface(),
+      ssid_hex: Buffer.from(row.ssid, 'utf8').toString('hex'),
+      hidden: row.hidden ? 1 : 0,
+      country_code: row.country_code,
+      hw_mode: HW_MODES[row.band] || HW_MODES['2.4'],
+      channel: row.channel,
+      ac: row.band === '5' ? 'ieee80211ac=1\n' : '',
+      security: row.passphrase ? fillTemplate(WPA2_TEMPLATE, { passphrase: redact ? '********' : row.passphrase }) : ''
+    });
+  }
+
+  /**
+   * Install the rendered config and restart hostapd when it changed.
+   * Runs one at a time; a call made during a run waits for it.
+   * @param {string} [reason='manual'] - What triggered it (startup, changed, manual, cli)
+   * @returns {Promise<Object>} Report of what was applied
+   */
+  apply(reason = 'manual') {
+    const run = this.queue.then(() => this.install(reason));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async install(reason) {
+    const report = {
+      success: true,
+      reason,
+      applied_at: new Date().toISOString(),
+      enabled: false,
+      changed: false,
+      rolled_back: false
+    };
+
+    try {
+      const row = await this.getRow();
+      report.enabled = !!row.enabled;
+
+      if (report.enabled) {
+        const iface = await networkConfig.getLanInterface();
+        if (!(await this.isWireless(iface))) {
+          throw new Error(`LAN interface ${iface} is not a Wi-Fi interface`);
+        }
+
+        const config = await this.render();
+        // Only root can read it: it holds the passphrase
+        const current = await execAsync(`sudo cat ${HOSTAPD_CONF}`).then(({ stdout }) => stdout, () => null);
+
+        if (config !== current) {
+          await fs.writeFile(RENDER_PATH, config, { mode: 0o600 });
+          const hadPrevious = await execAsync(`sudo test -f ${HOSTAPD_CONF}`).then(() => true, () => false);
+          if (hadPrevious) await execAsync(`sudo cp ${HOSTAPD_CONF} ${HOSTAPD_CONF_BACKUP}`);
+          await execAsync(`sudo install -m 600 ${RENDER_PATH} ${HOSTAPD_CONF}`);
+          await fs.unlink(RENDER_PATH).catch(() => {});
+          report.changed = true;
+
+          try {
+            await execAsync('sudo systemctl restart hostapd');
+          } catch (restartError) {
+            await this.rollback(hadPrevious);
+            report.rolled_back = true;
+            throw new Error(`hostapd failed to restart: ${(restartError.stderr || restartError.message).trim()}`);
+          }
+        }
+      }
+    } catch (error) {
+      report.success = false;
+      report.error = error.message;
+      console.error('Access point apply error:', error.message);
+    }
+
+    if (report.success && report.changed) {
+      console.log(`📶 Access point applied (${reason})`);
+    }
+    this.lastReport = report;
+    return report;
+  }
+
+  // Put the previous config back after a failed restart
+  async rollback(hadPrevious) {
+    try {
+      if (hadPrevious) {
+        await execAsync(`sudo cp ${HOSTAPD_CONF_BACKUP} ${HOSTAPD_CONF}`);
+        await execAsync('sudo systemctl restart hostapd');
+      } else {
+        await execAsync(`sudo rm -f ${HOSTAPD_CONF}`);
+      }
+      console.warn('Access point config rolled back to the previous version');
+    } catch (error) {
+      console.error('Access point rollback error:', error.message);
+    }
+  }
+
+  // Stop hostapd after the access point was turned off
+  async stop() {
+    const report = { success: true, reason: 'disabled', applied_at: new Date().toISOString(), enabled: false, changed: true, rolled_back: false };
+    try {
+      await execAsync('sudo systemctl stop hostapd');
+    } catch (error) {
+      report.success = false;
+      report.error = (error.stderr || error.message).trim();
+    }
+    this.lastReport = report;
+    return report;
+  }
+
+  /**
+   * hostapd state for the service status panel
+   * @returns {Promise<{active: boolean, status: string, info: string}>}
+   */
+  async getStatus() {
+    const settings = await this.getSettings();
+    if (!(await this.isWireless(settings.interface))) {
+      return { active: false, status: 'unavailable', info: 'WiFi not available' };
+    }
+
+    let state;
+    try {
+      state = (await execAsync('systemctl is-active hostapd')).stdout.trim();
+    } catch (error) {
+      // is-active exits non-zero for anything but active
+      state = (error.stdout || '').trim() || 'unknown';
+    }
+
+    if (state !== 'active') {
+      return {
+        active: false,
+        status: state,
+        info: settings.enabled ? `Not running (${state})` : 'Access point disabled'
+      };
+    }
+
+    const stations = await this.getStations();
+    return {
+      active: true,
+      status: state,
+      info: `"${settings.ssid}" on channel ${settings.channel} (${settings.band} GHz), ${stations.length} connected`
+    };
+  }
+
+  /**
+   * Stations associated with the access point, from `iw`, or `hostapd_cli`
+   * when iw is missing
+   * @returns {Promise<Object[]>} [{ mac_address, signal_dbm, connected_seconds, inactive_ms, rx_bytes, tx_bytes, tx_bitrate }]
+   */
+  async getStations() {
+    const iface = await networkConfig.getLanInterface();
+    try {
+      const { stdout } = await execAsync(`iw dev ${iface} station dump`);
+      return this.parseIwStations(stdout);
+    } catch (iwError) {
+      try {
+        const { stdout } = await execAsync(`sudo hostapd_cli -i ${iface} all_sta`);
+        return this.parseHostapdStations(stdout);
+      } catch (cliError) {
+        return [];
+      }
+    }
+  }
+
+  // Station 12:34:56:78:9a:bc (on wlan0) followed by indented "key: value" lines
+  parseIwStations(output) {
+    const stations = [];
+    let station = null;
+    for (const line of output.split('\n')) {
+      const header = /^Station ([0-9a-fA-F:]{17})/.exec(line);
+      if (header) {
+        station = this.newStation(header[1]);
+        if (station) stations.push(station);
+        continue;
+      }
+      const match = /^\s+([a-z ]+):\s+(.+)$/.exec(line);
+      if (!station || !match) continue;
+      const [, key, value] = match;
+      if (key === 'signal') station.signal_dbm = parseInt(value);
+      else if (key === 'connected time') station.connected_seconds = parseInt(value);
+      else if (key === 'inactive time') station.inactive_ms = parseInt(value);
+      else if (key === 'rx bytes') station.rx_bytes = parseInt(value);
+      else if (key === 'tx bytes') station.tx_bytes = parseInt(value);
+      else if (key === 'tx bitrate') station.tx_bitrate = value.trim();
+    }
+    return stations;
+  }
+
+  // A MAC address line followed by key=value lines, per station
+  parseHostapdStations(output) {
+    const stations = [];
+    let station = null;
+    for (const line of output.split('\n').map(l => l.trim())) {
+      if (/^[0-9a-fA-F:]{17}$/.test(line)) {
+        station = this.newStation(line);
+        if (station) stations.push(station);
+        continue;
+      }
+      const separator = line.indexOf('=');
+      if (!station || separator < 0) continue;
+      const key = line.substring(0, separator);
+      const value = line.substring(separator + 1);
+      if (key === 'signal') station.signal_dbm = parseInt(value);
+      else if (key === 'connected_time') station.connected_seconds = parseInt(value);
+      else if (key === 'inactive_msec') station.inactive_ms = parseInt(value);
+      else if (key === 'rx_bytes') station.rx_bytes = parseInt(value);
+      else if (key === 'tx_bytes') station.tx_bytes = parseInt(value);
+      else if (key === 'tx_rate_info') station.tx_bitrate = value;
+    }
+    return stations;
+  }
+
+  newStation(mac) {
+    const macAddress = sanitizeMacAddress(mac);
+    if (!macAddress) return null;
+    return {
+      mac_address: macAddress,
+      signal_dbm: null,
+      connected_seconds: null,
+      inactive_ms: null,
+      rx_bytes: null,
+      tx_bytes: null,
+      tx_bitrate: null
+    };
+  }
+
+  // Whether the kernel reports the interface as wireless
+  async isWireless(iface) {
+    return fs.access(`/sys/class/net/${iface}/wireless`).then(() => true, () => false);
+  }
+
+  async getRow() {
+    const result = await db.query('SELECT * FROM access_point WHERE id = 1');
+    if (result.rows.length > 0) return result.rows[0];
+    await db.query('INSERT OR IGNORE INTO access_point (id) VALUES (1)');
+    return (await db.query('SELECT * FROM access_point WHERE id = 1')).rows[0];
+  }
+}
+
+const accessPoint = new AccessPoint();
+
+accessPoint.HOSTAPD_CONF = HOSTAPD_CONF;
+accessPoint.CHANNELS = CHANNELS;
+accessPoint.SECURITY_MODES = SECURITY_MODES;
+
+module.exports = accessPoint;
@@ -0,0 +1,240 @@
+const db = require('../db/sqlite-adapter');
+const currencyService = require('./currency');
+
+/**
+ * Cash Collection Service
+ * Reconciles the cash counted when a coin box is emptied against what the
+ * system recorded since that box was last emptied.
+ *
+ * Two figures are computed for every period:
+ *   - coin events: coins the acceptor reported (coin_queues rows), whether or
+ *     not they were later spent. This is what should be in the box and is
+ *     the expected amount.
+ *   - coin transactions: COIN sales in `transactions`. Transactions do not
+ *     know which slot the coins came from, so this cross-check is only
+ *     available for whole-machine collections.
+ *
+ * A collection with slot_number NULL empties every slot, so it also closes
+ * the period of each individual slot.
+ */
+
+const DISCREPANCY_TOLERANCE = 0.009;
+
+// SQLite CURRENT_TIMESTAMP format (UTC)
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function roundMoney(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+class CashCollectionService {
+  /**
+   * Collected-at of the collection that opened the current period
+   * @param {number|null} slotNumber - Slot, or null for the whole machine
+   * @param {string} until - Period end (SQL timestamp)
+   * @returns {Promise<string|null>} null when the box was never collected
+   */
+  async getPeriodStart(slotNumber, until) {
+    const result = slotNumber === null
+      ? await db.query(
+        'SELECT MAX(collected_at) as period_start FROM cash_collections WHERE slot_number IS NULL AND collected_at <= $1',
+        [until]
+      )
+      : await db.query(
+        `SELECT MAX(collected_at) as period_start FROM cash_collections
+         WHERE (slot_number = $1 OR slot_number IS NULL) AND collected_at <= $2`,
+        [slotNumber, until]
+      );
+    return result.rows[0]?.period_start || null;
+  }
+
+  /**
+   * Coins reported by the acceptor in a period. Carried-over change
+   * (coin_count 0) is not new money and is skipped.
+   * @param {number|null|undefined} slotNumber - Slot; null for coins with no slot; undefined for all
+   */
+  async sumCoinEvents(slotNumber, periodStart, until) {
+    const conditions = ['coin_count > 0', 'created_at <= $1'];
+    const params = [until];
+
+    if (periodStart) {
+      params.push(periodStart);
+      conditions.push(`created_at > $${params.length}`);
+    }
+
+    if (slotNumber === null) {
+      conditions.push('slot_number IS NULL');
+    } else if (slotNumber !== undefined) {
+      params.push(slotNumber);
+      conditions.push(`slot_number = $${params.length}`);
+    }
+
+    const result = await db.query(
+      `SELECT COALESCE(SUM(total_value), 0) as total, COALESCE(SUM(coin_count), 0) as coins
+       FROM coin_queues WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    return {
+      total: roundMoney(result.rows[0].total),
+      coins: parseInt(result.rows[0].coins) || 0
+    };
+  }
+
+  /**
+   * Completed coin sales in a period
+   */
+  async sumCoinTransactions(periodStart, until) {
+    const params = [until];
+    let periodCondition = '';
+    if (periodStart) {
+      params.push(periodStart);
+      periodCondition = 'AND created_at > $2';
+    }
+
+    const result = await db.query(
+      `SELECT COALESCE(SUM(amount), 0) as total, COUNT(*) as count
+       FROM transactions
+       WHERE payment_method = 'COIN' AND status = 'COMPLETED' AND created_at <= $1 ${periodCondition}`,
+      params
+    );
+    return {
+      total: roundMoney(result.rows[0].total),
+      count: parseInt(result.rows[0].count) || 0
+    };
+  }
+
+  /**
+   * Expected cash for a coin box since its last collection
+   *
+   * @param {number|null} slotNumber - Slot, or null for the whole machine
+   * @param {Date} [until=now] - When the box is (or was) emptied
+   * @returns {Promise<Object>} { slot_number, period_start, period_end, expected_amount,
+   *   coins_inserted, transaction_total, transaction_count }
+   */
+  async getExpected(slotNumber, until = new Date()) {
+    const periodEnd = toSqlTimestamp(until);
+    const periodStart = await this.getPeriodStart(slotNumber, periodEnd);
+
+    const summary = {
+      slot_number: slotNumber,
+      period_start: periodStart,
+      period_end: periodEnd,
+      expected_amount: 0,
+      coins_inserted: 0,
+      transaction_total: null,
+      transaction_count: null
+    };
+
+    if (slotNumber !== null) {
+      const coins = await this.sumCoinEvents(slotNumber, periodStart, periodEnd);
+      summary.expected_amount = coins.total;
+      summary.coins_inserted = coins.coins;
+      return summary;
+    }
+
+    // Whole machine: each slot since its own last collection, plus coins
+    // recorded before slots were tracked per coin
+    const slots = await this.getSlotNumbers();
+    for (const slot of slots) {
+      const slotStart = await this.getPeriodStart(slot, periodEnd);
+      const coins = await this.sumCoinEvents(slot, slotStart, periodEnd);
+      summary.expected_amount += coins.total;
+      summary.coins_inserted += coins.coins;
+    }
+    const unassigned = await this.sumCoinEvents(null, periodStart, periodEnd);
+    summary.expected_amount = roundMoney(summary.expected_amount + unassigned.total);
+    summary.coins_inserted += unassigned.coins;
+
+    const transactions = await this.sumCoinTransactions(periodStart, periodEnd);
+    summary.transaction_total = transactions.total;
+    summary.transaction_count = transactions.count;
+
+    return summary;
+  }
+
+  /**
+   * Slots that exist or have ever taken coins
+   * @returns {Promise<number[]>}
+   */
+  async getSlotNumbers() {
+    const result = await db.query(
+      `SELECT slot_number FROM coin_slots
+       UNION
+       SELECT DISTINCT slot_number FROM coin_queues WHERE slot_number IS NOT NULL
+       ORDER BY slot_number`
+    );
+    return result.rows.map(row => parseInt(row.slot_number));
+  }
+
+  /**
+   * Record a collection and its reconciliation
+   *
+   * @param {Object} collection - Sanitized collection (see utils/cash-collections.js)
+   * @param {string} recordedBy - Admin who entered it
+   * @returns {Promise<Object>} { error } or { collection }
+   */
+  async record({ slot_number: slotNumber, counted_amount: countedAmount, collected_by: collectedBy, collected_at: collectedAt, notes }, recordedBy) {
+    const until = collectedAt || new Date();
+    const collectedAtSql = toSqlTimestamp(until);
+
+    // Keep each box's ledger in order; a collection cannot be slotted in
+    // before one that already closed the same period
+    const laterResult = slotNumber === null
+      ? await db.query('SELECT id FROM cash_collections WHERE collected_at >= $1 LIMIT 1', [collectedAtSql])
+      : await db.query(
+        `SELECT id FROM cash_collections
+         WHERE (slot_number = $1 OR slot_number IS NULL) AND collected_at >= $2 LIMIT 1`,
+        [slotNumber, collectedAtSql]
+      );
+    if (laterResult.rows.length > 0) {
+      return { error: 'A collection at or after this time is already recorded for this coin box' };
+    }
+
+    const expected = await this.getExpected(slotNumber, until);
+    const discrepancy = roundMoney(countedAmount - expected.expected_amount);
+
+    const result = await db.query(
+      `INSERT INTO cash_collections (
+         slot_number, collected_by, collected_at, period_start, counted_amount, expected_amount,
+         coins_inserted, transaction_total, transaction_count, discrepancy, notes, recorded_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [slotNumber, collectedBy, collectedAtSql, expected.period_start, countedAmount, expected.expected_amount,
+        expected.coins_inserted, expected.transaction_total, expected.transaction_count, discrepancy,
+        notes || null, recordedBy]
+    );
+    const row = result.rows[0];
+
+    const status = this.getStatus(row);
+    const counted = await currencyService.format(countedAmount);
+    const expectedAmount = await currencyService.format(expected.expected_amount);
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      [status === 'balanced' ? 'INFO' : 'WARN',
+        `Cash collected from ${slotNumber === null ? 'all slots' : `slot ${slotNumber}`}: ${counted} counted, ${expectedAmount} expected`,
+        'cash',
+        JSON.stringify({ admin: recordedBy, collection_id: row.id, slot_number: slotNumber, discrepancy })]
+    );
+
+    return { collection: this.withStatus(row) };
+  }
+
+  /**
+   * 'balanced', 'over' (more cash than recorded) or 'short'
+   */
+  getStatus(collection) {
+    const discrepancy = parseFloat(collection.discrepancy) || 0;
+    if (Math.abs(discrepancy) <= DISCREPANCY_TOLERANCE) return 'balanced';
+    return discrepancy > 0 ? 'over' : 'short';
+  }
+
+  withStatus(collection) {
+    return { ...collection, status: this.getStatus(collection) };
+  }
+}
+
+const cashCollections = new CashCollectionService();
+
+module.exports = cashCollections;
@@ -0,0 +1,335 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const NetworkManager = require('./network-manager');
+const dataUsageMonitor = require('./data-usage');
+const sessionClock = require('./session-clock');
+const sessionEvents = require('./session-events');
+const firewallReconciler = require('./firewall-reconciler');
+const db = require('../db/sqlite-adapter');
+const { isValidIPv4 } = require('../utils/validators');
+
+/**
+ * Client Identity
+ * Phones rotate their MAC (per network or per day), which used to strand a
+ * paid balance on a MAC the device no longer uses. This links a client row
+ * to identifiers that survive the rotation (client_identities):
+ *
+ * - session_token: the pisowifi_session portal cookie (strong)
+ * - dhcp_client_id: DHCP option 61 from the dnsmasq lease, when it is not
+ *   just the MAC again (strong)
+ * - hostname: DHCP hostname from the lease (weak)
+ * - fingerprint: hash of the browser user agent (weak)
+ *
+ * A device showing up under a new MAC is matched on a strong identifier
+ * only; its balance, running session and firewall allowance then move to the
+ * new MAC. Weak identifiers are kept for the admin but never move time: two
+ * phones of the same model with the same browser share both.
+ */
+
+const DNSMASQ_LEASES_FILE = '/var/lib/misc/dnsmasq.leases';
+
+const STRONG_KINDS = ['session_token', 'dhcp_client_id'];
+
+/**
+ * Hash a user agent into a fingerprint
+ * @param {string} userAgent
+ * @returns {string|null}
+ */
+function fingerprintOf(userAgent) {
+  if (!userAgent || typeof userAgent !== 'string') return null;
+  return crypto.createHash('sha256').update(userAgent.trim()).digest('hex').substring(0, 32);
+}
+
+/**
+ * Stand-in MAC for a device whose real MAC could not be found, derived from
+ * its IP. It is locally administered (02:...) so it can't clash with a real one.
+ * @param {string} clientIP
+ * @returns {string|null}
+ */
+function temporaryMacFor(clientIP) {
+  const ipParts = (clientIP || '').split('.');
+  if (ipParts.length !== 4) return null;
+  return `02:00:${ipParts[2].padStart(2, '0')}:${ipParts[3].padStart(2, '0')}:00:01`;
+}
+
+function isTemporaryMac(macAddress) {
+  return /^02:00:\d{2,3}:\d{2,3}:00:01$/.test(String(macAddress));
+}
+
+// dnsmasq writes the client-id as hex bytes; type 01 + the MAC says nothing new
+function isMacClientId(clientId, macAddress) {
+  const id = clientId.toLowerCase().replace(/^01:/, '');
+  return id === String(macAddress).toLowerCase();
+}
+
+class ClientIdentity {
+  constructor() {
+    this.networkManager = new NetworkManager();
+  }
+
+  /**
+   * dnsmasq lease for an IP address
+   * @param {string} clientIP
+   * @returns {Promise<Object|null>} { mac_address, hostname, client_id } (hostname/client_id may be null)
+   */
+  async readLease(clientIP) {
+    if (!clientIP || !isValidIPv4(clientIP)) return null;
+
+    try {
+      const content = await fs.readFile(DNSMASQ_LEASES_FILE, 'utf8');
+      for (const line of content.split('\n')) {
+        // <expiry> <mac> <ip> <hostname|*> <client-id|*>
+        const [, mac, ip, hostname, clientId] = line.trim().split(/\s+/);
+        if (ip !== clientIP || !mac) continue;
+
+        return {
+          mac_address: mac.toUpperCase(),
+          hostname: hostname && hostname !== '*' ? hostname : null,
+          client_id: clientId && clientId !== '*' && !isMacClientId(clientId, mac) ? clientId.toLowerCase() : null
+        };
+      }
+    } catch (error) {
+      // No dnsmasq on this install
+    }
+    return null;
+  }
+
+  /**
+   * Identifiers the request carries
+   * @param {Object} options - { clientIP, sessionToken, userAgent }
+   * @returns {Promise<Object[]>} [{ kind, value }]
+   */
+  async collect({ clientIP, sessionToken, userAgent }) {
+    const identifiers = [];
+    if (sessionToken) identifiers.push({ kind: 'session_token', value: sessionToken });
+
+    const lease = await this.readLease(clientIP);
+    if (lease?.client_id) identifiers.push({ kind: 'dhcp_client_id', value: lease.client_id });
+    if (lease?.hostname) identifiers.push({ kind: 'hostname', value: lease.hostname });
+
+    const fingerprint = fingerprintOf(userAgent);
+    if (fingerprint) identifiers.push({ kind: 'fingerprint', value: fingerprint });
+
+    return identifiers;
+  }
+
+  /**
+   * Link a request's identifiers to a client (non-critical)
+   * @param {number} clientId
+   * @param {Object} options - { clientIP, sessionToken, userAgent }
+   */
+  async remember(clientId, options) {
+    try {
+      for (const { kind, value } of await this.collect(options)) {
+        await db.query(
+          `INSERT INTO client_identities (client_id, kind, value)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (kind, value) DO UPDATE SET
+             client_id = EXCLUDED.client_id,
+             last_seen = CURRENT_TIMESTAMP`,
+          [clientId, kind, value]
+        );
+      }
+    } catch (error) {
+      console.warn('Failed to remember client identity:', error.message);
+    }
+  }
+
+  /**
+   * Find the client a device used before its MAC changed
+   * @param {string} macAddress - Current MAC
+   * @param {Object[]} identifiers - From collect()
+   * @returns {Promise<Object|null>} { client, matchedBy }
+   */
+  async findPrevious(macAddress, identifiers) {
+    const strong = identifiers.filter(({ kind }) => STRONG_KINDS.includes(kind));
+    if (strong.length === 0) return null;
+
+    const conditions = strong.map((_, i) => `(ci.kind = $${i * 2 + 2} AND ci.value = $${i * 2 + 3})`);
+    const params = [macAddress.toUpperCase(), ...strong.flatMap(({ kind, value }) => [kind, value])];
+
+    // Only clients with a balance left are worth moving
+    const result = await db.query(
+      `SELECT ci.kind, c.id, c.mac_address, c.ip_address, c.status, c.data_remaining,
+              ${sessionClock.remainingTimeSql('c')} as time_remaining
+       FROM client_identities ci
+       JOIN clients c ON c.id = ci.client_id
+       WHERE (${conditions.join(' OR ')})
+       AND UPPER(c.mac_address) != $1
+       AND c.status IN ('CONNECTED', 'PAUSED')
+       AND ${sessionClock.remainingTimeSql('c')} > 0
+       ORDER BY ci.last_seen DESC`,
+      params
+    );
+
+    const kindsByClient = new Map();
+    for (const row of result.rows) {
+      if (!kindsByClient.has(row.id)) kindsByClient.set(row.id, { client: row, kinds: new Set() });
+      kindsByClient.get(row.id).kinds.add(row.kind);
+    }
+
+    for (const { client, kinds } of kindsByClient.values()) {
+      const strong = STRONG_KINDS.find(kind => kinds.has(kind));
+      if (strong) return { client, matchedBy: strong };
+    }
+    return null;
+  }
+
+  /**
+   * Move a device's balance to its new MAC if it was seen before under
+   * another one (non-critical)
+   * @param {Object} options
+   * @param {string} options.macAddress - MAC the device uses now
+   * @param {string} options.clientIP
+   * @param {string} [options.sessionToken] - pisowifi_session cookie
+   * @param {string} [options.userAgent]
+   * @returns {Promise<Object|null>} Migration result, null when nothing moved
+   */
+  async recognize({ macAddress, clientIP, sessionToken, userAgent }) {
+    // Never pull a real MAC's time onto a stand-in; it moves the other way
+    if (!macAddress || macAddress === 'Unknown' || isTemporaryMac(macAddress)) return null;
+
+    try {
+      const identifiers = await this.collect({ clientIP, sessionToken, userAgent });
+
+      const current = await db.query(
+        `SELECT id, status, ${sessionClock.REMAINING_TIME_SQL} as time_remaining FROM clients WHERE UPPER(mac_address) = $1`,
+        [macAddress.toUpperCase()]
+      );
+      const own = current.rows[0];
+      if (own && ['CONNECTED', 'PAUSED'].includes(own.status) && parseInt(own.time_remaining) > 0) {
+        // Already has its own time: just keep its identifiers current
+        await this.remember(own.id, { clientIP, sessionToken, userAgent });
+        return null;
+      }
+
+      const previous = await this.findPrevious(macAddress, identifiers);
+      if (!previous) return null;
+
+      const moved = await this.migrate(previous.client, macAddress, clientIP, previous.matchedBy);
+      if (moved) {
+        await this.remember(moved.clientId, { clientIP, sessionToken, userAgent });
+      }
+      return moved;
+    } catch (error) {
+      console.warn('Client recognition failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Move a client's balance and running session to a new MAC and re-apply
+   * its firewall allowance
+   * @param {Object} client - { id, mac_address }
+   * @param {string} newMac
+   * @param {string} clientIP
+   * @param {string} matchedBy - Identifier that linked the two MACs
+   * @returns {Promise<Object|null>} { clientId, from_mac, to_mac, matched_by }, null when the new MAC has its own time
+   */
+  async migrate(client, newMac, clientIP, matchedBy) {
+    const toMac = newMac.toUpperCase();
+    const fromMac = client.mac_address.toUpperCase();
+    if (toMac === fromMac) return null;
+
+    const source = (await db.query(`SELECT *, ${sessionClock.REMAINING_TIME_SQL} as remaining FROM clients WHERE id = $1`, [client.id])).rows[0];
+    if (!source) return null;
+    const balance = parseInt(source.remaining) || 0;
+    const ip = isValidIPv4(clientIP) ? clientIP : source.ip_address;
+
+    const existing = await db.query(
+      `SELECT id, status, ${sessionClock.REMAINING_TIME_SQL} as time_remaining FROM clients WHERE UPPER(mac_address) = $1`,
+      [toMac]
+    );
+    const target = existing.rows[0];
+    if (target && ['CONNECTED', 'PAUSED'].includes(target.status) && parseInt(target.time_remaining) > 0) {
+      console.warn(`Not moving ${fromMac} to ${toMac}: it has its own time`);
+      return null;
+    }
+
+    let clientId = source.id;
+    const details = { from_mac: fromMac, to_mac: toMac, matched_by: matchedBy };
+
+    if (!target) {
+      // New MAC never seen: the client row simply follows the device
+      await db.query(
+        'UPDATE clients SET mac_address = $1, ip_address = $2, last_seen = CURRENT_TIMESTAMP WHERE id = $3',
+        [toMac, ip, source.id]
+      );
+      await db.query(
+        "UPDATE sessions SET mac_address = $1, ip_address = $2 WHERE client_id = $3 AND status = 'ACTIVE'",
+        [toMac, ip, source.id]
+      );
+      await sessionEvents.record(clientId, 'mac_changed', { reason: matchedBy, details });
+    } else {
+      // New MAC has a row (and maybe history) of its own: move the balance into it
+      clientId = target.id;
+      await db.query(
+        `UPDATE clients
+         SET status = $1, time_remaining = $2, expires_at = $3, paused_at = $4, paused_until = $5,
+             pause_reason = $6, paused_seconds = $7, pause_count = $8, data_remaining = $9,
+             session_token = COALESCE($10, session_token), upload_limit = $11, download_limit = $12,
+             ip_address = $13, pool_id = $14, last_seen = CURRENT_TIMESTAMP
+         WHERE id = $15`,
+        [
+          source.status, source.time_remaining, source.expires_at, source.paused_at, source.paused_until,
+          source.pause_reason, source.paused_seconds, source.pause_count, source.data_remaining,
+          source.session_token, source.upload_limit || 0, source.download_limit || 0,
+          ip, source.pool_id || null, target.id
+        ]
+      );
+      await db.query(
+        `UPDATE clients
+         SET status = 'DISCONNECTED', time_remaining = 0, expires_at = NULL, paused_at = NULL,
+             paused_until = NULL, pause_reason = NULL, data_remaining = NULL, pool_id = NULL
+         WHERE id = $1`,
+        [source.id]
+      );
+      await db.query('UPDATE time_pools SET owner_client_id = $1 WHERE owner_client_id = $2', [target.id, source.id]);
+      await db.query(
+        "UPDATE sessions SET client_id = $1, mac_address = $2, ip_address = $3 WHERE client_id = $4 AND status = 'ACTIVE'",
+        [target.id, toMac, ip, source.id]
+      );
+      await db.query(
+        "UPDATE vouchers SET client_id = $1 WHERE client_id = $2 AND status = 'active'",
+        [target.id, source.id]
+      );
+      await db.query('UPDATE client_identities SET client_id = $1 WHERE client_id = $2', [target.id, source.id]);
+
+      await sessionEvents.record(source.id, 'mac_changed', { reason: matchedBy, timeDelta: -balance, details: { ...details, to_client_id: target.id } });
+      await sessionEvents.record(target.id, 'mac_changed', { reason: matchedBy, timeDelta: balance, details: { ...details, from_client_id: source.id } });
+    }
+    sessionClock.reschedule();
+
+    // Firewall and byte counters are per MAC
+    try {
+      await this.networkManager.deauthenticateClient(fromMac);
+      await dataUsageMonitor.untrackClient(fromMac);
+      if (source.status === 'CONNECTED' && balance > 0) {
+        await this.networkManager.authenticateClient(toMac, ip, Math.min(balance, firewallReconciler.MAX_FIREWALL_DURATION));
+        if (source.data_remaining !== null && isValidIPv4(ip)) {
+          await dataUsageMonitor.startTracking(clientId, toMac, ip);
+        }
+      }
+    } catch (networkError) {
+      console.warn(`Failed to move firewall access from ${fromMac} to ${toMac}:`, networkError.message);
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Client MAC changed: ${fromMac} → ${toMac}`, 'portal',
+        JSON.stringify({ client_id: clientId, previous_client_id: source.id !== clientId ? source.id : undefined, matched_by: matchedBy, time_remaining: balance })]
+    );
+    console.log(`🔀 Moved ${fromMac} to ${toMac} (${matchedBy}), ${balance}s left`);
+
+    return { clientId, from_mac: fromMac, to_mac: toMac, matched_by: matchedBy };
+  }
+}
+
+const clientIdentity = new ClientIdentity();
+
+clientIdentity.DNSMASQ_LEASES_FILE = DNSMASQ_LEASES_FILE;
+clientIdentity.fingerprintOf = fingerprintOf;
+clientIdentity.temporaryMacFor = temporaryMacFor;
+clientIdentity.isTemporaryMac = isTemporaryMac;
+
+module.exports = clientIdentity;
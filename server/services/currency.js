@@ -0,0 +1,115 @@
+const db = require('../db/sqlite-adapter');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency');
+
+/**
+ * Currency Service
+ * Reads the configured currency from system_settings and the accepted coins
+ * from coin_denominations. Both are read on almost every request (page
+ * renders, coin inserts) and change rarely, so they are cached briefly.
+ * The GPIO bridge runs in its own process and reloads on its own schedule.
+ */
+
+const CACHE_TTL_MS = 30 * 1000;
+
+class CurrencyService {
+  constructor() {
+    this.currency = null;
+    this.currencyLoadedAt = 0;
+    this.denominations = null;
+    this.denominationsLoadedAt = 0;
+  }
+
+  /**
+   * Configured currency
+   * @returns {Promise<Object>} { code, symbol, decimals, locale }
+   */
+  async getCurrency() {
+    if (this.currency && Date.now() - this.currencyLoadedAt < CACHE_TTL_MS) {
+      return this.currency;
+    }
+
+    try {
+      const result = await db.query(
+        'SELECT currency_code, currency_symbol, currency_decimals, currency_locale FROM system_settings WHERE id = 1'
+      );
+      const row = result.rows[0] || {};
+      const decimals = parseInt(row.currency_decimals, 10);
+      this.currency = {
+        code: row.currency_code || DEFAULT_CURRENCY.code,
+        symbol: row.currency_symbol || DEFAULT_CURRENCY.symbol,
+        decimals: isNaN(decimals) ? DEFAULT_CURRENCY.decimals : decimals,
+        locale: row.currency_locale || DEFAULT_CURRENCY.locale
+      };
+      this.currencyLoadedAt = Date.now();
+    } catch (error) {
+      console.error('Failed to load currency settings:', error.message);
+      return this.currency || { ...DEFAULT_CURRENCY };
+    }
+
+    return this.currency;
+  }
+
+  /**
+   * Save the currency settings
+   * @param {Object} currency - Sanitized currency (see utils/currency.js)
+   */
+  async updateCurrency({ code, symbol, decimals, locale }) {
+    await db.query(
+      `UPDATE system_settings
+       SET currency_code = $1, currency_symbol = $2, currency_decimals = $3, currency_locale = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = 1`,
+      [code, symbol, decimals, locale]
+    );
+    this.invalidate();
+    return this.getCurrency();
+  }
+
+  /**
+   * Coin denominations, smallest first
+   * @param {Object} [options]
+   * @param {boolean} [options.activeOnly=false]
+   * @returns {Promise<Object[]>}
+   */
+  async getDenominations({ activeOnly = false } = {}) {
+    if (!this.denominations || Date.now() - this.denominationsLoadedAt >= CACHE_TTL_MS) {
+      const result = await db.query('SELECT * FROM coin_denominations ORDER BY value');
+      this.denominations = result.rows.map(row => ({
+        ...row,
+        value: parseFloat(row.value),
+        is_active: Boolean(row.is_active)
+      }));
+      this.denominationsLoadedAt = Date.now();
+    }
+
+    return activeOnly
+      ? this.denominations.filter(denomination => denomination.is_active)
+      : this.denominations;
+  }
+
+  /**
+   * Values of the coins currently accepted
+   * @returns {Promise<number[]>}
+   */
+  async getCoinValues() {
+    const denominations = await this.getDenominations({ activeOnly: true });
+    return denominations.map(denomination => denomination.value);
+  }
+
+  /**
+   * Format an amount in the configured currency
+   * @param {number|string} amount
+   * @returns {Promise<string>}
+   */
+  async format(amount) {
+    return formatMoney(amount, await this.getCurrency());
+  }
+
+  invalidate() {
+    this.currency = null;
+    this.denominations = null;
+  }
+}
+
+const currencyService = new CurrencyService();
+
+module.exports = currencyService;
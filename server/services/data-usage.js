@@ -0,0 +1,245 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const NetworkManager = require('./network-manager');
+const networkConfig = require('./network-config');
+const sessionEvents = require('./session-events');
+const db = require('../db/sqlite-adapter');
+const {
+  isValidMacAddress,
+  sanitizeMacAddress,
+  isValidIPv4
+} = require('../utils/validators');
+
+const execAsync = promisify(exec);
+
+/**
+ * Data Usage Service
+ * Per-client byte accounting for data packages (and, through
+ * idle-detector.js, for spotting idle clients). Each tracked client gets two
+ * counting rules in the pisowifi_acct chain (jumped to from FORWARD): upload
+ * from its MAC into the LAN interface and download to its IP out of it.
+ * The rules only RETURN, so they count traffic without deciding anything.
+ */
+
+const ACCOUNTING_CHAIN = 'pisowifi_acct';
+const BYTES_PER_MB = 1024 * 1024;
+
+class DataUsageMonitor {
+  constructor() {
+    this.networkManager = new NetworkManager();
+    this.chainReady = false;
+    this.polling = false;
+  }
+
+  /**
+   * Bytes to megabytes with one decimal, null stays null (no quota)
+   */
+  toMegabytes(bytes) {
+    if (bytes === null || bytes === undefined) return null;
+    return Math.round((parseInt(bytes) / BYTES_PER_MB) * 10) / 10;
+  }
+
+  /**
+   * LAN interface clients connect through (network-config.js)
+   */
+  async getLanInterface() {
+    return networkConfig.getLanInterface();
+  }
+
+  /**
+   * Create the accounting chain and hook it into FORWARD once
+   */
+  async ensureChain() {
+    if (this.chainReady) return;
+
+    await execAsync(`sudo iptables -N ${ACCOUNTING_CHAIN} 2>/dev/null || true`);
+    await execAsync(
+      `sudo iptables -C FORWARD -j ${ACCOUNTING_CHAIN} 2>/dev/null || sudo iptables -I FORWARD 1 -j ${ACCOUNTING_CHAIN}`
+    );
+    this.chainReady = true;
+  }
+
+  /**
+   * Start counting a client's traffic. Existing rules are kept when the IP
+   * is unchanged so the running counter is not lost.
+   * @returns {Promise<boolean>} true when the counter was (re)started from zero
+   */
+  async trackClient(macAddress, ipAddress) {
+    if (!isValidMacAddress(macAddress) || !isValidIPv4(ipAddress)) {
+      console.warn('Data usage: invalid MAC or IP, not tracking', macAddress, ipAddress);
+      return false;
+    }
+
+    const mac = sanitizeMacAddress(macAddress);
+    await this.ensureChain();
+
+    const { stdout } = await execAsync(`sudo iptables -S ${ACCOUNTING_CHAIN}`);
+    const existing = stdout.split('\n').filter(line => line.includes(`pisowifi-acct ${mac}`));
+    if (existing.length === 2 && existing.some(line => line.includes(`-d ${ipAddress}/32`))) {
+      return false;
+    }
+
+    await this.untrackClient(mac);
+
+    const lan = await this.getLanInterface();
+    const comment = `-m comment --comment "pisowifi-acct ${mac}"`;
+    await execAsync(`sudo iptables -A ${ACCOUNTING_CHAIN} -i ${lan} -m mac --mac-source ${mac} ${comment} -j RETURN`);
+    await execAsync(`sudo iptables -A ${ACCOUNTING_CHAIN} -o ${lan} -d ${ipAddress} ${comment} -j RETURN`);
+    return true;
+  }
+
+  /**
+   * Start counting a client's traffic, resetting its stored counter when the
+   * rules were recreated
+   * @returns {Promise<boolean>} true when the counter was (re)started from zero
+   */
+  async startTracking(clientId, macAddress, ipAddress) {
+    const restarted = await this.trackClient(macAddress, ipAddress);
+    if (restarted) {
+      await db.query('UPDATE clients SET data_counter = 0 WHERE id = $1', [clientId]);
+    }
+    return restarted;
+  }
+
+  /**
+   * Remove a client's counting rules
+   */
+  async untrackClient(macAddress) {
+    if (!isValidMacAddress(macAddress)) return;
+    const mac = sanitizeMacAddress(macAddress);
+
+    try {
+      const { stdout } = await execAsync(`sudo iptables -L ${ACCOUNTING_CHAIN} -n --line-numbers`);
+      const ruleNumbers = stdout
+        .split('\n')
+        .filter(line => line.includes(`pisowifi-acct ${mac}`))
+        .map(line => parseInt(line, 10))
+        .filter(number => number > 0)
+        .sort((a, b) => b - a);
+
+      // Delete from the bottom up so the remaining numbers stay valid
+      for (const number of ruleNumbers) {
+        await execAsync(`sudo iptables -D ${ACCOUNTING_CHAIN} ${number}`);
+      }
+    } catch (error) {
+      // Chain does not exist yet, nothing to remove
+    }
+  }
+
+  /**
+   * Read byte counters per MAC (upload + download)
+   * @returns {Promise<Map<string, number>>}
+   */
+  async readCounters() {
+    const counters = new Map();
+    const { stdout } = await execAsync(`sudo iptables -L ${ACCOUNTING_CHAIN} -n -v -x`);
+
+    for (const line of stdout.split('\n')) {
+      const match = line.match(/^\s*\d+\s+(\d+)\s.*pisowifi-acct ([0-9A-F:]{17})/);
+      if (match) {
+        counters.set(match[2], (counters.get(match[2]) || 0) + parseInt(match[1], 10));
+      }
+    }
+
+    return counters;
+  }
+
+  /**
+   * Charge new traffic against data-capped clients and disconnect the ones
+   * whose quota ran out.
+   * @param {Object} [io] - socket.io server for disconnect events
+   */
+  async poll(io) {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const clientsResult = await db.query(`
+        SELECT id, mac_address, data_remaining, data_counter
+        FROM clients
+        WHERE status = 'CONNECTED' AND data_remaining IS NOT NULL
+      `);
+      if (clientsResult.rows.length === 0) return;
+
+      await this.ensureChain();
+      const counters = await this.readCounters();
+
+      for (const client of clientsResult.rows) {
+        const counter = counters.get(client.mac_address.toUpperCase());
+        if (counter === undefined) continue;
+
+        // Counters restart from zero when rules are recreated
+        const lastCounter = parseInt(client.data_counter) || 0;
+        const used = counter >= lastCounter ? counter - lastCounter : counter;
+        const remaining = Math.max(0, (parseInt(client.data_remaining) || 0) - used);
+
+        // Idle clients need no write on every tick
+        if (used !== 0 || counter !== lastCounter) {
+          await db.query(
+            `UPDATE clients
+             SET data_remaining = $1, data_used = COALESCE(data_used, 0) + $2, data_counter = $3
+             WHERE id = $4`,
+            [remaining, used, counter, client.id]
+          );
+        }
+
+        if (remaining <= 0) {
+          await this.disconnectExhausted(client, io);
+        }
+      }
+    } catch (error) {
+      console.warn('Data usage poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * End a client's session because its data quota is used up
+   */
+  async disconnectExhausted(client, io) {
+    console.log(`📶 Data quota used up for ${client.mac_address}, disconnecting...`);
+    // A pooled device only drops out; the pool's time stays with the others
+    const timePools = require('./time-pools');
+    const pooled = await timePools.getActivePoolId(client.id);
+    const forfeited = pooled ? 0 : await require('./session-clock').getRemaining(client.id);
+    await timePools.detach(client.id);
+
+    await db.query(`
+      UPDATE clients
+      SET status = 'DISCONNECTED', time_remaining = 0, expires_at = NULL, data_remaining = NULL, last_seen = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [client.id]);
+
+    await db.query(`
+      UPDATE sessions
+      SET status = 'ENDED', ended_at = CURRENT_TIMESTAMP
+      WHERE client_id = $1 AND status = 'ACTIVE'
+    `, [client.id]);
+
+    await sessionEvents.record(client.id, 'expired', { reason: 'data_exhausted', timeDelta: forfeited > 0 ? -forfeited : 0 });
+
+    await this.networkManager.deauthenticateClient(client.mac_address);
+    await this.untrackClient(client.mac_address);
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Data quota used up: ${client.mac_address}`, 'portal', JSON.stringify({ client_id: client.id })]
+    );
+
+    if (io) {
+      io.emit('client-disconnected', {
+        mac_address: client.mac_address,
+        reason: 'data_exhausted'
+      });
+      io.to(require('./low-time-warnings').roomFor(client.mac_address)).emit('session-expired', {
+        reason: 'data_exhausted'
+      });
+    }
+  }
+}
+
+const dataUsageMonitor = new DataUsageMonitor();
+dataUsageMonitor.BYTES_PER_MB = BYTES_PER_MB;
+
+module.exports = dataUsageMonitor;
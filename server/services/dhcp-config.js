@@ -0,0 +1,427 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const db = require('../db/sqlite-adapter');
+const networkConfig = require('./network-config');
+const { isValidIPv4, sanitizeMacAddress } = require('../utils/validators');
+
+const execAsync = promisify(exec);
+const { isInLan, ipToInt, MIN_LEASE_TIME } = networkConfig;
+
+/**
+ * DHCP Config
+ * Renders /etc/dnsmasq.d/pisowifi.conf from the LAN settings
+ * (network-config.js) plus the admin's static reservations (dhcp_reservations) and DHCP options (dhcp_options),
+ * so admin devices, printers and access points keep a fixed IP.
+ *
+ * apply() only installs a file dnsmasq accepts: the rendered config is
+ * checked with `dnsmasq --test` first, and if dnsmasq then fails to restart
+ * the previous file is put back and dnsmasq restarted on it.
+ *
+ * Reservations may override the lease time (NULL = the range's lease time,
+ * 0 = infinite). Custom options replace the router (3) and DNS (6) options
+ * generated from the LAN settings when they use the same code. Reservations
+ * left outside the LAN by a subnet change are skipped until they are edited.
+ */
+
+const DNSMASQ_CONF = '/etc/dnsmasq.d/pisowifi.conf';
+const DNSMASQ_CONF_BACKUP = '/etc/dnsmasq.d/pisowifi.conf.bak';
+const RENDER_PATH = '/tmp/dnsmasq-pisowifi.conf';
+const LEASES_FILE = '/var/lib/misc/dnsmasq.leases';
+
+const MAX_LEASE_TIME = 365 * 24 * 3600;
+
+// Options dnsmasq derives from the range and the protocol itself
+const RESERVED_OPTION_CODES = [0, 1, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 61, 255];
+
+const OPTION_NAMES = {
+  2: 'time-offset',
+  3: 'router',
+  6: 'dns-server',
+  15: 'domain-name',
+  26: 'mtu',
+  28: 'broadcast',
+  42: 'ntp-server',
+  44: 'netbios-ns',
+  66: 'tftp-server',
+  67: 'bootfile-name',
+  114: 'captive-portal',
+  119: 'domain-search',
+  121: 'classless-static-route'
+};
+
+const CAPTIVE_DETECTION_DOMAINS = [
+  'connectivitycheck.gstatic.com',
+  'connectivitycheck.android.com',
+  'captive.apple.com',
+  'www.msftconnecttest.com',
+  'detectportal.firefox.com'
+];
+
+/**
+ * Validate a DHCP hostname (a single DNS label, starting with a letter so
+ * dnsmasq can't take it for a lease time)
+ */
+function isValidHostname(hostname) {
+  return typeof hostname === 'string' && /^[a-zA-Z](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/.test(hostname);
+}
+
+/**
+ * Validate a DHCP option value: comma-separated addresses, names or numbers.
+ * Nothing that could end the line or start another dnsmasq directive.
+ */
+function isValidOptionValue(value) {
+  return typeof value === 'string' && value.length <= 255 &&
+    /^[A-Za-z0-9._:/-]+(?:,[A-Za-z0-9._:/-]+)*$/.test(value);
+}
+
+// Lease time as written in dnsmasq config
+function formatLeaseTime(seconds) {
+  return seconds === 0 ? 'infinite' : String(seconds);
+}
+
+class DhcpConfig {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.lastReport = null;
+  }
+
+  /**
+   * Static reservations, by IP
+   * @returns {Promise<Object[]>}
+   */
+  async listReservations() {
+    const result = await db.query(
+      `SELECT id, mac_address, ip_address, hostname, lease_time, description, created_at, updated_at
+       FROM dhcp_reservations`
+    );
+    return result.rows.sort((a, b) => ipToInt(a.ip_address) - ipToInt(b.ip_address));
+  }
+
+  /**
+   * Add a reservation, or update one when an id is given, then apply
+   * @param {Object} fields - { mac_address, ip_address, hostname, lease_time, description }
+   * @param {number} [id]
+   * @returns {Promise<Object|null>} { success, error?, reservation?, report? }, null when there is no reservation with this id
+   */
+  async saveReservation(fields, id = null) {
+    const network = await networkConfig.get();
+    const mac = sanitizeMacAddress(fields.mac_address);
+    if (!mac) return { success: false, error: 'Invalid MAC address' };
+
+    const ip = typeof fields.ip_address === 'string' ? fields.ip_address.trim() : '';
+    if (!isValidIPv4(ip) || !isInLan(ip, network)) {
+      return { success: false, error: `IP address must be a host address in the LAN (${network.gateway}/${network.subnet_mask})` };
+    }
+    if (ip === network.gateway) {
+      return { success: false, error: 'IP address is the gateway address' };
+    }
+
+    const hostname = fields.hostname ? String(fields.hostname).trim() : null;
+    if (hostname && !isValidHostname(hostname)) {
+      return { success: false, error: 'Hostname must start with a letter and contain only letters, digits and hyphens' };
+    }
+
+    let leaseTime = null;
+    if (fields.lease_time !== undefined && fields.lease_time !== null && fields.lease_time !== '') {
+      leaseTime = Number(fields.lease_time);
+      if (!Number.isInteger(leaseTime) || (leaseTime !== 0 && (leaseTime < MIN_LEASE_TIME || leaseTime > MAX_LEASE_TIME))) {
+        return { success: false, error: `Lease time must be 0 (infinite) or ${MIN_LEASE_TIME}-${MAX_LEASE_TIME} seconds` };
+      }
+    }
+
+    const conflict = await db.query(
+      'SELECT mac_address, ip_address FROM dhcp_reservations WHERE (mac_address = $1 OR ip_address = $2) AND id != $3',
+      [mac, ip, id || 0]
+    );
+    if (conflict.rows.length > 0) {
+      return conflict.rows[0].mac_address === mac
+        ? { success: false, error: `${mac} already has a reservation` }
+        : { success: false, error: `${ip} is already reserved for ${conflict.rows[0].mac_address}` };
+    }
+
+    const description = fields.description ? String(fields.description).trim().substring(0, 100) : null;
+    const params = [mac, ip, hostname, leaseTime, description];
+    let result;
+    if (id) {
+      result = await db.query(
+        `UPDATE dhcp_reservations
+         SET mac_address = $1, ip_address = $2, hostname = $3, lease_time = $4, description = $5, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6
+         RETURNING *`,
+        [...params, id]
+      );
+      if (result.rows.length === 0) return null;
+    } else {
+      result = await db.query(
+        `INSERT INTO dhcp_reservations (mac_address, ip_address, hostname, lease_time, description)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        params
+      );
+    }
+
+    const report = await this.apply('changed');
+    return { success: true, reservation: result.rows[0], report };
+  }
+
+  /**
+   * Remove a reservation and apply
+   * @param {number} id
+   * @returns {Promise<Object|null>} The report, or null when there is no such reservation
+   */
+  async removeReservation(id) {
+    const result = await db.query('DELETE FROM dhcp_reservations WHERE id = $1', [id]);
+    if (result.rowCount === 0) return null;
+    return this.apply('changed');
+  }
+
+  /**
+   * Custom DHCP options, by code
+   * @returns {Promise<Object[]>}
+   */
+  async listOptions() {
+    const result = await db.query(
+      'SELECT id, option_code, value, description, enabled, created_at FROM dhcp_options ORDER BY option_code ASC'
+    );
+    return result.rows.map(row => ({ ...row, enabled: !!row.enabled, name: OPTION_NAMES[row.option_code] || null }));
+  }
+
+  /**
+   * Add an option, or update one when an id is given, then apply
+   * @param {Object} fields - { option_code, value, description, enabled }
+   * @param {number} [id]
+   * @returns {Promise<Object|null>} { success, error?, option?, report? }, null when there is no option with this id
+   */
+  async saveOption(fields, id = null) {
+    const code = Number(fields.option_code);
+    if (!Number.isInteger(code) || code < 1 || code > 254) {
+      return { success: false, error: 'Option code must be 1-254' };
+    }
+    if (RESERVED_OPTION_CODES.includes(code)) {
+      return { success: false, error: `Option ${code} is set by dnsmasq from the network settings` };
+    }
+
+    const value = typeof fields.value === 'string' ? fields.value.trim().replace(/\s*,\s*/g, ',') : '';
+    if (!isValidOptionValue(value)) {
+      return { success: false, error: 'Option value must be comma-separated addresses, names or numbers' };
+    }
+
+    const conflict = await db.query('SELECT id FROM dhcp_options WHERE option_code = $1 AND id != $2', [code, id || 0]);
+    if (conflict.rows.length > 0) {
+      return { success: false, error: `Option ${code} is already set` };
+    }
+
+    const description = fields.description ? String(fields.description).trim().substring(0, 100) : null;
+    const enabled = fields.enabled === false ? 0 : 1;
+    let result;
+    if (id) {
+      result = await db.query(
+        `UPDATE dhcp_options SET option_code = $1, value = $2, description = $3, enabled = $4
+         WHERE id = $5
+         RETURNING *`,
+        [code, value, description, enabled, id]
+      );
+      if (result.rows.length === 0) return null;
+    } else {
+      result = await db.query(
+        `INSERT INTO dhcp_options (option_code, value, description, enabled)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [code, value, description, enabled]
+      );
+    }
+
+    const report = await this.apply('changed');
+    const option = result.rows[0];
+    return { success: true, option: { ...option, enabled: !!option.enabled, name: OPTION_NAMES[code] || null }, report };
+  }
+
+  /**
+   * Remove an option and apply
+   * @param {number} id
+   * @returns {Promise<Object|null>} The report, or null when there is no such option
+   */
+  async removeOption(id) {
+    const result = await db.query('DELETE FROM dhcp_options WHERE id = $1', [id]);
+    if (result.rowCount === 0) return null;
+    return this.apply('changed');
+  }
+
+  /**
+   * The dnsmasq config for the current settings, without installing it
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const network = await networkConfig.get();
+    const reservations = await this.listReservations();
+    const options = (await this.listOptions()).filter(option => option.enabled);
+    const customCodes = options.map(option => option.option_code);
+
+    const lines = [
+      '# PISOWifi DHCP Configuration',
+      '# Generated from the admin network settings; edits here are overwritten',
+      `interface=${network.lan_interface}`
+    ];
+
+    if (network.dhcp_enabled) {
+      lines.push(`dhcp-range=${network.dhcp_range_start},${network.dhcp_range_end},${network.subnet_mask},${network.lease_time}`);
+      if (!customCodes.includes(3)) lines.push(`dhcp-option=3,${network.gateway}`);
+      if (!customCodes.includes(6)) lines.push(`dhcp-option=6,${network.dns_servers.join(',')}`);
+      for (const option of options) {
+        // SECURITY: only validated values are written to the config
+        if (!isValidOptionValue(option.value)) continue;
+        lines.push(`dhcp-option=${option.option_code},${option.value}`);
+      }
+
+      if (reservations.length > 0) {
+        lines.push('', '# Static reservations');
+        for (const reservation of reservations) {
+          if (!sanitizeMacAddress(reservation.mac_address) || !isInLan(reservation.ip_address, network)) {
+            lines.push(`# skipped ${reservation.mac_address},${reservation.ip_address}: outside the LAN`);
+            continue;
+          }
+          const fields = [reservation.mac_address, reservation.ip_address];
+          if (reservation.hostname && isValidHostname(reservation.hostname)) fields.push(reservation.hostname);
+          if (reservation.lease_time !== null && reservation.lease_time !== undefined) {
+            fields.push(formatLeaseTime(parseInt(reservation.lease_time)));
+          }
+          lines.push(`dhcp-host=${fields.join(',')}`);
+        }
+      }
+    }
+
+    lines.push('', '# Captive portal detection responses');
+    for (const domain of CAPTIVE_DETECTION_DOMAINS) {
+      lines.push(`address=/${domain}/${network.gateway}`);
+    }
+
+    lines.push('', '# Log DHCP', 'log-dhcp', 'log-queries', '', '# DNS');
+    for (const server of network.dns_servers) {
+      lines.push(`server=${server}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render, test and install the config, then restart dnsmasq.
+   * Runs one at a time; a call made during a run waits for it.
+   * @param {string} [reason='manual'] - What triggered it (startup, changed, manual)
+   * @returns {Promise<Object>} Report of what was applied
+   */
+  apply(reason = 'manual') {
+    const run = this.queue.then(() => this.install(reason));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async install(reason) {
+    const report = {
+      success: true,
+      reason,
+      applied_at: new Date().toISOString(),
+      changed: false,
+      rolled_back: false
+    };
+
+    try {
+      const config = await this.render();
+      const current = await fs.readFile(DNSMASQ_CONF, 'utf8').catch(() => null);
+
+      if (config !== current) {
+        await fs.writeFile(RENDER_PATH, config);
+        try {
+          await execAsync(`sudo dnsmasq --test --conf-file=${RENDER_PATH}`);
+        } catch (testError) {
+          throw new Error(`dnsmasq rejected the config: ${(testError.stderr || testError.message).trim()}`);
+        }
+
+        const hadPrevious = await execAsync(`sudo test -f ${DNSMASQ_CONF}`).then(() => true, () => false);
+        if (hadPrevious) await execAsync(`sudo cp ${DNSMASQ_CONF} ${DNSMASQ_CONF_BACKUP}`);
+        await execAsync(`sudo cp ${RENDER_PATH} ${DNSMASQ_CONF}`);
+        report.changed = true;
+
+        try {
+          await execAsync('sudo systemctl restart dnsmasq');
+        } catch (restartError) {
+          await this.rollback(hadPrevious);
+          report.rolled_back = true;
+          throw new Error(`dnsmasq failed to restart: ${(restartError.stderr || restartError.message).trim()}`);
+        }
+      }
+    } catch (error) {
+      report.success = false;
+      report.error = error.message;
+      console.error('DHCP config apply error:', error.message);
+    }
+
+    if (report.success && report.changed) {
+      console.log(`📡 DHCP config applied (${reason})`);
+    }
+    this.lastReport = report;
+    return report;
+  }
+
+  // Put the previous config back after a failed restart
+  async rollback(hadPrevious) {
+    try {
+      if (hadPrevious) {
+        await execAsync(`sudo cp ${DNSMASQ_CONF_BACKUP} ${DNSMASQ_CONF}`);
+      } else {
+        await execAsync(`sudo rm -f ${DNSMASQ_CONF}`);
+      }
+      await execAsync('sudo systemctl restart dnsmasq');
+      console.warn('DHCP config rolled back to the previous version');
+    } catch (error) {
+      console.error('DHCP config rollback error:', error.message);
+    }
+  }
+
+  /**
+   * Current dnsmasq leases, marked with whether each has a reservation
+   * @returns {Promise<{leases: Object[], total: number, active: number}>}
+   */
+  async readLeases() {
+    let content = '';
+    try {
+      content = await fs.readFile(LEASES_FILE, 'utf8');
+    } catch (error) {
+      // No dnsmasq on this install
+    }
+
+    const reserved = new Set((await this.listReservations()).map(reservation => reservation.mac_address));
+    const now = Math.floor(Date.now() / 1000);
+    const leases = [];
+
+    for (const line of content.split('\n')) {
+      // <expiry> <mac> <ip> <hostname|*> <client-id|*>
+      const [expiry, mac, ip, hostname] = line.trim().split(/\s+/);
+      const macAddress = sanitizeMacAddress(mac);
+      if (!macAddress || !isValidIPv4(ip)) continue;
+
+      const expiresAt = parseInt(expiry) || 0;
+      leases.push({
+        mac_address: macAddress,
+        ip_address: ip,
+        hostname: hostname && hostname !== '*' ? hostname : null,
+        expires_at: expiresAt > 0 ? new Date(expiresAt * 1000).toISOString() : null,
+        active: expiresAt === 0 || expiresAt > now,
+        reserved: reserved.has(macAddress)
+      });
+    }
+
+    return { leases, total: leases.length, active: leases.filter(lease => lease.active).length };
+  }
+}
+
+const dhcpConfig = new DhcpConfig();
+
+dhcpConfig.DNSMASQ_CONF = DNSMASQ_CONF;
+dhcpConfig.LEASES_FILE = LEASES_FILE;
+dhcpConfig.MIN_LEASE_TIME = MIN_LEASE_TIME;
+dhcpConfig.MAX_LEASE_TIME = MAX_LEASE_TIME;
+dhcpConfig.RESERVED_OPTION_CODES = RESERVED_OPTION_CODES;
+dhcpConfig.OPTION_NAMES = OPTION_NAMES;
+
+module.exports = dhcpConfig;
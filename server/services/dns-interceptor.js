@@ -1,13 +1,14 @@
 const dgram = require('dgram');
 const dns = require('dns');
 const { promisify } = require('util');
+const { DEFAULTS } = require('./network-config');
 
 class DNSInterceptor {
   constructor(config = {}) {
     this.config = {
       port: config.port || 53,
-      portalIP: config.portalIP || '10.0.0.1',
-      upstreamDNS: config.upstreamDNS || '8.8.8.8',
+      portalIP: config.portalIP || DEFAULTS.gateway,
+      upstreamDNS: config.upstreamDNS || DEFAULTS.dns_primary,
       allowedDomains: config.allowedDomains || [],
       ...config
     };
@@ -168,8 +169,9 @@ class DNSInterceptor {
     try {
       // Check database for authenticated client
       const db = require('../db/sqlite-adapter');
+      const { REMAINING_TIME_SQL } = require('./session-clock');
       const result = await db.query(
-        'SELECT * FROM clients WHERE ip_address = $1 AND status = $2 AND time_remaining > 0',
+        `SELECT * FROM clients WHERE ip_address = $1 AND status = $2 AND ${REMAINING_TIME_SQL} > 0`,
         [ip, 'CONNECTED']
       );
 
@@ -185,11 +187,22 @@ class DNSInterceptor {
     const alwaysAllow = [
       'localhost',
       'pisowifi.local',
-      '10.0.0.1'
+      this.config.portalIP
     ];
 
+    // Walled garden domains cover their subdomains, and nothing else
+    // (evil-facebook.com is not facebook.com)
+    const name = domain.toLowerCase();
     return alwaysAllow.some(allowed => domain.includes(allowed)) ||
-      this.config.allowedDomains.some(allowed => domain.includes(allowed));
+      this.config.allowedDomains.some(allowed => name === allowed || name.endsWith(`.${allowed}`));
+  }
+
+  /**
+   * Replace the domains unauthenticated clients may resolve (walled garden)
+   * @param {string[]} domains
+   */
+  setAllowedDomains(domains) {
+    this.config.allowedDomains = domains.map(domain => domain.toLowerCase());
   }
 
   addAuthenticatedClient(ip) {
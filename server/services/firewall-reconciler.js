@@ -0,0 +1,151 @@
+const db = require('../db/sqlite-adapter');
+const NetworkManager = require('./network-manager');
+const { REMAINING_TIME_SQL } = require('./session-clock');
+
+/**
+ * Firewall Reconciler
+ * The database is the source of truth for who has paid for internet; the
+ * iptables allow list is not persisted and is wiped by a reboot. This
+ * compares the two and fixes the firewall:
+ *
+ * - CONNECTED clients with time left that are missing from pisowifi_auth
+ *   are allowed again (pisowifi-allow-client-ethernet)
+ * - Allowed MACs that no longer have a running session are blocked
+ *
+ * Runs at startup, after the captive portal rules are rebuilt, and
+ * periodically to catch rules lost or left behind by a crash.
+ */
+
+// pisowifi-allow-client-ethernet refuses longer auto-deauth timers. Its
+// timer can then remove a longer session early; the next run re-allows it.
+const MAX_FIREWALL_DURATION = 86400;
+
+class FirewallReconciler {
+  constructor() {
+    this.networkManager = new NetworkManager();
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Diff the database against the firewall and apply the difference
+   * @param {string} [reason='manual'] - What triggered the run (startup, periodic, manual)
+   * @returns {Promise<Object>} Report of what was changed
+   */
+  async reconcile(reason = 'manual') {
+    if (this.running) {
+      return { success: false, error: 'Reconciliation already running' };
+    }
+    this.running = true;
+
+    const report = {
+      success: true,
+      reason,
+      checked_at: new Date().toISOString(),
+      expected: 0,
+      firewall: 0,
+      allowed: [],
+      removed: [],
+      failed: []
+    };
+
+    try {
+      const result = await db.query(
+        `SELECT mac_address, ip_address, ${REMAINING_TIME_SQL} as time_remaining
+         FROM clients
+         WHERE status = 'CONNECTED' AND ${REMAINING_TIME_SQL} > 0`
+      );
+      const expected = new Map(result.rows.map(client => [client.mac_address.toUpperCase(), client]));
+      report.expected = expected.size;
+
+      let allowedMacs;
+      try {
+        allowedMacs = new Set(await this.networkManager.getAllowedMacs());
+      } catch (error) {
+        // Without the live list every rule would look missing or stale
+        report.success = false;
+        report.error = `Could not read firewall allow list: ${error.message}`;
+        return report;
+      }
+      report.firewall = allowedMacs.size;
+
+      for (const [mac, client] of expected) {
+        if (allowedMacs.has(mac)) continue;
+
+        const duration = Math.min(parseInt(client.time_remaining), MAX_FIREWALL_DURATION);
+        const authResult = await this.networkManager.authenticateClient(mac, client.ip_address, duration);
+        if (authResult.success) {
+          report.allowed.push(mac);
+        } else {
+          report.failed.push({ mac_address: mac, action: 'allow', error: authResult.error });
+        }
+      }
+
+      for (const mac of allowedMacs) {
+        if (expected.has(mac)) continue;
+
+        const deauthResult = await this.networkManager.deauthenticateClient(mac);
+        if (deauthResult.success) {
+          report.removed.push(mac);
+        } else {
+          report.failed.push({ mac_address: mac, action: 'remove', error: deauthResult.error });
+        }
+      }
+
+      // /tmp/authenticated-clients.json does not survive a reboot either
+      try {
+        await this.networkManager.writeAuthenticatedClients(
+          [...expected.entries()].map(([mac, client]) => ({
+            mac,
+            ip: client.ip_address,
+            duration: Math.min(parseInt(client.time_remaining), MAX_FIREWALL_DURATION)
+          }))
+        );
+      } catch (error) {
+        console.warn('Failed to rewrite authenticated clients file:', error.message);
+      }
+
+      if (report.allowed.length > 0 || report.removed.length > 0 || report.failed.length > 0) {
+        console.log(`🛡️ Firewall reconciled (${reason}): ${report.allowed.length} allowed, ${report.removed.length} removed, ${report.failed.length} failed`);
+        await this.log(report);
+      }
+
+      return report;
+    } catch (error) {
+      console.error('Firewall reconciliation error:', error.message);
+      report.success = false;
+      report.error = error.message;
+      return report;
+    } finally {
+      this.lastReport = report;
+      this.running = false;
+    }
+  }
+
+  async log(report) {
+    try {
+      await db.query(
+        'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+        [
+          report.failed.length > 0 ? 'warn' : 'info',
+          `Firewall reconciled: ${report.allowed.length} allowed, ${report.removed.length} removed`,
+          'network',
+          JSON.stringify({
+            reason: report.reason,
+            allowed: report.allowed,
+            removed: report.removed,
+            failed: report.failed
+          })
+        ]
+      );
+    } catch (error) {
+      console.warn('Failed to log firewall reconciliation:', error.message);
+    }
+  }
+}
+
+const firewallReconciler = new FirewallReconciler();
+
+firewallReconciler.MAX_FIREWALL_DURATION = MAX_FIREWALL_DURATION;
+
+module.exports = firewallReconciler;
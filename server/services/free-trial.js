@@ -0,0 +1,258 @@
+const sessionClock = require('./session-clock');
+const sessionManager = require('./session-manager');
+const clientIdentity = require('./client-identity');
+const db = require('../db/sqlite-adapter');
+
+/**
+ * Free Trial
+ * A few free minutes per device once per cooldown period (by default 5
+ * minutes a day), started from the portal. A trial is granted like any other
+ * purchase, as a zero-amount transaction with payment_method 'TRIAL'.
+ *
+ * Each trial is recorded in trial_claims with the identifiers the device
+ * had at the time. A device has had its trial when a claim in the cooldown
+ * period matches its client, MAC, session cookie or DHCP client-id, or its
+ * hostname and browser fingerprint together (the same rules client-identity.js
+ * uses to recognize a device under a new MAC).
+ */
+
+const DEFAULT_MINUTES = 5;
+const DEFAULT_COOLDOWN_HOURS = 24;
+
+// A claim by the same device in the cooldown period. Parameters: $1 cooldown
+// hours, $2 client id, $3 MAC, $4 session token, $5 DHCP client-id,
+// $6 hostname, $7 fingerprint
+const RECENT_CLAIM_SQL = `created_at > datetime('now', '-' || $1 || ' hours')
+       AND (client_id = $2
+         OR mac_address = $3
+         OR session_token = $4
+         OR dhcp_client_id = $5
+         OR (hostname = $6 AND fingerprint = $7))`;
+
+class FreeTrial {
+  /**
+   * Trial settings from portal_settings
+   * @returns {Promise<{enabled: boolean, minutes: number, cooldownHours: number}>}
+   */
+  async getSettings() {
+    const result = await db.query(
+      'SELECT trial_enabled, trial_minutes, trial_cooldown_hours FROM portal_settings WHERE id = 1'
+    );
+    const row = result.rows[0] || {};
+    const minutes = parseInt(row.trial_minutes);
+    const cooldownHours = parseInt(row.trial_cooldown_hours);
+    return {
+      enabled: !!row.trial_enabled,
+      minutes: Number.isNaN(minutes) ? DEFAULT_MINUTES : minutes,
+      cooldownHours: Number.isNaN(cooldownHours) ? DEFAULT_COOLDOWN_HOURS : cooldownHours
+    };
+  }
+
+  /**
+   * Whether a device may start a free trial now
+   * @param {Object} device - { macAddress, clientIP, sessionToken, userAgent }
+   * @returns {Promise<{eligible: boolean, reason?: string, minutes: number, availableAt?: Date, matchParams?: Array}>}
+   *   reason: disabled, has_time or used; matchParams: RECENT_CLAIM_SQL parameters for the claim
+   */
+  async checkEligibility({ macAddress, clientIP, sessionToken, userAgent }) {
+    const settings = await this.getSettings();
+    if (!settings.enabled || settings.minutes <= 0) {
+      return { eligible: false, reason: 'disabled', minutes: 0 };
+    }
+
+    const mac = String(macAddress || '').toUpperCase();
+    const clientResult = await db.query(
+      `SELECT id, status, ${sessionClock.REMAINING_TIME_SQL} as remaining FROM clients WHERE UPPER(mac_address) = $1`,
+      [mac]
+    );
+    const client = clientResult.rows[0];
+
+    // The trial is for devices without time, not a free top-up
+    if (client && ['CONNECTED', 'PAUSED'].includes(client.status) && parseInt(client.remaining) > 0) {
+      return { eligible: false, reason: 'has_time', minutes: settings.minutes };
+    }
+
+    const identifiers = this.toClaimIdentifiers(await clientIdentity.collect({ clientIP, sessionToken, userAgent }));
+    const matchParams = [
+      settings.cooldownHours, client?.id || null, mac, identifiers.session_token,
+      identifiers.dhcp_client_id, identifiers.hostname, identifiers.fingerprint
+    ];
+    const claimResult = await db.query(
+      `SELECT created_at FROM trial_claims
+       WHERE ${RECENT_CLAIM_SQL}
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      matchParams
+    );
+
+    if (claimResult.rows.length > 0) {
+      return this.usedEligibility(claimResult.rows[0].created_at, settings);
+    }
+
+    return { eligible: true, minutes: settings.minutes, matchParams };
+  }
+
+  /**
+   * Ineligible result for a device whose trial was claimed at claimedAt
+   */
+  usedEligibility(claimedAt, settings) {
+    const claimed = claimedAt ? new Date(claimedAt.replace(' ', 'T') + 'Z') : new Date();
+    return {
+      eligible: false,
+      reason: 'used',
+      minutes: settings.minutes,
+      availableAt: new Date(claimed.getTime() + settings.cooldownHours * 3600 * 1000)
+    };
+  }
+
+  /**
+   * Start a device's free trial
+   * @param {Object} device - { macAddress, clientIP, sessionToken, deviceInfo }
+   * @returns {Promise<Object>} { success, error?, reason?, availableAt?, clientId, sessionId, transactionId, timeRemaining, minutes }
+   */
+  async grant({ macAddress, clientIP, sessionToken, deviceInfo }) {
+    const userAgent = deviceInfo?.userAgent;
+    let eligibility = await this.checkEligibility({ macAddress, clientIP, sessionToken, userAgent });
+
+    // Claim before granting. The claim is inserted only if no matching claim
+    // exists yet, in one statement, so of two requests racing here one loses
+    let claimId = null;
+    if (eligibility.eligible) {
+      const claimResult = await db.query(
+        `INSERT INTO trial_claims (mac_address, client_ip, session_token, dhcp_client_id, hostname, fingerprint)
+         SELECT $3, $8, $4, $5, $6, $7
+         WHERE NOT EXISTS (SELECT 1 FROM trial_claims WHERE ${RECENT_CLAIM_SQL})
+         RETURNING id`,
+        [...eligibility.matchParams, clientIP]
+      );
+      if (claimResult.rows.length > 0) {
+        claimId = claimResult.rows[0].id;
+      } else {
+        const winner = await db.query(
+          `SELECT created_at FROM trial_claims WHERE ${RECENT_CLAIM_SQL} ORDER BY created_at DESC LIMIT 1`,
+          eligibility.matchParams
+        );
+        eligibility = this.usedEligibility(winner.rows[0]?.created_at, await this.getSettings());
+      }
+    }
+
+    if (!claimId) {
+      return {
+        success: false,
+        reason: eligibility.reason,
+        availableAt: eligibility.availableAt,
+        error: this.describeIneligible(eligibility.reason)
+      };
+    }
+
+    let grant;
+    try {
+      grant = await sessionManager.grantAccess({
+        macAddress,
+        clientIP,
+        sessionToken,
+        duration: eligibility.minutes * 60,
+        amount: 0,
+        paymentMethod: 'TRIAL',
+        deviceInfo,
+        logMessage: `Free trial started: ${macAddress.toUpperCase()}`,
+        logMetadata: { trial_minutes: eligibility.minutes }
+      });
+    } catch (error) {
+      await db.query('DELETE FROM trial_claims WHERE id = $1', [claimId]);
+      throw error;
+    }
+
+    await db.query(
+      'UPDATE trial_claims SET client_id = $1, transaction_id = $2 WHERE id = $3',
+      [grant.clientId, grant.transactionId, claimId]
+    );
+    console.log(`🎁 Free trial started: ${macAddress.toUpperCase()} (${eligibility.minutes} min)`);
+
+    return { success: true, minutes: eligibility.minutes, ...grant };
+  }
+
+  /**
+   * Trial-to-paid conversion for trials started in a date range: how many
+   * trial devices later bought time
+   * @param {Object} [range] - { startDate, endDate } (YYYY-MM-DD, inclusive)
+   * @returns {Promise<{trials: number, devices: number, converted: number, conversionRate: number, revenue: number}>}
+   */
+  async getConversionStats({ startDate, endDate } = {}) {
+    const conditions = [`t.payment_method = 'TRIAL'`, `t.status = 'COMPLETED'`];
+    const params = [];
+    if (startDate) {
+      params.push(startDate);
+      conditions.push(`date(t.created_at) >= date($${params.length})`);
+    }
+    if (endDate) {
+      params.push(endDate);
+      conditions.push(`date(t.created_at) <= date($${params.length})`);
+    }
+
+    // A device converted when it paid for time after its first trial
+    const result = await db.query(
+      `SELECT COALESCE(SUM(trials.trial_count), 0) as trials,
+              COUNT(*) as devices,
+              COALESCE(SUM(CASE WHEN trials.paid_count > 0 THEN 1 ELSE 0 END), 0) as converted,
+              COALESCE(SUM(trials.paid_revenue), 0) as revenue
+       FROM (
+         SELECT first.client_id, first.trial_count,
+                COUNT(p.id) as paid_count, COALESCE(SUM(p.amount), 0) as paid_revenue
+         FROM (
+           SELECT t.client_id, COUNT(*) as trial_count, MIN(t.created_at) as first_trial_at
+           FROM transactions t
+           WHERE ${conditions.join(' AND ')} AND t.client_id IS NOT NULL
+           GROUP BY t.client_id
+         ) first
+         LEFT JOIN transactions p ON p.client_id = first.client_id
+           AND p.created_at >= first.first_trial_at
+           AND p.status = 'COMPLETED'
+           AND COALESCE(p.payment_method, '') != 'TRIAL'
+           AND p.amount > 0
+         GROUP BY first.client_id
+       ) trials`,
+      params
+    );
+
+    const row = result.rows[0] || {};
+    const devices = parseInt(row.devices) || 0;
+    const converted = parseInt(row.converted) || 0;
+    return {
+      trials: parseInt(row.trials) || 0,
+      devices,
+      converted,
+      conversionRate: devices > 0 ? Math.round((converted / devices) * 1000) / 10 : 0,
+      revenue: parseFloat(row.revenue) || 0
+    };
+  }
+
+  /**
+   * Customer-facing message for an ineligible device
+   * @param {string} reason - From checkEligibility()
+   */
+  describeIneligible(reason) {
+    switch (reason) {
+      case 'disabled': return 'Free trial is not available.';
+      case 'has_time': return 'You still have time left.';
+      case 'used': return 'This device has already used its free trial.';
+      default: return 'Free trial is not available.';
+    }
+  }
+
+  // Identifiers from clientIdentity.collect() as trial_claims columns
+  toClaimIdentifiers(identifiers) {
+    const columns = { session_token: null, dhcp_client_id: null, hostname: null, fingerprint: null };
+    for (const { kind, value } of identifiers) {
+      if (kind in columns) columns[kind] = value;
+    }
+    return columns;
+  }
+}
+
+const freeTrial = new FreeTrial();
+
+freeTrial.DEFAULT_MINUTES = DEFAULT_MINUTES;
+freeTrial.DEFAULT_COOLDOWN_HOURS = DEFAULT_COOLDOWN_HOURS;
+
+module.exports = freeTrial;
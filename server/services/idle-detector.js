@@ -0,0 +1,265 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const NetworkManager = require('./network-manager');
+const dataUsageMonitor = require('./data-usage');
+const sessionClock = require('./session-clock');
+const firewallReconciler = require('./firewall-reconciler');
+const lowTimeWarnings = require('./low-time-warnings');
+const pausePolicy = require('./pause-policy');
+const db = require('../db/sqlite-adapter');
+const { isValidIPv4 } = require('../utils/validators');
+
+const execAsync = promisify(exec);
+
+/**
+ * Idle Detector
+ * Auto-pause driven by what the device actually does, not by last_seen:
+ *
+ * - idle: the client's byte counters (pisowifi_acct, see data-usage.js)
+ *   moved less than idle_traffic_kb within idle_timeout_minutes
+ * - away: its MAC dropped out of the LAN neighbor table
+ *
+ * Auto-paused clients lose firewall access and resume on their own when the
+ * device is back and using the network again (or when paused_until passes).
+ * Customer pauses are left alone until paused_until.
+ */
+
+// Seconds a device may be missing from the neighbor table before it counts as away
+const AWAY_GRACE_SECONDS = 30;
+
+// Neighbor states that mean the device is not answering
+const ABSENT_NEIGHBOR_STATES = new Set(['FAILED', 'INCOMPLETE']);
+
+class IdleDetector {
+  constructor() {
+    this.networkManager = new NetworkManager();
+    // MAC -> { counter, windowStart, windowBytes, activeAt, seenAt }
+    this.activity = new Map();
+    this.checking = false;
+  }
+
+  async getSettings() {
+    const result = await db.query(
+      `SELECT auto_pause_on_disconnect, auto_resume_on_pause, pause_resume_minutes,
+              idle_timeout_minutes, idle_traffic_kb
+       FROM portal_settings WHERE id = 1`
+    );
+    const row = result.rows[0] || {};
+    return {
+      autoPause: row.auto_pause_on_disconnect === 1,
+      autoResume: row.auto_resume_on_pause === 1,
+      pauseResumeMinutes: parseInt(row.pause_resume_minutes) || 0,
+      idleTimeoutSeconds: (parseInt(row.idle_timeout_minutes) || 5) * 60,
+      idleTrafficBytes: (parseInt(row.idle_traffic_kb) || 0) * 1024
+    };
+  }
+
+  /**
+   * MACs in the LAN neighbor table with their state
+   * @returns {Promise<Map<string, string>|null>} null when the table can't be read
+   */
+  async readNeighbors() {
+    try {
+      const lan = await dataUsageMonitor.getLanInterface();
+      const { stdout } = await execAsync(`ip neighbor show dev ${lan}`);
+      const neighbors = new Map();
+      for (const line of stdout.split('\n')) {
+        const match = line.match(/lladdr\s+([0-9a-fA-F:]{17})\s+(\w+)/);
+        if (match) {
+          neighbors.set(match[1].toUpperCase(), match[2].toUpperCase());
+        }
+      }
+      return neighbors;
+    } catch (error) {
+      console.warn('Idle detector: neighbor table unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Byte counters per MAC
+   * @returns {Promise<Map<string, number>|null>} null when they can't be read
+   */
+  async readCounters() {
+    try {
+      await dataUsageMonitor.ensureChain();
+      return await dataUsageMonitor.readCounters();
+    } catch (error) {
+      console.warn('Idle detector: traffic counters unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fold a new counter reading into a client's activity window
+   * @returns {Object} Activity state; becameActive is true when the client
+   *   crossed the traffic threshold in this reading
+   */
+  recordTraffic(mac, counter, now, settings) {
+    let state = this.activity.get(mac);
+    if (!state) {
+      // First reading (or after a restart): start the idle clock now
+      state = { counter, windowStart: now, windowBytes: 0, activeAt: now, seenAt: now };
+      this.activity.set(mac, state);
+      return { ...state, becameActive: false };
+    }
+
+    // Counters restart from zero when the rules are recreated
+    const delta = counter >= state.counter ? counter - state.counter : counter;
+    state.counter = counter;
+    state.windowBytes += delta;
+
+    let becameActive = false;
+    if (state.windowBytes > settings.idleTrafficBytes) {
+      state.activeAt = now;
+      state.windowStart = now;
+      state.windowBytes = 0;
+      becameActive = true;
+    } else if (now - state.windowStart >= settings.idleTimeoutSeconds * 1000) {
+      // Background chatter doesn't add up across windows
+      state.windowStart = now;
+      state.windowBytes = 0;
+    }
+
+    return { ...state, becameActive };
+  }
+
+  /**
+   * Pause idle or departed clients and resume auto-paused ones that came back
+   * @param {Object} [io] - socket.io server for status events
+   */
+  async check(io) {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const settings = await this.getSettings();
+
+      // Timed resume: auto-resume setting or pause budget used up (paused_until)
+      for (const client of await sessionClock.resumeDue()) {
+        await this.restoreAccess(client, 'timer', io);
+      }
+
+      const clientsResult = await db.query(
+        `SELECT id, mac_address, ip_address, status, pause_reason, ${sessionClock.REMAINING_TIME_SQL} as time_remaining
+         FROM clients
+         WHERE (status = 'CONNECTED' AND ${sessionClock.REMAINING_TIME_SQL} > 0)
+         OR (status = 'PAUSED' AND pause_reason IN ('idle', 'away') AND time_remaining > 0)`
+      );
+      if (clientsResult.rows.length === 0) {
+        this.activity.clear();
+        return;
+      }
+
+      const [neighbors, counters] = await Promise.all([this.readNeighbors(), this.readCounters()]);
+      const now = Date.now();
+      const current = new Set();
+      const presentIds = [];
+
+      for (const client of clientsResult.rows) {
+        const mac = client.mac_address.toUpperCase();
+        current.add(mac);
+
+        const neighborState = neighbors?.get(mac);
+        const present = neighbors === null || (neighborState !== undefined && !ABSENT_NEIGHBOR_STATES.has(neighborState));
+
+        let state = this.activity.get(mac);
+        if (counters !== null) {
+          const counter = counters.get(mac);
+          if (counter === undefined) {
+            // Only data-capped clients were counted before; count this one from now
+            if (isValidIPv4(client.ip_address)) {
+              await dataUsageMonitor.startTracking(client.id, mac, client.ip_address);
+            }
+          } else {
+            state = this.recordTraffic(mac, counter, now, settings);
+          }
+        }
+
+        if (present) {
+          if (state) this.activity.get(mac).seenAt = now;
+          presentIds.push(client.id);
+        }
+
+        if (client.status === 'CONNECTED') {
+          if (!settings.autoPause || !state) continue;
+
+          const goneFor = (now - state.seenAt) / 1000;
+          const idleFor = (now - state.activeAt) / 1000;
+          if (!present && goneFor >= AWAY_GRACE_SECONDS) {
+            await this.pauseClient(client, 'away', settings, io);
+          } else if (counters !== null && idleFor >= settings.idleTimeoutSeconds) {
+            await this.pauseClient(client, 'idle', settings, io);
+          }
+        } else if (present && state?.becameActive) {
+          // Auto-paused device is back and using the network
+          if (await sessionClock.resume(client.id, { reason: 'activity' })) {
+            await this.restoreAccess(client, 'activity', io);
+          }
+        }
+      }
+
+      // One write per tick for every device still on the network
+      if (presentIds.length > 0) {
+        await db.query(
+          `UPDATE clients SET last_seen = CURRENT_TIMESTAMP
+           WHERE id IN (${presentIds.map((id, i) => `$${i + 1}`).join(', ')})`,
+          presentIds
+        );
+      }
+
+      for (const mac of this.activity.keys()) {
+        if (!current.has(mac)) this.activity.delete(mac);
+      }
+    } catch (error) {
+      console.error('Idle detection error:', error.message);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async pauseClient(client, reason, settings, io) {
+    // Out of paused-time budget: the clock keeps running
+    const check = await pausePolicy.checkPause(client.id, {
+      manual: false,
+      resumeAfterMinutes: settings.autoResume ? settings.pauseResumeMinutes : 0
+    });
+    if (!check.allowed) return;
+
+    const paused = await sessionClock.pause(client.id, { reason, resumeAfterMinutes: check.resumeAfterMinutes });
+    if (!paused) return;
+
+    console.log(`⏸️ Auto-paused ${client.mac_address} (${reason})`);
+    await this.networkManager.deauthenticateClient(client.mac_address);
+
+    if (io) {
+      io.to(lowTimeWarnings.roomFor(client.mac_address)).emit('session-paused', { reason });
+    }
+  }
+
+  async restoreAccess(client, reason, io) {
+    const remaining = await sessionClock.getRemaining(client.id);
+    if (remaining <= 0) return;
+
+    console.log(`▶️ Auto-resumed ${client.mac_address} (${reason})`);
+    await this.networkManager.authenticateClient(
+      client.mac_address,
+      client.ip_address,
+      Math.min(remaining, firewallReconciler.MAX_FIREWALL_DURATION)
+    );
+
+    // Start a fresh idle window so it isn't paused again straight away
+    const state = this.activity.get(client.mac_address.toUpperCase());
+    if (state) state.activeAt = Date.now();
+
+    if (io) {
+      io.to(lowTimeWarnings.roomFor(client.mac_address)).emit('session-resumed', { reason });
+    }
+  }
+}
+
+const idleDetector = new IdleDetector();
+
+idleDetector.AWAY_GRACE_SECONDS = AWAY_GRACE_SECONDS;
+
+module.exports = idleDetector;
@@ -0,0 +1,177 @@
+const db = require('../db/sqlite-adapter');
+const { REMAINING_TIME_SQL } = require('./session-clock');
+
+/**
+ * Low-Time Warnings
+ * Tells a customer their time is about to run out while they can still top
+ * up. Each portal page subscribes over socket.io and is put in a room for
+ * its client, so warnings go only to that customer's browser.
+ *
+ * Thresholds are minutes before expiry (portal_settings.low_time_warning_minutes,
+ * e.g. "5,1"). Each threshold is sent once per session; topping up above it
+ * re-arms it.
+ */
+
+const DEFAULT_THRESHOLDS = '5,1';
+const MAX_THRESHOLDS = 5;
+const MAX_THRESHOLD_MINUTES = 1440;
+
+/**
+ * socket.io room for a client's portal pages
+ * @param {string} macAddress
+ */
+function roomFor(macAddress) {
+  return `client:${String(macAddress).toUpperCase()}`;
+}
+
+/**
+ * Validate a comma-separated list of warning thresholds in minutes
+ * @param {string} value - e.g. "5, 1"; empty disables warnings
+ * @returns {Object} - { valid: boolean, errors: string[], sanitized: string }
+ */
+function validateThresholds(value) {
+  const errors = [];
+  const text = typeof value === 'string' ? value.trim() : String(value ?? '');
+
+  const minutes = text === '' ? [] : text.split(',').map(part => part.trim());
+  if (minutes.length > MAX_THRESHOLDS) {
+    errors.push(`At most ${MAX_THRESHOLDS} warning thresholds`);
+  }
+  if (minutes.some(part => !/^\d+$/.test(part) || parseInt(part, 10) < 1 || parseInt(part, 10) > MAX_THRESHOLD_MINUTES)) {
+    errors.push(`Warning thresholds must be whole minutes between 1 and ${MAX_THRESHOLD_MINUTES}`);
+  }
+
+  const sanitized = [...new Set(minutes.map(part => parseInt(part, 10)))]
+    .filter(Number.isInteger)
+    .sort((a, b) => b - a)
+    .join(',');
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized
+  };
+}
+
+// Thresholds in minutes, largest first
+function parseThresholds(value) {
+  const result = validateThresholds(value ?? DEFAULT_THRESHOLDS);
+  return result.sanitized ? result.sanitized.split(',').map(Number) : [];
+}
+
+class LowTimeWarnings {
+  constructor() {
+    // MAC -> lowest threshold (minutes) already sent
+    this.warned = new Map();
+  }
+
+  async getThresholds() {
+    const result = await db.query('SELECT low_time_warning_minutes FROM portal_settings WHERE id = 1');
+    return parseThresholds(result.rows[0]?.low_time_warning_minutes);
+  }
+
+  /**
+   * Put a portal page's socket in its client's room
+   * @param {Object} socket - socket.io socket
+   * @param {Object} data - { sessionToken }
+   */
+  async subscribe(socket, data = {}) {
+    try {
+      const sessionToken = typeof data.sessionToken === 'string' ? data.sessionToken : '';
+      let result = { rows: [] };
+      if (sessionToken) {
+        result = await db.query('SELECT mac_address FROM clients WHERE session_token = $1', [sessionToken]);
+      }
+      if (result.rows.length === 0) {
+        const clientIP = String(socket.handshake.address || '').replace(/^::ffff:/, '');
+        result = await db.query(
+          'SELECT mac_address FROM clients WHERE ip_address = $1 ORDER BY last_seen DESC LIMIT 1',
+          [clientIP]
+        );
+      }
+      if (result.rows.length === 0) return;
+
+      const macAddress = result.rows[0].mac_address;
+      socket.join(roomFor(macAddress));
+
+      // A page opened after a threshold passed still gets the warning
+      this.warned.delete(macAddress.toUpperCase());
+      await this.check(socket.nsp.server || socket.server, macAddress);
+    } catch (error) {
+      console.warn('Low-time warning subscribe failed:', error.message);
+    }
+  }
+
+  /**
+   * Send warnings to clients that crossed a threshold
+   * @param {Object} io - socket.io server
+   * @param {string} [macAddress] - Only check this client
+   */
+  async check(io, macAddress) {
+    const thresholds = await this.getThresholds();
+    if (thresholds.length === 0) {
+      this.warned.clear();
+      return;
+    }
+
+    const params = [thresholds[0] * 60];
+    let macFilter = '';
+    if (macAddress) {
+      params.push(macAddress.toUpperCase());
+      macFilter = 'AND UPPER(mac_address) = $2';
+    }
+
+    const result = await db.query(
+      `SELECT mac_address, expires_at, ${REMAINING_TIME_SQL} as time_remaining
+       FROM clients
+       WHERE status = 'CONNECTED'
+       AND ${REMAINING_TIME_SQL} > 0
+       AND ${REMAINING_TIME_SQL} <= $1
+       ${macFilter}`,
+      params
+    );
+
+    const seen = new Set();
+    for (const client of result.rows) {
+      const mac = client.mac_address.toUpperCase();
+      const remaining = parseInt(client.time_remaining);
+      seen.add(mac);
+
+      // Topped up above the last warning: start over
+      const lastWarned = this.warned.get(mac);
+      if (lastWarned !== undefined && remaining > lastWarned * 60) {
+        this.warned.delete(mac);
+      }
+
+      const crossed = thresholds.filter(minutes => remaining <= minutes * 60);
+      const threshold = crossed[crossed.length - 1];
+      if (threshold === undefined || (this.warned.has(mac) && this.warned.get(mac) <= threshold)) {
+        continue;
+      }
+
+      this.warned.set(mac, threshold);
+      io.to(roomFor(mac)).emit('low-time-warning', {
+        time_remaining: remaining,
+        threshold_minutes: threshold,
+        expires_at: client.expires_at,
+        add_time_url: '/portal?add_time=1'
+      });
+    }
+
+    // Forget clients that topped up above every threshold, paused or ended
+    if (!macAddress) {
+      for (const mac of this.warned.keys()) {
+        if (!seen.has(mac)) this.warned.delete(mac);
+      }
+    }
+  }
+}
+
+const lowTimeWarnings = new LowTimeWarnings();
+
+lowTimeWarnings.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+lowTimeWarnings.roomFor = roomFor;
+lowTimeWarnings.validateThresholds = validateThresholds;
+lowTimeWarnings.parseThresholds = parseThresholds;
+
+module.exports = lowTimeWarnings;
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const db = require('../db/sqlite-adapter');
+const { getJWTSecret } = require('../middleware/security');
+const { normalizeUsername } = require('../utils/members');
+
+/**
+ * Member Accounts Service
+ * Optional customer accounts with a wallet of seconds. Time in the wallet is
+ * not bound to a MAC address: a member logs in on the portal from any device
+ * and moves wallet time onto it. Portal logins use their own signed cookie,
+ * never the admin auth-token.
+ */
+
+const MEMBER_COOKIE = 'pisowifi_member';
+const MEMBER_TOKEN_TTL = '7d';
+const PIN_HASH_ROUNDS = 10;
+
+class MemberAccounts {
+  /**
+   * Member tokens are signed with a key derived from the JWT secret so they
+   * can never pass as an admin token (authenticateAPI verifies with the raw secret)
+   */
+  getTokenSecret() {
+    return crypto.createHmac('sha256', getJWTSecret()).update('pisowifi-member').digest('hex');
+  }
+
+  hashPin(pin) {
+    return bcrypt.hash(pin, PIN_HASH_ROUNDS);
+  }
+
+  /**
+   * Strip the PIN hash before a member row leaves the server
+   */
+  toPublic(member) {
+    if (!member) return null;
+    const { pin_hash, ...publicMember } = member;
+    return publicMember;
+  }
+
+  async getMember(id) {
+    const result = await db.query('SELECT * FROM members WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check a username and PIN
+   * @returns {Promise<Object|null>} Member row when the credentials match
+   */
+  async authenticate(username, pin) {
+    const normalized = normalizeUsername(username);
+    if (!normalized || typeof pin !== 'string') return null;
+
+    const result = await db.query('SELECT * FROM members WHERE username = $1', [normalized]);
+    const member = result.rows[0];
+    if (!member || !(await bcrypt.compare(pin, member.pin_hash))) {
+      return null;
+    }
+
+    await db.query('UPDATE members SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [member.id]);
+    return member;
+  }
+
+  issueToken(member) {
+    return jwt.sign(
+      { memberId: member.id, username: member.username },
+      this.getTokenSecret(),
+      { expiresIn: MEMBER_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Resolve the logged-in member from the portal cookie
+   * @returns {Promise<Object|null>} Active member row, null when logged out
+   */
+  async getMemberFromRequest(req) {
+    const token = req.cookies?.[MEMBER_COOKIE];
+    if (!token) return null;
+
+    try {
+      const decoded = jwt.verify(token, this.getTokenSecret());
+      const member = await this.getMember(decoded.memberId);
+      return member && member.status === 'active' ? member : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Add seconds to a wallet
+   * @returns {Promise<number|null>} New balance, null when the member does not exist
+   */
+  async credit(memberId, seconds) {
+    const result = await db.query(
+      `UPDATE members SET wallet_seconds = COALESCE(wallet_seconds, 0) + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING wallet_seconds`,
+      [seconds, memberId]
+    );
+    return result.rows.length > 0 ? parseInt(result.rows[0].wallet_seconds) : null;
+  }
+
+  /**
+   * Take seconds out of an active member's wallet. The balance check and the
+   * update are one statement so two devices cannot spend the same time.
+   * @returns {Promise<number|null>} New balance, null when the balance is too low
+   */
+  async debit(memberId, seconds) {
+    const result = await db.query(
+      `UPDATE members SET wallet_seconds = wallet_seconds - $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'active' AND wallet_seconds >= $1
+       RETURNING wallet_seconds`,
+      [seconds, memberId]
+    );
+    return result.rows.length > 0 ? parseInt(result.rows[0].wallet_seconds) : null;
+  }
+
+  /**
+   * Take back up to `seconds` from a wallet, whatever the member's status
+   * (used when a top-up is reversed and some of it may already be spent)
+   * @returns {Promise<number>} Seconds actually removed
+   */
+  async reclaim(memberId, seconds) {
+    const member = await this.getMember(memberId);
+    if (!member) return 0;
+
+    const reclaimed = Math.min(seconds, parseInt(member.wallet_seconds) || 0);
+    if (reclaimed <= 0) return 0;
+
+    const result = await db.query(
+      `UPDATE members SET wallet_seconds = wallet_seconds - $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND wallet_seconds >= $1`,
+      [reclaimed, memberId]
+    );
+    return result.rowCount > 0 ? reclaimed : 0;
+  }
+
+  /**
+   * Credit a paid purchase to a wallet and record it as a transaction with no
+   * session (the time is not on any device yet)
+   *
+   * @param {number} memberId
+   * @param {number} seconds - Seconds bought
+   * @param {Object} options
+   * @param {number} options.amount - Amount paid
+   * @param {string} options.paymentMethod - transactions.payment_method
+   * @param {number} [options.coinsUsed=0]
+   * @param {number} [options.clientId] - Device the purchase was made from, if known
+   * @param {number} [options.rateId]
+   * @param {number} [options.scheduleId]
+   * @returns {Promise<{balance: number, transactionId: number}|null>} null when the member does not exist
+   */
+  async topUp(memberId, seconds, { amount, paymentMethod, coinsUsed = 0, clientId = null, rateId = null, scheduleId = null }) {
+    const balance = await this.credit(memberId, seconds);
+    if (balance === null) return null;
+
+    const transactionResult = await db.query(
+      `INSERT INTO transactions (client_id, amount, coins_used, payment_method, duration, rate_id, schedule_id, member_id, status, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'COMPLETED', CURRENT_TIMESTAMP)
+       RETURNING id`,
+      [clientId, amount, coinsUsed, paymentMethod, seconds, rateId, scheduleId, memberId]
+    );
+
+    return { balance, transactionId: transactionResult.rows[0].id };
+  }
+
+  /**
+   * A member's purchases and wallet use, newest first
+   */
+  async getHistory(memberId, limit = 20) {
+    const result = await db.query(
+      `SELECT t.id, t.amount, t.coins_used, t.payment_method, t.duration, t.status, t.created_at,
+              c.mac_address, c.device_name
+       FROM transactions t
+       LEFT JOIN clients c ON t.client_id = c.id
+       WHERE t.member_id = $1
+       ORDER BY t.created_at DESC, t.id DESC
+       LIMIT $2`,
+      [memberId, limit]
+    );
+    return result.rows;
+  }
+}
+
+const memberAccounts = new MemberAccounts();
+memberAccounts.MEMBER_COOKIE = MEMBER_COOKIE;
+
+module.exports = memberAccounts;
@@ -0,0 +1,528 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const db = require('../db/sqlite-adapter');
+const { isValidIPv4, isValidCIDR, isValidInterfaceName, isValidInteger } = require('../utils/validators');
+
+const execAsync = promisify(exec);
+
+/**
+ * Network Config
+ * The LAN settings every service reads (gateway, subnet, DHCP range, DNS
+ * servers, client and WAN interfaces), from the network_config row the
+ * admin network page edits, and the files rendered from them:
+ *
+ * - dnsmasq: /etc/dnsmasq.d/pisowifi.conf (dhcp-config.js)
+ * - firewall: /etc/pisowifi/firewall.sh, the captive portal's base rules
+ *   (chains, jumps from the LAN interface, portal redirect and NAT). The
+ *   per-client rules the allow/block scripts add inside the chains are kept.
+ * - env: /etc/pisowifi/network.env, sourced by the scripts/pisowifi-*-ethernet
+ *   client scripts for the LAN interface
+ * - hostapd: /etc/hostapd/hostapd.conf, when the access point is enabled
+ *   (access-point.js)
+ *
+ * wifi_interface holds the interface clients connect through, Wi-Fi or
+ * Ethernet. A fresh install gets the first USB/secondary Ethernet adapter
+ * found, or wlan0.
+ *
+ * The same row holds the WAN uplink (DHCP, PPPoE or static), brought up by
+ * applyWanConfig() when an admin saves it and again on every boot.
+ */
+
+const FIREWALL_SCRIPT = '/etc/pisowifi/firewall.sh';
+const ENV_FILE = '/etc/pisowifi/network.env';
+
+// Used for anything network_config does not set (or sets to something invalid)
+const DEFAULTS = {
+  dhcp_enabled: true,
+  dhcp_range_start: '10.0.0.10',
+  dhcp_range_end: '10.0.0.200',
+  subnet_mask: '255.255.255.0',
+  gateway: '10.0.0.1',
+  dns_primary: '8.8.8.8',
+  dns_secondary: '8.8.4.4',
+  lease_time: 43200,
+  lan_interface: 'wlan0',
+  wan_interface: 'eth0'
+};
+
+// dnsmasq refuses leases shorter than two minutes
+const MIN_LEASE_TIME = 120;
+
+function ipToInt(ip) {
+  return ip.split('.').reduce((value, octet) => (value * 256) + parseInt(octet, 10), 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / (2 ** shift)) % 256).join('.');
+}
+
+/**
+ * Prefix length of a subnet mask, or null when the mask is not contiguous
+ * @param {string} mask - e.g. 255.255.255.0
+ * @returns {number|null}
+ */
+function maskToPrefix(mask) {
+  if (!isValidIPv4(mask)) return null;
+  const bits = ipToInt(mask).toString(2).padStart(32, '0');
+  if (!/^1*0*$/.test(bits)) return null;
+  return bits.replace(/0+$/, '').length;
+}
+
+/**
+ * Subnet mask of a prefix length
+ * @param {number} prefix - 0-32
+ * @returns {string} e.g. 255.255.255.0 for 24
+ */
+function prefixToMask(prefix) {
+  return intToIp(2 ** 32 - 2 ** (32 - prefix));
+}
+
+/**
+ * Whether an address is a usable host address of the LAN
+ * @param {string} ip
+ * @param {Object} network - { gateway, subnet_mask }
+ */
+// Static WAN DNS servers as typed by an admin: IPv4 addresses, comma or space separated
+function parseDnsServers(value) {
+  return String(value ?? '').split(/[\s,]+/).map(server => server.trim()).filter(Boolean);
+}
+
+function isInLan(ip, { gateway, subnet_mask }) {
+  if (!isValidIPv4(ip)) return false;
+  const size = 0x100000000 - ipToInt(subnet_mask);
+  const address = ipToInt(ip);
+  if (Math.floor(address / size) !== Math.floor(ipToInt(gateway) / size)) return false;
+  const host = address % size;
+  return host !== 0 && host !== size - 1;
+}
+
+class NetworkConfig {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.rowReady = false;
+    this.lastReport = null;
+    // Last settings read, for callers that can't wait (CORS)
+    this.current = null;
+  }
+
+  /**
+   * Current LAN settings
+   * @returns {Promise<Object>} network_config values with defaults filled in, plus
+   *   lan_interface, prefix, network (CIDR), dns_servers and portal_port
+   */
+  async get() {
+    await this.ensureRow();
+    const result = await db.query('SELECT * FROM network_config WHERE id = 1');
+    const row = result.rows[0] || {};
+    const settings = { ...DEFAULTS };
+
+    for (const key of ['dhcp_range_start', 'dhcp_range_end', 'gateway', 'dns_primary', 'dns_secondary']) {
+      if (isValidIPv4(row[key])) settings[key] = row[key].trim();
+    }
+    if (maskToPrefix(row.subnet_mask) !== null && maskToPrefix(row.subnet_mask) < 31) {
+      settings.subnet_mask = row.subnet_mask.trim();
+    }
+    if (row.dhcp_enabled !== undefined && row.dhcp_enabled !== null) settings.dhcp_enabled = !!row.dhcp_enabled;
+    const leaseTime = parseInt(row.lease_time);
+    if (leaseTime > 0) settings.lease_time = Math.max(MIN_LEASE_TIME, leaseTime);
+    if (isValidInterfaceName(row.wifi_interface)) settings.lan_interface = row.wifi_interface.trim();
+    if (isValidInterfaceName(row.wan_interface)) settings.wan_interface = row.wan_interface.trim();
+
+    settings.prefix = maskToPrefix(settings.subnet_mask);
+    const size = 2 ** (32 - settings.prefix);
+    settings.network = `${intToIp(ipToInt(settings.gateway) - (ipToInt(settings.gateway) % size))}/${settings.prefix}`;
+    settings.dns_servers = [settings.dns_primary, settings.dns_secondary].filter(Boolean);
+    settings.portal_port = parseInt(process.env.PORT) || 3000;
+
+    this.current = settings;
+    return settings;
+  }
+
+  /**
+   * Interface clients connect through
+   * @returns {Promise<string>}
+   */
+  async getLanInterface() {
+    return (await this.get()).lan_interface;
+  }
+
+  /**
+   * Check LAN settings before they are saved
+   * @param {Object} values - gateway, subnet_mask, dhcp_range_start, dhcp_range_end
+   * @returns {string|null} What is wrong, or null when they are usable
+   */
+  validate({ gateway, subnet_mask, dhcp_range_start, dhcp_range_end }) {
+    const prefix = maskToPrefix(subnet_mask);
+    if (prefix === null || prefix < 8 || prefix > 30) {
+      return 'Subnet mask must be a contiguous mask from 255.0.0.0 to 255.255.255.252';
+    }
+    const network = { gateway, subnet_mask };
+    if (!isInLan(gateway, network)) {
+      return 'Gateway must be a host address, not the network or broadcast address';
+    }
+    if (!isInLan(dhcp_range_start, network) || !isInLan(dhcp_range_end, network)) {
+      return `DHCP range must be inside the LAN (${gateway}/${prefix})`;
+    }
+    if (ipToInt(dhcp_range_start) > ipToInt(dhcp_range_end)) {
+      return 'DHCP range start must not be after its end';
+    }
+    if (ipToInt(gateway) >= ipToInt(dhcp_range_start) && ipToInt(gateway) <= ipToInt(dhcp_range_end)) {
+      return 'Gateway must be outside the DHCP range';
+    }
+    return null;
+  }
+
+  /**
+   * Whether a browser origin is the portal itself (CORS), from the last
+   * settings read
+   * @param {string} origin - e.g. http://10.0.0.1:3000
+   */
+  isLanOrigin(origin) {
+    const match = /^http:\/\/(\d{1,3}(?:\.\d{1,3}){3})(?::\d+)?$/.exec(origin || '');
+    return !!match && isInLan(match[1], this.current || DEFAULTS);
+  }
+
+  /**
+   * Every rendered file, without installing anything
+   * @returns {Promise<Object>} { dnsmasq, firewall, env, hostapd }, each { path, content }
+   */
+  async preview() {
+    // Lazy: dhcp-config and access-point read their settings from here
+    const dhcpConfig = require('./dhcp-config');
+    const accessPoint = require('./access-point');
+    const settings = await this.get();
+    return {
+      dnsmasq: { path: dhcpConfig.DNSMASQ_CONF, content: await dhcpConfig.render() },
+      firewall: { path: FIREWALL_SCRIPT, content: this.renderFirewall(settings) },
+      env: { path: ENV_FILE, content: this.renderEnv(settings) },
+      hostapd: { path: accessPoint.HOSTAPD_CONF, content: await accessPoint.render({ redact: true }) }
+    };
+  }
+
+  /**
+   * Captive portal base rules, as a script run as root
+   * @param {Object} settings - From get()
+   * @returns {string}
+   */
+  renderFirewall(settings) {
+    return `#!/bin/bash
+# PISOWifi captive portal firewall
+# Generated from the admin network settings; edits here are overwritten
+
+LAN_INTERFACE=${settings.lan_interface}
+LAN_NETWORK=${settings.network}
+GATEWAY=${settings.gateway}
+PORTAL_PORT=${settings.portal_port}
+
+sysctl -w net.ipv4.ip_forward=1 >/dev/null
+
+iptables -t mangle -N pisowifi_auth 2>/dev/null || true
+iptables -t nat -N pisowifi_portal 2>/dev/null || true
+iptables -t nat -N pisowifi_nat 2>/dev/null || true
+iptables -N pisowifi_forward 2>/dev/null || true
+iptables -N pisowifi_input 2>/dev/null || true
+
+# Jump to a chain from exactly one rule, so a changed LAN interface
+# doesn't leave the old jump behind
+replace_jump() {
+  local table=$1 parent=$2 chain=$3
+  shift 3
+  iptables -t "$table" -S "$parent" | grep -E -- "-j $chain\$" | sed 's/^-A //' | while read -r rule; do
+    iptables -t "$table" -D $rule
+  done
+  iptables -t "$table" -I "$parent" 1 "$@" -j "$chain"
+}
+
+replace_jump mangle PREROUTING pisowifi_auth -i "$LAN_INTERFACE"
+replace_jump nat PREROUTING pisowifi_portal -i "$LAN_INTERFACE"
+replace_jump nat POSTROUTING pisowifi_nat
+replace_jump filter FORWARD pisowifi_forward -i "$LAN_INTERFACE"
+replace_jump filter INPUT pisowifi_input -i "$LAN_INTERFACE"
+
+# DHCP, DNS and the portal for every client, paid or not
+iptables -F pisowifi_input
+iptables -A pisowifi_input -p udp --dport 67 -j ACCEPT
+iptables -A pisowifi_input -p udp --dport 53 -j ACCEPT
+iptables -A pisowifi_input -p tcp --dport 53 -j ACCEPT
+iptables -A pisowifi_input -p tcp --dport 80 -j ACCEPT
+iptables -A pisowifi_input -p tcp --dport "$PORTAL_PORT" -j ACCEPT
+
+# Web traffic of unpaid clients goes to the portal. Paid clients and the
+# walled garden are inserted above this rule.
+iptables -t nat -S pisowifi_portal | grep -- '-j DNAT' | sed 's/^-A //' | while read -r rule; do
+  iptables -t nat -D $rule
+done
+iptables -t nat -A pisowifi_portal -p tcp --dport 80 -j DNAT --to-destination "$GATEWAY:$PORTAL_PORT"
+
+# Unpaid clients are not forwarded
+while iptables -D pisowifi_forward -j DROP 2>/dev/null; do :; done
+iptables -A pisowifi_forward -j DROP
+
+# NAT the LAN out of whichever uplink is in use
+iptables -t nat -F pisowifi_nat
+iptables -t nat -A pisowifi_nat -s "$LAN_NETWORK" ! -d "$LAN_NETWORK" -j MASQUERADE
+`;
+  }
+
+  /**
+   * Settings for the shell scripts
+   * @param {Object} settings - From get()
+   * @returns {string}
+   */
+  renderEnv(settings) {
+    return [
+      '# PISOWifi network settings for the client scripts',
+      '# Generated from the admin network settings; edits here are overwritten',
+      `LAN_INTERFACE=${settings.lan_interface}`,
+      `LAN_NETWORK=${settings.network}`,
+      `GATEWAY=${settings.gateway}`,
+      `WAN_INTERFACE=${settings.wan_interface}`,
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Put the settings into effect: LAN address, env file, firewall, dnsmasq
+   * and hostapd.
+   * Runs one at a time; a call made during a run waits for it.
+   * @param {string} [reason='manual'] - What triggered it (startup, changed, manual, cli)
+   * @returns {Promise<Object>} Report of each step
+   */
+  apply(reason = 'manual') {
+    const run = this.queue.then(() => this.install(reason));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async install(reason) {
+    const report = {
+      success: true,
+      reason,
+      applied_at: new Date().toISOString(),
+      steps: {}
+    };
+
+    const step = async (name, action) => {
+      try {
+        report.steps[name] = (await action()) || { success: true };
+      } catch (error) {
+        report.steps[name] = { success: false, error: (error.stderr || error.message).trim() };
+      }
+      if (!report.steps[name].success) report.success = false;
+    };
+
+    let settings;
+    try {
+      settings = await this.get();
+      const invalid = this.validate(settings);
+      if (invalid) throw new Error(invalid);
+    } catch (error) {
+      report.success = false;
+      report.error = error.message;
+      console.error('Network config apply error:', error.message);
+      this.lastReport = report;
+      return report;
+    }
+
+    await step('address', () => this.assignLanAddress(settings));
+    await step('env', () => this.installFile(this.renderEnv(settings), '/tmp/pisowifi-network.env', ENV_FILE));
+    await step('firewall', async () => {
+      await this.installFile(this.renderFirewall(settings), '/tmp/pisowifi-firewall.sh', FIREWALL_SCRIPT);
+      await execAsync(`sudo bash ${FIREWALL_SCRIPT}`);
+    });
+    // Lazy: dhcp-config and access-point read their settings from here
+    await step('dnsmasq', () => require('./dhcp-config').apply(reason));
+    await step('hostapd', () => require('./access-point').apply(reason));
+
+    if (!report.success) {
+      const failed = Object.keys(report.steps).filter(name => !report.steps[name].success);
+      report.error = `Failed: ${failed.map(name => `${name} (${report.steps[name].error})`).join(', ')}`;
+      console.error('Network config apply error:', report.error);
+    } else {
+      console.log(`🌐 Network config applied (${reason}): ${settings.lan_interface} ${settings.gateway}/${settings.prefix}`);
+    }
+    this.lastReport = report;
+    return report;
+  }
+
+  /**
+   * WAN settings from network_config
+   * @returns {Promise<Object>} wan_mode, wan_interface, pppoe_*, wan_static_*
+   */
+  async getWanConfig() {
+    const result = await db.query(
+      `SELECT wan_mode, wan_interface, pppoe_username, pppoe_password, pppoe_mtu,
+              wan_static_address, wan_static_gateway, wan_static_dns
+       FROM network_config WHERE id = 1`
+    );
+    return result.rows[0] || {};
+  }
+
+  /**
+   * Bring the WAN up in its configured mode: DHCP lease, PPPoE dial-up or
+   * static address, default route and resolvers. Stops whichever of the other
+   * modes was running.
+   * @param {Object} wanConfig - From getWanConfig()
+   */
+  async applyWanConfig(wanConfig) {
+    if (process.platform !== 'linux') {
+      console.warn('WAN apply skipped: non-Linux platform');
+      return;
+    }
+    const mode = wanConfig.wan_mode || 'dhcp';
+    const iface = wanConfig.wan_interface || 'eth0';
+
+    if (!isValidInterfaceName(iface)) {
+      throw new Error('Invalid WAN interface name');
+    }
+
+    if (mode === 'pppoe') {
+      if (!wanConfig.pppoe_username || !wanConfig.pppoe_password) {
+        throw new Error('PPPoE username and password are required');
+      }
+
+      const mtu = wanConfig.pppoe_mtu || 1492;
+      if (!isValidInteger(mtu, 576, 1500)) {
+        throw new Error('Invalid PPPoE MTU');
+      }
+
+      const peerConfig = `
+plugin rp-pppoe.so
+${iface}
+user "${wanConfig.pppoe_username}"
+defaultroute
+usepeerdns
+mtu ${mtu}
+mru ${mtu}
+persist
+holdoff 10
+lcp-echo-interval 10
+lcp-echo-failure 3
+`;
+
+      await fs.writeFile('/tmp/pisowifi-pppoe', peerConfig);
+      await execAsync('sudo cp /tmp/pisowifi-pppoe /etc/ppp/peers/pisowifi-wan');
+
+      const secretsLine = `"${wanConfig.pppoe_username}" * "${wanConfig.pppoe_password}" *\n`;
+      await execAsync(`sudo sh -c "grep -v '^\\\"${wanConfig.pppoe_username}\\\"' /etc/ppp/chap-secrets > /tmp/chap-secrets.pisowifi || true"`);
+      await execAsync(`sudo sh -c "printf '${secretsLine}' >> /tmp/chap-secrets.pisowifi"`);
+      await execAsync('sudo cp /tmp/chap-secrets.pisowifi /etc/ppp/chap-secrets');
+
+      await execAsync(`sudo sh -c "grep -v '^\\\"${wanConfig.pppoe_username}\\\"' /etc/ppp/pap-secrets > /tmp/pap-secrets.pisowifi || true"`);
+      await execAsync(`sudo sh -c "printf '${secretsLine}' >> /tmp/pap-secrets.pisowifi"`);
+      await execAsync('sudo cp /tmp/pap-secrets.pisowifi /etc/ppp/pap-secrets');
+
+      // Bring down DHCP client and start PPPoE
+      await execAsync(`sudo dhclient -r ${iface} 2>/dev/null || true`);
+      await execAsync(`sudo ip addr flush dev ${iface}`);
+      await execAsync('sudo poff pisowifi-wan 2>/dev/null || true');
+      await execAsync('sudo pon pisowifi-wan');
+    } else if (mode === 'static') {
+      const address = (wanConfig.wan_static_address || '').trim();
+      const gateway = (wanConfig.wan_static_gateway || '').trim();
+      const dnsServers = parseDnsServers(wanConfig.wan_static_dns);
+
+      // SECURITY: only validated addresses reach the shell
+      if (!isValidCIDR(address) || !isValidIPv4(gateway) || dnsServers.length === 0 || !dnsServers.every(isValidIPv4)) {
+        throw new Error('Static IP, gateway and DNS servers are required');
+      }
+
+      // Static mode: stop PPPoE and DHCP, then set the address ourselves
+      await execAsync('sudo poff pisowifi-wan 2>/dev/null || true');
+      await execAsync(`sudo dhclient -r ${iface} 2>/dev/null || true`);
+      await execAsync(`sudo ip addr flush dev ${iface}`);
+      await execAsync(`sudo ip addr add ${address} dev ${iface}`);
+      await execAsync(`sudo ip link set ${iface} up`);
+      await execAsync(`sudo ip route replace default via ${gateway} dev ${iface}`);
+
+      // Resolvers for the router itself (dnsmasq forwards to them too)
+      await fs.writeFile('/tmp/pisowifi-resolv.conf', dnsServers.map(server => `nameserver ${server}\n`).join(''));
+      await execAsync('sudo cp /tmp/pisowifi-resolv.conf /etc/resolv.conf');
+    } else {
+      // DHCP mode: stop PPPoE, drop a static address and acquire lease
+      await execAsync('sudo poff pisowifi-wan 2>/dev/null || true');
+      await execAsync(`sudo dhclient -r ${iface} 2>/dev/null || true`);
+      await execAsync(`sudo ip addr flush dev ${iface}`);
+      await execAsync(`sudo dhclient ${iface}`);
+    }
+  }
+
+  // Give the LAN interface the gateway address, unless it already has it
+  async assignLanAddress(settings) {
+    const iface = settings.lan_interface;
+    const address = `${settings.gateway}/${settings.prefix}`;
+    const { stdout } = await execAsync(`ip -4 -o addr show dev ${iface}`);
+    if (stdout.includes(`inet ${address} `)) {
+      return { success: true, changed: false };
+    }
+
+    await execAsync(`sudo ip addr flush dev ${iface}`);
+    await execAsync(`sudo ip addr add ${address} dev ${iface}`);
+    await execAsync(`sudo ip link set ${iface} up`);
+    return { success: true, changed: true };
+  }
+
+  // Write a rendered file through a temp file, as root
+  async installFile(content, tempPath, targetPath) {
+    await fs.writeFile(tempPath, content);
+    await execAsync('sudo mkdir -p /etc/pisowifi');
+    await execAsync(`sudo cp ${tempPath} ${targetPath}`);
+  }
+
+  // Create the network_config row on first use, with the LAN interface this
+  // machine most likely uses for clients
+  async ensureRow() {
+    if (this.rowReady) return;
+    const existing = await db.query('SELECT id FROM network_config WHERE id = 1');
+    if (existing.rows.length === 0) {
+      const lanInterface = await this.detectLanInterface();
+      await db.query(
+        `INSERT OR IGNORE INTO network_config (
+          id, dhcp_enabled, dhcp_range_start, dhcp_range_end, subnet_mask, gateway,
+          dns_primary, dns_secondary, lease_time, wifi_interface, wan_interface
+        ) VALUES (1, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          DEFAULTS.dhcp_enabled ? 1 : 0, DEFAULTS.dhcp_range_start, DEFAULTS.dhcp_range_end,
+          DEFAULTS.subnet_mask, DEFAULTS.gateway, DEFAULTS.dns_primary, DEFAULTS.dns_secondary,
+          DEFAULTS.lease_time, lanInterface, DEFAULTS.wan_interface
+        ]
+      );
+      console.log(`✅ Network config created (LAN interface ${lanInterface})`);
+    }
+    this.rowReady = true;
+  }
+
+  /**
+   * Guess the client interface: a USB Ethernet adapter, then a second
+   * Ethernet port, then Wi-Fi
+   * @returns {Promise<string>}
+   */
+  async detectLanInterface() {
+    let names = [];
+    try {
+      names = (await fs.readdir('/sys/class/net')).filter(isValidInterfaceName);
+    } catch (error) {
+      return DEFAULTS.lan_interface;
+    }
+
+    return names.find(name => /^(enx|usb)/.test(name)) ||
+      ['eth1', 'end1'].find(name => names.includes(name)) ||
+      names.find(name => /^wl/.test(name)) ||
+      DEFAULTS.lan_interface;
+  }
+}
+
+const networkConfig = new NetworkConfig();
+
+networkConfig.DEFAULTS = DEFAULTS;
+networkConfig.MIN_LEASE_TIME = MIN_LEASE_TIME;
+networkConfig.FIREWALL_SCRIPT = FIREWALL_SCRIPT;
+networkConfig.ENV_FILE = ENV_FILE;
+networkConfig.isInLan = isInLan;
+networkConfig.parseDnsServers = parseDnsServers;
+networkConfig.ipToInt = ipToInt;
+networkConfig.maskToPrefix = maskToPrefix;
+networkConfig.prefixToMask = prefixToMask;
+
+module.exports = networkConfig;
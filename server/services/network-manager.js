@@ -3,6 +3,8 @@ const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 const { isValidMacAddress, sanitizeMacAddress, isValidDuration, isValidIPv4 } = require('../utils/validators');
+const networkConfig = require('./network-config');
+const accessPoint = require('./access-point');
 
 const execAsync = promisify(exec);
 
@@ -19,76 +21,25 @@ class NetworkManager {
       // Create config directories if they don't exist
       await execAsync('sudo mkdir -p /etc/pisowifi /etc/dnsmasq.d');
 
-      // Initialize captive portal rules
-      await this.setupCaptivePortal();
-
-      // Setup DHCP server
-      await this.setupDHCPServer();
+      // LAN address, captive portal rules and DHCP server, from the admin
+      // network settings
+      const report = await networkConfig.apply('startup');
+      if (!report.success) {
+        console.error('Failed to apply network config:', report.error);
+      }
 
       // Setup firewall rules
       await this.setupFirewallRules();
 
-      return { success: true, message: 'Network stack initialized' };
+      return report.success
+        ? { success: true, message: 'Network stack initialized' }
+        : { success: false, error: report.error };
     } catch (error) {
       console.error('Network initialization error:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async setupCaptivePortal() {
-    // Setup iptables rules for ethernet-based captive portal
-    try {
-      // Use the dedicated ethernet setup script
-      const scriptsPath = path.join(__dirname, '../../scripts');
-      await execAsync(`sudo ${scriptsPath}/pisowifi-setup-ethernet-portal`);
-      console.log('Ethernet captive portal rules applied');
-    } catch (error) {
-      console.error('Failed to setup ethernet captive portal:', error);
-
-      // Fallback: try basic setup
-      try {
-        await execAsync('sudo sysctl -w net.ipv4.ip_forward=1');
-        console.log('IP forwarding enabled as fallback');
-      } catch (fallbackError) {
-        console.error('Failed to enable IP forwarding:', fallbackError);
-      }
-    }
-  }
-
-  async setupDHCPServer() {
-    const dnsmasqConfig = `
-# PISOWifi DHCP Configuration
-interface=wlan0
-dhcp-range=10.0.0.10,10.0.0.200,255.255.255.0,12h
-dhcp-option=3,10.0.0.1
-dhcp-option=6,8.8.8.8,8.8.4.4
-
-# Captive portal detection responses
-address=/connectivitycheck.gstatic.com/10.0.0.1
-address=/connectivitycheck.android.com/10.0.0.1
-address=/captive.apple.com/10.0.0.1
-address=/www.msftconnecttest.com/10.0.0.1
-address=/detectportal.firefox.com/10.0.0.1
-
-# Log DHCP
-log-dhcp
-log-queries
-
-# DNS
-server=8.8.8.8
-server=8.8.4.4
-`;
-
-    try {
-      await fs.writeFile('/tmp/dnsmasq-pisowifi.conf', dnsmasqConfig);
-      await execAsync('sudo cp /tmp/dnsmasq-pisowifi.conf /etc/dnsmasq.d/pisowifi.conf');
-      await execAsync('sudo systemctl restart dnsmasq');
-      console.log('DHCP server configured');
-    } catch (error) {
-      console.error('Failed to setup DHCP server:', error);
-    }
-  }
-
   async setupFirewallRules() {
     try {
       // Enable routing
@@ -191,6 +142,40 @@ server=8.8.4.4
     }
   }
 
+  /**
+   * MAC addresses currently allowed through the captive portal, read from
+   * the pisowifi_auth mangle chain. Throws when iptables can't be read so
+   * callers don't mistake an unreadable firewall for an empty one.
+   * @returns {Promise<string[]>} Uppercase MAC addresses
+   */
+  async getAllowedMacs() {
+    const { stdout } = await execAsync('sudo iptables -t mangle -S pisowifi_auth');
+    const macs = new Set();
+    for (const line of stdout.split('\n')) {
+      const match = line.match(/--mac-source\s+([0-9A-Fa-f]{2}(?::[0-9A-Fa-f]{2}){5})/);
+      if (match) {
+        macs.add(match[1].toUpperCase());
+      }
+    }
+    return [...macs];
+  }
+
+  /**
+   * Replace the authenticated clients file with the given clients
+   * @param {Object[]} clients - { mac, ip, duration }
+   */
+  async writeAuthenticatedClients(clients) {
+    const now = Date.now();
+    const entries = clients.map(client => ({
+      mac: client.mac,
+      ip: client.ip,
+      authenticated_at: new Date(now).toISOString(),
+      expires_at: new Date(now + client.duration * 1000).toISOString(),
+      duration: client.duration
+    }));
+    await fs.writeFile('/tmp/authenticated-clients.json', JSON.stringify(entries, null, 2));
+  }
+
   async getServiceStatus() {
     const status = {};
 
@@ -220,12 +205,16 @@ server=8.8.4.4
       }
     }
 
-    // Check hostapd (we know it won't work without WiFi)
-    status.hostapd = {
-      active: false,
-      status: 'disabled',
-      info: 'WiFi not available'
-    };
+    // Check hostapd
+    try {
+      status.hostapd = await accessPoint.getStatus();
+    } catch (error) {
+      status.hostapd = {
+        active: false,
+        status: 'error',
+        info: `Check failed: ${error.message}`
+      };
+    }
 
     // Check iptables/firewall
     try {
@@ -303,13 +292,14 @@ server=8.8.4.4
   async getConnectedClients() {
     try {
       const clients = [];
+      const lan = await networkConfig.get();
 
       // Try multiple sources for client information
 
       // Method 1: DHCP leases from dnsmasq
       try {
         const { stdout: dhcpOutput } = await execAsync('cat /var/lib/misc/dnsmasq.leases /var/lib/dhcp/dhcpd.leases 2>/dev/null || echo ""');
-        const dhcpLines = dhcpOutput.trim().split('\n').filter(l => l && l.includes('10.0.0.'));
+        const dhcpLines = dhcpOutput.trim().split('\n').filter(l => l && networkConfig.isInLan(l.split(' ')[2], lan));
 
         dhcpLines.forEach(line => {
           const parts = line.split(' ');
@@ -328,10 +318,10 @@ server=8.8.4.4
         console.warn('DHCP lease parsing failed:', dhcpError.message);
       }
 
-      // Method 2: ARP/Neighbor table for ethernet interface
+      // Method 2: ARP/Neighbor table for the LAN interface
       try {
-        const { stdout: arpOutput } = await execAsync('ip neighbor show dev enx00e04c68276e | grep 10.0.0');
-        const arpLines = arpOutput.trim().split('\n').filter(l => l);
+        const { stdout: arpOutput } = await execAsync(`ip neighbor show dev ${lan.lan_interface}`);
+        const arpLines = arpOutput.trim().split('\n').filter(l => l && networkConfig.isInLan(l.split(' ')[0], lan));
 
         arpLines.forEach(line => {
           const parts = line.split(' ');
@@ -366,14 +356,24 @@ server=8.8.4.4
         // No authenticated clients yet
       }
 
+      // Signal strength and link details of Wi-Fi clients
+      let stations = [];
+      try {
+        stations = await accessPoint.getStations();
+      } catch (stationError) {
+        console.warn('Wi-Fi station listing failed:', stationError.message);
+      }
+
       // Merge authentication status
       const enrichedClients = clients.map(client => {
         const authInfo = authClients.find(a => a.mac === client.mac_address);
+        const station = stations.find(s => s.mac_address === String(client.mac_address).toUpperCase());
         return {
           ...client,
           authenticated: !!authInfo,
           expires_at: authInfo?.expires_at || null,
-          auth_duration: authInfo?.duration || null
+          auth_duration: authInfo?.duration || null,
+          wifi: station || null
         };
       });
 
@@ -0,0 +1,141 @@
+const db = require('../db/sqlite-adapter');
+const sessionClock = require('./session-clock');
+
+/**
+ * Pause Policy
+ * Limits on pausing, from portal_settings (0 = no limit):
+ *
+ * - pause_max_count: customer pauses per session
+ * - pause_max_minutes: total paused time per session; a pause is resumed
+ *   automatically when the budget runs out
+ * - pause_min_session_minutes: session time used before the customer may pause
+ * - pause_expiry_hours: a balance left paused this long is forfeited
+ *
+ * Idle/away auto-pauses don't use up pause_max_count but share the paused
+ * time budget and the expiry. Admin pauses are not limited.
+ */
+
+class PausePolicy {
+  async getPolicy() {
+    const result = await db.query(
+      `SELECT pause_max_count, pause_max_minutes, pause_min_session_minutes, pause_expiry_hours
+       FROM portal_settings WHERE id = 1`
+    );
+    const row = result.rows[0] || {};
+    return {
+      maxCount: parseInt(row.pause_max_count) || 0,
+      maxMinutes: parseInt(row.pause_max_minutes) || 0,
+      minSessionMinutes: parseInt(row.pause_min_session_minutes) || 0,
+      expiryHours: parseInt(row.pause_expiry_hours) || 0
+    };
+  }
+
+  /**
+   * What is left of a client's pause allowance this session
+   * @param {number} clientId
+   * @param {Object} [policy] - From getPolicy()
+   * @returns {Promise<Object>} { pauses_left, pause_seconds_left, session_seconds } (null = unlimited)
+   */
+  async getAllowance(clientId, policy) {
+    policy = policy || await this.getPolicy();
+
+    // paused_seconds plus the pause in progress, if any
+    const result = await db.query(
+      `SELECT c.pause_count,
+              COALESCE(c.paused_seconds, 0) + ${sessionClock.pausedElapsedSql('c')} as paused_seconds,
+              s.started_at as session_started_at,
+              CAST(ROUND((julianday('now') - julianday(s.started_at)) * 86400) AS INTEGER) as session_elapsed
+       FROM clients c
+       LEFT JOIN sessions s ON s.id = (
+         SELECT id FROM sessions WHERE client_id = c.id AND status = 'ACTIVE' ORDER BY started_at DESC LIMIT 1
+       )
+       WHERE c.id = $1`,
+      [clientId]
+    );
+    const row = result.rows[0] || {};
+    const pausedSeconds = parseInt(row.paused_seconds) || 0;
+
+    return {
+      pauses_left: policy.maxCount > 0 ? Math.max(0, policy.maxCount - (parseInt(row.pause_count) || 0)) : null,
+      pause_seconds_left: policy.maxMinutes > 0 ? Math.max(0, policy.maxMinutes * 60 - pausedSeconds) : null,
+      // Time the session has actually been running (paused time excluded)
+      session_seconds: row.session_started_at ? Math.max(0, (parseInt(row.session_elapsed) || 0) - pausedSeconds) : null
+    };
+  }
+
+  /**
+   * Check whether a client may pause now
+   * @param {number} clientId
+   * @param {Object} [options]
+   * @param {boolean} [options.manual=true] - Customer pause (counts against pause_max_count)
+   * @param {number} [options.resumeAfterMinutes=0] - Auto-resume already configured (0 = none)
+   * @returns {Promise<Object>} { allowed, error, resumeAfterMinutes } - resumeAfterMinutes
+   *   is shortened to end the pause when the time budget runs out
+   */
+  async checkPause(clientId, { manual = true, resumeAfterMinutes = 0 } = {}) {
+    const policy = await this.getPolicy();
+    const allowance = await this.getAllowance(clientId, policy);
+
+    if (manual && allowance.pauses_left === 0) {
+      return { allowed: false, error: `You have used all ${policy.maxCount} pauses for this session` };
+    }
+    if (allowance.pause_seconds_left === 0) {
+      return { allowed: false, error: 'No pause time left for this session' };
+    }
+    if (manual && policy.minSessionMinutes > 0 && allowance.session_seconds !== null &&
+        allowance.session_seconds < policy.minSessionMinutes * 60) {
+      const wait = Math.ceil((policy.minSessionMinutes * 60 - allowance.session_seconds) / 60);
+      return { allowed: false, error: `Pausing is available after ${policy.minSessionMinutes} minutes of use (${wait} more)` };
+    }
+
+    let resumeAfter = resumeAfterMinutes;
+    if (allowance.pause_seconds_left !== null) {
+      const budgetMinutes = allowance.pause_seconds_left / 60;
+      resumeAfter = resumeAfter > 0 ? Math.min(resumeAfter, budgetMinutes) : budgetMinutes;
+    }
+
+    return { allowed: true, resumeAfterMinutes: resumeAfter, allowance };
+  }
+
+  /**
+   * Forfeit balances that have been paused longer than pause_expiry_hours
+   * @returns {Promise<number>} Clients expired
+   */
+  async expireStalePauses() {
+    const policy = await this.getPolicy();
+    if (policy.expiryHours <= 0) return 0;
+
+    const result = await db.query(
+      `SELECT id, mac_address, ip_address, time_remaining
+       FROM clients
+       WHERE status = 'PAUSED'
+       AND paused_at IS NOT NULL
+       AND paused_at <= datetime('now', '-' || $1 || ' hours')`,
+      [policy.expiryHours]
+    );
+
+    for (const client of result.rows) {
+      try {
+        await sessionClock.expireClient(client, 'pause_expired');
+        await db.query(
+          'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+          [
+            'info',
+            `Paused balance expired: ${client.mac_address}`,
+            'portal',
+            JSON.stringify({ client_id: client.id, forfeited_seconds: parseInt(client.time_remaining) || 0, expiry_hours: policy.expiryHours })
+          ]
+        );
+        console.log(`⏰ Paused balance of ${client.mac_address} expired after ${policy.expiryHours}h`);
+      } catch (error) {
+        console.error(`Failed to expire paused client ${client.mac_address}:`, error.message);
+      }
+    }
+
+    return result.rows.length;
+  }
+}
+
+const pausePolicy = new PausePolicy();
+
+module.exports = pausePolicy;
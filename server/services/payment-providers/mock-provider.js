@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./payment-provider');
+const { getJWTSecret } = require('../../middleware/security');
+
+/**
+ * Mock e-wallet provider for offline testing
+ * Its checkout page (/portal/payments/mock/:reference) approves or declines
+ * a payment by posting a signed callback, exactly like a real provider's
+ * webhook. Callbacks can also be sent by hand:
+ *
+ *   body      {"reference": "...", "status": "paid", "amount": "20.00", "provider_reference": "MOCK-..."}
+ *   header    X-Mock-Signature: hex HMAC-SHA256 of "reference|status|amount"
+ *   endpoint  POST /api/payments/callback/mock
+ *
+ * The key is PAYMENT_MOCK_SECRET, or derived from JWT_SECRET when unset.
+ * Disabled unless PAYMENT_MOCK_ENABLED=true.
+ */
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+class MockProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'mock', label: 'Test Wallet', paymentMethod: 'MOCK' });
+  }
+
+  isEnabled() {
+    return process.env.PAYMENT_MOCK_ENABLED === 'true';
+  }
+
+  getSecret() {
+    return process.env.PAYMENT_MOCK_SECRET ||
+      crypto.createHmac('sha256', getJWTSecret()).update('pisowifi-payment-mock').digest('hex');
+  }
+
+  /**
+   * Signature over the fields a callback is trusted for
+   */
+  sign(reference, status, amount) {
+    return crypto
+      .createHmac('sha256', this.getSecret())
+      .update(`${reference}|${status}|${parseFloat(amount).toFixed(2)}`)
+      .digest('hex');
+  }
+
+  async createPayment(intent) {
+    const providerReference = `MOCK-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    return {
+      providerReference,
+      checkoutUrl: `/portal/payments/mock/${intent.reference}`,
+      qrPayload: `mockpay://pay?ref=${intent.reference}&amount=${parseFloat(intent.amount).toFixed(2)}`
+    };
+  }
+
+  /**
+   * Build the signed callback the mock checkout page posts
+   * @param {Object} intent - payment_intents row
+   * @param {string} status - 'paid' or 'failed'
+   * @returns {{body: Object, signature: string}}
+   */
+  buildCallback(intent, status) {
+    const amount = parseFloat(intent.amount).toFixed(2);
+    return {
+      body: {
+        reference: intent.reference,
+        status,
+        amount,
+        provider_reference: intent.provider_reference
+      },
+      signature: this.sign(intent.reference, status, amount)
+    };
+  }
+
+  async verifyCallback(req) {
+    const { reference, status, amount, provider_reference } = req.body || {};
+    const signature = String(req.headers[SIGNATURE_HEADER] || '');
+
+    if (!reference || !['paid', 'failed'].includes(status) || isNaN(parseFloat(amount))) {
+      throw new Error('Malformed mock callback');
+    }
+
+    const expected = Buffer.from(this.sign(reference, status, amount), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new Error('Invalid mock callback signature');
+    }
+
+    return {
+      reference,
+      status,
+      providerReference: provider_reference || null,
+      amount: parseFloat(amount)
+    };
+  }
+}
+
+const mockProvider = new MockProvider();
+mockProvider.SIGNATURE_HEADER = SIGNATURE_HEADER;
+
+module.exports = mockProvider;
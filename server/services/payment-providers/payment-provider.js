@@ -0,0 +1,66 @@
+/**
+ * Payment Provider interface
+ * Every e-wallet integration (mock, GCash, Maya, ...) extends this class and
+ * is registered with the payments service. The service owns the intent
+ * records and crediting time; a provider only talks to the outside world:
+ *
+ *   1. createPayment(intent)  - open a payment with the provider and return
+ *      what the customer needs to pay (checkout URL and/or QR payload)
+ *   2. verifyCallback(req)    - authenticate a webhook/callback request and
+ *      translate it into { reference, status, providerReference }
+ *
+ * Providers must never credit time themselves; a verified callback is
+ * handed to the payments service, which confirms the intent exactly once.
+ */
+
+class PaymentProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider key used in URLs and payment_intents.provider
+   * @param {string} options.label - Name shown to customers
+   * @param {string} options.paymentMethod - transactions.payment_method for confirmed payments
+   */
+  constructor({ name, label, paymentMethod }) {
+    this.name = name;
+    this.label = label;
+    this.paymentMethod = paymentMethod;
+  }
+
+  /**
+   * Whether the provider can take payments (configured credentials, enabled, ...)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return false;
+  }
+
+  /**
+   * Open a payment for an intent
+   * @param {Object} intent - payment_intents row (reference, amount, expires_at, ...)
+   * @returns {Promise<{providerReference: string, checkoutUrl: string|null, qrPayload: string|null}>}
+   */
+  async createPayment(intent) {
+    throw new Error(`${this.name}: createPayment is not implemented`);
+  }
+
+  /**
+   * Verify a callback request from the provider
+   * @param {Object} req - Express request (headers and parsed body)
+   * @returns {Promise<{reference: string, status: string, providerReference: string|null, amount: number|null}>}
+   *   status is 'paid' or 'failed'
+   * @throws {Error} when the request is not authentic
+   */
+  async verifyCallback(req) {
+    throw new Error(`${this.name}: verifyCallback is not implemented`);
+  }
+
+  /**
+   * Provider-specific reply to a verified callback
+   * @param {Object} intent - payment_intents row after the callback was applied
+   */
+  callbackResponse(intent) {
+    return { received: true };
+  }
+}
+
+module.exports = PaymentProvider;
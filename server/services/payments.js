@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const db = require('../db/sqlite-adapter');
+const rateEngine = require('./rate-engine');
+const sessionManager = require('./session-manager');
+const dataUsageMonitor = require('./data-usage');
+const mockProvider = require('./payment-providers/mock-provider');
+
+/**
+ * Payments Service
+ * E-wallet payments in three steps: create an intent (what is being bought,
+ * for which device, at what price), let the provider collect the money, then
+ * confirm the intent when the provider's verified callback arrives. A
+ * confirmed intent credits time through sessionManager.grantAccess, the same
+ * path coin purchases use.
+ *
+ * Prices are fixed when the intent is created so a promo schedule ending
+ * while the customer is paying does not change what they get.
+ */
+
+const INTENT_TTL_MINUTES = 15;
+const INTENT_STATUSES = ['pending', 'paid', 'failed', 'expired', 'cancelled'];
+
+class PaymentService {
+  constructor() {
+    this.providers = new Map();
+    this.register(mockProvider);
+  }
+
+  /**
+   * Add a provider (see payment-providers/payment-provider.js)
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Enabled provider by name, null when unknown or disabled
+   */
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    return provider && provider.isEnabled() ? provider : null;
+  }
+
+  /**
+   * Providers customers can pay with right now
+   * @returns {Array<{name: string, label: string}>}
+   */
+  listProviders() {
+    return [...this.providers.values()]
+      .filter(provider => provider.isEnabled())
+      .map(provider => ({ name: provider.name, label: provider.label }));
+  }
+
+  /**
+   * Reference shown to the customer and sent to the provider, e.g. PAY-20240115-9F2C1A
+   */
+  generateReference() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `PAY-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Mark pending intents past their expiry as expired
+   */
+  async expireStaleIntents() {
+    await db.query(
+      `UPDATE payment_intents SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'pending' AND expires_at IS NOT NULL AND expires_at < datetime('now')`
+    );
+  }
+
+  async getIntent(reference) {
+    const result = await db.query('SELECT * FROM payment_intents WHERE reference = $1', [reference]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a payment intent and open it with the provider
+   *
+   * @param {Object} options
+   * @param {string} options.provider - Provider name
+   * @param {number} options.amount - Amount the customer wants to spend
+   * @param {number} [options.rateId] - Package picked, if any
+   * @param {string} options.macAddress - Device to credit
+   * @param {string} options.clientIP
+   * @param {string} options.sessionToken
+   * @param {number} [options.memberId] - Logged-in member, for their history
+   * @returns {Promise<Object>} { error } or { intent }
+   */
+  async createIntent({ provider: providerName, amount, rateId, macAddress, clientIP, sessionToken, memberId = null }) {
+    const provider = this.getProvider(providerName);
+    if (!provider) {
+      return { error: 'This payment method is not available.' };
+    }
+
+    const paidAmount = parseFloat(amount);
+    if (isNaN(paidAmount) || paidAmount <= 0) {
+      return { error: 'Please enter an amount to pay.' };
+    }
+
+    const purchase = await rateEngine.resolvePurchase(paidAmount, { rateId });
+    if (purchase.error) {
+      return { error: purchase.error };
+    }
+
+    const reference = this.generateReference();
+    const insertResult = await db.query(
+      `INSERT INTO payment_intents (
+         reference, provider, amount, duration, data_limit_mb, rate_id, schedule_id,
+         status, mac_address, client_ip, session_token, member_id, expires_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8, $9, $10, $11, datetime('now', $12))
+       RETURNING *`,
+      [reference, provider.name, purchase.cost, purchase.duration, purchase.dataLimitMb,
+        purchase.rateId, purchase.scheduleId, macAddress.toUpperCase(), clientIP, sessionToken,
+        memberId, `+${INTENT_TTL_MINUTES} minutes`]
+    );
+    const intent = insertResult.rows[0];
+
+    let payment;
+    try {
+      payment = await provider.createPayment(intent);
+    } catch (providerError) {
+      await this.failIntent(intent, `Provider error: ${providerError.message}`);
+      throw providerError;
+    }
+
+    const updateResult = await db.query(
+      `UPDATE payment_intents SET
+         provider_reference = $1, checkout_url = $2, qr_payload = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [payment.providerReference, payment.checkoutUrl || null, payment.qrPayload || null, intent.id]
+    );
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Payment started: ${reference} via ${provider.name}`, 'payment',
+        JSON.stringify({ reference, provider: provider.name, amount: purchase.cost, mac_address: intent.mac_address })]
+    );
+
+    return { intent: updateResult.rows[0] };
+  }
+
+  /**
+   * Verify and apply a provider callback
+   * @param {string} providerName
+   * @param {Object} req - Request carrying the callback (headers, body)
+   * @param {Object} [io] - socket.io server for payment events
+   * @returns {Promise<Object>} The intent after the callback was applied
+   * @throws {Error} with statusCode 404/401/400 for rejected callbacks
+   */
+  async handleCallback(providerName, req, io) {
+    const provider = this.getProvider(providerName);
+    if (!provider) {
+      throw Object.assign(new Error('Unknown payment provider'), { statusCode: 404 });
+    }
+
+    let callback;
+    try {
+      callback = await provider.verifyCallback(req);
+    } catch (verifyError) {
+      console.warn(`Rejected ${providerName} callback:`, verifyError.message);
+      throw Object.assign(new Error('Callback verification failed'), { statusCode: 401 });
+    }
+
+    const intent = await this.getIntent(callback.reference);
+    if (!intent || intent.provider !== provider.name) {
+      throw Object.assign(new Error('Payment not found'), { statusCode: 404 });
+    }
+
+    if (callback.amount !== null && callback.amount !== undefined &&
+      Math.round(callback.amount * 100) !== Math.round(parseFloat(intent.amount) * 100)) {
+      await this.failIntent(intent, `Amount mismatch: paid ${callback.amount}, expected ${intent.amount}`);
+      throw Object.assign(new Error('Amount does not match the payment'), { statusCode: 400 });
+    }
+
+    if (callback.status === 'paid') {
+      await this.confirmIntent(intent, provider, callback.providerReference, io);
+    } else {
+      await this.failIntent(intent, 'Declined by provider');
+    }
+
+    return this.getIntent(intent.reference);
+  }
+
+  /**
+   * Credit the intent's time to its device. Only the first confirmation of
+   * an intent grants time; provider retries are ignored. A payment that
+   * arrives after the intent expired is still honoured.
+   */
+  async confirmIntent(intent, provider, providerReference, io) {
+    const claim = await db.query(
+      `UPDATE payment_intents SET
+         status = 'paid', paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+         provider_reference = COALESCE($1, provider_reference)
+       WHERE id = $2 AND status IN ('pending', 'expired')`,
+      [providerReference, intent.id]
+    );
+    if (claim.rowCount === 0) {
+      return;
+    }
+
+    try {
+      const { transactionId, timeRemaining } = await sessionManager.grantAccess({
+        macAddress: intent.mac_address,
+        clientIP: intent.client_ip,
+        sessionToken: intent.session_token,
+        duration: parseInt(intent.duration),
+        amount: parseFloat(intent.amount),
+        paymentMethod: provider.paymentMethod,
+        rateId: intent.rate_id,
+        scheduleId: intent.schedule_id,
+        dataLimit: (parseInt(intent.data_limit_mb) || 0) * dataUsageMonitor.BYTES_PER_MB,
+        memberId: intent.member_id,
+        logMessage: `Payment ${intent.reference} confirmed: ${intent.mac_address}`,
+        logMetadata: { reference: intent.reference, provider: provider.name, provider_reference: providerReference }
+      });
+
+      await db.query(
+        'UPDATE payment_intents SET transaction_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [transactionId, intent.id]
+      );
+
+      if (io) {
+        io.emit('payment-confirmed', {
+          reference: intent.reference,
+          mac_address: intent.mac_address,
+          time_remaining: timeRemaining
+        });
+      }
+    } catch (grantError) {
+      // The money was taken; keep the intent paid and flag it for the admin
+      console.error(`Payment ${intent.reference} paid but access could not be granted:`, grantError);
+      await db.query(
+        'UPDATE payment_intents SET failure_reason = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [`Paid but not credited: ${grantError.message}`, intent.id]
+      );
+      await db.query(
+        'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+        ['ERROR', `Payment ${intent.reference} paid but not credited`, 'payment',
+          JSON.stringify({ reference: intent.reference, error: grantError.message })]
+      );
+    }
+  }
+
+  /**
+   * Mark an unpaid intent as failed
+   */
+  async failIntent(intent, reason) {
+    await db.query(
+      `UPDATE payment_intents SET status = 'failed', failure_reason = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status IN ('pending', 'expired')`,
+      [reason, intent.id]
+    );
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['WARN', `Payment failed: ${intent.reference}`, 'payment',
+        JSON.stringify({ reference: intent.reference, provider: intent.provider, reason })]
+    );
+  }
+
+  /**
+   * Customer gave up on a pending payment
+   * @returns {Promise<boolean>} false when the intent was no longer pending
+   */
+  async cancelIntent(intent) {
+    const result = await db.query(
+      `UPDATE payment_intents SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'`,
+      [intent.id]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Intent fields safe to show on the portal
+   */
+  toPublic(intent) {
+    if (!intent) return null;
+    return {
+      reference: intent.reference,
+      provider: intent.provider,
+      amount: parseFloat(intent.amount),
+      duration: parseInt(intent.duration),
+      data_limit_mb: parseInt(intent.data_limit_mb) || 0,
+      status: intent.status,
+      checkout_url: intent.checkout_url,
+      qr_payload: intent.qr_payload,
+      expires_at: intent.expires_at,
+      paid_at: intent.paid_at
+    };
+  }
+}
+
+const paymentService = new PaymentService();
+paymentService.INTENT_STATUSES = INTENT_STATUSES;
+
+module.exports = paymentService;
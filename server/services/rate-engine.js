@@ -0,0 +1,356 @@
+const db = require('../db/sqlite-adapter');
+const { isScheduleActive } = require('../utils/rate-schedules');
+const currencyService = require('./currency');
+
+/**
+ * Rate Engine Service
+ * Turns an inserted amount into internet time using the best combination of
+ * active rate packages instead of dividing the cheapest rate linearly.
+ *
+ * - Bonus tiers: every active rate is a package; ₱5=15min plus ₱10=35min
+ *   means ₱15 buys 50 minutes. A rate with min_spend only unlocks once the
+ *   customer has inserted at least that much in one purchase.
+ * - Minimum spend: portal_settings.rate_min_spend refuses smaller purchases.
+ * - Leftover handling: money that does not fit a package is either converted
+ *   at the base rate ('prorate'), kept as credit for the next purchase
+ *   ('carry') or dropped ('forfeit').
+ * - Schedules: a rate with rate_schedules rows is only offered while one of
+ *   them is active (happy hour, weekend pricing); other rates always are.
+ * - Data packages (data_limit_mb > 0) are bought on their own and never
+ *   take part in the time combination.
+ */
+
+const LEFTOVER_MODES = ['prorate', 'carry', 'forfeit'];
+
+// Legacy fallback when no rates are configured: ₱5 per 30 minutes
+const FALLBACK_RATE = { id: null, name: 'Default', price: 5, duration: 1800, min_spend: 0 };
+
+// Above this many price steps the exact search is skipped for a greedy pass
+const MAX_SEARCH_STEPS = 20000;
+
+function toCents(value) {
+  return Math.round((parseFloat(value) || 0) * 100);
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+class RateEngine {
+  /**
+   * Load active rates usable as packages right now. Scheduled rates carry
+   * the matching schedule as schedule_id / schedule_name.
+   * @param {Date} [now=new Date()]
+   */
+  async loadRates(now = new Date()) {
+    const [ratesResult, schedulesResult] = await Promise.all([
+      db.query('SELECT * FROM rates WHERE is_active = true ORDER BY price, duration'),
+      db.query('SELECT * FROM rate_schedules ORDER BY id')
+    ]);
+
+    const schedulesByRate = new Map();
+    for (const schedule of schedulesResult.rows) {
+      if (!schedulesByRate.has(schedule.rate_id)) {
+        schedulesByRate.set(schedule.rate_id, []);
+      }
+      schedulesByRate.get(schedule.rate_id).push(schedule);
+    }
+
+    const rates = [];
+    for (const rate of ratesResult.rows) {
+      const schedules = schedulesByRate.get(rate.id);
+      if (!schedules) {
+        rates.push({ ...rate, schedule_id: null, schedule_name: null });
+        continue;
+      }
+
+      const activeSchedule = schedules.find(schedule => isScheduleActive(schedule, now));
+      if (activeSchedule) {
+        rates.push({ ...rate, schedule_id: activeSchedule.id, schedule_name: activeSchedule.name });
+      }
+    }
+
+    return rates;
+  }
+
+  /**
+   * Whether a rate sells a data quota rather than plain time
+   */
+  isDataPackage(rate) {
+    return parseInt(rate.data_limit_mb) > 0;
+  }
+
+  /**
+   * Load rate engine settings from portal_settings
+   */
+  async getSettings() {
+    const settings = { leftover_mode: 'prorate', min_spend: 0 };
+
+    try {
+      const result = await db.query('SELECT rate_leftover_mode, rate_min_spend FROM portal_settings WHERE id = 1');
+      if (result.rows.length > 0) {
+        const row = result.rows[0];
+        if (LEFTOVER_MODES.includes(row.rate_leftover_mode)) {
+          settings.leftover_mode = row.rate_leftover_mode;
+        }
+        settings.min_spend = parseFloat(row.rate_min_spend) || 0;
+      }
+    } catch (error) {
+      console.warn('Failed to load rate engine settings, using defaults:', error.message);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Calculate the best package combination for an amount (pure, no DB access)
+   *
+   * @param {number} amount - Money inserted
+   * @param {Array} rates - Active rate rows
+   * @param {Object} [settings] - { leftover_mode, min_spend }
+   * @returns {Object} Quote with duration, breakdown and leftover details
+   */
+  calculate(amount, rates, settings = {}) {
+    const leftoverMode = LEFTOVER_MODES.includes(settings.leftover_mode) ? settings.leftover_mode : 'prorate';
+    const minSpend = parseFloat(settings.min_spend) || 0;
+    const amountCents = Math.max(0, toCents(amount));
+
+    const quote = {
+      amount: amountCents / 100,
+      duration: 0,
+      amount_charged: 0,
+      leftover: 0,
+      leftover_mode: leftoverMode,
+      leftover_duration: 0,
+      credit: 0,
+      breakdown: [],
+      rate_id: null,
+      schedule_id: null,
+      minimum_spend: minSpend,
+      below_minimum: false
+    };
+
+    if (amountCents === 0) {
+      return quote;
+    }
+
+    if (amountCents < toCents(minSpend)) {
+      quote.below_minimum = true;
+      return quote;
+    }
+
+    let usableRates = (rates || []).filter(rate =>
+      toCents(rate.price) > 0 &&
+      parseInt(rate.duration) > 0 &&
+      !this.isDataPackage(rate)
+    );
+    if (usableRates.length === 0) {
+      usableRates = [FALLBACK_RATE];
+    }
+
+    // Packages locked behind a minimum spend are only eligible above it
+    const eligibleRates = usableRates.filter(rate => amountCents >= toCents(rate.min_spend || 0));
+
+    // Leftover money is prorated at the base (cheapest) package, never a bonus tier
+    const baseRate = usableRates.reduce((base, rate) => {
+      if (!base) return rate;
+      const priceDiff = toCents(rate.price) - toCents(base.price);
+      return priceDiff < 0 || (priceDiff === 0 && rate.duration < base.duration) ? rate : base;
+    }, null);
+    const secondsPerCent = parseInt(baseRate.duration) / toCents(baseRate.price);
+
+    const { spentCents, counts } = this.findBestCombination(amountCents, eligibleRates, leftoverMode, secondsPerCent);
+    const leftoverCents = amountCents - spentCents;
+
+    quote.breakdown = eligibleRates
+      .map((rate, index) => ({
+        rate_id: rate.id,
+        name: rate.name,
+        price: parseFloat(rate.price),
+        duration: parseInt(rate.duration),
+        quantity: counts[index] || 0,
+        schedule_id: rate.schedule_id || null,
+        schedule_name: rate.schedule_name || null
+      }))
+      .filter(item => item.quantity > 0);
+
+    // Transactions record one rate: the scheduled (promo) package if one was
+    // used, otherwise the package that took most of the money
+    const primary = quote.breakdown.reduce((best, item) => {
+      if (!best) return item;
+      if (!!item.schedule_id !== !!best.schedule_id) return item.schedule_id ? item : best;
+      return item.price * item.quantity > best.price * best.quantity ? item : best;
+    }, null) || (leftoverMode === 'prorate' ? { rate_id: baseRate.id, schedule_id: baseRate.schedule_id } : null);
+
+    if (primary) {
+      quote.rate_id = primary.rate_id || null;
+      quote.schedule_id = primary.schedule_id || null;
+    }
+
+    const packageDuration = quote.breakdown.reduce((sum, item) => sum + item.duration * item.quantity, 0);
+    quote.leftover = leftoverCents / 100;
+
+    if (leftoverMode === 'prorate') {
+      quote.leftover_duration = Math.floor(leftoverCents * secondsPerCent);
+      quote.amount_charged = amountCents / 100;
+    } else if (leftoverMode === 'carry') {
+      quote.credit = leftoverCents / 100;
+      quote.amount_charged = spentCents / 100;
+    } else {
+      quote.amount_charged = amountCents / 100;
+    }
+
+    quote.duration = packageDuration + quote.leftover_duration;
+    return quote;
+  }
+
+  /**
+   * Unbounded knapsack over the rate prices: maximise seconds for the money,
+   * counting prorated leftover when that mode is on.
+   */
+  findBestCombination(amountCents, rates, leftoverMode, secondsPerCent) {
+    const counts = rates.map(() => 0);
+    if (rates.length === 0) {
+      return { spentCents: 0, counts };
+    }
+
+    const prices = rates.map(rate => toCents(rate.price));
+    const step = prices.reduce((acc, price) => gcd(acc, price));
+    const steps = Math.floor(amountCents / step);
+
+    if (steps > MAX_SEARCH_STEPS) {
+      return this.greedyCombination(amountCents, rates, prices);
+    }
+
+    // best[k] = most seconds buyable spending exactly k * step, -1 if impossible
+    const best = new Array(steps + 1).fill(-1);
+    const choice = new Array(steps + 1).fill(-1);
+    best[0] = 0;
+
+    for (let k = 1; k <= steps; k++) {
+      for (let i = 0; i < rates.length; i++) {
+        const priceSteps = prices[i] / step;
+        if (priceSteps <= k && best[k - priceSteps] >= 0) {
+          const candidate = best[k - priceSteps] + parseInt(rates[i].duration);
+          if (candidate > best[k]) {
+            best[k] = candidate;
+            choice[k] = i;
+          }
+        }
+      }
+    }
+
+    let bestSteps = 0;
+    let bestTotal = -1;
+    for (let k = 0; k <= steps; k++) {
+      if (best[k] < 0) continue;
+      const leftoverCents = amountCents - k * step;
+      const total = best[k] + (leftoverMode === 'prorate' ? Math.floor(leftoverCents * secondsPerCent) : 0);
+      // On a tie keep the most credit when carrying, otherwise use the most packages
+      if (total > bestTotal || (total === bestTotal && leftoverMode !== 'carry')) {
+        bestTotal = total;
+        bestSteps = k;
+      }
+    }
+
+    for (let k = bestSteps; k > 0; k -= prices[choice[k]] / step) {
+      counts[choice[k]]++;
+    }
+
+    return { spentCents: bestSteps * step, counts };
+  }
+
+  /**
+   * Fallback for very large amounts: best value package first
+   */
+  greedyCombination(amountCents, rates, prices) {
+    const counts = rates.map(() => 0);
+    const order = rates
+      .map((rate, index) => index)
+      .sort((a, b) => (rates[b].duration / prices[b]) - (rates[a].duration / prices[a]));
+
+    let remaining = amountCents;
+    for (const index of order) {
+      counts[index] = Math.floor(remaining / prices[index]);
+      remaining -= counts[index] * prices[index];
+    }
+
+    return { spentCents: amountCents - remaining, counts };
+  }
+
+  /**
+   * Work out what a payment buys: a chosen package (time or data) or the best
+   * time combination for the amount. Shared by coin purchases and e-wallet
+   * payments so both price the same way.
+   *
+   * @param {number} amount - Money paid
+   * @param {Object} [options]
+   * @param {number} [options.rateId] - Package the customer picked, if any
+   * @param {Array} [options.rates] - Rates active now (loaded when omitted)
+   * @returns {Promise<Object>} { error } when the purchase is not possible, otherwise
+   *   { duration, cost, dataLimitMb, rate, quote, rateId, scheduleId }
+   */
+  async resolvePurchase(amount, { rateId, rates } = {}) {
+    const activeRates = rates || await this.loadRates();
+
+    let rate = null;
+    if (rateId) {
+      rate = activeRates.find(r => r.id === parseInt(rateId)) || null;
+      if (!rate) {
+        return { error: 'This package is not available right now.' };
+      }
+    }
+
+    if (rate) {
+      if (amount < parseFloat(rate.price)) {
+        return { error: `${rate.name} costs ${await currencyService.format(rate.price)}. Please insert more coins.` };
+      }
+
+      // Money above the package price is converted to extra time (validity
+      // time for data packages)
+      const extraTime = this.calculate(amount - rate.price, activeRates, { leftover_mode: 'prorate' });
+      return {
+        duration: parseInt(rate.duration) + extraTime.duration,
+        cost: amount,
+        dataLimitMb: this.isDataPackage(rate) ? parseInt(rate.data_limit_mb) : 0,
+        rate,
+        quote: null,
+        rateId: rate.id,
+        scheduleId: rate.schedule_id || null
+      };
+    }
+
+    const quote = this.calculate(amount, activeRates, await this.getSettings());
+    if (quote.below_minimum) {
+      return { error: `Minimum purchase is ${await currencyService.format(quote.minimum_spend)}. Please insert more coins.` };
+    }
+    if (quote.duration <= 0) {
+      return { error: 'Amount is too small for any available rate. Please insert more coins.' };
+    }
+
+    return {
+      duration: quote.duration,
+      cost: quote.amount_charged,
+      dataLimitMb: 0,
+      rate: null,
+      quote,
+      rateId: quote.rate_id,
+      scheduleId: quote.schedule_id
+    };
+  }
+
+  /**
+   * Quote an amount against the rates active now and the current settings
+   * @param {number} amount - Money inserted
+   * @returns {Promise<Object>} Quote (see calculate)
+   */
+  async quote(amount) {
+    const [rates, settings] = await Promise.all([this.loadRates(), this.getSettings()]);
+    return this.calculate(amount, rates, settings);
+  }
+}
+
+const rateEngine = new RateEngine();
+rateEngine.LEFTOVER_MODES = LEFTOVER_MODES;
+
+module.exports = rateEngine;
@@ -0,0 +1,354 @@
+const db = require('../db/sqlite-adapter');
+const sessionEvents = require('./session-events');
+
+/**
+ * Session Clock Service
+ * A running session is stored as the time it ends (clients.expires_at)
+ * instead of a balance decremented every second, so an idle machine does
+ * not write to the SD card.
+ *
+ * - CONNECTED: expires_at is authoritative; time_remaining is the balance
+ *   at the moment the clock was last started.
+ * - PAUSED / DISCONNECTED: the clock is stopped, expires_at is NULL and
+ *   time_remaining holds the balance.
+ * - Pauses add up in paused_seconds for the current session; pause_reason
+ *   records who paused it (manual = customer, admin, or idle/away from the
+ *   idle detector) and pause_count the customer's pauses. Pauses, resumes
+ *   and expiries are recorded in the client's timeline (session-events.js).
+ * - Clients in a time pool (time-pools.js) draw from the pool's balance:
+ *   their clock is the pool's, and changes to it go through the pool.
+ *
+ * Remaining time is always computed on read (remainingTimeSql). A single
+ * timer wakes at the earliest expires_at to disconnect clients whose time
+ * ran out.
+ */
+
+// Longest the expiry timer sleeps, in case expires_at was changed without
+// calling reschedule()
+const MAX_SLEEP_MS = 60 * 1000;
+
+/**
+ * SQL expression for a client's remaining seconds
+ * @param {string} [table='clients'] - Table name or alias
+ */
+function remainingTimeSql(table = 'clients') {
+  return `(CASE
+    WHEN ${table}.status = 'CONNECTED' AND ${table}.expires_at IS NOT NULL
+    THEN MAX(0, CAST(ROUND((julianday(${table}.expires_at) - julianday('now')) * 86400) AS INTEGER))
+    ELSE ${table}.time_remaining
+  END)`;
+}
+
+/**
+ * SQL expression for an expiry time the given number of seconds from now
+ * @param {string} secondsSql - SQL expression or placeholder
+ */
+function expiresAtSql(secondsSql) {
+  return `datetime('now', '+' || (${secondsSql}) || ' seconds')`;
+}
+
+// Seconds since the current pause started
+function pausedElapsedSql(table = 'clients') {
+  return `COALESCE(CAST(ROUND((julianday('now') - julianday(${table}.paused_at)) * 86400) AS INTEGER), 0)`;
+}
+
+const REMAINING_TIME_SQL = remainingTimeSql();
+
+// Lazy: time-pools builds on this module
+function timePools() {
+  return require('./time-pools');
+}
+
+class SessionClock {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.expiring = false;
+  }
+
+  /**
+   * Remaining seconds for a client
+   * @param {number} clientId
+   * @returns {Promise<number>} 0 when the client does not exist
+   */
+  async getRemaining(clientId) {
+    const result = await db.query(`SELECT ${REMAINING_TIME_SQL} as remaining FROM clients WHERE id = $1`, [clientId]);
+    return parseInt(result.rows[0]?.remaining) || 0;
+  }
+
+  /**
+   * Set a client's balance; a running clock is restarted from it. For a
+   * pooled client this sets the pool's balance.
+   * @param {number} clientId
+   * @param {number} seconds
+   */
+  async setTime(clientId, seconds) {
+    const poolId = await timePools().getActivePoolId(clientId);
+    if (poolId) {
+      await timePools().setBalance(poolId, seconds);
+      return;
+    }
+
+    await db.query(
+      `UPDATE clients
+       SET time_remaining = $1,
+           expires_at = CASE WHEN status = 'CONNECTED' THEN ${expiresAtSql('$1')} ELSE NULL END
+       WHERE id = $2`,
+      [Math.max(0, seconds), clientId]
+    );
+    this.reschedule();
+  }
+
+  /**
+   * Add (or with a negative value take) time from a client's balance
+   * @param {number} clientId
+   * @param {number} seconds
+   * @returns {Promise<{before: number, after: number}>}
+   */
+  async addTime(clientId, seconds) {
+    const poolId = await timePools().getActivePoolId(clientId);
+    if (poolId) return timePools().addTime(poolId, seconds);
+
+    const before = await this.getRemaining(clientId);
+    const after = Math.max(0, before + seconds);
+    await this.setTime(clientId, after);
+    return { before, after };
+  }
+
+  /**
+   * Stop a running clock and mark the client PAUSED
+   * @param {number} clientId
+   * @param {Object} [options]
+   * @param {number} [options.resumeAfterMinutes=0] - Auto-resume after this many minutes, may be fractional (0 = never)
+   * @param {string} [options.reason='manual'] - manual, admin, idle or away
+   * @param {string} [options.actor] - Admin username, for the timeline
+   * @returns {Promise<boolean>} false when the client was not running
+   */
+  async pause(clientId, { resumeAfterMinutes = 0, reason = 'manual', actor = null } = {}) {
+    const result = await db.query(
+      `UPDATE clients
+       SET time_remaining = ${REMAINING_TIME_SQL},
+           status = 'PAUSED',
+           expires_at = NULL,
+           paused_at = CURRENT_TIMESTAMP,
+           paused_until = CASE WHEN $1 > 0 THEN datetime('now', '+' || $1 || ' minutes') ELSE NULL END,
+           pause_reason = $3,
+           pause_count = COALESCE(pause_count, 0) + CASE WHEN $3 = 'manual' THEN 1 ELSE 0 END,
+           last_seen = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'CONNECTED'`,
+      [resumeAfterMinutes, clientId, reason]
+    );
+    this.reschedule();
+    if (result.rowCount === 0) return false;
+    await timePools().syncForClient(clientId);
+
+    await sessionEvents.record(clientId, 'pause', {
+      reason,
+      actor,
+      details: resumeAfterMinutes > 0 ? { resume_after_minutes: Math.round(resumeAfterMinutes * 10) / 10 } : null
+    });
+    return true;
+  }
+
+  /**
+   * Restart the clock of a PAUSED client
+   * @param {number} clientId
+   * @param {Object} [options]
+   * @param {string} [options.reason='manual'] - manual, admin or activity
+   * @param {string} [options.actor] - Admin username, for the timeline
+   * @returns {Promise<boolean>} false when the client was not paused
+   */
+  async resume(clientId, { reason = 'manual', actor = null } = {}) {
+    const result = await db.query(
+      `UPDATE clients
+       SET status = 'CONNECTED',
+           expires_at = ${expiresAtSql('time_remaining')},
+           paused_seconds = COALESCE(paused_seconds, 0) + ${pausedElapsedSql()},
+           paused_at = NULL,
+           paused_until = NULL,
+           pause_reason = NULL,
+           last_seen = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'PAUSED'
+       RETURNING paused_seconds`,
+      [clientId]
+    );
+    this.reschedule();
+    if (result.rows.length === 0) return false;
+    await timePools().syncForClient(clientId);
+
+    await sessionEvents.record(clientId, 'resume', {
+      reason,
+      actor,
+      details: { paused_seconds: result.rows[0].paused_seconds }
+    });
+    return true;
+  }
+
+  /**
+   * Resume paused clients whose paused_until has passed
+   * @returns {Promise<Object[]>} Resumed clients (id, mac_address, ip_address, time_remaining)
+   */
+  async resumeDue() {
+    const result = await db.query(
+      `UPDATE clients
+       SET status = 'CONNECTED',
+           expires_at = ${expiresAtSql('time_remaining')},
+           paused_seconds = COALESCE(paused_seconds, 0) + ${pausedElapsedSql()},
+           paused_at = NULL,
+           paused_until = NULL,
+           pause_reason = NULL,
+           last_seen = CURRENT_TIMESTAMP
+       WHERE status = 'PAUSED'
+       AND paused_until IS NOT NULL
+       AND paused_until <= datetime('now')
+       RETURNING id, mac_address, ip_address, time_remaining, paused_seconds`
+    );
+    if (result.rows.length > 0) this.reschedule();
+
+    for (const client of result.rows) {
+      await timePools().syncForClient(client.id);
+      await sessionEvents.record(client.id, 'resume', {
+        reason: 'timer',
+        details: { paused_seconds: client.paused_seconds }
+      });
+    }
+    return result.rows;
+  }
+
+  /**
+   * Start the expiry scheduler
+   * @param {Object} io - socket.io server for disconnect notifications
+   */
+  start(io) {
+    this.io = io;
+    this.reschedule();
+  }
+
+  /**
+   * Re-arm the timer for the earliest expiry. Call after changing any
+   * running client's time.
+   */
+  reschedule() {
+    if (!this.io) return;
+    this.scheduleNext().catch(error => {
+      console.error('Session clock schedule error:', error.message);
+    });
+  }
+
+  async scheduleNext() {
+    const result = await db.query(
+      "SELECT MIN(expires_at) as next_expiry FROM clients WHERE status = 'CONNECTED' AND expires_at IS NOT NULL"
+    );
+    const nextExpiry = result.rows[0]?.next_expiry;
+
+    let delay = MAX_SLEEP_MS;
+    if (nextExpiry) {
+      const expiresAt = new Date(nextExpiry.replace(' ', 'T') + 'Z').getTime();
+      delay = Math.min(MAX_SLEEP_MS, Math.max(0, expiresAt - Date.now()));
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.expireDue(), delay);
+  }
+
+  /**
+   * Disconnect every running client whose time is up
+   */
+  async expireDue() {
+    if (this.expiring) return;
+    this.expiring = true;
+
+    try {
+      const expiredResult = await db.query(`
+        SELECT id, mac_address, ip_address
+        FROM clients
+        WHERE status = 'CONNECTED'
+        AND ${REMAINING_TIME_SQL} <= 0
+      `);
+
+      if (expiredResult.rows.length > 0) {
+        console.log(`⏰ Found ${expiredResult.rows.length} expired clients, disconnecting...`);
+      }
+
+      for (const client of expiredResult.rows) {
+        try {
+          await this.expireClient(client);
+        } catch (clientError) {
+          console.error(`Failed to disconnect expired client ${client.mac_address}:`, clientError.message);
+        }
+      }
+    } catch (error) {
+      console.error('Session expiry error:', error.message);
+    } finally {
+      this.expiring = false;
+      this.reschedule();
+    }
+  }
+
+  /**
+   * End an expired client's session and remove its internet access
+   * @param {Object} client - { id, mac_address }
+   * @param {string} [reason='time_expired'] - Sent with the disconnect events
+   */
+  async expireClient(client, reason = 'time_expired') {
+    // Whatever is left (a paused balance) is forfeited, unless it belongs
+    // to a pool the other devices keep using
+    const pooled = await timePools().getActivePoolId(client.id);
+    const forfeited = pooled ? 0 : await this.getRemaining(client.id);
+    await timePools().detach(client.id);
+
+    await db.query(`
+      UPDATE clients
+      SET status = 'DISCONNECTED', time_remaining = 0, expires_at = NULL, data_remaining = NULL, last_seen = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [client.id]);
+
+    await db.query(`
+      UPDATE sessions
+      SET status = 'ENDED', ended_at = CURRENT_TIMESTAMP
+      WHERE client_id = $1 AND status = 'ACTIVE'
+    `, [client.id]);
+
+    // Vouchers redeemed by this client are now used up
+    await db.query(`
+      UPDATE vouchers SET status = 'expired'
+      WHERE client_id = $1 AND status = 'active'
+    `, [client.id]);
+
+    await sessionEvents.record(client.id, 'expired', {
+      reason,
+      timeDelta: forfeited > 0 ? -forfeited : 0,
+      details: pooled ? { pool_id: pooled } : null
+    });
+
+    try {
+      const NetworkManager = require('./network-manager');
+      const networkManager = new NetworkManager();
+      await networkManager.deauthenticateClient(client.mac_address);
+      await require('./data-usage').untrackClient(client.mac_address);
+      console.log(`⏰ Deauthenticated expired client: ${client.mac_address}`);
+    } catch (networkError) {
+      console.warn(`Failed to deauthenticate ${client.mac_address}:`, networkError.message);
+    }
+
+    if (this.io) {
+      this.io.emit('client-disconnected', {
+        mac_address: client.mac_address,
+        reason
+      });
+      // Only the customer's own portal pages
+      this.io.to(require('./low-time-warnings').roomFor(client.mac_address)).emit('session-expired', {
+        reason
+      });
+    }
+  }
+}
+
+const sessionClock = new SessionClock();
+
+sessionClock.REMAINING_TIME_SQL = REMAINING_TIME_SQL;
+sessionClock.remainingTimeSql = remainingTimeSql;
+sessionClock.expiresAtSql = expiresAtSql;
+sessionClock.pausedElapsedSql = pausedElapsedSql;
+
+module.exports = sessionClock;
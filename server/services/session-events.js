@@ -0,0 +1,129 @@
+const db = require('../db/sqlite-adapter');
+
+/**
+ * Session Events
+ * Append-only timeline of everything that changed a client's internet time,
+ * so support can answer "I paid but lost my time" from what actually
+ * happened instead of the current client row. Rows are only ever inserted.
+ *
+ * Event types:
+ * - session_start / top_up: time bought (time_delta = seconds added)
+ * - pause / resume: reason manual, admin, idle, away, activity or timer
+ * - time_adjusted: admin time edit or time taken back by a void/refund
+ * - bandwidth_changed: per-client speed limits set or cleared
+ * - ttl_flagged: tethering suspected by the TTL detector
+ * - expired: reason time_expired, data_exhausted or pause_expired
+ * - disconnected: admin/API disconnect or block
+ * - mac_changed: the device came back under another MAC (client-identity.js)
+ * - pool_joined / pool_left: the client started or stopped drawing from a
+ *   shared time pool (time-pools.js)
+ *
+ * time_remaining is the balance right after the event; session_id is the
+ * client's active session, or its latest one once it has ended.
+ */
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 500;
+
+class SessionEvents {
+  /**
+   * Append an event to a client's timeline (non-critical, never throws)
+   * @param {number} clientId
+   * @param {string} eventType - See the list above
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why it happened
+   * @param {number} [options.timeDelta] - Seconds added (negative = taken away)
+   * @param {string} [options.actor] - Admin username; empty for the customer or the system
+   * @param {Object} [options.details] - Extra event data, stored as JSON
+   */
+  async record(clientId, eventType, { reason = null, timeDelta = null, actor = null, details = null } = {}) {
+    try {
+      // Lazy: session-clock records events too
+      const { remainingTimeSql } = require('./session-clock');
+      await db.query(
+        `INSERT INTO session_events (client_id, session_id, mac_address, event_type, reason, time_delta, time_remaining, actor, details)
+         SELECT c.id,
+                (SELECT s.id FROM sessions s WHERE s.client_id = c.id
+                 ORDER BY CASE WHEN s.status = 'ACTIVE' THEN 0 ELSE 1 END, s.started_at DESC, s.id DESC LIMIT 1),
+                c.mac_address, $2, $3, $4, ${remainingTimeSql('c')}, $5, $6
+         FROM clients c WHERE c.id = $1`,
+        [
+          clientId,
+          eventType,
+          reason,
+          timeDelta === null ? null : Math.round(timeDelta),
+          actor || null,
+          details ? JSON.stringify(details) : null
+        ]
+      );
+    } catch (error) {
+      console.warn(`Failed to record ${eventType} event:`, error.message);
+    }
+  }
+
+  /**
+   * Append an event for the client with this MAC address, if there is one
+   * @param {string} macAddress
+   * @param {string} eventType
+   * @param {Object} [options] - As for record()
+   */
+  async recordByMac(macAddress, eventType, options) {
+    try {
+      const result = await db.query(
+        'SELECT id FROM clients WHERE UPPER(mac_address) = $1',
+        [String(macAddress).toUpperCase()]
+      );
+      if (result.rows.length > 0) {
+        await this.record(result.rows[0].id, eventType, options);
+      }
+    } catch (error) {
+      console.warn(`Failed to record ${eventType} event:`, error.message);
+    }
+  }
+
+  /**
+   * A client's timeline, newest first
+   * @param {number} clientId
+   * @param {Object} [options]
+   * @param {number} [options.limit=200] - At most 500
+   * @param {number} [options.beforeId] - Only events older than this one (paging)
+   * @returns {Promise<Object[]>}
+   */
+  async getTimeline(clientId, { limit = DEFAULT_LIMIT, beforeId = null } = {}) {
+    const rowLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const params = [clientId, rowLimit];
+    let beforeFilter = '';
+    if (beforeId) {
+      params.push(beforeId);
+      beforeFilter = 'AND e.id < $3';
+    }
+
+    const result = await db.query(
+      `SELECT e.id, e.session_id, e.event_type, e.reason, e.time_delta, e.time_remaining,
+              e.actor, e.details, e.created_at, s.started_at as session_started_at
+       FROM session_events e
+       LEFT JOIN sessions s ON s.id = e.session_id
+       WHERE e.client_id = $1 ${beforeFilter}
+       ORDER BY e.id DESC
+       LIMIT $2`,
+      params
+    );
+
+    return result.rows.map(row => {
+      let details = null;
+      try {
+        details = row.details ? JSON.parse(row.details) : null;
+      } catch (error) {
+        details = null;
+      }
+      return { ...row, details };
+    });
+  }
+}
+
+const sessionEvents = new SessionEvents();
+
+sessionEvents.DEFAULT_LIMIT = DEFAULT_LIMIT;
+sessionEvents.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = sessionEvents;
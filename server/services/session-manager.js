@@ -0,0 +1,391 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const UAParser = require('ua-parser-js');
+const NetworkManager = require('./network-manager');
+const dataUsageMonitor = require('./data-usage');
+const sessionClock = require('./session-clock');
+const sessionEvents = require('./session-events');
+const clientIdentity = require('./client-identity');
+const timePools = require('./time-pools');
+const db = require('../db/sqlite-adapter');
+const { isValidMacAddress, sanitizeMacAddress } = require('../utils/validators');
+
+const execAsync = promisify(exec);
+
+// Clients with a balance left keep it when they buy more time
+const TOP_UP_TIME_SQL = `CASE
+            WHEN clients.status IN ('CONNECTED', 'PAUSED') AND ${sessionClock.REMAINING_TIME_SQL} > 0
+            THEN ${sessionClock.REMAINING_TIME_SQL} + EXCLUDED.time_remaining
+            ELSE EXCLUDED.time_remaining
+          END`;
+
+// Buying time (re)starts the clock; a paused balance resumes with it, and a
+// new session starts with no paused time or pauses
+const START_CLOCK_SQL = `expires_at = ${sessionClock.expiresAtSql(TOP_UP_TIME_SQL)},
+          paused_seconds = CASE
+            WHEN clients.status = 'PAUSED' AND clients.time_remaining > 0
+            THEN COALESCE(clients.paused_seconds, 0) + ${sessionClock.pausedElapsedSql()}
+            WHEN clients.status = 'CONNECTED' AND ${sessionClock.REMAINING_TIME_SQL} > 0
+            THEN COALESCE(clients.paused_seconds, 0)
+            ELSE 0
+          END,
+          pause_count = CASE
+            WHEN (clients.status = 'PAUSED' AND clients.time_remaining > 0)
+              OR (clients.status = 'CONNECTED' AND ${sessionClock.REMAINING_TIME_SQL} > 0)
+            THEN COALESCE(clients.pause_count, 0)
+            ELSE 0
+          END,
+          paused_at = NULL,
+          paused_until = NULL,
+          pause_reason = NULL`;
+
+// pisowifi-allow-client-ethernet refuses longer auto-deauth timers
+const MAX_FIREWALL_DURATION = 86400;
+
+/**
+ * Session Manager Service
+ * Shared client/session/transaction creation used by every way a customer
+ * can buy internet time (coins on /portal/connect, vouchers, member wallets, ...)
+ */
+
+class SessionManager {
+  constructor() {
+    this.networkManager = new NetworkManager();
+  }
+
+  /**
+   * Turn the device info posted by the portal into client columns
+   */
+  parseDeviceInfo(deviceInfo) {
+    if (!deviceInfo || !deviceInfo.userAgent) {
+      return {};
+    }
+
+    const parser = new UAParser(deviceInfo.userAgent);
+    const result = parser.getResult();
+
+    return {
+      device_name: result.device.model || result.device.vendor || 'Unknown Device',
+      device_type: result.device.type || 'desktop',
+      os: `${result.os.name || 'Unknown'} ${result.os.version || ''}`.trim(),
+      browser: `${result.browser.name || 'Unknown'} ${result.browser.version || ''}`.trim(),
+      user_agent: deviceInfo.userAgent,
+      platform: deviceInfo.platform,
+      language: deviceInfo.language,
+      screen_resolution: `${deviceInfo.screenWidth}x${deviceInfo.screenHeight}`,
+      timezone: deviceInfo.timezone
+    };
+  }
+
+  /**
+   * Create or update the client record. Time bought by a client that still
+   * has a running (or paused) balance is added to it, not written over it.
+   * @returns {Promise<{id: number, time_remaining: number, pool_id: number|null}>}
+   */
+  async upsertClient({ macAddress, clientIP, sessionToken, duration, deviceInfo }) {
+    const parsedDeviceInfo = this.parseDeviceInfo(deviceInfo);
+    let clientResult;
+
+    try {
+      // Try full insert first with session_token
+      clientResult = await db.query(
+        `INSERT INTO clients (
+          mac_address, ip_address, session_token, device_name, device_type, os, browser,
+          user_agent, platform, language, screen_resolution, timezone,
+          status, time_remaining, expires_at, created_at, last_seen
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, ${sessionClock.expiresAtSql('$14')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (mac_address)
+        DO UPDATE SET
+          ip_address = EXCLUDED.ip_address,
+          session_token = COALESCE(EXCLUDED.session_token, clients.session_token),
+          device_name = COALESCE(EXCLUDED.device_name, clients.device_name),
+          device_type = COALESCE(EXCLUDED.device_type, clients.device_type),
+          os = COALESCE(EXCLUDED.os, clients.os),
+          browser = COALESCE(EXCLUDED.browser, clients.browser),
+          user_agent = COALESCE(EXCLUDED.user_agent, clients.user_agent),
+          platform = COALESCE(EXCLUDED.platform, clients.platform),
+          language = COALESCE(EXCLUDED.language, clients.language),
+          screen_resolution = COALESCE(EXCLUDED.screen_resolution, clients.screen_resolution),
+          timezone = COALESCE(EXCLUDED.timezone, clients.timezone),
+          status = EXCLUDED.status,
+          time_remaining = ${TOP_UP_TIME_SQL},
+          ${START_CLOCK_SQL},
+          last_seen = CURRENT_TIMESTAMP
+        RETURNING id, time_remaining, pool_id`,
+        [
+          macAddress, clientIP, sessionToken,
+          parsedDeviceInfo.device_name || 'Unknown Device',
+          parsedDeviceInfo.device_type || 'desktop',
+          parsedDeviceInfo.os || 'Unknown OS',
+          parsedDeviceInfo.browser || 'Unknown Browser',
+          parsedDeviceInfo.user_agent || deviceInfo?.userAgent || 'Unknown',
+          parsedDeviceInfo.platform || deviceInfo?.platform || 'Unknown',
+          parsedDeviceInfo.language || deviceInfo?.language || 'en-US',
+          parsedDeviceInfo.screen_resolution || `${deviceInfo?.screenWidth || 1920}x${deviceInfo?.screenHeight || 1080}`,
+          parsedDeviceInfo.timezone || deviceInfo?.timezone || 'UTC',
+          'CONNECTED', duration
+        ]
+      );
+    } catch (clientError) {
+      console.warn('Full client insert failed, trying simplified version:', clientError.message);
+      // Fallback to basic client record with session_token
+      clientResult = await db.query(
+        `INSERT INTO clients (mac_address, ip_address, session_token, status, time_remaining, expires_at, created_at, last_seen)
+         VALUES ($1, $2, $3, $4, $5, ${sessionClock.expiresAtSql('$5')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         ON CONFLICT (mac_address)
+         DO UPDATE SET
+           ip_address = EXCLUDED.ip_address,
+           session_token = COALESCE(EXCLUDED.session_token, clients.session_token),
+           status = EXCLUDED.status,
+           time_remaining = ${TOP_UP_TIME_SQL},
+           ${START_CLOCK_SQL},
+           last_seen = CURRENT_TIMESTAMP
+         RETURNING id, time_remaining, pool_id`,
+        [macAddress, clientIP, sessionToken, 'CONNECTED', duration]
+      );
+    }
+
+    return clientResult.rows[0];
+  }
+
+  /**
+   * Apply per-client bandwidth defaults from network_config
+   */
+  async applyBandwidthDefaults(clientId) {
+    try {
+      const networkConfig = await db.query('SELECT * FROM network_config WHERE id = 1');
+      if (networkConfig.rows.length > 0) {
+        const config = networkConfig.rows[0];
+        if (config.per_client_bandwidth_enabled) {
+          const downloadLimit = config.per_client_download_limit || 0;
+          const uploadLimit = config.per_client_upload_limit || 0;
+          await db.query(
+            'UPDATE clients SET download_limit = $1, upload_limit = $2 WHERE id = $3',
+            [downloadLimit, uploadLimit, clientId]
+          );
+          console.log(`Applied bandwidth limits to client ${clientId}: Download=${downloadLimit}kbps, Upload=${uploadLimit}kbps`);
+        }
+      }
+    } catch (bwError) {
+      console.warn('Failed to apply per-client bandwidth defaults:', bwError.message);
+    }
+  }
+
+  /**
+   * Set the client's data quota after a purchase. Data packages add bytes to
+   * a running quota; time bought with no balance left clears any old quota.
+   * @returns {Promise<number|null>} Bytes remaining, null when not data-capped
+   */
+  async applyDataQuota(clientId, dataLimit, hadBalance) {
+    if (dataLimit > 0) {
+      await db.query(
+        `UPDATE clients SET
+           data_remaining = CASE WHEN $2 = 1 AND data_remaining IS NOT NULL THEN data_remaining + $1 ELSE $1 END,
+           data_used = CASE WHEN $2 = 1 AND data_remaining IS NOT NULL THEN COALESCE(data_used, 0) ELSE 0 END
+         WHERE id = $3`,
+        [dataLimit, hadBalance ? 1 : 0, clientId]
+      );
+    } else if (!hadBalance) {
+      await db.query('UPDATE clients SET data_remaining = NULL, data_used = 0 WHERE id = $1', [clientId]);
+    }
+
+    const result = await db.query('SELECT data_remaining FROM clients WHERE id = $1', [clientId]);
+    const remaining = result.rows[0]?.data_remaining;
+    return remaining === null || remaining === undefined ? null : parseInt(remaining);
+  }
+
+  /**
+   * Start byte accounting for a data-capped client (non-critical)
+   */
+  async trackDataUsage(clientId, macAddress, clientIP) {
+    try {
+      await dataUsageMonitor.startTracking(clientId, macAddress, clientIP);
+    } catch (error) {
+      console.warn('Data usage tracking failed (non-critical):', error.message);
+    }
+  }
+
+  /**
+   * Open firewall access for a client. Failures are logged, not thrown,
+   * so a paid session is never lost because iptables misbehaved.
+   */
+  async allowClient(macAddress, clientIP, duration) {
+    try {
+      const authResult = await this.networkManager.authenticateClient(macAddress, clientIP, duration);
+      if (!authResult.success) {
+        console.warn('NetworkManager auth failed:', authResult.error);
+      } else {
+        console.log(`NetworkManager authenticated client ${macAddress} for ${duration} seconds`);
+      }
+    } catch (networkError) {
+      console.warn('NetworkManager authentication error (non-critical):', networkError.message);
+    }
+
+    // Try allow script as backup
+    try {
+      // SECURITY: Validate MAC address before shell execution
+      if (isValidMacAddress(macAddress)) {
+        const safeMac = sanitizeMacAddress(macAddress);
+        await execAsync(`sudo ${__dirname}/../../scripts/pisowifi-allow-client ${safeMac}`);
+      } else {
+        console.warn('Invalid MAC format, skipping allow script');
+      }
+    } catch (scriptError) {
+      console.warn('Allow script failed (non-critical):', scriptError.message);
+    }
+  }
+
+  /**
+   * Attach purchased time to the client's running session, or start a new
+   * one. Top-ups extend the ACTIVE session row so a client never ends up
+   * with parallel ACTIVE sessions.
+   * @returns {Promise<{sessionId: number, extended: boolean}>}
+   */
+  async openOrExtendSession({ clientId, macAddress, clientIP, sessionToken, duration, hadBalance }) {
+    if (hadBalance) {
+      const activeSession = await db.query(
+        `SELECT id FROM sessions WHERE client_id = $1 AND status = 'ACTIVE'
+         ORDER BY started_at DESC, id DESC LIMIT 1`,
+        [clientId]
+      );
+
+      if (activeSession.rows.length > 0) {
+        const sessionId = activeSession.rows[0].id;
+        await db.query(
+          `UPDATE sessions SET
+             duration = duration + $1,
+             ip_address = $2,
+             session_token = COALESCE($3, session_token)
+           WHERE id = $4`,
+          [duration, clientIP, sessionToken, sessionId]
+        );
+        return { sessionId, extended: true };
+      }
+    }
+
+    // Close sessions left ACTIVE by a client whose time already ran out
+    await db.query(
+      `UPDATE sessions SET status = 'ENDED', ended_at = CURRENT_TIMESTAMP
+       WHERE client_id = $1 AND status = 'ACTIVE'`,
+      [clientId]
+    );
+
+    const sessionResult = await db.query(
+      `INSERT INTO sessions (client_id, mac_address, ip_address, session_token, duration, status, started_at)
+       VALUES ($1, $2, $3, $4, $5, 'ACTIVE', CURRENT_TIMESTAMP)
+       RETURNING id`,
+      [clientId, macAddress, clientIP, sessionToken, duration]
+    );
+    return { sessionId: sessionResult.rows[0].id, extended: false };
+  }
+
+  /**
+   * Grant internet time to a device: client record, session, transaction,
+   * firewall access and a system log entry. Buying time while a balance is
+   * left tops it up and extends the running session.
+   *
+   * @param {Object} options
+   * @param {string} options.macAddress - Detected device MAC
+   * @param {string} options.clientIP - Device IP address
+   * @param {string} options.sessionToken - Portal session token
+   * @param {number} options.duration - Seconds of access to grant
+   * @param {number} options.amount - Amount paid for the time
+   * @param {number} [options.coinsUsed=0] - Coins inserted, if any
+   * @param {string} [options.paymentMethod='COIN'] - transactions.payment_method
+   * @param {number} [options.rateId] - Rate package applied, if any
+   * @param {number} [options.scheduleId] - Rate schedule (promo) applied, if any
+   * @param {number} [options.dataLimit=0] - Bytes of data quota bought (data packages)
+   * @param {number} [options.memberId] - Member account paying (wallet) or buying, if logged in
+   * @param {Object} [options.deviceInfo] - Device info posted by the portal
+   * @param {string} [options.logMessage] - system_logs message
+   * @param {Object} [options.logMetadata] - Extra system_logs metadata
+   * @returns {Promise<{clientId: number, sessionId: number, transactionId: number, timeRemaining: number, dataRemaining: number|null, extended: boolean}>}
+   */
+  async grantAccess(options) {
+    const {
+      clientIP,
+      sessionToken,
+      duration,
+      amount,
+      coinsUsed = 0,
+      paymentMethod = 'COIN',
+      rateId = null,
+      scheduleId = null,
+      dataLimit = 0,
+      memberId = null,
+      deviceInfo,
+      logMessage,
+      logMetadata = {}
+    } = options;
+    const macAddress = options.macAddress.toUpperCase();
+
+    const client = await this.upsertClient({ macAddress, clientIP, sessionToken, duration, deviceInfo });
+    const clientId = client.id;
+    sessionClock.reschedule();
+    let timeRemaining = parseInt(client.time_remaining) || duration;
+    const hadBalance = timeRemaining > duration;
+
+    // Time bought on a device that shares a pool goes into the pool
+    const poolId = client.pool_id ? await timePools.getActivePoolId(clientId) : null;
+    if (poolId) {
+      await timePools.addTime(poolId, duration);
+      timeRemaining = await sessionClock.getRemaining(clientId);
+    }
+    await this.applyBandwidthDefaults(clientId);
+    const dataRemaining = await this.applyDataQuota(clientId, dataLimit, hadBalance);
+
+    const { sessionId, extended } = await this.openOrExtendSession({
+      clientId,
+      macAddress,
+      clientIP,
+      sessionToken,
+      duration,
+      hadBalance
+    });
+
+    const transactionResult = await db.query(
+      `INSERT INTO transactions (client_id, session_id, amount, coins_used, payment_method, duration, rate_id, schedule_id, member_id, status, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'COMPLETED', CURRENT_TIMESTAMP)
+       RETURNING id`,
+      [clientId, sessionId, amount, coinsUsed, paymentMethod, duration, rateId, scheduleId, memberId]
+    );
+
+    await sessionEvents.record(clientId, extended ? 'top_up' : 'session_start', {
+      reason: paymentMethod.toLowerCase(),
+      timeDelta: duration,
+      details: {
+        transaction_id: transactionResult.rows[0].id,
+        amount,
+        coins_used: coinsUsed || undefined,
+        rate_id: rateId || undefined,
+        data_limit: dataLimit || undefined,
+        member_id: memberId || undefined,
+        pool_id: poolId || undefined
+      }
+    });
+    await clientIdentity.remember(clientId, { clientIP, sessionToken, userAgent: deviceInfo?.userAgent });
+
+    // Re-authenticate with the whole balance so the firewall timer matches it
+    await this.allowClient(macAddress, clientIP, Math.min(timeRemaining, MAX_FIREWALL_DURATION));
+    if (dataRemaining !== null) {
+      await this.trackDataUsage(clientId, macAddress, clientIP);
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', logMessage || `Client connected: ${macAddress}`, 'portal',
+        JSON.stringify({ ip: clientIP, duration, time_remaining: timeRemaining, data_limit: dataLimit || undefined, extended, payment_method: paymentMethod, member_id: memberId || undefined, pool_id: poolId || undefined, ...logMetadata })]
+    );
+
+    return {
+      clientId,
+      sessionId,
+      transactionId: transactionResult.rows[0].id,
+      timeRemaining,
+      dataRemaining,
+      extended
+    };
+  }
+}
+
+module.exports = new SessionManager();
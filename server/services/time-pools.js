@@ -0,0 +1,562 @@
+const crypto = require('crypto');
+const NetworkManager = require('./network-manager');
+const dataUsageMonitor = require('./data-usage');
+const sessionClock = require('./session-clock');
+const sessionEvents = require('./session-events');
+const firewallReconciler = require('./firewall-reconciler');
+const db = require('../db/sqlite-adapter');
+const { isValidIPv4 } = require('../utils/validators');
+
+/**
+ * Time Pools
+ * One purchased balance shared by several devices (a family or a group).
+ * A device with time creates the pool and shows a short pairing code; other
+ * devices enter it on their portal page to join.
+ *
+ * The balance lives on time_pools, not on the member clients, and counts in
+ * device-seconds. It is drawn down at draw_rate seconds per second:
+ *
+ * - parallel: every running device draws its own time (2 devices = 2x)
+ * - shared: the devices run together on one clock (1x while any is running)
+ *
+ * Like a client's clock, a running pool is stored as the time it ends
+ * (expires_at) and the balance is computed on read. sync() re-derives the
+ * pool clock whenever a member starts, stops, joins or leaves, and mirrors
+ * it onto the members: running members get the pool's expires_at, paused
+ * ones the balance. Member clients are then expired by the session clock
+ * as usual.
+ */
+
+const POOL_MODES = ['parallel', 'shared'];
+const DEFAULT_MAX_DEVICES = 3;
+
+// No 0/O or 1/I: the code is read off one screen and typed on another
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_CODE_TTL_MINUTES = 10;
+
+/**
+ * SQL expression for a pool's balance in device-seconds
+ * @param {string} [table='time_pools'] - Table name or alias
+ */
+function poolBalanceSql(table = 'time_pools') {
+  return `(CASE
+    WHEN ${table}.expires_at IS NOT NULL AND ${table}.draw_rate > 0
+    THEN MAX(0, CAST(ROUND((julianday(${table}.expires_at) - julianday('now')) * 86400 * ${table}.draw_rate) AS INTEGER))
+    ELSE ${table}.time_remaining
+  END)`;
+}
+
+// Wall-clock seconds until a running pool is empty
+function poolWallSql(table = 'time_pools') {
+  return `(CASE
+    WHEN ${table}.expires_at IS NOT NULL
+    THEN MAX(0, CAST(ROUND((julianday(${table}.expires_at) - julianday('now')) * 86400) AS INTEGER))
+    ELSE 0
+  END)`;
+}
+
+function generatePairingCode() {
+  let code = '';
+  for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+    code += PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize a pairing code as typed by a customer
+ * @param {string} code
+ * @returns {string|null}
+ */
+function normalizePairingCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.toUpperCase().replace(/[\s-]/g, '');
+  if (normalized.length !== PAIRING_CODE_LENGTH) return null;
+  return [...normalized].every(c => PAIRING_CODE_ALPHABET.includes(c)) ? normalized : null;
+}
+
+class TimePools {
+  constructor() {
+    this.networkManager = new NetworkManager();
+  }
+
+  async getSettings() {
+    const result = await db.query('SELECT pool_max_devices, pool_mode FROM portal_settings WHERE id = 1');
+    const row = result.rows[0] || {};
+    const maxDevices = parseInt(row.pool_max_devices);
+    return {
+      maxDevices: Number.isNaN(maxDevices) ? DEFAULT_MAX_DEVICES : maxDevices,
+      mode: POOL_MODES.includes(row.pool_mode) ? row.pool_mode : 'parallel'
+    };
+  }
+
+  /**
+   * A pool with its balance and member devices
+   * @param {number} poolId
+   * @returns {Promise<Object|null>}
+   */
+  async getPool(poolId) {
+    if (!poolId) return null;
+
+    const result = await db.query(
+      `SELECT id, owner_client_id, mode, status, draw_rate, expires_at, pairing_code, pairing_expires_at,
+              created_at, ended_at, ${poolBalanceSql()} as balance, ${poolWallSql()} as wall_remaining
+       FROM time_pools WHERE id = $1`,
+      [poolId]
+    );
+    const pool = result.rows[0];
+    if (!pool) return null;
+
+    const members = await db.query(
+      `SELECT id, mac_address, ip_address, device_name, status
+       FROM clients WHERE pool_id = $1 ORDER BY id`,
+      [poolId]
+    );
+
+    return {
+      ...pool,
+      balance: parseInt(pool.balance) || 0,
+      wall_remaining: parseInt(pool.wall_remaining) || 0,
+      pairing_active: !!pool.pairing_code && new Date(pool.pairing_expires_at.replace(' ', 'T') + 'Z') > new Date(),
+      devices: members.rows
+    };
+  }
+
+  /**
+   * Active pools, for the admin panel
+   * @returns {Promise<Object[]>}
+   */
+  async listActive() {
+    const result = await db.query("SELECT id FROM time_pools WHERE status = 'ACTIVE' ORDER BY id DESC");
+    const pools = [];
+    for (const row of result.rows) {
+      pools.push(await this.getPool(row.id));
+    }
+    return pools.filter(Boolean);
+  }
+
+  /**
+   * Re-derive a pool's clock from its running members and mirror it onto
+   * them. Call after a member starts, stops, joins or leaves, or after the
+   * balance changes.
+   * @param {number} poolId
+   * @returns {Promise<Object|null>} The pool, null when it is not active
+   */
+  async sync(poolId) {
+    if (!poolId) return null;
+
+    const result = await db.query(
+      `SELECT id, mode, status, ${poolBalanceSql()} as balance, ${poolWallSql()} as wall_remaining
+       FROM time_pools WHERE id = $1`,
+      [poolId]
+    );
+    const pool = result.rows[0];
+    if (!pool || pool.status !== 'ACTIVE') return null;
+    const balance = parseInt(pool.balance) || 0;
+
+    const members = await db.query(
+      'SELECT id, mac_address, ip_address, status FROM clients WHERE pool_id = $1',
+      [poolId]
+    );
+    if (members.rows.length === 0) {
+      // Nobody left to use it; whatever remains is forfeited with the pool
+      await db.query(
+        `UPDATE time_pools
+         SET status = 'ENDED', time_remaining = $1, expires_at = NULL, draw_rate = 0,
+             pairing_code = NULL, ended_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [balance, poolId]
+      );
+      return null;
+    }
+
+    const running = members.rows.filter(member => member.status === 'CONNECTED');
+    const drawRate = running.length === 0 ? 0 : (pool.mode === 'shared' ? 1 : running.length);
+    const wallSeconds = drawRate > 0 ? Math.floor(balance / drawRate) : 0;
+
+    // Milliseconds kept so re-syncing doesn't shave time off the balance
+    await db.query(
+      `UPDATE time_pools
+       SET time_remaining = $1,
+           draw_rate = $2,
+           expires_at = CASE WHEN $2 > 0 THEN strftime('%Y-%m-%d %H:%M:%f', 'now', '+' || $3 || ' seconds') ELSE NULL END,
+           status = CASE WHEN $1 <= 0 THEN 'EXPIRED' ELSE status END,
+           ended_at = CASE WHEN $1 <= 0 THEN CURRENT_TIMESTAMP ELSE ended_at END
+       WHERE id = $4`,
+      [balance, drawRate, drawRate > 0 ? balance / drawRate : 0, poolId]
+    );
+
+    await db.query(
+      `UPDATE clients SET time_remaining = $1, expires_at = ${sessionClock.expiresAtSql('$1')}
+       WHERE pool_id = $2 AND status = 'CONNECTED'`,
+      [wallSeconds, poolId]
+    );
+    await db.query(
+      `UPDATE clients SET time_remaining = $1, expires_at = NULL
+       WHERE pool_id = $2 AND status != 'CONNECTED'`,
+      [balance, poolId]
+    );
+    sessionClock.reschedule();
+
+    // Fewer devices drawing (or more time) pushes the end later than the
+    // firewall timers of the devices still online
+    if (wallSeconds > (parseInt(pool.wall_remaining) || 0)) {
+      for (const member of running) {
+        if (!isValidIPv4(member.ip_address)) continue;
+        try {
+          await this.networkManager.authenticateClient(
+            member.mac_address,
+            member.ip_address,
+            Math.min(wallSeconds, firewallReconciler.MAX_FIREWALL_DURATION)
+          );
+        } catch (networkError) {
+          console.warn(`Failed to extend firewall access for ${member.mac_address}:`, networkError.message);
+        }
+      }
+    }
+
+    return { id: poolId, balance, draw_rate: drawRate, wall_remaining: wallSeconds };
+  }
+
+  /**
+   * sync() the pool a client belongs to, if any
+   * @param {number} clientId
+   */
+  async syncForClient(clientId) {
+    const result = await db.query('SELECT pool_id FROM clients WHERE id = $1', [clientId]);
+    const poolId = result.rows[0]?.pool_id;
+    return poolId ? this.sync(poolId) : null;
+  }
+
+  /**
+   * Active pool of a client
+   * @param {number} clientId
+   * @returns {Promise<number|null>} Pool id
+   */
+  async getActivePoolId(clientId) {
+    const result = await db.query(
+      `SELECT p.id FROM clients c JOIN time_pools p ON p.id = c.pool_id
+       WHERE c.id = $1 AND p.status = 'ACTIVE'`,
+      [clientId]
+    );
+    return result.rows[0]?.id || null;
+  }
+
+  /**
+   * Set a pool's balance
+   * @param {number} poolId
+   * @param {number} seconds - Device-seconds
+   */
+  async setBalance(poolId, seconds) {
+    await db.query(
+      `UPDATE time_pools SET time_remaining = $1, expires_at = NULL, draw_rate = 0 WHERE id = $2`,
+      [Math.max(0, Math.round(seconds)), poolId]
+    );
+    return this.sync(poolId);
+  }
+
+  /**
+   * Add (or with a negative value take) time from a pool
+   * @param {number} poolId
+   * @param {number} seconds - Device-seconds
+   * @returns {Promise<{before: number, after: number}>}
+   */
+  async addTime(poolId, seconds) {
+    const result = await db.query(`SELECT ${poolBalanceSql()} as balance FROM time_pools WHERE id = $1`, [poolId]);
+    const before = parseInt(result.rows[0]?.balance) || 0;
+    const after = Math.max(0, before + seconds);
+    await this.setBalance(poolId, after);
+    return { before, after };
+  }
+
+  /**
+   * Issue a pairing code for the pool of a client with time, creating the
+   * pool first if needed. A new code replaces the previous one.
+   * @param {number} clientId
+   * @returns {Promise<Object>} { success, error, code, expires_at, pool }
+   */
+  async issuePairingCode(clientId) {
+    const settings = await this.getSettings();
+    if (settings.maxDevices < 2) {
+      return { success: false, error: 'Time sharing is not available' };
+    }
+
+    const clientResult = await db.query(
+      `SELECT id, status, pool_id, ${sessionClock.REMAINING_TIME_SQL} as remaining FROM clients WHERE id = $1`,
+      [clientId]
+    );
+    const client = clientResult.rows[0];
+    if (!client || !['CONNECTED', 'PAUSED'].includes(client.status) || !(parseInt(client.remaining) > 0)) {
+      return { success: false, error: 'Buy time first, then share it' };
+    }
+
+    let poolId = await this.getActivePoolId(clientId);
+    if (!poolId) {
+      poolId = await this.create(client, settings.mode);
+    }
+
+    const members = await db.query('SELECT COUNT(*) as count FROM clients WHERE pool_id = $1', [poolId]);
+    if (parseInt(members.rows[0].count) >= settings.maxDevices) {
+      return { success: false, error: `Your time is already shared with ${settings.maxDevices} devices` };
+    }
+
+    // Codes only need to be unique among the ones currently valid
+    let code;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      code = generatePairingCode();
+      const taken = await db.query(
+        "SELECT id FROM time_pools WHERE pairing_code = $1 AND pairing_expires_at > datetime('now')",
+        [code]
+      );
+      if (taken.rows.length === 0) break;
+    }
+
+    const updated = await db.query(
+      `UPDATE time_pools
+       SET pairing_code = $1, pairing_expires_at = datetime('now', '+' || $2 || ' minutes')
+       WHERE id = $3
+       RETURNING pairing_expires_at`,
+      [code, PAIRING_CODE_TTL_MINUTES, poolId]
+    );
+
+    return {
+      success: true,
+      code,
+      expires_at: updated.rows[0].pairing_expires_at,
+      pool: await this.getPool(poolId)
+    };
+  }
+
+  /**
+   * Move a client's own balance into a new pool
+   * @param {Object} client - { id, remaining }
+   * @param {string} mode - parallel or shared
+   * @returns {Promise<number>} Pool id
+   */
+  async create(client, mode) {
+    const balance = parseInt(client.remaining) || 0;
+    const result = await db.query(
+      `INSERT INTO time_pools (owner_client_id, mode, time_remaining)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [client.id, mode, balance]
+    );
+    const poolId = result.rows[0].id;
+
+    await db.query('UPDATE clients SET pool_id = $1 WHERE id = $2', [poolId, client.id]);
+    await sessionEvents.record(client.id, 'pool_joined', {
+      reason: 'created',
+      details: { pool_id: poolId, mode }
+    });
+    await this.sync(poolId);
+
+    console.log(`👪 Time pool ${poolId} created by client ${client.id} (${mode}), ${balance}s`);
+    return poolId;
+  }
+
+  /**
+   * Join a device to the pool a pairing code belongs to. Time the device
+   * still has of its own is added to the pool.
+   * @param {string} code - Pairing code shown on the owner's device
+   * @param {Object} device
+   * @param {string} device.macAddress
+   * @param {string} device.clientIP
+   * @param {string} [device.sessionToken]
+   * @returns {Promise<Object>} { success, error, clientId, pool }
+   */
+  async join(code, { macAddress, clientIP, sessionToken }) {
+    const pairingCode = normalizePairingCode(code);
+    if (!pairingCode) {
+      return { success: false, error: 'Enter the 6-character code shown on the other device' };
+    }
+    const mac = macAddress.toUpperCase();
+
+    const poolResult = await db.query(
+      `SELECT id, mode FROM time_pools
+       WHERE pairing_code = $1 AND status = 'ACTIVE' AND pairing_expires_at > datetime('now')`,
+      [pairingCode]
+    );
+    const pool = poolResult.rows[0];
+    if (!pool) {
+      return { success: false, error: 'This code is invalid or has expired' };
+    }
+
+    const settings = await this.getSettings();
+    const members = await db.query('SELECT COUNT(*) as count FROM clients WHERE pool_id = $1', [pool.id]);
+    if (parseInt(members.rows[0].count) >= settings.maxDevices) {
+      return { success: false, error: `This time is already shared with ${settings.maxDevices} devices` };
+    }
+
+    const existing = await db.query(
+      `SELECT id, status, pool_id, ${sessionClock.REMAINING_TIME_SQL} as remaining FROM clients WHERE UPPER(mac_address) = $1`,
+      [mac]
+    );
+    const device = existing.rows[0];
+    if (device?.pool_id && await this.getActivePoolId(device.id)) {
+      return {
+        success: false,
+        error: device.pool_id === pool.id ? 'This device is already sharing this time' : 'Leave your current shared time first'
+      };
+    }
+
+    // The device's own time goes into the pool
+    const ownBalance = device && ['CONNECTED', 'PAUSED'].includes(device.status) ? (parseInt(device.remaining) || 0) : 0;
+    if (ownBalance > 0) {
+      await this.addTime(pool.id, ownBalance);
+    }
+
+    const clientResult = await db.query(
+      `INSERT INTO clients (mac_address, ip_address, session_token, status, time_remaining, pool_id, created_at, last_seen)
+       VALUES ($1, $2, $3, 'CONNECTED', 0, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (mac_address)
+       DO UPDATE SET
+         ip_address = EXCLUDED.ip_address,
+         session_token = COALESCE(EXCLUDED.session_token, clients.session_token),
+         status = 'CONNECTED',
+         pool_id = EXCLUDED.pool_id,
+         paused_at = NULL,
+         paused_until = NULL,
+         pause_reason = NULL,
+         paused_seconds = CASE WHEN $5 > 0 THEN clients.paused_seconds ELSE 0 END,
+         pause_count = CASE WHEN $5 > 0 THEN clients.pause_count ELSE 0 END,
+         last_seen = CURRENT_TIMESTAMP
+       RETURNING id`,
+      [mac, clientIP, sessionToken || null, pool.id, ownBalance]
+    );
+    const clientId = clientResult.rows[0].id;
+
+    if (ownBalance === 0) {
+      await db.query(
+        `UPDATE sessions SET status = 'ENDED', ended_at = CURRENT_TIMESTAMP
+         WHERE client_id = $1 AND status = 'ACTIVE'`,
+        [clientId]
+      );
+      await db.query(
+        `INSERT INTO sessions (client_id, mac_address, ip_address, session_token, duration, status, started_at)
+         VALUES ($1, $2, $3, $4, 0, 'ACTIVE', CURRENT_TIMESTAMP)`,
+        [clientId, mac, clientIP, sessionToken || null]
+      );
+    }
+
+    // Single use: the owner shows a new code for the next device
+    await db.query('UPDATE time_pools SET pairing_code = NULL, pairing_expires_at = NULL WHERE id = $1', [pool.id]);
+
+    await sessionEvents.record(clientId, 'pool_joined', {
+      reason: 'pairing_code',
+      details: { pool_id: pool.id, mode: pool.mode, merged_seconds: ownBalance || undefined }
+    });
+    const synced = await this.sync(pool.id);
+
+    if (synced && synced.wall_remaining > 0) {
+      const authResult = await this.networkManager.authenticateClient(
+        mac,
+        clientIP,
+        Math.min(synced.wall_remaining, firewallReconciler.MAX_FIREWALL_DURATION)
+      );
+      if (!authResult.success) {
+        console.warn('NetworkManager auth failed:', authResult.error);
+      }
+    }
+
+    await db.query(
+      'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+      ['INFO', `Device joined time pool ${pool.id}: ${mac}`, 'portal',
+        JSON.stringify({ client_id: clientId, pool_id: pool.id, ip: clientIP, merged_seconds: ownBalance })]
+    );
+    console.log(`👪 ${mac} joined time pool ${pool.id}`);
+
+    return { success: true, clientId, pool: await this.getPool(pool.id) };
+  }
+
+  /**
+   * Take a device out of its pool. The last device keeps the balance;
+   * any other one is disconnected and the rest of the pool carries on.
+   * @param {number} clientId
+   * @param {Object} [options]
+   * @param {string} [options.reason='left'] - left (customer) or admin
+   * @param {string} [options.actor] - Admin username, for the timeline
+   * @returns {Promise<Object>} { success, error, kept_seconds }
+   */
+  async leave(clientId, { reason = 'left', actor = null } = {}) {
+    const poolId = await this.getActivePoolId(clientId);
+    if (!poolId) {
+      return { success: false, error: 'This device is not sharing time' };
+    }
+
+    const clientResult = await db.query('SELECT id, mac_address FROM clients WHERE id = $1', [clientId]);
+    const client = clientResult.rows[0];
+    const members = await db.query('SELECT id FROM clients WHERE pool_id = $1 AND id != $2 ORDER BY id', [poolId, clientId]);
+
+    if (members.rows.length === 0) {
+      // Last device: the pool dissolves back into its own balance
+      const pool = await this.sync(poolId);
+      const balance = pool ? pool.balance : 0;
+      await db.query('UPDATE clients SET pool_id = NULL WHERE id = $1', [clientId]);
+      await db.query(
+        `UPDATE time_pools
+         SET status = 'ENDED', time_remaining = 0, expires_at = NULL, draw_rate = 0,
+             pairing_code = NULL, ended_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [poolId]
+      );
+      await sessionClock.setTime(clientId, balance);
+      await sessionEvents.record(clientId, 'pool_left', { reason, actor, details: { pool_id: poolId, kept_seconds: balance } });
+      return { success: true, kept_seconds: balance };
+    }
+
+    await this.detach(clientId);
+    await db.query(
+      `UPDATE clients SET status = 'DISCONNECTED', time_remaining = 0, expires_at = NULL, last_seen = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [clientId]
+    );
+    await db.query(
+      `UPDATE sessions SET status = 'ENDED', ended_at = CURRENT_TIMESTAMP
+       WHERE client_id = $1 AND status = 'ACTIVE'`,
+      [clientId]
+    );
+    await sessionEvents.record(clientId, 'pool_left', { reason, actor, details: { pool_id: poolId } });
+
+    try {
+      await this.networkManager.deauthenticateClient(client.mac_address);
+      await dataUsageMonitor.untrackClient(client.mac_address);
+    } catch (networkError) {
+      console.warn(`Failed to deauthenticate ${client.mac_address}:`, networkError.message);
+    }
+
+    return { success: true, kept_seconds: 0 };
+  }
+
+  /**
+   * Unlink a client whose time is ending anyway (expired, disconnected)
+   * from its pool; the pool carries on with the other devices
+   * @param {number} clientId
+   */
+  async detach(clientId) {
+    const result = await db.query('SELECT pool_id FROM clients WHERE id = $1', [clientId]);
+    const poolId = result.rows[0]?.pool_id;
+    if (!poolId) return;
+
+    await db.query('UPDATE clients SET pool_id = NULL WHERE id = $1', [clientId]);
+
+    // The next device in line takes over showing pairing codes
+    await db.query(
+      `UPDATE time_pools
+       SET owner_client_id = (SELECT id FROM clients WHERE pool_id = $1 ORDER BY id LIMIT 1)
+       WHERE id = $1 AND owner_client_id = $2`,
+      [poolId, clientId]
+    );
+    await this.sync(poolId);
+  }
+}
+
+const timePools = new TimePools();
+
+timePools.POOL_MODES = POOL_MODES;
+timePools.PAIRING_CODE_LENGTH = PAIRING_CODE_LENGTH;
+timePools.PAIRING_CODE_TTL_MINUTES = PAIRING_CODE_TTL_MINUTES;
+timePools.poolBalanceSql = poolBalanceSql;
+timePools.normalizePairingCode = normalizePairingCode;
+
+module.exports = timePools;
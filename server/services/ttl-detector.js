@@ -1,6 +1,7 @@
 const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const db = require('../db/sqlite-adapter');
+const sessionEvents = require('./session-events');
 const { logSystemEvent } = require('../utils/system-logger');
 
 const execAsync = promisify(exec);
@@ -273,6 +274,10 @@ class TTLDetector {
         `, [clientMAC]);
 
         console.warn(`⚠️  TTL Violation: ${clientMAC} - Potential tethering detected`);
+        await sessionEvents.recordByMac(clientMAC, 'ttl_flagged', {
+          reason: 'tethering_suspected',
+          details: { anomalies: this.anomalies.get(clientMAC)?.length || 0, baseline_ttl: this.baselineTTL.get(clientMAC)?.ttl }
+        });
       } else {
         await db.query(
           'UPDATE ttl_violations SET violation_count = violation_count + 1 WHERE client_mac = $1',
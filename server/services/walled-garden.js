@@ -0,0 +1,243 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const dns = require('dns');
+const db = require('../db/sqlite-adapter');
+const { isValidIPv4, isValidCIDR, isValidDomain } = require('../utils/validators');
+
+const execAsync = promisify(exec);
+
+/**
+ * Walled Garden
+ * Destinations customers can reach before paying, e.g. the e-wallet app
+ * they pay with or the store's Facebook page. Entries are domains or IPv4
+ * CIDR blocks, kept in the walled_garden table and managed from the network
+ * admin page.
+ *
+ * apply() pushes the enabled entries out without a restart:
+ *
+ * - the pisowifi_garden filter chain (jumped to first from pisowifi_forward)
+ *   accepts traffic to them, and the pisowifi_garden nat chain (first in
+ *   pisowifi_portal) keeps it from being redirected to the portal
+ * - the DNS interceptor, when running, resolves the domains for
+ *   unauthenticated clients instead of answering with the portal IP
+ *
+ * iptables only knows addresses, so domains are resolved when the rules are
+ * built; apply() runs again periodically to follow address changes. A domain
+ * also covers its subdomains in the DNS interceptor, but only the addresses
+ * of the name itself are allowed through the firewall.
+ */
+
+const ENTRY_TYPES = ['domain', 'cidr'];
+const GARDEN_CHAIN = 'pisowifi_garden';
+const RESOLVE_TIMEOUT_MS = 3000;
+
+/**
+ * Parse a walled garden entry as typed by an admin
+ * @param {string} value - Domain, URL, IPv4 address or CIDR block
+ * @returns {{type: string, entry: string}|null} null when it is neither
+ */
+function parseEntry(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toLowerCase();
+
+  if (isValidIPv4(trimmed)) return { type: 'cidr', entry: `${trimmed}/32` };
+  if (isValidCIDR(trimmed)) return { type: 'cidr', entry: trimmed };
+
+  // Accept pasted URLs and wildcards: https://*.example.com/page -> example.com
+  const domain = trimmed
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^\*\./, '')
+    .replace(/\.$/, '');
+  return isValidDomain(domain) ? { type: 'domain', entry: domain } : null;
+}
+
+class WalledGarden {
+  constructor() {
+    this.dnsInterceptor = null;
+    this.queue = Promise.resolve();
+    this.lastReport = null;
+  }
+
+  /**
+   * All entries, domains first
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const result = await db.query(
+      `SELECT id, entry, type, description, enabled, created_at
+       FROM walled_garden
+       ORDER BY type DESC, entry ASC`
+    );
+    return result.rows.map(row => ({ ...row, enabled: !!row.enabled }));
+  }
+
+  /**
+   * Add an entry and apply the list
+   * @param {Object} options - { entry, description }
+   * @returns {Promise<Object>} { success, error?, entry?, report? }
+   */
+  async add({ entry, description = null }) {
+    const parsed = parseEntry(entry);
+    if (!parsed) {
+      return { success: false, error: 'Enter a domain (example.com) or an IPv4 address/CIDR block (203.0.113.0/24)' };
+    }
+
+    const existing = await db.query('SELECT id FROM walled_garden WHERE entry = $1', [parsed.entry]);
+    if (existing.rows.length > 0) {
+      return { success: false, error: `${parsed.entry} is already in the walled garden` };
+    }
+
+    const result = await db.query(
+      `INSERT INTO walled_garden (entry, type, description)
+       VALUES ($1, $2, $3)
+       RETURNING id, entry, type, description, enabled, created_at`,
+      [parsed.entry, parsed.type, description ? String(description).trim().substring(0, 100) : null]
+    );
+    const report = await this.apply('changed');
+    return { success: true, entry: { ...result.rows[0], enabled: !!result.rows[0].enabled }, report };
+  }
+
+  /**
+   * Enable or disable an entry and apply the list
+   * @param {number} id
+   * @param {boolean} enabled
+   * @returns {Promise<Object|null>} The report, or null when there is no such entry
+   */
+  async setEnabled(id, enabled) {
+    const result = await db.query('UPDATE walled_garden SET enabled = $1 WHERE id = $2', [enabled ? 1 : 0, id]);
+    if (result.rowCount === 0) return null;
+    return this.apply('changed');
+  }
+
+  /**
+   * Remove an entry and apply the list
+   * @param {number} id
+   * @returns {Promise<Object|null>} The report, or null when there is no such entry
+   */
+  async remove(id) {
+    const result = await db.query('DELETE FROM walled_garden WHERE id = $1', [id]);
+    if (result.rowCount === 0) return null;
+    return this.apply('changed');
+  }
+
+  /**
+   * Enabled domains, for the DNS interceptor
+   * @returns {Promise<string[]>}
+   */
+  async getDomains() {
+    const result = await db.query("SELECT entry FROM walled_garden WHERE type = 'domain' AND enabled = 1");
+    return result.rows.map(row => row.entry);
+  }
+
+  /**
+   * Let a running DNS interceptor follow the list
+   * @param {Object} interceptor - DNSInterceptor instance
+   */
+  async attachDnsInterceptor(interceptor) {
+    this.dnsInterceptor = interceptor;
+    interceptor.setAllowedDomains(await this.getDomains());
+  }
+
+  /**
+   * Rebuild the firewall rules and DNS interceptor list from the database.
+   * Runs one at a time; a call made during a run waits for it.
+   * @param {string} [reason='manual'] - What triggered it (startup, periodic, changed, manual)
+   * @returns {Promise<Object>} Report of what was applied
+   */
+  apply(reason = 'manual') {
+    const run = this.queue.then(() => this.rebuild(reason));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async rebuild(reason) {
+    const report = {
+      success: true,
+      reason,
+      applied_at: new Date().toISOString(),
+      entries: 0,
+      addresses: [],
+      resolved: {},
+      failed: []
+    };
+
+    try {
+      const result = await db.query('SELECT entry, type FROM walled_garden WHERE enabled = 1');
+      report.entries = result.rows.length;
+
+      const addresses = new Set();
+      for (const { entry, type } of result.rows) {
+        if (type === 'cidr') {
+          addresses.add(entry);
+          continue;
+        }
+        try {
+          const ips = await this.resolve(entry);
+          report.resolved[entry] = ips;
+          ips.forEach(ip => addresses.add(`${ip}/32`));
+        } catch (error) {
+          report.failed.push({ entry, error: error.code || error.message });
+        }
+      }
+      report.addresses = [...addresses].filter(isValidCIDR);
+
+      if (this.dnsInterceptor) {
+        this.dnsInterceptor.setAllowedDomains(result.rows.filter(row => row.type === 'domain').map(row => row.entry));
+      }
+
+      await this.writeFirewallRules(report.addresses);
+    } catch (error) {
+      report.success = false;
+      report.error = error.message;
+      console.error('Walled garden apply error:', error.message);
+    }
+
+    if (report.success && (reason !== 'periodic' || report.failed.length > 0)) {
+      console.log(`🌐 Walled garden applied (${reason}): ${report.addresses.length} addresses from ${report.entries} entries` +
+        (report.failed.length > 0 ? `, ${report.failed.length} domains not resolved` : ''));
+    }
+    this.lastReport = report;
+    return report;
+  }
+
+  // IPv4 addresses of a domain, from the system resolver
+  async resolve(domain) {
+    const resolver = new dns.promises.Resolver({ timeout: RESOLVE_TIMEOUT_MS, tries: 2 });
+    const ips = await resolver.resolve4(domain);
+    return ips.filter(isValidIPv4);
+  }
+
+  // Replace the garden chains' rules with the given CIDR blocks
+  async writeFirewallRules(addresses) {
+    // Chains the captive portal scripts create; make sure they exist so
+    // the jumps can be added before the first client is allowed
+    await execAsync('sudo iptables -N pisowifi_forward 2>/dev/null || true');
+    await execAsync('sudo iptables -t nat -N pisowifi_portal 2>/dev/null || true');
+    await execAsync(`sudo iptables -N ${GARDEN_CHAIN} 2>/dev/null || true`);
+    await execAsync(`sudo iptables -t nat -N ${GARDEN_CHAIN} 2>/dev/null || true`);
+
+    await execAsync(`sudo iptables -C pisowifi_forward -j ${GARDEN_CHAIN} 2>/dev/null || sudo iptables -I pisowifi_forward 1 -j ${GARDEN_CHAIN}`);
+    await execAsync(`sudo iptables -t nat -C pisowifi_portal -j ${GARDEN_CHAIN} 2>/dev/null || sudo iptables -t nat -I pisowifi_portal 1 -j ${GARDEN_CHAIN}`);
+
+    await execAsync(`sudo iptables -F ${GARDEN_CHAIN}`);
+    await execAsync(`sudo iptables -t nat -F ${GARDEN_CHAIN}`);
+
+    for (const cidr of addresses) {
+      // SECURITY: only validated CIDR blocks reach the shell
+      if (!isValidCIDR(cidr)) continue;
+      await execAsync(`sudo iptables -A ${GARDEN_CHAIN} -d ${cidr} -j ACCEPT`);
+      // ACCEPT in nat ends PREROUTING before the portal redirect
+      await execAsync(`sudo iptables -t nat -A ${GARDEN_CHAIN} -d ${cidr} -j ACCEPT`);
+    }
+  }
+}
+
+const walledGarden = new WalledGarden();
+
+walledGarden.ENTRY_TYPES = ENTRY_TYPES;
+walledGarden.GARDEN_CHAIN = GARDEN_CHAIN;
+walledGarden.parseEntry = parseEntry;
+
+module.exports = walledGarden;
@@ -0,0 +1,561 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const db = require('../db/sqlite-adapter');
+const networkConfig = require('./network-config');
+const { isValidIPv4, isValidInterfaceName, isValidInteger } = require('../utils/validators');
+
+const execAsync = promisify(exec);
+
+/**
+ * WAN Failover
+ * Keeps the router online across several WAN uplinks (wan_uplinks), e.g. a
+ * fiber line with a LTE dongle or a second PPPoE account as backup.
+ *
+ * Every wan_health_interval seconds each enabled uplink pings the
+ * wan_health_targets out of its own interface. An uplink goes down after
+ * wan_health_threshold checks in a row without an answer from any target,
+ * and comes back up after as many answered checks in a row.
+ *
+ * Routing:
+ *
+ * - each uplink gets its own routing table (UPLINK_TABLE_BASE + id) with a
+ *   default route out of it, and a rule sending traffic bound to its
+ *   interface there, so the health pings work whichever uplink is active
+ * - the main table's default route follows the healthy uplinks with the
+ *   lowest priority number: the first of them with the 'failover' policy,
+ *   all of them spread by weight (multipath route) with 'balance'
+ *
+ * The main route is only replaced when the set of active uplinks changes;
+ * those changes and uplinks going down or up are kept in
+ * wan_failover_events. With no uplinks configured nothing is touched and the
+ * single WAN set up from /api/network/wan is used as before.
+ */
+
+const POLICIES = ['failover', 'balance'];
+const SETTINGS_DEFAULTS = {
+  wan_policy: 'failover',
+  wan_health_targets: ['1.1.1.1', '8.8.8.8'],
+  wan_health_interval: 10,
+  wan_health_threshold: 3
+};
+
+const UPLINK_TABLE_BASE = 100;
+const UPLINK_RULE_PRIORITY_BASE = 1000;
+const PING_TIMEOUT_SECONDS = 2;
+const MAX_HEALTH_TARGETS = 5;
+const HISTORY_LIMIT = 1000;
+
+// IFF_POINTOPOINT in /sys/class/net/<iface>/flags: PPPoE and most LTE
+// dongles, which route without a gateway address
+const IFF_POINTOPOINT = 0x10;
+
+/**
+ * Parse the health targets as typed by an admin
+ * @param {string|string[]} value - IPv4 addresses, comma or space separated
+ * @returns {string[]|null} null when one is not an IPv4 address or there are none
+ */
+function parseTargets(value) {
+  const targets = (Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/))
+    .map(target => String(target).trim())
+    .filter(Boolean);
+  if (targets.length === 0 || targets.length > MAX_HEALTH_TARGETS || !targets.every(isValidIPv4)) return null;
+  return [...new Set(targets)];
+}
+
+// Round-trip time from `ping` output (time=12.3 ms), in milliseconds
+function parsePingTime(output) {
+  const match = output.match(/time[=<]([\d.]+)\s*ms/);
+  return match ? Math.round(parseFloat(match[1])) : null;
+}
+
+class WanFailover {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.lastReport = null;
+    this.timer = null;
+    this.running = false;
+    // Health of each uplink by id, kept in memory: { status, failures, successes,
+    // latency_ms, gateway, last_check_at, last_change_at, error }
+    this.health = new Map();
+    // Uplinks the main default route goes through, as installed
+    this.active = [];
+    this.activeKey = null;
+    // Uplinks whose routing table and rule are installed
+    this.routed = new Set();
+  }
+
+  /**
+   * Health check settings
+   * @returns {Promise<Object>} { wan_policy, wan_health_targets, wan_health_interval, wan_health_threshold }
+   */
+  async getSettings() {
+    await networkConfig.ensureRow();
+    const result = await db.query(
+      'SELECT wan_policy, wan_health_targets, wan_health_interval, wan_health_threshold FROM network_config WHERE id = 1'
+    );
+    const row = result.rows[0] || {};
+    return {
+      wan_policy: POLICIES.includes(row.wan_policy) ? row.wan_policy : SETTINGS_DEFAULTS.wan_policy,
+      wan_health_targets: parseTargets(row.wan_health_targets) || SETTINGS_DEFAULTS.wan_health_targets,
+      wan_health_interval: isValidInteger(row.wan_health_interval, 5, 300) ? row.wan_health_interval : SETTINGS_DEFAULTS.wan_health_interval,
+      wan_health_threshold: isValidInteger(row.wan_health_threshold, 1, 10) ? row.wan_health_threshold : SETTINGS_DEFAULTS.wan_health_threshold
+    };
+  }
+
+  /**
+   * Validate and save the health check settings, then check the uplinks
+   * @param {Object} fields - { wan_policy, wan_health_targets, wan_health_interval, wan_health_threshold }
+   * @returns {Promise<Object>} { success, error?, settings?, report? }
+   */
+  async saveSettings(fields) {
+    if (!POLICIES.includes(fields.wan_policy)) {
+      return { success: false, error: 'Policy must be failover or balance' };
+    }
+    const targets = parseTargets(fields.wan_health_targets);
+    if (!targets) {
+      return { success: false, error: `Health check targets must be 1-${MAX_HEALTH_TARGETS} IPv4 addresses` };
+    }
+    if (!isValidInteger(fields.wan_health_interval, 5, 300)) {
+      return { success: false, error: 'Check interval must be 5-300 seconds' };
+    }
+    if (!isValidInteger(fields.wan_health_threshold, 1, 10)) {
+      return { success: false, error: 'Failure threshold must be 1-10 checks' };
+    }
+
+    await networkConfig.ensureRow();
+    await db.query(
+      `UPDATE network_config SET wan_policy = $1, wan_health_targets = $2, wan_health_interval = $3,
+         wan_health_threshold = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = 1`,
+      [fields.wan_policy, targets.join(','), Number(fields.wan_health_interval), Number(fields.wan_health_threshold)]
+    );
+
+    const report = await this.check('changed');
+    this.schedule();
+    return { success: true, settings: await this.getSettings(), report };
+  }
+
+  /**
+   * Uplinks by priority, with their current health
+   * @returns {Promise<Object[]>}
+   */
+  async listUplinks() {
+    const result = await db.query(
+      `SELECT id, name, interface, priority, weight, gateway, enabled, created_at, updated_at
+       FROM wan_uplinks
+       ORDER BY priority ASC, id ASC`
+    );
+    const activeIds = this.active.map(uplink => uplink.id);
+    return result.rows.map(row => {
+      const health = this.health.get(row.id) || {};
+      return {
+        ...row,
+        enabled: !!row.enabled,
+        status: row.enabled ? health.status || 'unknown' : 'disabled',
+        active: activeIds.includes(row.id),
+        latency_ms: health.latency_ms ?? null,
+        detected_gateway: health.gateway || null,
+        last_check_at: health.last_check_at || null,
+        last_change_at: health.last_change_at || null,
+        error: health.error || null
+      };
+    });
+  }
+
+  /**
+   * Add an uplink, or update one when an id is given, then check the uplinks
+   * @param {Object} fields - { name, interface, priority, weight, gateway, enabled }
+   * @param {number} [id]
+   * @returns {Promise<Object|null>} { success, error?, uplink?, report? }, null when there is no uplink with this id
+   */
+  async saveUplink(fields, id = null) {
+    const iface = typeof fields.interface === 'string' ? fields.interface.trim() : '';
+    if (!isValidInterfaceName(iface)) {
+      return { success: false, error: 'Invalid interface name' };
+    }
+    if (iface === await networkConfig.getLanInterface()) {
+      return { success: false, error: `${iface} is the LAN interface` };
+    }
+
+    const name = fields.name ? String(fields.name).trim().substring(0, 32) : iface;
+    if (!isValidInteger(fields.priority, 1, 100)) {
+      return { success: false, error: 'Priority must be 1-100 (1 is used first)' };
+    }
+    if (!isValidInteger(fields.weight, 1, 100)) {
+      return { success: false, error: 'Weight must be 1-100' };
+    }
+
+    const gateway = typeof fields.gateway === 'string' && fields.gateway.trim() ? fields.gateway.trim() : null;
+    if (gateway && !isValidIPv4(gateway)) {
+      return { success: false, error: 'Gateway must be an IPv4 address, or empty to detect it' };
+    }
+
+    const conflict = await db.query('SELECT id FROM wan_uplinks WHERE interface = $1 AND id != $2', [iface, id || 0]);
+    if (conflict.rows.length > 0) {
+      return { success: false, error: `${iface} is already an uplink` };
+    }
+
+    const enabled = fields.enabled === undefined ? true : !!fields.enabled;
+    const params = [name, iface, Number(fields.priority), Number(fields.weight), gateway, enabled ? 1 : 0];
+    let result;
+    if (id) {
+      const previous = await db.query('SELECT id, interface FROM wan_uplinks WHERE id = $1', [id]);
+      if (previous.rows.length === 0) return null;
+
+      result = await db.query(
+        `UPDATE wan_uplinks
+         SET name = $1, interface = $2, priority = $3, weight = $4, gateway = $5, enabled = $6, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7
+         RETURNING *`,
+        [...params, id]
+      );
+      // Start over: the health and routes belonged to the old settings
+      this.health.delete(Number(id));
+      await this.removeRoutes(previous.rows[0]);
+    } else {
+      result = await db.query(
+        `INSERT INTO wan_uplinks (name, interface, priority, weight, gateway, enabled)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        params
+      );
+    }
+
+    const report = await this.check('changed');
+    return { success: true, uplink: { ...result.rows[0], enabled: !!result.rows[0].enabled }, report };
+  }
+
+  /**
+   * Remove an uplink and its routes, then check the others
+   * @param {number} id
+   * @returns {Promise<Object|null>} The report, or null when there is no such uplink
+   */
+  async removeUplink(id) {
+    const result = await db.query('DELETE FROM wan_uplinks WHERE id = $1 RETURNING id, interface', [id]);
+    if (result.rows.length === 0) return null;
+
+    this.health.delete(result.rows[0].id);
+    await this.removeRoutes(result.rows[0]);
+    return this.check('changed');
+  }
+
+  /**
+   * Failover history, newest first
+   * @param {number} [limit=50]
+   * @returns {Promise<Object[]>}
+   */
+  async getHistory(limit = 50) {
+    const result = await db.query(
+      `SELECT id, uplink_id, interface, event, from_interface, to_interface, message, created_at
+       FROM wan_failover_events
+       ORDER BY id DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Start the periodic health checks
+   */
+  start() {
+    this.running = true;
+    this.check('startup').finally(() => this.schedule());
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  // Arm the timer for the next periodic check
+  schedule() {
+    if (!this.running) return;
+    const arm = seconds => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(async () => {
+        await this.check('periodic').catch(() => {});
+        this.schedule();
+      }, seconds * 1000);
+    };
+
+    this.getSettings()
+      .then(settings => arm(settings.wan_health_interval))
+      .catch(() => arm(SETTINGS_DEFAULTS.wan_health_interval));
+  }
+
+  /**
+   * Check every enabled uplink and move the default route when the set of
+   * healthy uplinks changed. Runs one at a time; a call made during a run
+   * waits for it.
+   * @param {string} [reason='manual'] - What triggered it (startup, periodic, changed, manual)
+   * @returns {Promise<Object>} Report of the check
+   */
+  check(reason = 'manual') {
+    const run = this.queue.then(() => this.runCheck(reason));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runCheck(reason) {
+    const report = {
+      success: true,
+      reason,
+      checked_at: new Date().toISOString(),
+      policy: null,
+      uplinks: [],
+      active: this.active.map(uplink => uplink.interface),
+      changed: false
+    };
+
+    try {
+      if (process.platform !== 'linux') {
+        report.skipped = 'Not supported on this platform';
+        this.lastReport = report;
+        return report;
+      }
+
+      const settings = await this.getSettings();
+      report.policy = settings.wan_policy;
+
+      const result = await db.query(
+        'SELECT id, name, interface, priority, weight, gateway FROM wan_uplinks WHERE enabled = 1 ORDER BY priority ASC, id ASC'
+      );
+      const uplinks = result.rows;
+      if (uplinks.length === 0) {
+        report.skipped = 'No WAN uplinks configured';
+        this.active = [];
+        this.activeKey = null;
+        this.lastReport = report;
+        return report;
+      }
+
+      // Uplinks are independent: check them side by side
+      await Promise.all(uplinks.map(uplink => this.checkUplink(uplink, settings)));
+      report.uplinks = uplinks.map(uplink => ({ id: uplink.id, interface: uplink.interface, ...this.health.get(uplink.id) }));
+
+      const healthy = uplinks.filter(uplink => this.health.get(uplink.id).status === 'up' && this.getRoute(uplink));
+      if (healthy.length === 0) {
+        // Nothing better to switch to; leave the route where it is
+        throw new Error('No healthy WAN uplink');
+      }
+
+      const tier = healthy.filter(uplink => uplink.priority === healthy[0].priority);
+      const active = settings.wan_policy === 'balance' ? tier : [tier[0]];
+      const activeKey = active.map(uplink => `${uplink.id}:${this.getRoute(uplink)}:${uplink.weight}`).join(' ');
+
+      if (activeKey !== this.activeKey) {
+        await this.setDefaultRoute(active);
+        const previous = this.active;
+        const from = previous.map(uplink => uplink.interface).join(', ');
+        const to = active.map(uplink => uplink.interface).join(', ');
+        this.active = active;
+        this.activeKey = activeKey;
+        report.changed = true;
+
+        if (from !== to) {
+          // 'failover' when an uplink carrying traffic went down, 'switch' otherwise
+          // (startup, a preferred uplink coming back, settings changes)
+          const lost = previous.some(uplink => !active.some(next => next.id === uplink.id) && this.health.get(uplink.id)?.status === 'down');
+          await this.recordEvent({
+            event: lost ? 'failover' : 'switch',
+            from_interface: from || null,
+            to_interface: to,
+            message: `Internet now through ${to}${from ? ` (was ${from})` : ''}`
+          }, lost ? 'warn' : 'info');
+        } else {
+          console.log(`🌍 WAN default route updated (${reason}): ${to}`);
+        }
+      }
+      report.active = this.active.map(uplink => uplink.interface);
+    } catch (error) {
+      report.success = false;
+      report.error = error.message;
+      if (reason !== 'periodic' || this.lastReport?.error !== error.message) {
+        console.error('WAN failover check error:', error.message);
+      }
+    }
+
+    this.lastReport = report;
+    return report;
+  }
+
+  // Ping the targets out of one uplink and update its health
+  async checkUplink(uplink, settings) {
+    const now = new Date().toISOString();
+    const health = this.health.get(uplink.id) || { status: 'unknown', failures: 0, successes: 0, latency_ms: null, gateway: null, last_change_at: null };
+    this.health.set(uplink.id, health);
+
+    health.last_check_at = now;
+    health.error = null;
+    health.pointopoint = await this.isPointToPoint(uplink.interface);
+    health.gateway = uplink.gateway || (health.pointopoint ? null : await this.detectGateway(uplink) || health.gateway);
+
+    let latency = null;
+    if (!health.pointopoint && !health.gateway) {
+      health.error = 'No gateway detected';
+    } else {
+      try {
+        await this.installRoutes(uplink, health);
+        latency = await this.ping(uplink.interface, settings.wan_health_targets);
+        if (latency === null) health.error = 'No reply from health check targets';
+      } catch (error) {
+        health.error = (error.stderr || error.message).trim();
+      }
+    }
+
+    health.latency_ms = latency;
+    if (latency !== null) {
+      health.successes++;
+      health.failures = 0;
+    } else {
+      health.failures++;
+      health.successes = 0;
+    }
+
+    // The first check decides right away; after that it takes threshold checks in a row
+    let next = health.status;
+    if (health.status === 'unknown') {
+      next = latency !== null ? 'up' : 'down';
+    } else if (health.status === 'up' && health.failures >= settings.wan_health_threshold) {
+      next = 'down';
+    } else if (health.status === 'down' && health.successes >= settings.wan_health_threshold) {
+      next = 'up';
+    }
+
+    if (next !== health.status) {
+      const previous = health.status;
+      health.status = next;
+      health.last_change_at = now;
+      if (previous !== 'unknown' || next === 'down') {
+        await this.recordEvent({
+          uplink_id: uplink.id,
+          interface: uplink.interface,
+          event: next,
+          message: next === 'down'
+            ? `${uplink.name} (${uplink.interface}) is down: ${health.error}`
+            : `${uplink.name} (${uplink.interface}) is back up`
+        }, next === 'down' ? 'warn' : 'info');
+      }
+    }
+  }
+
+  /**
+   * Round-trip time to the first target answering through an interface
+   * @param {string} iface
+   * @param {string[]} targets
+   * @returns {Promise<number|null>} Milliseconds, or null when none answered
+   */
+  async ping(iface, targets) {
+    for (const target of targets) {
+      // SECURITY: only validated interface names and IPv4 addresses reach the shell
+      if (!isValidInterfaceName(iface) || !isValidIPv4(target)) continue;
+      try {
+        const { stdout } = await execAsync(`ping -n -c 1 -W ${PING_TIMEOUT_SECONDS} -I ${iface} ${target}`);
+        return parsePingTime(stdout) ?? 0;
+      } catch (error) {
+        // ping exits non-zero without a reply; try the next target
+      }
+    }
+    return null;
+  }
+
+  // Gateway of an uplink's default route, from the main table or its own
+  async detectGateway(uplink) {
+    for (const table of ['main', UPLINK_TABLE_BASE + uplink.id]) {
+      try {
+        const { stdout } = await execAsync(`ip -4 route show default dev ${uplink.interface} table ${table}`);
+        const match = stdout.match(/via\s+(\d+\.\d+\.\d+\.\d+)/);
+        if (match && isValidIPv4(match[1])) return match[1];
+      } catch (error) {
+        // Interface or table missing
+      }
+    }
+    return null;
+  }
+
+  async isPointToPoint(iface) {
+    try {
+      const flags = parseInt((await fs.readFile(`/sys/class/net/${iface}/flags`, 'utf8')).trim(), 16);
+      return (flags & IFF_POINTOPOINT) !== 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // "via GW dev IF" or "dev IF" for point-to-point links; null when unknown
+  getRoute(uplink) {
+    const health = this.health.get(uplink.id) || {};
+    if (health.pointopoint) return `dev ${uplink.interface}`;
+    return health.gateway ? `via ${health.gateway} dev ${uplink.interface}` : null;
+  }
+
+  // The uplink's own table and the rule sending traffic bound to it there
+  async installRoutes(uplink, health) {
+    const table = UPLINK_TABLE_BASE + uplink.id;
+    const route = health.pointopoint ? `dev ${uplink.interface}` : `via ${health.gateway} dev ${uplink.interface}`;
+    await execAsync(`sudo ip route replace default ${route} table ${table}`);
+
+    if (!this.routed.has(uplink.id)) {
+      const priority = UPLINK_RULE_PRIORITY_BASE + uplink.id;
+      await execAsync(`sudo ip rule del priority ${priority} 2>/dev/null || true`);
+      await execAsync(`sudo ip rule add oif ${uplink.interface} lookup ${table} priority ${priority}`);
+      this.routed.add(uplink.id);
+    }
+  }
+
+  // Drop an uplink's table and rule, and the default route when it was active
+  async removeRoutes(uplink) {
+    this.routed.delete(uplink.id);
+    if (process.platform !== 'linux') return;
+    await execAsync(`sudo ip rule del priority ${UPLINK_RULE_PRIORITY_BASE + uplink.id} 2>/dev/null || true`);
+    await execAsync(`sudo ip route flush table ${UPLINK_TABLE_BASE + uplink.id} 2>/dev/null || true`);
+    if (this.active.some(active => active.id === uplink.id)) {
+      // Recomputed by the next check
+      this.activeKey = null;
+    }
+  }
+
+  // Point the main default route at the active uplinks
+  async setDefaultRoute(active) {
+    if (active.length === 1) {
+      await execAsync(`sudo ip route replace default ${this.getRoute(active[0])}`);
+      return;
+    }
+    const nexthops = active.map(uplink => `nexthop ${this.getRoute(uplink)} weight ${uplink.weight}`).join(' ');
+    await execAsync(`sudo ip route replace default ${nexthops}`);
+  }
+
+  // Keep a failover event in the history and the system log
+  async recordEvent({ uplink_id = null, interface: iface = null, event, from_interface = null, to_interface = null, message }, level) {
+    try {
+      await db.query(
+        `INSERT INTO wan_failover_events (uplink_id, interface, event, from_interface, to_interface, message)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [uplink_id, iface, event, from_interface, to_interface, message]
+      );
+      await db.query(
+        `DELETE FROM wan_failover_events
+         WHERE id <= (SELECT MAX(id) FROM wan_failover_events) - $1`,
+        [HISTORY_LIMIT]
+      );
+      await db.query(
+        'INSERT INTO system_logs (level, message, category, metadata) VALUES ($1, $2, $3, $4)',
+        [level, message, 'network', JSON.stringify({ uplink_id, interface: iface, event, from_interface, to_interface })]
+      );
+    } catch (error) {
+      console.error('WAN failover event error:', error.message);
+    }
+    console.log(`🌍 ${message}`);
+  }
+}
+
+const wanFailover = new WanFailover();
+
+wanFailover.POLICIES = POLICIES;
+wanFailover.SETTINGS_DEFAULTS = SETTINGS_DEFAULTS;
+wanFailover.UPLINK_TABLE_BASE = UPLINK_TABLE_BASE;
+wanFailover.parseTargets = parseTargets;
+
+module.exports = wanFailover;
@@ -0,0 +1,73 @@
+const { isValidSlotNumber } = require('./validators');
+
+/**
+ * Cash collection helpers
+ * A collection is one emptying of a coin box: the slot (or the whole
+ * machine), who emptied it, when, and the cash they counted.
+ */
+
+const MAX_COUNTED_AMOUNT = 1000000;
+
+/**
+ * Validate and sanitize a cash collection from a request body
+ * @param {Object} data - Request body data
+ * @returns {Object} - { valid: boolean, errors: string[], sanitized: Object }
+ */
+function validateCollection(data) {
+  const errors = [];
+  const sanitized = {};
+
+  if (data.slot_number === undefined || data.slot_number === null || data.slot_number === '' || data.slot_number === 'all') {
+    sanitized.slot_number = null;
+  } else if (!isValidSlotNumber(data.slot_number)) {
+    errors.push('Invalid slot number (1-10)');
+  } else {
+    sanitized.slot_number = parseInt(data.slot_number, 10);
+  }
+
+  const counted = parseFloat(data.counted_amount);
+  if (data.counted_amount === undefined || data.counted_amount === '' || isNaN(counted) ||
+    counted < 0 || counted > MAX_COUNTED_AMOUNT) {
+    errors.push('Counted amount must be between 0 and 1,000,000');
+  } else {
+    sanitized.counted_amount = Math.round(counted * 100) / 100;
+  }
+
+  const collectedBy = typeof data.collected_by === 'string' ? data.collected_by.trim() : '';
+  if (!collectedBy || collectedBy.length > 100) {
+    errors.push('Collector name is required (at most 100 characters)');
+  } else {
+    sanitized.collected_by = collectedBy;
+  }
+
+  if (data.collected_at) {
+    const collectedAt = new Date(data.collected_at);
+    if (isNaN(collectedAt.getTime())) {
+      errors.push('Invalid collection time');
+    } else if (collectedAt.getTime() > Date.now() + 60 * 1000) {
+      errors.push('Collection time cannot be in the future');
+    } else {
+      sanitized.collected_at = collectedAt;
+    }
+  }
+
+  if (data.notes !== undefined && data.notes !== null) {
+    const notes = String(data.notes).trim();
+    if (notes.length > 500) {
+      errors.push('Notes must be at most 500 characters');
+    } else {
+      sanitized.notes = notes || null;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized
+  };
+}
+
+module.exports = {
+  MAX_COUNTED_AMOUNT,
+  validateCollection
+};
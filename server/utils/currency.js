@@ -0,0 +1,159 @@
+/**
+ * Currency helpers
+ * The currency is configured in system_settings (symbol, ISO code, decimals
+ * and locale) and coin denominations in coin_denominations; nothing in the
+ * code assumes pesos.
+ */
+
+const DEFAULT_CURRENCY = {
+  code: 'PHP',
+  symbol: '₱',
+  decimals: 2,
+  locale: 'en-PH'
+};
+
+const MAX_DENOMINATION_VALUE = 1000;
+
+/**
+ * Format an amount for display, e.g. formatMoney(5, currency) -> "₱5.00"
+ * @param {number|string} amount
+ * @param {Object} [currency=DEFAULT_CURRENCY] - { symbol, decimals, locale }
+ * @returns {string}
+ */
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const value = parseFloat(amount) || 0;
+  const decimals = Number.isInteger(currency.decimals) ? currency.decimals : DEFAULT_CURRENCY.decimals;
+
+  let number;
+  try {
+    number = Math.abs(value).toLocaleString(currency.locale || DEFAULT_CURRENCY.locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    });
+  } catch (error) {
+    number = Math.abs(value).toFixed(decimals);
+  }
+
+  return `${value < 0 ? '-' : ''}${currency.symbol}${number}`;
+}
+
+/**
+ * Check that a locale tag is one the runtime can format with
+ * @param {string} locale
+ * @returns {boolean}
+ */
+function isValidLocale(locale) {
+  if (typeof locale !== 'string' || locale.length > 20) return false;
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate and sanitize currency settings from a request body
+ * @param {Object} data - Request body data
+ * @returns {Object} - { valid: boolean, errors: string[], sanitized: Object }
+ */
+function validateCurrency(data) {
+  const errors = [];
+  const sanitized = {};
+
+  const code = typeof data.code === 'string' ? data.code.trim().toUpperCase() : '';
+  if (!/^[A-Z]{3}$/.test(code)) {
+    errors.push('Currency code must be 3 letters (e.g. PHP)');
+  } else {
+    sanitized.code = code;
+  }
+
+  // The symbol is rendered into pages and scripts; keep it to plain characters
+  const symbol = typeof data.symbol === 'string' ? data.symbol.trim() : '';
+  if (!symbol || symbol.length > 8 || /[<>&"'`\\]/.test(symbol)) {
+    errors.push('Currency symbol must be 1-8 characters without HTML or quote characters');
+  } else {
+    sanitized.symbol = symbol;
+  }
+
+  const decimals = parseInt(data.decimals, 10);
+  if (isNaN(decimals) || decimals < 0 || decimals > 3) {
+    errors.push('Decimals must be between 0 and 3');
+  } else {
+    sanitized.decimals = decimals;
+  }
+
+  const locale = typeof data.locale === 'string' ? data.locale.trim() : '';
+  if (!isValidLocale(locale)) {
+    errors.push('Unknown locale (e.g. en-PH)');
+  } else {
+    sanitized.locale = locale;
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized
+  };
+}
+
+/**
+ * Validate and sanitize a coin denomination from a request body
+ * @param {Object} data - Request body data
+ * @param {Object} [options]
+ * @param {boolean} [options.isNew=false] - Value is required
+ * @returns {Object} - { valid: boolean, errors: string[], sanitized: Object }
+ */
+function validateDenomination(data, { isNew = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+
+  if (isNew || data.value !== undefined) {
+    const value = parseFloat(data.value);
+    if (isNaN(value) || value <= 0 || value > MAX_DENOMINATION_VALUE) {
+      errors.push(`Coin value must be greater than 0 and at most ${MAX_DENOMINATION_VALUE}`);
+    } else {
+      sanitized.value = Math.round(value * 100) / 100;
+    }
+  }
+
+  if (data.pulses !== undefined) {
+    if (data.pulses === null || data.pulses === '') {
+      sanitized.pulses = null;
+    } else {
+      const pulses = parseInt(data.pulses, 10);
+      if (isNaN(pulses) || pulses < 1 || pulses > 100) {
+        errors.push('Pulses must be between 1 and 100');
+      } else {
+        sanitized.pulses = pulses;
+      }
+    }
+  }
+
+  if (data.label !== undefined) {
+    const label = typeof data.label === 'string' ? data.label.trim() : '';
+    if (label.length > 50) {
+      errors.push('Label must be at most 50 characters');
+    } else {
+      sanitized.label = label || null;
+    }
+  }
+
+  if (data.is_active !== undefined) {
+    sanitized.is_active = data.is_active ? 1 : 0;
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized
+  };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  MAX_DENOMINATION_VALUE,
+  formatMoney,
+  isValidLocale,
+  validateCurrency,
+  validateDenomination
+};
@@ -0,0 +1,100 @@
+const { isValidUsername } = require('./validators');
+
+/**
+ * Member account helpers
+ * Members log in on the portal with a username and a PIN (4+ digits) or a
+ * password (6+ characters). Usernames are stored lowercase so logins are
+ * case-insensitive.
+ */
+
+const MEMBER_STATUSES = ['active', 'disabled'];
+const MAX_WALLET_SECONDS = 365 * 86400;
+
+/**
+ * Normalize a username as typed by the customer
+ * @param {string} username
+ * @returns {string|null} Lowercase username or null if invalid
+ */
+function normalizeUsername(username) {
+  if (!isValidUsername(username)) return null;
+  return username.trim().toLowerCase();
+}
+
+/**
+ * Check a PIN or password against the minimum length rules
+ * @param {string} pin
+ * @returns {boolean}
+ */
+function isValidPin(pin) {
+  if (typeof pin !== 'string' || pin.length > 64) return false;
+  return /^\d+$/.test(pin) ? pin.length >= 4 : pin.length >= 6;
+}
+
+/**
+ * Validate and sanitize member account data from a request body
+ * @param {Object} data - Request body data
+ * @param {Object} [options]
+ * @param {boolean} [options.isNew=false] - Username and PIN are required
+ * @returns {Object} - { valid: boolean, errors: string[], sanitized: Object }
+ */
+function validateMember(data, { isNew = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+
+  if (isNew || data.username !== undefined) {
+    const username = normalizeUsername(data.username);
+    if (!username) {
+      errors.push('Username must start with a letter and use 3-50 letters, numbers or underscores');
+    } else {
+      sanitized.username = username;
+    }
+  }
+
+  if (isNew || data.pin) {
+    if (!isValidPin(data.pin)) {
+      errors.push('PIN must be at least 4 digits, or a password of at least 6 characters');
+    } else {
+      sanitized.pin = data.pin;
+    }
+  }
+
+  if (data.display_name !== undefined) {
+    const displayName = typeof data.display_name === 'string' ? data.display_name.trim() : '';
+    if (displayName.length > 100) {
+      errors.push('Display name must be at most 100 characters');
+    } else {
+      sanitized.display_name = displayName || null;
+    }
+  }
+
+  if (data.status !== undefined) {
+    if (!MEMBER_STATUSES.includes(data.status)) {
+      errors.push('Invalid status');
+    } else {
+      sanitized.status = data.status;
+    }
+  }
+
+  if (data.wallet_seconds !== undefined && data.wallet_seconds !== '') {
+    const seconds = parseInt(data.wallet_seconds, 10);
+    if (isNaN(seconds) || seconds < 0 || seconds > MAX_WALLET_SECONDS) {
+      errors.push('Wallet time must be between 0 and 365 days');
+    } else {
+      sanitized.wallet_seconds = seconds;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized
+  };
+}
+
+module.exports = {
+  MEMBER_STATUSES,
+  MAX_WALLET_SECONDS,
+  normalizeUsername,
+  isValidPin,
+  validateMember
+};
@@ -0,0 +1,157 @@
+/**
+ * Rate schedule helpers
+ * A schedule limits when a rate is offered: days of week, a time-of-day
+ * window and an optional date range, all in the device's local time.
+ * Windows whose end is before their start run past midnight (22:00-06:00)
+ * and belong to the day they started on.
+ */
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a days_of_week column ("0,6") into day numbers (0 = Sunday)
+ * @param {string|Array} value
+ * @returns {number[]}
+ */
+function parseDaysOfWeek(value) {
+  if (value === null || value === undefined || value === '') {
+    return ALL_DAYS.slice();
+  }
+
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  const days = parts
+    .map(day => parseInt(day, 10))
+    .filter(day => ALL_DAYS.includes(day));
+
+  return [...new Set(days)].sort();
+}
+
+/**
+ * Convert HH:MM into minutes after midnight
+ */
+function toMinutes(time) {
+  const match = TIME_REGEX.exec(time);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Local YYYY-MM-DD for a date
+ */
+function toLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Check whether a schedule covers the given moment
+ * @param {Object} schedule - rate_schedules row
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+function isScheduleActive(schedule, now = new Date()) {
+  if (!schedule || !schedule.is_active) {
+    return false;
+  }
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const start = toMinutes(schedule.start_time) ?? 0;
+  const end = toMinutes(schedule.end_time) ?? 24 * 60;
+
+  // The day whose window we are in; yesterday for the after-midnight part
+  let windowDay = now;
+  if (start < end) {
+    if (minutes < start || minutes >= end) return false;
+  } else if (start > end) {
+    if (minutes < end) {
+      windowDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    } else if (minutes < start) {
+      return false;
+    }
+  }
+
+  if (!parseDaysOfWeek(schedule.days_of_week).includes(windowDay.getDay())) {
+    return false;
+  }
+
+  const day = toLocalDate(windowDay);
+  if (schedule.start_date && day < schedule.start_date) return false;
+  if (schedule.end_date && day > schedule.end_date) return false;
+
+  return true;
+}
+
+/**
+ * Validate and sanitize a schedule from a request body
+ * @param {Object} data - Request body data
+ * @returns {Object} - { valid: boolean, errors: string[], sanitized: Object }
+ */
+function validateSchedule(data) {
+  const errors = [];
+  const sanitized = {};
+
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name || name.length > 100) {
+    errors.push('Name is required (max 100 characters)');
+  } else {
+    sanitized.name = name;
+  }
+
+  const rateId = parseInt(data.rate_id, 10);
+  if (!rateId || rateId < 1) {
+    errors.push('A rate is required');
+  } else {
+    sanitized.rate_id = rateId;
+  }
+
+  const days = parseDaysOfWeek(data.days_of_week);
+  if (days.length === 0) {
+    errors.push('Select at least one day');
+  } else {
+    sanitized.days_of_week = days.join(',');
+  }
+
+  for (const field of ['start_time', 'end_time']) {
+    if (data[field]) {
+      if (!TIME_REGEX.test(data[field])) {
+        errors.push(`Invalid ${field.replace('_', ' ')} (use HH:MM)`);
+      } else {
+        sanitized[field] = data[field];
+      }
+    } else {
+      sanitized[field] = null;
+    }
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (data[field]) {
+      if (!DATE_REGEX.test(data[field]) || isNaN(Date.parse(data[field]))) {
+        errors.push(`Invalid ${field.replace('_', ' ')} (use YYYY-MM-DD)`);
+      } else {
+        sanitized[field] = data[field];
+      }
+    } else {
+      sanitized[field] = null;
+    }
+  }
+
+  if (sanitized.start_date && sanitized.end_date && sanitized.start_date > sanitized.end_date) {
+    errors.push('End date must be on or after the start date');
+  }
+
+  sanitized.is_active = data.is_active === undefined ? 1 : (data.is_active ? 1 : 0);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized
+  };
+}
+
+module.exports = {
+  parseDaysOfWeek,
+  isScheduleActive,
+  validateSchedule
+};
@@ -14,6 +14,29 @@ function isValidIPv4(ip) {
   return ipv4Regex.test(ip.trim());
 }
 
+/**
+ * Validate IPv4 CIDR block format (e.g. 157.240.0.0/16)
+ * @param {string} cidr - CIDR block to validate
+ * @returns {boolean} - true if valid
+ */
+function isValidCIDR(cidr) {
+  if (!cidr || typeof cidr !== 'string') return false;
+  const [ip, prefix, ...rest] = cidr.trim().split('/');
+  if (rest.length > 0 || !isValidIPv4(ip)) return false;
+  return /^(?:[0-9]|[12][0-9]|3[0-2])$/.test(prefix || '');
+}
+
+/**
+ * Validate domain name format (letters, digits and hyphens, at least two labels)
+ * @param {string} domain - Domain name to validate
+ * @returns {boolean} - true if valid
+ */
+function isValidDomain(domain) {
+  if (!domain || typeof domain !== 'string' || domain.length > 253) return false;
+  const domainRegex = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+  return domainRegex.test(domain.trim());
+}
+
 /**
  * Validate MAC address format (accepts both : and - separators)
  * @param {string} mac - MAC address to validate
@@ -105,11 +128,14 @@ function isValidDuration(duration) {
 /**
  * Validate coin value (positive decimal, max 1000)
  * @param {any} value - Coin value to validate
+ * @param {number[]} [denominations] - Accepted coin values; when given the value must be one of them
  * @returns {boolean} - true if valid
  */
-function isValidCoinValue(value) {
+function isValidCoinValue(value, denominations) {
   const num = parseFloat(value);
-  return !isNaN(num) && num > 0 && num <= 1000;
+  if (isNaN(num) || num <= 0 || num > 1000) return false;
+  if (!Array.isArray(denominations)) return true;
+  return denominations.some(denomination => Math.abs(denomination - num) < 0.001);
 }
 
 /**
@@ -224,6 +250,8 @@ function validateClientData(data) {
 
 module.exports = {
   isValidIPv4,
+  isValidCIDR,
+  isValidDomain,
   isValidMacAddress,
   sanitizeMacAddress,
   isValidInterfaceName,
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const db = require('../db/sqlite-adapter');
+
+// No 0/O or 1/I so codes survive being read off a printed sheet
+const VOUCHER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const VOUCHER_CODE_LENGTH = 10;
+
+/**
+ * Generate a random voucher code
+ * @returns {string} Uppercase code of VOUCHER_CODE_LENGTH characters
+ */
+function generateVoucherCode() {
+  const bytes = crypto.randomBytes(VOUCHER_CODE_LENGTH);
+  let code = '';
+  for (let i = 0; i < VOUCHER_CODE_LENGTH; i++) {
+    code += VOUCHER_ALPHABET[bytes[i] % VOUCHER_ALPHABET.length];
+  }
+  return code;
+}
+
+/**
+ * Generate a batch identifier, e.g. B20240115-3F9A
+ * @returns {string}
+ */
+function generateBatchId() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `B${date}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Normalize user input (spaces, dashes, lowercase) into a stored voucher code
+ * @param {string} code - Code as typed by the customer
+ * @returns {string|null} Normalized code or null if empty/invalid
+ */
+function normalizeVoucherCode(code) {
+  if (!code || typeof code !== 'string') return null;
+  const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (normalized.length === 0 || normalized.length > 32) return null;
+  return normalized;
+}
+
+/**
+ * Format a stored code for display/printing (ABCDE-FGHJK)
+ * @param {string} code
+ * @returns {string}
+ */
+function formatVoucherCode(code) {
+  if (!code) return '';
+  return code.match(/.{1,5}/g).join('-');
+}
+
+/**
+ * Mark unused vouchers past their expiry date as expired
+ */
+async function expireStaleVouchers() {
+  try {
+    await db.query(`
+      UPDATE vouchers
+      SET status = 'expired'
+      WHERE status = 'unused'
+      AND expires_at IS NOT NULL
+      AND expires_at <= datetime('now')
+    `);
+  } catch (error) {
+    console.warn('Voucher expiry sweep failed:', error.message);
+  }
+}
+
+module.exports = {
+  generateVoucherCode,
+  generateBatchId,
+  normalizeVoucherCode,
+  formatVoucherCode,
+  expireStaleVouchers
+};
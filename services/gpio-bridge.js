@@ -13,6 +13,8 @@ const { Server } = require('socket.io');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const db = require('../server/db/sqlite-adapter');
+const { DEFAULT_CURRENCY, formatMoney } = require('../server/utils/currency');
 
 const app = express();
 const server = createServer(app);
@@ -30,14 +32,13 @@ const CONFIG = {
   LED_PIN: process.env.GPIO_PIN_LED || '5',
   DEBOUNCE_TIME: 50, // milliseconds
   PULSE_DURATION: 200, // milliseconds for LED pulse
+  BATCH_TIMEOUT: 0.3, // seconds without a pulse that end one coin
+  DENOMINATION_RELOAD_INTERVAL: 60 * 1000, // milliseconds
 };
 
 // State management
 let gpioState = {
   available: false,
-// Valid coin values (Standard Philippine Coins + Dynamic Rates)
-let validCoinValues = [1, 5, 10, 20]; // Defaults
-
   library: null,
   coinPin: null,
   ledPin: null,
@@ -49,6 +50,12 @@ let validCoinValues = [1, 5, 10, 20]; // Defaults
 
 let connectedClients = new Set();
 
+// Coins accepted by this machine (coin_denominations), keyed by pulse count,
+// and calibration rules (coin_sensor_adjustments) that override them
+let denominationsByPulses = new Map();
+let pulseAdjustments = [];
+let currency = { ...DEFAULT_CURRENCY };
+
 // Middleware
 app.use(express.json());
 app.use((req, res, next) => {
@@ -62,11 +69,10 @@ app.use((req, res, next) => {
  */
 async function initializeGPIO() {
   console.log('🔧 Initializing GPIO...');
-  if (db && typeof db.query === 'function') {
-      await updateCoinRates();
-    }
-    
-    
+
+  await loadDenominations();
+  setInterval(loadDenominations, CONFIG.DENOMINATION_RELOAD_INTERVAL);
+
   try {
     // Check if we're on Orange Pi with OPi.GPIO
     const gpioTest = spawn('python3', ['-c', 'import OPi.GPIO as GPIO; print("OPi_GPIO_OK")'], {
@@ -103,31 +109,41 @@ async function initializeGPIO() {
       }
     }, 3000);
 
-  }Fetch active coin rates from database to support "Smart Pulse Adjustment"
- */
-async function updateCoinRates() {
-  if (!db) return;
-  
-  try {
-    console.log('🔄 Fetching active coin rates for pulse calibration...');
-    const result = await db.query('SELECT DISTINCT price FROM rates WHERE is_active = true');
-    
-    // Merge standard coins with any custom rate prices (treating price as potential pulse count)
-    const dbRates = result.rows.map(r => Math.round(parseFloat(r.price)));
-    const allRates = new Set([...validCoinValues, ...dbRates]);
-    
-    validCoinValues = Array.from(allRates).sort((a, b) => a - b);
-    console.log('✅ Calibrated Coin Values:', validCoinValues);
-    
   } catch (error) {
-    console.warn('⚠️ Failed to update coin rates:', error.message);
+    console.error('❌ GPIO initialization error:', error);
+    setupMockGPIO();
   }
 }
 
 /**
- *  catch (error) {
-    console.error('❌ GPIO initialization error:', error);
-    setupMockGPIO();
+ * Load accepted coins, calibration rules and currency from the database.
+ * Reloaded periodically so admin changes apply without a restart.
+ */
+async function loadDenominations() {
+  try {
+    const [denominationsResult, adjustmentsResult, currencyResult] = await Promise.all([
+      db.query('SELECT value, pulses FROM coin_denominations WHERE is_active = 1 AND pulses IS NOT NULL'),
+      db.query('SELECT pulse_count, actual_value, note FROM coin_sensor_adjustments WHERE is_active = 1'),
+      db.query('SELECT currency_code, currency_symbol, currency_decimals, currency_locale FROM system_settings WHERE id = 1')
+    ]);
+
+    denominationsByPulses = new Map(
+      denominationsResult.rows.map(row => [parseInt(row.pulses), parseFloat(row.value)])
+    );
+    pulseAdjustments = adjustmentsResult.rows.map(row => ({ ...row, pulse_count: parseInt(row.pulse_count) }));
+
+    const settings = currencyResult.rows[0];
+    if (settings) {
+      const decimals = parseInt(settings.currency_decimals, 10);
+      currency = {
+        code: settings.currency_code || DEFAULT_CURRENCY.code,
+        symbol: settings.currency_symbol || DEFAULT_CURRENCY.symbol,
+        decimals: isNaN(decimals) ? DEFAULT_CURRENCY.decimals : decimals,
+        locale: settings.currency_locale || DEFAULT_CURRENCY.locale
+      };
+    }
+  } catch (error) {
+    console.warn('⚠️ Failed to load coin denominations:', error.message);
   }
 }
 
@@ -218,87 +234,88 @@ function startCoinMonitoring() {
   console.log('👁️ Starting coin detection monitoring...');
   gpioState.isMonitoring = true;
 
+  // The monitor only counts pulses; Node maps the count to a coin value
   const monitorScript = `
 import OPi.GPIO as GPIO
 import time
 import json
 import sys
-Send raw pulse batch to Node.js for Smart Processing
-                print(json.dumps({
-                    "type": "pulse_batch",
-                    "timestamp": now,
-                    "count LED immediately for visual feedback
-                    GPIO.output(${CONFIG.LED_PIN}, True)
-                    time.sleep(0.05) # Short blink
-                    GPIO.output(${CONFIG.LED_PIN}, False)
-            
-            # Check if pulse batch is complete
+
+BATCH_TIMEOUT = ${CONFIG.BATCH_TIMEOUT}
+
+GPIO.setmode(GPIO.BOARD)
+GPIO.setup(${CONFIG.COIN_PIN}, GPIO.IN, pull_up_down=GPIO.PUD_UP)
+GPIO.setup(${CONFIG.LED_PIN}, GPIO.OUT)
+
+def monitor():
+    last_state = GPIO.input(${CONFIG.COIN_PIN})
+    pulse_count = 0
+    last_pulse_time = 0
+
+    while True:
+        try:
+            current_state = GPIO.input(${CONFIG.COIN_PIN})
+            now = time.time()
+
+            # Falling edge = one pulse from the coin acceptor
+            if last_state == 1 and current_state == 0:
+                pulse_count += 1
+                last_pulse_time = now
+
+                # Flash LED immediately for visual feedback
+                GPIO.output(${CONFIG.LED_PIN}, True)
+                time.sleep(0.05)
+                GPIO.output(${CONFIG.LED_PIN}, False)
+
+            # Pulse batch is complete: send it to Node.js for processing
             if pulse_count > 0 and (now - last_pulse_time) > BATCH_TIMEOUT:
-                # Analyze pulse count and determine value
-                final_value = pulse_count # Default 1 pulse = 1 peso
-                
-                # Smart correction logic (The "Coin Rate" adjustment)
-                if pulse_count == 4:
-                    final_value = 5 # Fix 4 pulses -> 5 pesos
-                elif pulse_count == 5:
-                    final_value = 5
-                elif pulse_count >= 9 and pulse_count <= 10:
-                    final_value = 10
-                elif pulse_count >= 19 and pulse_count <= 20:
-                    final_value = 20
-                
-                # Send processed coin event
                 print(json.dumps({
-                    "type": "coin_detected",
+                    "type": "pulse_batch",
                     "timestamp": now,
-                    "count": 1, 
-                    "value": final_value,
-                    "pulses": pulse_count
+                    "count": pulse_count
                 }))
                 sys.stdout.flush()
-                
-                pulse_count = 0 
-            
+                pulse_count = 0
+
             last_state = current_state
             time.sleep(0.01)  # 10ms loop
-            
+
         except Exception as e:
             print(json.dumps({
                 "type": "error",
                 "message": str(e)
             }))
+            sys.stdout.flush()
             time.sleep(1)
 
 if __name__ == "__main__":
-    monitor_output = data.toString().trim();
-      // Handle multiple JSON objects in one chunk
-      const lines = output.split('\n');
-      
-      lines.forEach(line => {
-        if (!line) return;
-        try {
-          const event = JSON.parse(line);
-          if (event.type === 'pulse_batch' || event.type === 'coin_detected') {
-            handleCoinDetection(event);
-          }
-        } catch (parseErr) {
-           // ignore partial lines
-        }
-      });
-    } catch (e) {
-      console.log('Monitor output error, ['/tmp/coin_monitor.py'], {
+    try:
+        monitor()
+    except KeyboardInterrupt:
+        GPIO.cleanup()
+`;
+
+  fs.writeFileSync('/tmp/coin_monitor.py', monitorScript);
+
+  const monitor = spawn('python3', ['/tmp/coin_monitor.py'], {
     stdio: ['pipe', 'pipe', 'pipe']
   });
 
   monitor.stdout.on('data', (data) => {
-    try {
-      const event = JSON.parse(data.toString());
-      if (event.type === 'coin_detected') {
-        handleCoinDetection(event);
+    // Several JSON lines can arrive in one chunk
+    data.toString().split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const event = JSON.parse(line);
+        if (event.type === 'pulse_batch') {
+          handleCoinDetection(event);
+        } else if (event.type === 'error') {
+          console.error('Monitor error:', event.message);
+        }
+      } catch (e) {
+        console.log('Monitor output:', line);
       }
-    } catch (e) {
-      console.log('Monitor output:', data.toString());
-    }
+    });
   });
 
   monitor.stderr.on('data', (data) => {
@@ -319,9 +336,11 @@ if __name__ == "__main__":
 function handleCoinDetection(event = {}) {
   const now = Date.now();
   
-  let pulses = event.count || 1;
-  let finalValue = pulses;
-  let detectionType = 'raw';
+  // Test coins without a pulse count use the smallest accepted coin
+  let pulses = event.count || Math.min(...denominationsByPulses.keys(), Infinity);
+  if (!isFinite(pulses)) pulses = 1;
+  let finalValue = null;
+  let detectionType = null;
   let adjustmentApplied = false;
 
   // 1. Check User-Defined Rules FIRST (Override Everything)
@@ -331,22 +350,22 @@ function handleCoinDetection(event = {}) {
       finalValue = parseFloat(rule.actual_value);
       detectionType = 'calibrated';
       adjustmentApplied = true;
-      console.log(`🔧 Rule Applied: ${pulses} pulses -> ₱${finalValue} (${rule.note})`);
+      console.log(`🔧 Rule Applied: ${pulses} pulses -> ${formatMoney(finalValue, currency)} (${rule.note})`);
     }
   }
 
-  // 2. Strict Coin Matching (Fallback if no user rule)
+  // 2. Configured denominations (fallback if no user rule)
   if (!adjustmentApplied) {
-    if (STANDARD_COINS.includes(pulses)) {
-      finalValue = pulses;
+    if (denominationsByPulses.has(pulses)) {
+      finalValue = denominationsByPulses.get(pulses);
       detectionType = 'exact';
     } else {
-       // Only default/raw if no rule exists
-       // For strict safety, you might want to IGNORE unknown pulses?
-       // user requested: "what if credit is 2,3,4...?" -> user should define rule.
-       // But we keep raw as last resort.
-       finalValue = pulses;
-       detectionType = 'raw';
+      // Unknown pulse counts are not credited; add a calibration rule or
+      // a denomination with this pulse count to accept them
+      console.warn(`⚠️ Coin rejected: ${pulses} pulse(s) match no denomination or rule`);
+      io.emit('coin_rejected', { type: 'coin_rejected', timestamp: now, pulses, pin: CONFIG.COIN_PIN });
+      logEvent('coin_rejected', { pulses });
+      return;
     }
   }
   
@@ -364,7 +383,7 @@ function handleCoinDetection(event = {}) {
     library: gpioState.library
   };
   
-  console.log(`🪙 Coin processed: ₱${finalValue} (Raw: ${pulses}, Method: ${detectionType})`);
+  console.log(`🪙 Coin processed: ${formatMoney(finalValue, currency)} (Raw: ${pulses}, Method: ${detectionType})`);
   
   // Broadcast to all connected WebSocket clients
   io.emit('coin_detected', coinEvent);
@@ -423,6 +442,8 @@ app.get('/status', (req, res) => {
       ledPin: CONFIG.LED_PIN,
       port: CONFIG.PORT
     },
+    denominations: Array.from(denominationsByPulses, ([pulses, value]) => ({ pulses, value })),
+    currency,
     connections: connectedClients.size
   });
 });